@@ -0,0 +1,449 @@
+#!/usr/bin/env node
+// Runs recordings through the processing pipeline without the server: audio
+// extraction (ffmpeg), speaker diarization, transcription (whisper-cli) and the
+// summary (Ollama), with the same AudioProcessor the server uses. Meant for
+// scripts and cron jobs; nothing is added to the server's job history.
+//
+// Directories are searched for files with a media extension; files named on
+// the command line are always tried. Working files are encrypted with a key
+// that is thrown away at exit.
+//
+// Exit codes: the first failure's, so scripts can tell which tool to look at
+const EXIT_CODES = {
+    failed: 1, // anything unexpected
+    usage: 2, // bad options or missing paths
+    input: 3, // not a recording ffprobe can read, or no audio track
+    conversion: 4, // ffmpeg
+    diarization: 5, // sherpa-onnx (only when installed)
+    transcription: 6, // whisper-cli
+    summary: 7, // Ollama
+    output: 8 // writing the results
+};
+
+const path = require('path');
+const ROOT = path.join(__dirname, '..');
+require('dotenv').config({ path: path.join(ROOT, '.env') });
+
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const JobStore = require('../lib/job-store');
+const StageQueue = require('../lib/stage-queue');
+const SecureStore = require('../lib/secure-store');
+const { SearchIndex } = require('../lib/search-index');
+const { TemplateStore } = require('../lib/template-store');
+const { OllamaClient, optionsFromEnv } = require('../lib/ollama-client');
+const transcriptFormat = require('../lib/transcript-format');
+const courtExport = require('../lib/court-export');
+const mediaProbe = require('../lib/media-probe');
+const audioProcessor = require('../lib/audio-processor');
+const whisperModels = require('../lib/whisper-models');
+const { AudioProcessor } = audioProcessor;
+
+const FORMATS = ['txt', 'srt', 'vtt', 'json', 'summary', 'pdf', 'docx'];
+
+const USAGE = `Usage: local-transcript [options] <file or directory>...
+
+  --client <name>      client name for the summary and court exports
+  --case <number>      case number
+  --notes <text>       meeting notes passed to the summary
+  --speakers <n>       number of speakers, if known
+  --template <id>      summary template (default DEFAULT_SUMMARY_TEMPLATE)
+  --model <name>       Ollama model for the summary (default OLLAMA_MODEL)
+  --whisper-model <name>
+                       Whisper model, ggml-<name>.bin in models/ (default
+                       WHISPER_MODEL, else base.en)
+  --language <code>    spoken language, e.g. es or zh, or auto to detect it
+                       (default auto; English-only models always use en)
+  --translate          translate into English; the transcript in the original
+                       language is written too, as <name>.<language>.<format>
+  --format <list>      comma-separated outputs: txt, srt, vtt, json (transcript),
+                       summary (plain text), pdf, docx (court-style transcript
+                       and summary); default txt,summary
+  --out <dir>          write outputs here, mirroring the input folders
+                       (default: next to each recording)
+  -r, --recursive      look for recordings in subdirectories too
+  --skip-existing      leave recordings alone whose outputs all exist
+  --json               print one JSON document with every result to stdout
+  -q, --quiet          only print errors (and the JSON document)
+
+Exit codes: 0 success, 1 unexpected error, 2 usage, 3 unreadable recording,
+4 ffmpeg, 5 diarization, 6 whisper-cli, 7 Ollama, 8 writing outputs
+`;
+
+function usageError(message) {
+    const error = new Error(message);
+    error.stage = 'usage';
+    return error;
+}
+
+function readOptions(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                client: { type: 'string' },
+                case: { type: 'string' },
+                notes: { type: 'string' },
+                speakers: { type: 'string' },
+                template: { type: 'string' },
+                model: { type: 'string' },
+                'whisper-model': { type: 'string' },
+                language: { type: 'string' },
+                translate: { type: 'boolean', default: false },
+                format: { type: 'string', default: 'txt,summary' },
+                out: { type: 'string' },
+                recursive: { type: 'boolean', short: 'r', default: false },
+                'skip-existing': { type: 'boolean', default: false },
+                json: { type: 'boolean', default: false },
+                quiet: { type: 'boolean', short: 'q', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        throw usageError(error.message);
+    }
+
+    const { values, positionals } = parsed;
+    const formats = values.format.split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+    const unknown = formats.filter(format => !FORMATS.includes(format));
+    if (unknown.length || formats.length === 0) {
+        throw usageError(`Unknown format ${unknown.join(', ') || '(none)'}; choose from ${FORMATS.join(', ')}`);
+    }
+    if (values.speakers !== undefined && !(parseInt(values.speakers, 10) > 0)) {
+        throw usageError('--speakers must be a positive number');
+    }
+    if (!values.help && positionals.length === 0) {
+        throw usageError('Name at least one recording or directory');
+    }
+
+    return {
+        ...values,
+        skipExisting: values['skip-existing'],
+        formats: Array.from(new Set(formats)),
+        out: values.out ? path.resolve(values.out) : null,
+        paths: positionals.map(input => path.resolve(input))
+    };
+}
+
+// Recordings under dir, sorted by path
+async function findRecordings(dir, recursive) {
+    const found = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) continue;
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory() && recursive) {
+            found.push(...await findRecordings(entryPath, recursive));
+        } else if (entry.isFile() && mediaProbe.MEDIA_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+            found.push(entryPath);
+        }
+    }
+    return found.sort();
+}
+
+// [{ filePath, base }] where base is the directory outputs are laid out relative to
+async function collectRecordings(paths, recursive) {
+    const recordings = [];
+    for (const input of paths) {
+        const stat = await fs.stat(input).catch(() => null);
+        if (!stat) {
+            throw usageError(`No such file or directory: ${input}`);
+        }
+        if (stat.isDirectory()) {
+            for (const filePath of await findRecordings(input, recursive)) {
+                recordings.push({ filePath, base: input });
+            }
+        } else {
+            recordings.push({ filePath: input, base: path.dirname(input) });
+        }
+    }
+    return recordings;
+}
+
+// Output file for one format: "depo.srt", "depo.summary.txt", "depo.transcript.pdf"...
+function outputPaths(recording, options) {
+    const relative = path.relative(recording.base, recording.filePath);
+    const dir = options.out ? path.join(options.out, path.dirname(relative)) : path.dirname(recording.filePath);
+    const name = path.basename(relative, path.extname(relative));
+
+    const paths = {};
+    for (const format of options.formats) {
+        if (transcriptFormat.FORMATS[format]) {
+            paths[format] = path.join(dir, `${name}.${format}`);
+        } else if (format === 'summary') {
+            paths.summary = path.join(dir, `${name}.summary.txt`);
+        } else {
+            paths[`transcript.${format}`] = path.join(dir, `${name}.transcript.${format}`);
+            paths[`summary.${format}`] = path.join(dir, `${name}.summary.${format}`);
+        }
+    }
+    return paths;
+}
+
+function sha256File(filePath) {
+    return new Promise((resolve, reject) => {
+        const digest = crypto.createHash('sha256');
+        createReadStream(filePath)
+            .on('data', chunk => digest.update(chunk))
+            .on('end', () => resolve(digest.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+// A private, throwaway home for the pipeline's working files: the processor
+// writes to temp/, transcripts/ and summaries/ under the current directory
+async function openWorkspace(options) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'local-transcript-'));
+    for (const name of ['temp', 'transcripts', 'summaries']) {
+        await fs.mkdir(path.join(dir, name));
+    }
+
+    const secureStore = new SecureStore({
+        keystorePath: path.join(dir, 'keystore.json'),
+        keyFile: path.join(dir, 'storage.key'),
+        passphrase: null
+    });
+    await secureStore.unlock();
+
+    const templateStore = new TemplateStore(
+        path.join(ROOT, 'templates'),
+        process.env.DEFAULT_SUMMARY_TEMPLATE || 'deposition'
+    );
+    if (options.template) {
+        // resolve() would quietly fall back to the default template
+        await templateStore.get(options.template).catch(() => {
+            throw usageError(`Unknown summary template: ${options.template}`);
+        });
+    }
+
+    const ollama = new OllamaClient({
+        baseUrl: process.env.OLLAMA_URL,
+        model: options.model || process.env.OLLAMA_MODEL,
+        options: optionsFromEnv(),
+        idleTimeoutMs: parseFloat(process.env.OLLAMA_IDLE_TIMEOUT_SECONDS) * 1000 || undefined
+    });
+
+    const services = {
+        secureStore,
+        jobStore: new JobStore(path.join(dir, 'jobs.jsonl'), {
+            codec: { encode: line => secureStore.sealLine(line), decode: line => secureStore.openLine(line) }
+        }),
+        processingJobs: new Map(),
+        searchIndex: new SearchIndex(),
+        templateStore,
+        ollama,
+        hubspot: null,
+        stageQueue: new StageQueue({ ffmpeg: 1, diarization: 1, whisper: 1, ollama: 1 }),
+        matterStore: null
+    };
+    audioProcessor.configure(services);
+    process.chdir(dir);
+
+    return { dir, templateStore, ollama, jobs: services.processingJobs, jobStore: services.jobStore };
+}
+
+async function writeOutputs(processor, paths, templateStore) {
+    const { results } = processor;
+    const template = await templateStore.get(results.templateId).catch(() => null);
+    const render = {
+        summary: () => results.summary,
+        'transcript.pdf': () => courtExport.renderPdf(courtExport.transcriptModel(processor)),
+        'transcript.docx': () => courtExport.renderDocx(courtExport.transcriptModel(processor)),
+        'summary.pdf': () => courtExport.renderPdf(courtExport.summaryModel(processor, { template })),
+        'summary.docx': () => courtExport.renderDocx(courtExport.summaryModel(processor, { template }))
+    };
+
+    // A translated job's original-language transcript goes beside the
+    // translation: depo.txt and depo.es.txt
+    const written = { ...paths };
+    if (results.original) {
+        for (const format of Object.keys(paths).filter(key => transcriptFormat.FORMATS[key])) {
+            const ext = path.extname(paths[format]);
+            written[`original.${format}`] = `${paths[format].slice(0, -ext.length)}.${results.original.language}${ext}`;
+        }
+    }
+
+    for (const [output, filePath] of Object.entries(written)) {
+        const original = output.startsWith('original.');
+        const format = original ? output.slice('original.'.length) : output;
+        const contents = transcriptFormat.FORMATS[format]
+            ? transcriptFormat.FORMATS[format].render(
+                (original ? results.original.segments : results.segments) || [],
+                { metadata: processor.metadata, speakers: results.speakers }
+            )
+            : render[format]();
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, contents);
+    }
+    return written;
+}
+
+async function processRecording(recording, options, workspace, log) {
+    const { filePath } = recording;
+    const paths = outputPaths(recording, options);
+    const result = { input: filePath, status: 'error', processId: null, outputs: paths };
+
+    const fail = (stage, error) => ({
+        ...result,
+        status: 'error',
+        outputs: {},
+        error: { stage, message: error.message, exitCode: EXIT_CODES[stage] || EXIT_CODES.failed }
+    });
+
+    if (options.skipExisting) {
+        const present = await Promise.all(Object.values(paths).map(output => fs.access(output).then(() => true, () => false)));
+        if (present.every(Boolean)) {
+            log(`⏭️  ${filePath}: outputs exist, skipped`);
+            return { ...result, status: 'skipped' };
+        }
+    }
+
+    let media;
+    let sha256;
+    try {
+        media = await mediaProbe.probe(filePath);
+        sha256 = await sha256File(filePath);
+    } catch (error) {
+        // 503: ffprobe itself is missing, an FFmpeg installation problem
+        return fail(error.status === 503 ? 'conversion' : 'input', error);
+    }
+
+    const stat = await fs.stat(filePath);
+    const processId = crypto.randomUUID();
+    const processor = new AudioProcessor(processId, filePath, {
+        clientName: options.client,
+        caseNumber: options.case,
+        meetingNotes: options.notes,
+        numSpeakers: parseInt(options.speakers, 10) || null,
+        templateId: options.template || workspace.templateStore.defaultId,
+        redact: false,
+        redactWithModel: false,
+        attachToHubspot: false,
+        model: options.model || workspace.ollama.model,
+        ...options.transcription,
+        originalFileName: path.basename(filePath),
+        fileSize: stat.size,
+        sha256,
+        media,
+        uploadedBy: os.userInfo().username,
+        uploadedAt: new Date().toISOString()
+    });
+    result.processId = processId;
+
+    log(`🎙️  ${filePath} (${media.formatName}, ${Math.round(media.durationSeconds)}s)`);
+    processor.on('step', ({ step, status, reason }) => {
+        if (['completed', 'skipped'].includes(status)) {
+            log(`   ${status === 'completed' ? '✅' : '⏭️ '} ${step}${reason ? `: ${reason}` : ''}`);
+        }
+    });
+
+    try {
+        await processor.process();
+    } catch (error) {
+        const stage = Object.keys(processor.steps).find(name => processor.steps[name].status === 'error');
+        return { ...fail(stage || 'failed', error), processId, steps: processor.steps };
+    } finally {
+        await processor.cleanup();
+    }
+
+    let outputs;
+    try {
+        outputs = await writeOutputs(processor, paths, workspace.templateStore);
+    } catch (error) {
+        return { ...fail('output', error), processId };
+    }
+
+    return {
+        ...result,
+        status: 'completed',
+        outputs,
+        sha256,
+        whisperModel: processor.metadata.whisperModel,
+        language: processor.results.language || null,
+        translated: Boolean(processor.results.original),
+        durationSeconds: processor.results.durationSeconds,
+        speakers: processor.results.speakers || null,
+        templateId: processor.results.templateId,
+        summaryModel: processor.results.summaryModel,
+        steps: processor.steps
+    };
+}
+
+async function main() {
+    const options = readOptions(process.argv.slice(2));
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    // stdout carries only the JSON document; the pipeline's own logging goes to stderr
+    const log = options.quiet ? () => {} : (...args) => console.error(...args);
+    console.log = log;
+    console.warn = log;
+
+    try {
+        options.transcription = await whisperModels.resolveOptions(audioProcessor.MODELS_DIR, {
+            whisperModel: options['whisper-model'],
+            language: options.language,
+            translate: options.translate
+        });
+    } catch (error) {
+        if (error.status !== 400) throw error;
+        // Without --whisper-model a missing model is an installation problem, like a whisper-cli failure
+        error.stage = error.missingModel && !options['whisper-model'] ? 'transcription' : 'usage';
+        throw error;
+    }
+
+    const recordings = await collectRecordings(options.paths, options.recursive);
+    const workspace = await openWorkspace(options);
+    const results = [];
+
+    const interrupt = () => {
+        log('🛑 Interrupted');
+        const running = Array.from(workspace.jobs.values()).filter(job => job.status === 'processing');
+        Promise.all(running.map(job => job.cancel()))
+            .then(() => workspace.jobStore.flush())
+            .finally(() => fs.rm(workspace.dir, { recursive: true, force: true }))
+            .finally(() => process.exit(130));
+    };
+    process.once('SIGINT', interrupt);
+    process.once('SIGTERM', interrupt);
+
+    try {
+        for (const recording of recordings) {
+            const result = await processRecording(recording, options, workspace, log);
+            results.push(result);
+            if (result.status === 'error') {
+                console.error(`❌ ${recording.filePath}: ${result.error.stage} failed: ${result.error.message}`);
+            } else if (result.status === 'completed') {
+                log(`📄 ${Object.values(result.outputs).join(', ')}`);
+            }
+        }
+    } finally {
+        await workspace.jobStore.flush();
+        await fs.rm(workspace.dir, { recursive: true, force: true });
+    }
+
+    const failure = results.find(result => result.status === 'error');
+    const exitCode = failure ? failure.error.exitCode : 0;
+    if (options.json) {
+        process.stdout.write(JSON.stringify({ exitCode, results }, null, 2) + '\n');
+    } else if (recordings.length === 0) {
+        log('No recordings found');
+    }
+    return exitCode;
+}
+
+main().then(code => {
+    process.exitCode = code;
+}, error => {
+    console.error(`❌ ${error.message}`);
+    if (error.stage === 'usage') {
+        console.error('Run local-transcript --help for the options');
+    }
+    process.exitCode = EXIT_CODES[error.stage] || EXIT_CODES.failed;
+});
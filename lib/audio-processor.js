@@ -0,0 +1,1079 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const transcriptFormat = require('./transcript-format');
+const diarization = require('./diarization');
+const revisions = require('./transcript-revisions');
+const { renderPrompt, extractSections } = require('./template-store');
+const summaryChunker = require('./summary-chunker');
+const progress = require('./progress');
+const redaction = require('./redaction');
+const courtExport = require('./court-export');
+const whisperModels = require('./whisper-models');
+
+// One recording's trip through the pipeline: conversion, diarization,
+// transcription, redaction, summary and HubSpot. Working files go to temp/,
+// transcripts/ and summaries/ under the current directory.
+//
+// The stores and clients every job shares are handed over once by configure():
+// the server passes its own, the command line a private set for each run.
+let secureStore;
+let jobStore;
+let processingJobs;
+let searchIndex;
+let templateStore;
+let ollama;
+let hubspot;
+let stageQueue;
+let matterStore;
+
+function configure(services) {
+    ({ secureStore, jobStore, processingJobs, searchIndex, templateStore, ollama, hubspot, stageQueue, matterStore } = services);
+}
+
+const MODELS_DIR = path.join(__dirname, '..', 'models');
+
+class AudioProcessor extends EventEmitter {
+    constructor(processId, audioFile, metadata = {}) {
+        super();
+        this.processId = processId;
+        this.audioFile = audioFile;
+        this.metadata = metadata;
+        this.status = 'started';
+        this.steps = {
+            conversion: { status: 'pending' },
+            diarization: { status: 'pending' },
+            transcription: { status: 'pending' },
+            redaction: { status: 'pending' },
+            summary: { status: 'pending' },
+            hubspot: { status: 'pending' }
+        };
+        this.results = {};
+        this.error = null;
+        this.createdAt = new Date().toISOString();
+        this.children = new Set();
+        this.requests = new Set();
+        this.cancelled = false;
+        // Percent complete within running steps; in memory only, too frequent to persist
+        this.progress = {};
+        this.lastStatus = null;
+        this.legalHold = null;
+        // The pipeline run in progress, so purge() can wait for it to unwind
+        this.running = null;
+        this.purged = false;
+    }
+
+    static fromRecord(record) {
+        const processor = new AudioProcessor(record.processId, record.audioFile, record.metadata);
+        processor.status = record.status;
+        processor.steps = { ...processor.steps, ...record.steps };
+        // Jobs from before the redaction step existed never asked for it
+        if (!record.steps || !record.steps.redaction) {
+            processor.steps.redaction = { status: 'skipped', reason: 'Not requested' };
+        }
+        processor.results = record.results || {};
+        processor.error = record.error || null;
+        processor.createdAt = record.createdAt || processor.createdAt;
+        processor.legalHold = record.legalHold || null;
+        return processor;
+    }
+
+    toRecord() {
+        return {
+            processId: this.processId,
+            audioFile: this.audioFile,
+            metadata: this.metadata,
+            status: this.status,
+            steps: this.steps,
+            results: this.results,
+            error: this.error,
+            legalHold: this.legalHold,
+            createdAt: this.createdAt
+        };
+    }
+
+    save() {
+        // A purged job must not reappear in the journal
+        if (this.purged) return Promise.resolve();
+
+        processingJobs.set(this.processId, this);
+        if (this.status !== this.lastStatus) {
+            this.lastStatus = this.status;
+            this.emit('status', { status: this.status, error: this.error });
+        }
+        return jobStore.save(this.toRecord());
+    }
+
+    updateStep(stepName, status, data = {}) {
+        // Keep the original start time across repeated 'processing' updates (e.g. summary chunks)
+        const previous = this.steps[stepName];
+        const startedAt = status === 'processing'
+            ? (previous && previous.status === 'processing' && previous.startedAt) || new Date().toISOString()
+            : null;
+
+        this.steps[stepName] = startedAt ? { status, startedAt, ...data } : { status, ...data };
+        if (status !== 'processing') {
+            delete this.progress[stepName];
+        }
+
+        this.save();
+        this.emit('step', { step: stepName, ...this.steps[stepName] });
+    }
+
+    // Report percent complete for a running step, with an ETA extrapolated from elapsed time
+    reportProgress(stepName, percent) {
+        const step = this.steps[stepName];
+        const rounded = Math.max(0, Math.min(100, Math.floor(percent)));
+        if (!step || step.status !== 'processing') return;
+        if (this.progress[stepName] && this.progress[stepName].percent === rounded) return;
+
+        const elapsed = (Date.now() - Date.parse(step.startedAt)) / 1000;
+        const etaSeconds = rounded > 0 ? Math.round(elapsed * (100 - rounded) / rounded) : null;
+
+        this.progress[stepName] = { percent: rounded, etaSeconds };
+        this.emit('progress', { step: stepName, percent: rounded, etaSeconds });
+    }
+
+    currentStep() {
+        return Object.keys(this.steps).find(name => (
+            ['queued', 'processing'].includes(this.steps[name].status)
+        )) || null;
+    }
+
+    // Spawn a child process that is killed if the job is cancelled
+    spawnTracked(command, args) {
+        const child = spawn(command, args);
+        this.children.add(child);
+        child.on('close', () => this.children.delete(child));
+        return child;
+    }
+
+    // Wait for a free slot in the given stage, then run the step
+    async runInStage(stepName, stage, task) {
+        this.updateStep(stepName, 'queued');
+
+        const release = await stageQueue.acquire(stage, this.processId);
+        try {
+            if (this.cancelled) {
+                throw new Error('Job cancelled');
+            }
+            return await task();
+        } finally {
+            release();
+        }
+    }
+
+    async cancel() {
+        this.cancelled = true;
+        stageQueue.cancel(this.processId);
+
+        for (const child of this.children) {
+            child.kill('SIGTERM');
+        }
+        for (const controller of this.requests) {
+            controller.abort();
+        }
+
+        await this.cleanup();
+    }
+
+    // ffmpeg output options selecting the audio track chosen at upload. Jobs from
+    // before uploads were probed leave the choice to ffmpeg.
+    audioTrackArgs() {
+        const { media } = this.metadata;
+        return media && media.audioTrack ? ['-map', `0:${media.audioTrack.index}`] : [];
+    }
+
+    async convertAudioToWav() {
+        try {
+            this.updateStep('conversion', 'processing');
+
+            const outputPath = path.join('temp', `${this.processId}.wav`);
+
+            // ffmpeg needs a seekable file (MP4 containers often keep their index at
+            // the end), so decrypt a short-lived working copy into temp/
+            let inputPath = this.audioFile;
+            const sealed = await secureStore.isSealed(inputPath);
+            if (sealed) {
+                inputPath = await secureStore.decryptToFile(inputPath, path.join('temp', `${this.processId}.source`));
+            }
+
+            return new Promise((resolve, reject) => {
+                // Check if ffmpeg is available
+                const ffmpeg = this.spawnTracked('ffmpeg', [
+                    '-i', inputPath,
+                    ...this.audioTrackArgs(),
+                    '-vn',
+                    '-acodec', 'pcm_s16le',
+                    '-ar', '16000',
+                    '-ac', '1',
+                    outputPath,
+                    '-y' // Overwrite output file
+                ]);
+
+                let stderr = '';
+                let duration = null;
+
+                ffmpeg.stderr.on('data', (data) => {
+                    stderr += data.toString();
+
+                    duration = duration || progress.parseFfmpegDuration(stderr);
+                    const position = progress.parseFfmpegTime(data.toString());
+                    if (duration && position !== null) {
+                        this.reportProgress('conversion', (position / duration) * 100);
+                    }
+                });
+
+                ffmpeg.on('close', (code) => {
+                    if (code === 0) {
+                        const { media } = this.metadata;
+                        this.results.wavFile = outputPath;
+                        this.results.durationSeconds = duration || (media && media.durationSeconds) || null;
+                        this.updateStep('conversion', 'completed', {
+                            outputPath,
+                            audioTrack: media && media.audioTrack ? media.audioTrack.index : null
+                        });
+                        resolve(outputPath);
+                    } else {
+                        console.error('FFmpeg stderr:', stderr);
+                        this.updateStep('conversion', 'error', { error: 'FFmpeg conversion failed' });
+                        reject(new Error(`FFmpeg failed with code ${code}`));
+                    }
+                });
+
+                ffmpeg.on('error', (error) => {
+                    console.error('FFmpeg error:', error);
+                    this.updateStep('conversion', 'error', { error: error.message });
+                    reject(error);
+                });
+            }).finally(() => sealed && fs.unlink(inputPath).catch(() => {}));
+        } catch (error) {
+            this.updateStep('conversion', 'error', { error: error.message });
+            throw error;
+        }
+    }
+
+    async diarizeAudio(wavPath) {
+        try {
+            this.updateStep('diarization', 'processing');
+
+            const models = diarization.modelPaths(MODELS_DIR);
+            const missing = [];
+            for (const modelPath of Object.values(models)) {
+                await fs.access(modelPath).catch(() => missing.push(path.basename(modelPath)));
+            }
+
+            if (missing.length) {
+                this.results.speakerTurns = null;
+                this.updateStep('diarization', 'skipped', { reason: `Model not found: ${missing.join(', ')}` });
+                return null;
+            }
+
+            return new Promise((resolve, reject) => {
+                const diarizer = this.spawnTracked(diarization.DIARIZATION_COMMAND, diarization.buildArgs(
+                    MODELS_DIR,
+                    wavPath,
+                    { numSpeakers: parseInt(this.metadata.numSpeakers, 10) }
+                ));
+
+                let stdout = '';
+                let stderr = '';
+
+                diarizer.stdout.on('data', (data) => {
+                    stdout += data.toString();
+                });
+
+                diarizer.stderr.on('data', (data) => {
+                    stderr += data.toString();
+                });
+
+                diarizer.on('close', (code) => {
+                    if (code === 0) {
+                        const turns = diarization.parseTurns(stdout);
+                        this.results.speakerTurns = turns;
+                        this.updateStep('diarization', 'completed', {
+                            speakers: Object.keys(diarization.defaultSpeakerNames(turns)).length
+                        });
+                        resolve(turns);
+                    } else {
+                        console.error('Diarization stderr:', stderr);
+                        this.updateStep('diarization', 'error', { error: `Diarization failed with code ${code}` });
+                        reject(new Error(`Diarization failed with code ${code}`));
+                    }
+                });
+
+                diarizer.on('error', (error) => {
+                    // The diarization CLI is optional; carry on without speakers if it isn't installed
+                    if (error.code === 'ENOENT') {
+                        this.results.speakerTurns = null;
+                        this.updateStep('diarization', 'skipped', { reason: `${diarization.DIARIZATION_COMMAND} not installed` });
+                        resolve(null);
+                        return;
+                    }
+                    console.error('Diarization error:', error);
+                    this.updateStep('diarization', 'error', { error: error.message });
+                    reject(error);
+                });
+            });
+        } catch (error) {
+            this.updateStep('diarization', 'error', { error: error.message });
+            throw error;
+        }
+    }
+
+    // Rebuild the plain transcript from segments using the current speaker names
+    // and write it, encrypted, to transcripts/, reusing the job's existing file if it has one
+    async saveTranscriptFile() {
+        this.results.transcription = transcriptFormat.segmentsToText(
+            this.results.segments || [],
+            this.results.speakers || {}
+        ).trim();
+
+        const previousPath = this.results.transcriptPath;
+        if (!previousPath || !previousPath.endsWith('.enc')) {
+            this.results.transcriptPath = secureStore.newPath('transcripts');
+        }
+
+        await secureStore.writeFile(this.results.transcriptPath, this.results.transcription);
+        console.log(`📝 Transcript saved: ${this.results.transcriptPath}`);
+        searchIndex.indexTranscript(this.processId, this.results.segments || [], this.results.speakers, this.results.original);
+
+        // Replace plaintext files (named after the client) left by older versions
+        if (previousPath && previousPath !== this.results.transcriptPath) {
+            await fs.unlink(previousPath).catch(() => {});
+        }
+    }
+
+    // The transcript in the recording's own language, kept beside an English
+    // translation. It is not edited; corrections go to the translation.
+    async saveOriginalTranscriptFile() {
+        const original = this.results.original;
+        original.transcription = transcriptFormat.segmentsToText(original.segments, this.results.speakers || {}).trim();
+        if (!original.transcriptPath) {
+            original.transcriptPath = secureStore.newPath('transcripts');
+        }
+        await secureStore.writeFile(original.transcriptPath, original.transcription);
+        console.log(`📝 Original-language transcript saved: ${original.transcriptPath}`);
+    }
+
+    async renameSpeakers(names) {
+        const speakers = this.results.speakers || {};
+        for (const [id, name] of Object.entries(names)) {
+            if (speakers[id] !== undefined && typeof name === 'string' && name.trim()) {
+                speakers[id] = name.trim();
+            }
+        }
+        this.results.speakers = speakers;
+
+        await this.saveTranscriptFile();
+        if (this.results.original) {
+            await this.saveOriginalTranscriptFile();
+        }
+        if (this.results.redaction && !this.redactionIsStale()) {
+            await this.saveRedactedFile();
+        }
+        this.save();
+    }
+
+    latestRevision() {
+        const list = this.results.revisions || [];
+        return list.length ? list[list.length - 1] : null;
+    }
+
+    // Apply user corrections as a new transcript revision
+    async editTranscript(edits, { author, note, baseRevision } = {}) {
+        const segments = this.results.segments;
+        const latest = this.latestRevision();
+
+        if (baseRevision !== undefined && latest && baseRevision !== latest.revision) {
+            const error = new Error(`Transcript has changed since revision ${baseRevision}`);
+            error.status = 409;
+            throw error;
+        }
+
+        const changed = revisions.applyEdits(segments, edits);
+        if (!changed.length) {
+            return { revision: latest, changed };
+        }
+
+        const revision = revisions.createRevision(this.results.revisions, {
+            author,
+            note,
+            texts: segments.map(segment => segment.text)
+        });
+
+        await this.saveTranscriptFile();
+        this.save();
+        console.log(`✏️  Transcript revision ${revision.revision} saved by ${revision.author}`);
+
+        return { revision, changed };
+    }
+
+    // One whisper-cli pass over the WAV. Resolves { segments, language }, the
+    // language being the one Whisper detected, or the one it was given.
+    runWhisper(wavPath, { language, translate = false, onProgress }) {
+        return new Promise((resolve, reject) => {
+            const whisper = this.spawnTracked('whisper-cli', [
+                '-m', whisperModels.modelPath(MODELS_DIR, this.metadata.whisperModel),
+                '--output-json-full', // segment and token offsets for timestamps
+                '--print-progress',
+                '--language', language,
+                ...(translate ? ['--translate'] : []),
+                wavPath
+            ]);
+
+            let stdout = '';
+            let stderr = '';
+
+            whisper.stdout.on('data', (data) => {
+                stdout += data.toString();
+            });
+
+            whisper.stderr.on('data', (data) => {
+                stderr += data.toString();
+
+                const percent = progress.parseWhisperProgress(data.toString());
+                if (percent !== null) {
+                    onProgress(percent);
+                }
+            });
+
+            whisper.on('close', async (code) => {
+                if (code !== 0) {
+                    console.error('Whisper-cli stderr:', stderr);
+                    console.error('Whisper-cli stdout:', stdout);
+                    reject(new Error(`Whisper-cli failed with code ${code}`));
+                    return;
+                }
+
+                // whisper-cli with --output-json-full creates a .wav.json file
+                const jsonPath = wavPath + '.json';
+                try {
+                    // Wait a moment for file to be written
+                    await new Promise(resolve => setTimeout(resolve, 1000));
+
+                    const whisperJson = JSON.parse(await fs.readFile(jsonPath, 'utf8'));
+                    resolve({
+                        segments: transcriptFormat.parseWhisperJson(whisperJson),
+                        language: (whisperJson.result && whisperJson.result.language) || language
+                    });
+                } catch (readError) {
+                    console.error('Error reading transcript:', readError);
+                    reject(new Error('Failed to read transcript file'));
+                } finally {
+                    // Clean up the temporary generated json file
+                    await fs.unlink(jsonPath).catch(() => {});
+                }
+            });
+
+            whisper.on('error', (error) => {
+                console.error('Whisper error:', error);
+                reject(error);
+            });
+        });
+    }
+
+    // Transcribe with the job's model and language. With translation on, the
+    // recording is transcribed twice: once in its own language, kept as
+    // results.original, and once translated into English, which becomes the
+    // transcript that is edited, summarized and exported.
+    async transcribeAudio(wavPath) {
+        try {
+            this.updateStep('transcription', 'processing');
+
+            // Jobs from before models were selectable ran base.en in English
+            const language = this.metadata.language || 'en';
+            // An English recording has nothing to translate; with auto-detection that
+            // is only known after the first pass
+            const passes = this.metadata.translate && language !== 'en' ? 2 : 1;
+
+            const original = await this.runWhisper(wavPath, {
+                language,
+                onProgress: percent => this.reportProgress('transcription', percent / passes)
+            });
+
+            // Auto-detection may find the recording is English after all
+            const translated = passes === 2 && original.language !== 'en';
+            let segments = original.segments;
+            if (passes === 2 && !translated) {
+                this.reportProgress('transcription', 100);
+            } else if (translated) {
+                ({ segments } = await this.runWhisper(wavPath, {
+                    language: original.language,
+                    translate: true,
+                    onProgress: percent => this.reportProgress('transcription', 50 + percent / 2)
+                }));
+            }
+
+            // Attribute segments to the speakers found by diarization
+            const turns = this.results.speakerTurns;
+            if (turns && turns.length) {
+                diarization.assignSpeakers(segments, turns);
+                if (translated) {
+                    diarization.assignSpeakers(original.segments, turns);
+                }
+                this.results.speakers = {
+                    ...diarization.defaultSpeakerNames(turns),
+                    ...this.results.speakers
+                };
+            }
+            this.results.segments = segments;
+            this.results.language = original.language;
+
+            // Revision 0 is the untouched machine output that corrections are diffed against
+            this.results.revisions = [];
+            revisions.createRevision(this.results.revisions, {
+                author: 'whisper-cli',
+                note: translated
+                    ? `Machine translation from ${whisperModels.languageName(original.language)}`
+                    : 'Machine transcription',
+                texts: segments.map(segment => segment.text)
+            });
+
+            const previousOriginal = this.results.original;
+            if (translated) {
+                this.results.original = {
+                    language: original.language,
+                    segments: original.segments,
+                    transcriptPath: previousOriginal ? previousOriginal.transcriptPath : null
+                };
+                await this.saveOriginalTranscriptFile();
+            } else {
+                this.results.original = null;
+                if (previousOriginal && previousOriginal.transcriptPath) {
+                    await secureStore.shred(previousOriginal.transcriptPath);
+                }
+            }
+
+            // Save transcript to transcripts folder; it is indexed with the original beside it
+            await this.saveTranscriptFile();
+
+            this.results.transcribedAt = new Date().toISOString();
+            this.updateStep('transcription', 'completed', { language: original.language, translated });
+
+            return this.results.transcription;
+        } catch (error) {
+            this.updateStep('transcription', 'error', { error: error.message });
+            throw error;
+        }
+    }
+
+    // Run one prompt through the local model over Ollama's HTTP API, streaming
+    // tokens to listeners as 'summary-token' events (unless streamInfo is null),
+    // and return the full output
+    async runOllama(prompt, streamInfo = {}) {
+        const controller = new AbortController();
+        this.requests.add(controller);
+
+        try {
+            return await ollama.generate(prompt, {
+                model: this.metadata.model,
+                signal: controller.signal,
+                onToken: streamInfo ? (text) => this.emit('summary-token', { ...streamInfo, text }) : undefined
+            });
+        } finally {
+            this.requests.delete(controller);
+        }
+    }
+
+    redactionIsStale() {
+        const latest = this.latestRevision();
+        return Boolean(this.results.redaction && latest && this.results.redaction.basedOnRevision !== latest.revision);
+    }
+
+    // Find personal data in the transcript with the rule-based detectors and,
+    // if asked, the local model. Review decisions from an earlier run carry over
+    // to findings with the same span.
+    async redactTranscript({ useModel = false, author = null } = {}) {
+        try {
+            this.updateStep('redaction', 'processing');
+
+            const segments = this.results.segments || [];
+            const findings = redaction.detectWithRules(segments);
+            const warnings = [];
+
+            if (useModel) {
+                const prompts = redaction.llmPrompts(segments);
+                for (let i = 0; i < prompts.length; i++) {
+                    this.updateStep('redaction', 'processing', { phase: 'model', chunk: i + 1, totalChunks: prompts.length });
+                    this.reportProgress('redaction', (i / prompts.length) * 100);
+                    const output = await this.runOllama(prompts[i], null);
+                    try {
+                        findings.push(...redaction.parseLlmFindings(output, segments));
+                    } catch (parseError) {
+                        warnings.push(`Model answer for part ${i + 1} of ${prompts.length} was not usable: ${parseError.message}`);
+                    }
+                }
+            }
+
+            const previous = this.results.redaction;
+            const decisions = new Map((previous ? previous.items : [])
+                .filter(item => item.status !== 'pending')
+                .map(item => [`${item.segmentId}:${item.from}:${item.to}`, item]));
+            const items = redaction.finalizeFindings(findings, segments).map(item => {
+                const decided = decisions.get(`${item.segmentId}:${item.from}:${item.to}`);
+                return decided
+                    ? { ...item, status: decided.status, reviewedBy: decided.reviewedBy, reviewedAt: decided.reviewedAt }
+                    : item;
+            });
+
+            const latest = this.latestRevision();
+            this.results.redaction = {
+                createdAt: new Date().toISOString(),
+                createdBy: author,
+                usedModel: Boolean(useModel),
+                model: useModel ? this.metadata.model || ollama.model : null,
+                basedOnRevision: latest ? latest.revision : null,
+                items,
+                warnings,
+                redactedTranscriptPath: previous ? previous.redactedTranscriptPath : null,
+                bleep: previous && previous.bleep ? { ...previous.bleep, stale: true } : null
+            };
+
+            await this.saveRedactedFile();
+            this.updateStep('redaction', 'completed', { found: items.length });
+            console.log(`🕶️  Redaction found ${items.length} item(s) in job ${this.processId}`);
+            return items;
+        } catch (error) {
+            this.updateStep('redaction', 'error', { error: error.message });
+            throw error;
+        }
+    }
+
+    // Write the redacted copy of the transcript next to the original
+    async saveRedactedFile() {
+        const state = this.results.redaction;
+        const segments = redaction.redactSegments(this.results.segments || [], state.items);
+        const text = transcriptFormat.segmentsToText(segments, this.results.speakers || {}).trim();
+
+        if (!state.redactedTranscriptPath) {
+            state.redactedTranscriptPath = secureStore.newPath('transcripts');
+        }
+        await secureStore.writeFile(state.redactedTranscriptPath, text);
+        console.log(`🕶️  Redacted transcript saved: ${state.redactedTranscriptPath}`);
+    }
+
+    // decisions: [{ id, status: 'accepted'|'rejected'|'pending' }]
+    async reviewRedactions(decisions, reviewer) {
+        const state = this.results.redaction;
+        if (this.redactionIsStale()) {
+            const error = new Error('The transcript was corrected after redaction; run redaction again before reviewing');
+            error.status = 409;
+            throw error;
+        }
+
+        const byId = new Map(state.items.map(item => [item.id, item]));
+        for (const decision of decisions) {
+            const item = byId.get(Number(decision && decision.id));
+            if (!item || !['accepted', 'rejected', 'pending'].includes(decision.status)) {
+                const error = new Error(`Invalid decision: ${JSON.stringify(decision)}`);
+                error.status = 400;
+                throw error;
+            }
+        }
+
+        const changed = [];
+        const reviewedAt = new Date().toISOString();
+        for (const decision of decisions) {
+            const item = byId.get(Number(decision.id));
+            if (item.status === decision.status) continue;
+            item.status = decision.status;
+            item.reviewedBy = reviewer;
+            item.reviewedAt = reviewedAt;
+            changed.push(item.id);
+        }
+
+        if (changed.length) {
+            await this.saveRedactedFile();
+            if (state.bleep) state.bleep.stale = true;
+            this.save();
+        }
+        return changed;
+    }
+
+    // Render the recording with every redaction that wasn't rejected replaced by
+    // a tone, encrypted into uploads/ next to the original
+    async bleepAudio() {
+        const state = this.results.redaction;
+        const spans = redaction.bleepSpans(state.items);
+        const sourcePath = path.join('temp', `${this.processId}.bleep-source`);
+        const outputPath = path.join('temp', `${this.processId}.bleeped.m4a`);
+
+        state.bleep = { ...state.bleep, status: 'processing', stale: false, error: null };
+        this.save();
+
+        const release = await stageQueue.acquire('ffmpeg', this.processId);
+        try {
+            const inputPath = await secureStore.isSealed(this.audioFile)
+                ? await secureStore.decryptToFile(this.audioFile, sourcePath)
+                : this.audioFile;
+
+            await new Promise((resolve, reject) => {
+                const ffmpeg = this.spawnTracked('ffmpeg', [
+                    '-i', inputPath,
+                    ...this.audioTrackArgs(),
+                    '-vn',
+                    '-af', redaction.bleepFilter(spans),
+                    '-c:a', 'aac',
+                    '-b:a', '128k',
+                    outputPath,
+                    '-y'
+                ]);
+
+                let stderr = '';
+                ffmpeg.stderr.on('data', (data) => {
+                    stderr += data.toString();
+                });
+                ffmpeg.on('close', (code) => {
+                    if (code === 0) {
+                        resolve();
+                    } else {
+                        console.error('FFmpeg stderr:', stderr);
+                        reject(new Error(`FFmpeg failed with code ${code}`));
+                    }
+                });
+                ffmpeg.on('error', reject);
+            });
+
+            const previousPath = state.bleep.path;
+            const bleepPath = secureStore.newPath('uploads');
+            await secureStore.writeStream(bleepPath, createReadStream(outputPath));
+            if (previousPath) {
+                await secureStore.shred(previousPath).catch(() => {});
+            }
+
+            state.bleep = { status: 'completed', path: bleepPath, spans: spans.length, createdAt: new Date().toISOString(), stale: false, error: null };
+            this.save();
+            console.log(`🔇 Bleeped ${spans.length} span(s) in job ${this.processId}`);
+        } catch (error) {
+            state.bleep = { ...state.bleep, status: 'error', error: error.message };
+            this.save();
+            throw error;
+        } finally {
+            release();
+            await fs.unlink(sourcePath).catch(() => {});
+            await fs.unlink(outputPath).catch(() => {});
+        }
+    }
+
+    async generateSummary(transcription) {
+        try {
+            this.updateStep('summary', 'processing');
+
+            const template = await templateStore.resolve(this.metadata.templateId);
+            const context = {
+                clientName: this.metadata.clientName,
+                caseNumber: this.metadata.caseNumber,
+                meetingNotes: this.metadata.meetingNotes,
+                hasSpeakers: Boolean(this.results.speakers)
+            };
+
+            // Long transcripts are summarized chunk by chunk, then consolidated
+            const segments = this.results.segments;
+            const chunks = segments && segments.length
+                ? summaryChunker.chunkSegments(segments, this.results.speakers)
+                : summaryChunker.chunkText(transcription);
+
+            let source = transcription;
+            this.results.summaryChunks = null;
+
+            if (chunks.length > 1) {
+                const notes = [];
+                for (const chunk of chunks) {
+                    this.updateStep('summary', 'processing', {
+                        phase: 'chunks',
+                        chunk: chunk.index + 1,
+                        totalChunks: chunks.length
+                    });
+                    // The consolidation pass counts as one more part
+                    this.reportProgress('summary', (chunk.index / (chunks.length + 1)) * 100);
+                    notes.push(await this.runOllama(
+                        summaryChunker.chunkPrompt(chunk, chunks.length, context),
+                        { phase: 'chunks', chunk: chunk.index + 1 }
+                    ));
+                }
+
+                this.results.summaryChunks = chunks.map((chunk, index) => ({
+                    index: chunk.index,
+                    start: chunk.start,
+                    end: chunk.end,
+                    notes: notes[index]
+                }));
+                this.updateStep('summary', 'processing', { phase: 'consolidation', totalChunks: chunks.length });
+                this.reportProgress('summary', (chunks.length / (chunks.length + 1)) * 100);
+                source = summaryChunker.consolidationInput(chunks, notes);
+            }
+
+            const summary = await this.runOllama(
+                renderPrompt(template, { ...context, transcript: source }),
+                { phase: 'final' }
+            );
+
+            this.results.summary = summary;
+            const latest = this.latestRevision();
+            this.results.summaryRevision = latest ? latest.revision : null;
+            this.results.templateId = template.id;
+            this.results.summaryModel = this.metadata.model || ollama.model;
+            this.results.summarySections = extractSections(summary, template.sections);
+
+            // Save summary to summaries folder
+            const summarySavePath = secureStore.newPath('summaries');
+
+            try {
+                await secureStore.writeFile(summarySavePath, summary);
+                console.log(`📋 Summary saved: ${summarySavePath}`);
+                // A regenerated summary replaces the previous file
+                if (this.results.summaryPath) {
+                    await secureStore.shred(this.results.summaryPath).catch(() => {});
+                }
+                this.results.summaryPath = summarySavePath;
+                searchIndex.indexSummary(this.processId, summary);
+            } catch (saveError) {
+                console.error('Error saving summary:', saveError);
+            }
+
+            this.updateStep('summary', 'completed', { totalChunks: chunks.length });
+
+            return summary;
+        } catch (error) {
+            this.updateStep('summary', 'error', { error: error.message });
+            throw error;
+        }
+    }
+
+    // File the court-style transcript and summary PDFs with the client's HubSpot
+    // company or contact, under a note that links them. Progress is kept in
+    // results.hubspot, so retrying after a failure doesn't upload a file twice.
+    async attachToHubspot() {
+        try {
+            this.updateStep('hubspot', 'processing');
+
+            if (!this.results.segments) {
+                const error = new Error('No timed transcript to attach');
+                error.status = 400;
+                throw error;
+            }
+
+            // A finished attachment is filed again from scratch (e.g. after corrections)
+            const previous = this.results.hubspot;
+            const state = previous && !previous.noteId ? previous : { files: {} };
+            this.results.hubspot = state;
+
+            if (!state.objectId) {
+                const { clientName, caseNumber } = this.metadata;
+                const record = await hubspot.findRecord({ clientName, caseNumber });
+                if (!record) {
+                    const error = new Error(`No HubSpot company or contact matches "${clientName || caseNumber || 'this job'}"`);
+                    error.status = 404;
+                    throw error;
+                }
+                Object.assign(state, { objectType: record.objectType, objectId: record.id, recordName: record.name });
+                this.save();
+            }
+
+            const matter = this.metadata.caseNumber ? matterStore.get(this.metadata.caseNumber) : null;
+            const documents = { transcript: () => courtExport.transcriptModel(this, { matter }) };
+            if (this.results.summary) {
+                const template = await templateStore.get(this.results.templateId).catch(() => null);
+                documents.summary = () => courtExport.summaryModel(this, { matter, template });
+            }
+
+            const reference = this.metadata.caseNumber || this.processId;
+            for (const [kind, model] of Object.entries(documents)) {
+                if (state.files[kind]) continue;
+                const file = await hubspot.uploadFile(`${kind}_${reference}.pdf`, courtExport.renderPdf(model()), 'application/pdf');
+                state.files[kind] = file.id;
+                this.save();
+            }
+
+            const revisionList = this.results.revisions || [];
+            const latest = revisionList[revisionList.length - 1];
+            const note = await hubspot.createNote({
+                objectType: state.objectType,
+                objectId: state.objectId,
+                attachmentIds: Object.values(state.files),
+                lines: [
+                    `Recording transcript filed: ${this.metadata.originalFileName || this.processId}`,
+                    [
+                        this.metadata.caseNumber && `Case No. ${this.metadata.caseNumber}`,
+                        `transcript revision ${latest ? latest.revision : 0}`
+                    ].filter(Boolean).join(' · '),
+                    `Attached: ${Object.keys(state.files).join(' and ')} (PDF)`
+                ]
+            });
+            state.noteId = note.id;
+            state.attachedAt = new Date().toISOString();
+
+            this.updateStep('hubspot', 'completed', { objectType: state.objectType, objectId: state.objectId });
+            console.log(`📎 Job ${this.processId} filed in HubSpot ${state.objectType} ${state.objectId} (note ${note.id})`);
+            return state;
+        } catch (error) {
+            this.updateStep('hubspot', 'error', { error: error.message });
+            throw error;
+        }
+    }
+
+    isStepDone(stepName) {
+        return this.steps[stepName] && this.steps[stepName].status === 'completed';
+    }
+
+    // Steps that already completed (e.g. before an interruption) are skipped,
+    // so the same method both starts and resumes a job
+    process() {
+        const run = this.runSteps().finally(() => {
+            if (this.running === run) this.running = null;
+        });
+        this.running = run;
+        return run;
+    }
+
+    async runSteps() {
+        try {
+            this.status = 'processing';
+            this.error = null;
+            this.cancelled = false;
+            this.save();
+
+            let transcription = this.results.transcription;
+            if (!this.isStepDone('transcription') || !transcription) {
+                // Step 1: Extract the audio track as 16 kHz mono WAV
+                const wavPath = await this.runInStage('conversion', 'ffmpeg', () => this.convertAudioToWav());
+
+                // Step 1b: Identify speaker turns (skipped when the models aren't installed)
+                await this.runInStage('diarization', 'diarization', () => this.diarizeAudio(wavPath));
+
+                // Step 2: Transcribe audio using Whisper
+                transcription = await this.runInStage('transcription', 'whisper', () => this.transcribeAudio(wavPath));
+            }
+
+            // Step 2b: Redact personal data from a shareable copy, when asked for
+            if (this.metadata.redact && !this.isStepDone('redaction')) {
+                const redact = () => this.redactTranscript({
+                    useModel: this.metadata.redactWithModel,
+                    author: this.metadata.redactRequestedBy || this.metadata.uploadedBy
+                });
+                await (this.metadata.redactWithModel ? this.runInStage('redaction', 'ollama', redact) : redact());
+            } else if (!this.metadata.redact && this.steps.redaction.status !== 'skipped') {
+                this.updateStep('redaction', 'skipped', { reason: 'Not requested' });
+            }
+
+            // Step 3: Generate summary using Ollama
+            let summary = this.results.summary;
+            if (!this.isStepDone('summary') || !summary) {
+                summary = await this.runInStage('summary', 'ollama', () => this.generateSummary(transcription));
+            }
+
+            // Step 4: HubSpot integration (optional)
+            if (this.metadata.attachToHubspot && !this.isStepDone('hubspot')) {
+                await this.attachToHubspot();
+            } else if (!this.metadata.attachToHubspot && this.steps.hubspot.status === 'pending') {
+                this.updateStep('hubspot', 'skipped', { reason: 'Not requested' });
+            }
+
+            this.status = 'completed';
+            this.save();
+
+            // Cleanup temporary files
+            this.cleanup();
+
+            return {
+                transcription,
+                summary,
+                metadata: this.metadata
+            };
+
+        } catch (error) {
+            if (this.cancelled) {
+                this.status = 'cancelled';
+                this.error = 'Cancelled by user';
+                for (const [name, step] of Object.entries(this.steps)) {
+                    if (['queued', 'processing', 'error'].includes(step.status)) {
+                        step.status = 'cancelled';
+                        delete step.error;
+                        this.emit('step', { step: name, ...step });
+                    }
+                }
+                this.save();
+                console.log(`🛑 Job ${this.processId} cancelled`);
+                throw error;
+            }
+
+            console.error('Processing error:', error);
+            this.status = 'error';
+            this.error = error.message;
+            this.save();
+            throw error;
+        }
+    }
+
+    // Retention: the transcript is done, so the original recording can go
+    async deleteSourceAudio() {
+        if (!this.audioFile) return false;
+
+        await secureStore.shred(this.audioFile);
+        this.audioFile = null;
+        // The bleeped copy is still a recording of the meeting
+        const bleep = this.results.redaction && this.results.redaction.bleep;
+        if (bleep && bleep.path) {
+            await secureStore.shred(bleep.path);
+            this.results.redaction.bleep = null;
+        }
+        this.results.sourceDeletedAt = new Date().toISOString();
+        this.save();
+        return true;
+    }
+
+    // Overwrite and remove every file belonging to this job, then drop the job itself.
+    // Resolves with the number of files shredded.
+    async purge() {
+        const { running } = this;
+        if (this.status === 'started' || this.status === 'processing' || running) {
+            await this.cancel();
+        }
+        // Killed processes still report their failure as they exit; let that finish
+        // before the job is dropped, and ignore anything that comes later
+        if (running) {
+            await running.catch(() => {});
+        }
+        this.purged = true;
+        await this.cleanup();
+
+        const redacted = this.results.redaction || {};
+        const files = [
+            this.audioFile,
+            this.results.transcriptPath,
+            this.results.original && this.results.original.transcriptPath,
+            this.results.summaryPath,
+            redacted.redactedTranscriptPath,
+            redacted.bleep && redacted.bleep.path
+        ].filter(Boolean);
+        let shredded = 0;
+        for (const file of files) {
+            if (await secureStore.shred(file)) shredded++;
+        }
+
+        this.removeAllListeners();
+        processingJobs.delete(this.processId);
+        searchIndex.removeJob(this.processId);
+        await jobStore.remove(this.processId);
+        return shredded;
+    }
+
+    async cleanup() {
+        try {
+            // Clean up temporary files, including a partial WAV from a killed ffmpeg
+            const wavPath = this.results.wavFile || path.join('temp', `${this.processId}.wav`);
+            await fs.unlink(wavPath).catch(() => {});
+            await fs.unlink(wavPath + '.json').catch(() => {});
+            await fs.unlink(path.join('temp', `${this.processId}.source`)).catch(() => {});
+            await fs.unlink(path.join('temp', `${this.processId}.bleep-source`)).catch(() => {});
+            await fs.unlink(path.join('temp', `${this.processId}.bleeped.m4a`)).catch(() => {});
+        } catch (error) {
+            console.error('Cleanup error:', error);
+        }
+    }
+}
+
+module.exports = { AudioProcessor, configure, MODELS_DIR };
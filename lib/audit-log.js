@@ -0,0 +1,224 @@
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+// Append-only, hash-chained audit log in data/audit.jsonl.
+//
+// Each entry records who did what to which job:
+//   { seq, at, action, actor, actorId, role, ip, processId, caseNumber, details, prevHash, hash }
+// where hash = SHA-256 of the entry's JSON without `hash`, and prevHash is the
+// previous entry's hash (64 zeros for the first). Editing, reordering or
+// removing an entry breaks the chain. Dropping entries from the end, or
+// rewriting the whole chain, is caught by the head file (data/audit.head),
+// which holds the last seq and hash under an HMAC only the server can produce.
+//
+// Lines go through an optional codec ({ encode, decode }) like the job journal,
+// so the log can be encrypted at rest. `headKey` is a function returning the
+// HMAC key, since the key is only available once storage is unlocked.
+const GENESIS_HASH = '0'.repeat(64);
+const PLAIN_CODEC = { encode: line => line, decode: line => line };
+
+function entryHash(entry) {
+    const { hash, ...rest } = entry;
+    return crypto.createHash('sha256').update(JSON.stringify(rest)).digest('hex');
+}
+
+class AuditLog {
+    constructor(filePath, { codec = PLAIN_CODEC, headKey = () => null } = {}) {
+        this.filePath = filePath;
+        this.headPath = filePath.replace(/\.jsonl$/, '') + '.head';
+        this.codec = codec;
+        this.headKey = headKey;
+        this.seq = 0;
+        this.lastHash = GENESIS_HASH;
+        this.writeChain = Promise.resolve();
+    }
+
+    headMac(seq, hash) {
+        const key = this.headKey();
+        if (!key) return null;
+        return crypto.createHmac('sha256', key).update(`${seq}:${hash}`).digest('hex');
+    }
+
+    // Continue the chain from the last readable entry
+    async load() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        for (const entry of await this.readEntries()) {
+            if (entry.seq > this.seq) {
+                this.seq = entry.seq;
+                this.lastHash = entry.hash;
+            }
+        }
+
+        return this.seq;
+    }
+
+    async readLines() {
+        try {
+            const contents = await fs.readFile(this.filePath, 'utf8');
+            return contents.split('\n').filter(line => line.trim());
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async readEntries() {
+        const entries = [];
+        for (const line of await this.readLines()) {
+            try {
+                entries.push(JSON.parse(this.codec.decode(line)));
+            } catch (error) {
+                // Reported by verify(); queries skip it
+            }
+        }
+        return entries;
+    }
+
+    // { action, actor, actorId, role, ip, processId, caseNumber, details }
+    append(event) {
+        const entry = {
+            seq: ++this.seq,
+            at: new Date().toISOString(),
+            action: event.action,
+            actor: event.actor || null,
+            actorId: event.actorId || null,
+            role: event.role || null,
+            ip: event.ip || null,
+            processId: event.processId || null,
+            caseNumber: event.caseNumber || null,
+            details: event.details || {},
+            prevHash: this.lastHash
+        };
+        entry.hash = entryHash(entry);
+        this.lastHash = entry.hash;
+
+        const line = this.codec.encode(JSON.stringify(entry)) + '\n';
+        const head = JSON.stringify({ seq: entry.seq, hash: entry.hash, mac: this.headMac(entry.seq, entry.hash) }) + '\n';
+        const tmpPath = this.headPath + '.tmp';
+
+        // Writes are serialized so the file order always matches seq order
+        this.writeChain = this.writeChain.then(async () => {
+            await fs.appendFile(this.filePath, line, { mode: 0o600 });
+            await fs.writeFile(tmpPath, head, { mode: 0o600 });
+            await fs.rename(tmpPath, this.headPath);
+        }).catch(error => {
+            console.error('Audit log write error:', error);
+        });
+
+        return entry;
+    }
+
+    // Filters: action (prefix match, e.g. "transcript."), actor, processId,
+    // caseNumber, since, until, limit. Oldest first.
+    async query(filters = {}) {
+        let entries = await this.readEntries();
+
+        if (filters.action) {
+            entries = entries.filter(entry => entry.action.startsWith(filters.action));
+        }
+        if (filters.actor) {
+            entries = entries.filter(entry => entry.actor === filters.actor);
+        }
+        if (filters.processId) {
+            entries = entries.filter(entry => entry.processId === filters.processId);
+        }
+        if (filters.caseNumber) {
+            entries = entries.filter(entry => entry.caseNumber === filters.caseNumber);
+        }
+        if (filters.since) {
+            entries = entries.filter(entry => entry.at >= filters.since);
+        }
+        if (filters.until) {
+            entries = entries.filter(entry => entry.at <= filters.until);
+        }
+
+        const limit = parseInt(filters.limit, 10);
+        return limit > 0 ? entries.slice(-limit) : entries;
+    }
+
+    // Walk the whole chain and compare its end with the head file.
+    // Resolves with { ok, entries, lastSeq, problems: [{ line, seq, problem }] }
+    async verify() {
+        await this.writeChain;
+
+        const problems = [];
+        let expectedSeq = 1;
+        let prevHash = GENESIS_HASH;
+        let count = 0;
+
+        const lines = await this.readLines();
+        lines.forEach((line, index) => {
+            const lineNumber = index + 1;
+            let entry;
+            try {
+                entry = JSON.parse(this.codec.decode(line));
+            } catch (error) {
+                problems.push({ line: lineNumber, seq: null, problem: 'Entry is unreadable (modified or corrupted)' });
+                expectedSeq++;
+                prevHash = null;
+                return;
+            }
+            count++;
+
+            if (entry.seq !== expectedSeq) {
+                const problem = entry.seq > expectedSeq
+                    ? `Missing entries ${expectedSeq}-${entry.seq - 1}`
+                    : `Out-of-order or duplicate entry (expected seq ${expectedSeq})`;
+                problems.push({ line: lineNumber, seq: entry.seq, problem });
+            }
+            if (prevHash !== null && entry.prevHash !== prevHash) {
+                problems.push({ line: lineNumber, seq: entry.seq, problem: 'Chain broken: prevHash does not match the previous entry' });
+            }
+            if (entryHash(entry) !== entry.hash) {
+                problems.push({ line: lineNumber, seq: entry.seq, problem: 'Entry contents do not match its hash (modified)' });
+            }
+
+            expectedSeq = entry.seq + 1;
+            prevHash = entry.hash;
+        });
+
+        const lastSeq = expectedSeq - 1;
+        let head = null;
+        try {
+            head = JSON.parse(await fs.readFile(this.headPath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        if (!head) {
+            if (lines.length) {
+                problems.push({ line: null, seq: null, problem: 'Head file is missing' });
+            }
+        } else {
+            if (this.headKey() && head.mac !== this.headMac(head.seq, head.hash)) {
+                problems.push({ line: null, seq: head.seq, problem: 'Head file signature is invalid (head was rewritten)' });
+            }
+            if (head.seq > lastSeq) {
+                problems.push({ line: null, seq: head.seq, problem: `Entries ${lastSeq + 1}-${head.seq} are missing from the end of the log` });
+            } else if (head.seq < lastSeq) {
+                problems.push({ line: null, seq: lastSeq, problem: `Entries after ${head.seq} were added without updating the head` });
+            } else if (head.hash !== prevHash) {
+                problems.push({ line: null, seq: head.seq, problem: 'Last entry does not match the head hash' });
+            }
+        }
+
+        return { ok: problems.length === 0, entries: count, lastSeq, problems };
+    }
+}
+
+// CSV export for spreadsheets and case files
+function toCsv(entries) {
+    const columns = ['seq', 'at', 'action', 'actor', 'role', 'ip', 'processId', 'caseNumber', 'details', 'prevHash', 'hash'];
+    const cell = (value) => {
+        const text = value === null || value === undefined
+            ? ''
+            : typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns.join(','), ...entries.map(entry => columns.map(column => cell(entry[column])).join(','))].join('\n') + '\n';
+}
+
+module.exports = { AuditLog, GENESIS_HASH, entryHash, toCsv };
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+
+// Cookie sessions for local user accounts. Tokens are random, kept only in
+// memory (a restart signs everyone out) and indexed by their SHA-256 so a
+// heap dump does not hand out live cookies.
+const SESSION_COOKIE = 'lt_session';
+
+function tokenKey(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of (header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index < 0) continue;
+        const name = part.slice(0, index).trim();
+        try {
+            cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (error) {
+            // Malformed escape sequence; ignore this cookie
+        }
+    }
+    return cookies;
+}
+
+class SessionManager {
+    constructor({ ttlMs = 12 * 60 * 60 * 1000 } = {}) {
+        this.ttlMs = ttlMs;
+        this.sessions = new Map();
+    }
+
+    create(userId) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        this.sessions.set(tokenKey(token), { userId, expiresAt: Date.now() + this.ttlMs });
+        return token;
+    }
+
+    // Sliding expiry: each request extends the session
+    get(token) {
+        if (!token) return null;
+
+        const key = tokenKey(token);
+        const session = this.sessions.get(key);
+        if (!session) return null;
+        if (session.expiresAt < Date.now()) {
+            this.sessions.delete(key);
+            return null;
+        }
+
+        session.expiresAt = Date.now() + this.ttlMs;
+        return session;
+    }
+
+    destroy(token) {
+        if (token) {
+            this.sessions.delete(tokenKey(token));
+        }
+    }
+
+    // Sign a user out everywhere, e.g. after a password change or when disabled
+    destroyForUser(userId) {
+        for (const [key, session] of this.sessions) {
+            if (session.userId === userId) {
+                this.sessions.delete(key);
+            }
+        }
+    }
+}
+
+// Counts failed logins per username and address; too many locks the pair out for a while
+class LoginThrottle {
+    constructor({ limit = 5, windowMs = 15 * 60 * 1000 } = {}) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.failures = new Map();
+    }
+
+    isBlocked(key) {
+        const entry = this.failures.get(key);
+        if (!entry) return false;
+        if (entry.since + this.windowMs < Date.now()) {
+            this.failures.delete(key);
+            return false;
+        }
+        return entry.count >= this.limit;
+    }
+
+    fail(key) {
+        const entry = this.failures.get(key);
+        if (!entry || entry.since + this.windowMs < Date.now()) {
+            this.failures.set(key, { count: 1, since: Date.now() });
+        } else {
+            entry.count++;
+        }
+    }
+
+    reset(key) {
+        this.failures.delete(key);
+    }
+}
+
+function setSessionCookie(req, res, token, maxAgeMs) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: req.secure,
+        maxAge: maxAgeMs,
+        path: '/'
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+// Attaches req.user (and req.sessionToken) when the request carries a valid session
+function authenticate(sessions, users) {
+    return (req, res, next) => {
+        const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        const session = sessions.get(token);
+        const user = session ? users.get(session.userId) : null;
+
+        if (user && !user.disabled) {
+            req.user = user;
+            req.sessionToken = token;
+        }
+        next();
+    };
+}
+
+function requireUser(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Sign in required' });
+    }
+    next();
+}
+
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Sign in required' });
+        }
+        if (!roles.includes(req.user.role)) {
+            return res.status(403).json({ error: 'You do not have permission to do that' });
+        }
+        next();
+    };
+}
+
+// Admins see every job; others see jobs they uploaded and jobs in matters they belong to
+function canAccessJob(user, job, matters) {
+    if (!user) return false;
+    if (user.role === 'admin') return true;
+    if (job.metadata?.ownerId === user.id) return true;
+    return matters.isMember(job.metadata?.caseNumber, user.id);
+}
+
+module.exports = {
+    SESSION_COOKIE,
+    SessionManager,
+    LoginThrottle,
+    parseCookies,
+    setSessionCookie,
+    clearSessionCookie,
+    authenticate,
+    requireUser,
+    requireRole,
+    canAccessJob
+};
@@ -0,0 +1,382 @@
+const { PdfDocument } = require('./pdf-writer');
+const { createDocx } = require('./docx-writer');
+const { formatClock, speakerName } = require('./transcript-format');
+const { languageName } = require('./whisper-models');
+
+// Court-style transcript and summary documents: a caption page, numbered
+// pages with 25 numbered lines each, speaker labels, timestamps in the left
+// margin and a certification page. Both formats render from the same model:
+//   { title, author, header, footerNote, caption: [line], body: [block], certification: [block] }
+// where a block is { kind: 'turn', time, label, text } for transcript speech
+// or { kind: 'heading' | 'paragraph' | 'bullet' | 'blank' | 'center', text } (bullets
+// also carry their list marker).
+
+const LINES_PER_PAGE = 25;
+const COLUMNS = 60;
+const SPEAKER_INDENT = 5;
+
+function formatDate(value) {
+    return value ? new Date(value).toISOString().slice(0, 10) : 'unknown';
+}
+
+function formatDuration(seconds) {
+    return Number.isFinite(seconds) ? formatClock(seconds) : 'unknown';
+}
+
+// "ab12cd34ef..." -> "ab12cd34 ef56..." so a hash wraps on word boundaries
+function groupHash(hash) {
+    return hash ? hash.match(/.{1,8}/g).join(' ') : 'not recorded';
+}
+
+function captionLines(job, matter, title, redacted) {
+    const { metadata } = job;
+    return [
+        { text: 'IN THE MATTER OF', bold: true },
+        { text: (matter && matter.name) || metadata.clientName || 'Unnamed matter' },
+        { text: `Client: ${metadata.clientName || 'not recorded'}` },
+        { text: `Case No. ${metadata.caseNumber || 'not assigned'}` },
+        { text: '' },
+        { text: title, bold: true },
+        ...(redacted ? [{ text: '(REDACTED COPY)', bold: true }] : []),
+        { text: '' },
+        { text: `Recording: ${metadata.originalFileName || job.processId}` },
+        { text: `Uploaded ${formatDate(metadata.uploadedAt || job.createdAt)} by ${metadata.uploadedBy || 'unknown'}` },
+        { text: `Duration: ${formatDuration(job.results.durationSeconds)}` }
+    ];
+}
+
+function signatureBlocks() {
+    return [
+        { kind: 'blank' },
+        { kind: 'blank' },
+        { kind: 'paragraph', text: '______________________________' },
+        { kind: 'paragraph', text: 'Signature' },
+        { kind: 'blank' },
+        { kind: 'paragraph', text: 'Date: ________________________' }
+    ];
+}
+
+// segments may be the redacted copy; redactedCount is then the number of withheld spans
+function transcriptModel(job, { matter = null, segments = job.results.segments || [], redactedCount = null } = {}) {
+    const { metadata, results } = job;
+    const speakers = results.speakers || {};
+    const revisionList = results.revisions || [];
+    const latest = revisionList[revisionList.length - 1];
+    const redacted = redactedCount !== null;
+    // Translated jobs keep the recording's own language in results.original
+    const translatedFrom = results.original ? languageName(results.original.language) : null;
+
+    const caption = captionLines(job, matter, 'TRANSCRIPT OF RECORDING', redacted);
+    if (translatedFrom) {
+        caption.splice(caption.findIndex(line => line.text === 'TRANSCRIPT OF RECORDING') + 1, 0,
+            { text: `(ENGLISH TRANSLATION FROM ${translatedFrom.toUpperCase()})`, bold: true });
+    }
+    const names = Array.from(new Set(segments.map(segment => speakerName(segment, speakers)).filter(Boolean)));
+    if (names.length > 0) {
+        caption.push({ text: '' }, { text: 'SPEAKERS', bold: true }, ...names.map(name => ({ text: name })));
+    }
+
+    const body = [];
+    let previous;
+    for (const segment of segments) {
+        const name = speakerName(segment, speakers);
+        body.push({
+            kind: 'turn',
+            time: formatClock(segment.start),
+            label: name && name !== previous ? name.toUpperCase() : null,
+            text: segment.text
+        });
+        previous = name;
+    }
+
+    const certification = [
+        { kind: 'center', text: 'CERTIFICATION' },
+        { kind: 'blank' },
+        {
+            kind: 'paragraph',
+            text: translatedFrom
+                ? `I certify that the foregoing is a true and accurate English translation of the recording `
+                    + `"${metadata.originalFileName || job.processId}", in ${translatedFrom}, produced by automated `
+                    + 'speech recognition and machine translation and corrected as recorded in its revision history.'
+                : `I certify that the foregoing is a true and accurate transcript of the recording `
+                    + `"${metadata.originalFileName || job.processId}", produced by automated speech `
+                    + 'recognition and corrected as recorded in its revision history.'
+        },
+        { kind: 'blank' },
+        { kind: 'paragraph', text: `Recording SHA-256: ${groupHash(metadata.sha256)}` },
+        {
+            kind: 'paragraph',
+            text: latest
+                ? `Transcript revision ${latest.revision}, last edited by ${latest.author} on ${formatDate(latest.createdAt)}.`
+                : 'Transcript revision: none recorded.'
+        },
+        ...(redacted ? [{ kind: 'paragraph', text: `Redacted copy: ${redactedCount} passage(s) withheld.` }] : []),
+        ...signatureBlocks()
+    ];
+
+    return {
+        title: 'Transcript of Recording',
+        author: metadata.uploadedBy || '',
+        header: [metadata.clientName, metadata.caseNumber && `Case No. ${metadata.caseNumber}`].filter(Boolean).join(' - '),
+        footerNote: `${redacted ? 'Redacted transcript' : 'Transcript'} revision ${latest ? latest.revision : 0} - job ${job.processId}`,
+        caption,
+        body,
+        certification
+    };
+}
+
+// Markdown-ish summary text -> blocks; headings, bullets and paragraphs are all the
+// templates produce
+function summaryBlocks(summary) {
+    const blocks = [];
+    let paragraph = [];
+    const flush = () => {
+        if (paragraph.length > 0) blocks.push({ kind: 'paragraph', text: paragraph.join(' ') });
+        paragraph = [];
+    };
+
+    for (const raw of summary.split('\n')) {
+        const line = raw.trim().replace(/\*\*(.+?)\*\*/g, '$1');
+        const heading = line.match(/^#{1,6}\s+(.*)$/);
+        const bullet = line.match(/^([-*•]|\d+[.)])\s+(.*)$/);
+
+        if (!line) {
+            flush();
+        } else if (heading) {
+            flush();
+            if (blocks.length > 0) blocks.push({ kind: 'blank' });
+            blocks.push({ kind: 'heading', text: heading[1].toUpperCase() });
+        } else if (bullet) {
+            flush();
+            blocks.push({ kind: 'bullet', marker: /\d/.test(bullet[1]) ? bullet[1] : '-', text: bullet[2] });
+        } else {
+            paragraph.push(line);
+        }
+    }
+    flush();
+    return blocks;
+}
+
+function summaryModel(job, { matter = null, template = null } = {}) {
+    const { metadata, results } = job;
+    const revision = results.summaryRevision ?? null;
+
+    return {
+        title: 'Summary of Recording',
+        author: metadata.uploadedBy || '',
+        header: [metadata.clientName, metadata.caseNumber && `Case No. ${metadata.caseNumber}`].filter(Boolean).join(' - '),
+        footerNote: `Summary of transcript revision ${revision ?? 0} - not a verbatim record - job ${job.processId}`,
+        caption: captionLines(job, matter, 'SUMMARY OF RECORDING', false),
+        body: summaryBlocks(results.summary || ''),
+        certification: [
+            { kind: 'center', text: 'CERTIFICATION' },
+            { kind: 'blank' },
+            {
+                kind: 'paragraph',
+                text: `This summary was generated by the local model ${results.summaryModel || 'unknown'} `
+                    + `using the "${(template && template.name) || results.templateId || 'default'}" template `
+                    + `from transcript revision ${revision ?? 0}. It is not a verbatim record; cite the `
+                    + 'certified transcript for exact testimony.'
+            },
+            { kind: 'blank' },
+            { kind: 'paragraph', text: `Recording SHA-256: ${groupHash(metadata.sha256)}` },
+            ...signatureBlocks()
+        ]
+    };
+}
+
+// Word-wrap to `width` columns; words longer than a line are split
+function wrap(text, width, firstIndent = 0, indent = 0) {
+    const lines = [];
+    let current = ' '.repeat(firstIndent);
+    let fresh = true;
+
+    for (let word of String(text).split(/\s+/).filter(Boolean)) {
+        const room = () => width - current.length - (fresh ? 0 : 1);
+        if (word.length > room() && !fresh) {
+            lines.push(current);
+            current = ' '.repeat(indent);
+            fresh = true;
+        }
+        while (word.length > room()) {
+            lines.push(current + word.slice(0, room()));
+            word = word.slice(room());
+            current = ' '.repeat(indent);
+        }
+        current += (fresh ? '' : ' ') + word;
+        fresh = false;
+    }
+    lines.push(current);
+    return lines;
+}
+
+// Blocks -> numbered-line layout entries { text, bold, boldTo, center, time }
+function layoutBlocks(blocks) {
+    const lines = [];
+    for (const block of blocks) {
+        if (block.kind === 'blank') {
+            lines.push({ text: '' });
+        } else if (block.kind === 'turn') {
+            const label = block.label ? `${block.label}: ` : '';
+            const wrapped = wrap(label + block.text, COLUMNS, SPEAKER_INDENT, 0);
+            wrapped.forEach((text, index) => lines.push({
+                text,
+                time: index === 0 ? block.time : null,
+                boldTo: index === 0 && label ? SPEAKER_INDENT + label.length - 1 : 0
+            }));
+        } else if (block.kind === 'bullet') {
+            wrap(`${block.marker} ${block.text}`, COLUMNS, 2, block.marker.length + 3).forEach(text => lines.push({ text }));
+        } else if (block.kind === 'heading' || block.kind === 'center') {
+            wrap(block.text, COLUMNS).forEach(text => lines.push({ text, bold: true, center: block.kind === 'center' }));
+        } else {
+            wrap(block.text, COLUMNS).forEach(text => lines.push({ text }));
+        }
+    }
+    return lines;
+}
+
+function paginate(lines) {
+    const pages = [];
+    for (let i = 0; i < lines.length; i += LINES_PER_PAGE) {
+        pages.push(lines.slice(i, i + LINES_PER_PAGE));
+    }
+    return pages.length > 0 ? pages : [[]];
+}
+
+// Letter page: header at the top, 25 lines between the top and bottom margins,
+// line numbers left of a double rule, timestamps further out in the margin
+const PDF = {
+    top: 702,
+    lineHeight: 24,
+    textLeft: 126,
+    textRight: 558,
+    rule: 114,
+    numberRight: 104,
+    timeLeft: 36,
+    size: 12
+};
+
+function renderPdf(model) {
+    const pdf = new PdfDocument({ title: model.title, author: model.author });
+    const caption = model.caption.flatMap(line => wrap(line.text, COLUMNS).map(text => ({ text, bold: line.bold, center: true })));
+    // Centre the caption vertically on its page
+    const captionPage = [...Array(Math.max(0, Math.floor((LINES_PER_PAGE - caption.length) / 2))).fill({ text: '' }), ...caption];
+
+    const pages = [
+        ...paginate(captionPage),
+        ...paginate(layoutBlocks(model.body)),
+        ...paginate(layoutBlocks(model.certification))
+    ];
+    const bottom = PDF.top - (LINES_PER_PAGE - 1) * PDF.lineHeight;
+    const centre = (PDF.textLeft + PDF.textRight) / 2;
+    const charWidth = PDF.size * 0.6;
+
+    pages.forEach((lines, pageIndex) => {
+        const page = pdf.addPage();
+
+        if (model.header) pdf.text(page, pdf.width / 2, 750, model.header, { size: 9, align: 'center' });
+        pdf.line(page, PDF.textLeft - 12, 740, PDF.textRight, 740);
+        pdf.line(page, PDF.rule, 740, PDF.rule, bottom - 16);
+        pdf.line(page, PDF.rule + 3, 740, PDF.rule + 3, bottom - 16);
+        pdf.line(page, PDF.textRight + 6, 740, PDF.textRight + 6, bottom - 16);
+        pdf.line(page, PDF.textLeft - 12, bottom - 16, PDF.textRight, bottom - 16);
+
+        for (let number = 1; number <= LINES_PER_PAGE; number++) {
+            const y = PDF.top - (number - 1) * PDF.lineHeight;
+            pdf.text(page, PDF.numberRight, y, String(number), { size: 10, align: 'right' });
+
+            const line = lines[number - 1];
+            if (!line) continue;
+            if (line.time) pdf.text(page, PDF.timeLeft, y, line.time, { size: 8 });
+
+            if (line.center) {
+                pdf.text(page, centre, y, line.text.trim(), { size: PDF.size, align: 'center', font: line.bold ? 'bold' : 'regular' });
+            } else if (line.boldTo) {
+                pdf.text(page, PDF.textLeft, y, line.text.slice(0, line.boldTo), { size: PDF.size, font: 'bold' });
+                pdf.text(page, PDF.textLeft + line.boldTo * charWidth, y, line.text.slice(line.boldTo), { size: PDF.size });
+            } else {
+                pdf.text(page, PDF.textLeft, y, line.text, { size: PDF.size, font: line.bold ? 'bold' : 'regular' });
+            }
+        }
+
+        pdf.text(page, pdf.width / 2, 56, `Page ${pageIndex + 1} of ${pages.length}`, { size: 10, align: 'center' });
+        pdf.text(page, pdf.width / 2, 42, model.footerNote, { size: 7, align: 'center' });
+    });
+
+    // A certified transcript with '?' in place of words would not be true and accurate
+    try {
+        return pdf.toBuffer();
+    } catch (error) {
+        if (error.code !== 'UNSUPPORTED_CHARACTERS') throw error;
+        const sample = error.characters.slice(0, 5).map(char => `"${char}"`).join(', ');
+        const unsupported = new Error(`This document cannot be exported as PDF: its fonts only cover Western European text, and it contains ${sample}${error.characters.length > 5 ? ' and others' : ''}. Export it as DOCX instead.`);
+        unsupported.status = 400;
+        throw unsupported;
+    }
+}
+
+// Word does its own pagination, so DOCX gets paragraphs: exact 25.9pt line
+// spacing fits 25 lines between 1" margins, and line numbering restarts on each page
+const MARGIN_TIME = { left: 0, hanging: 1800 };
+
+function blockParagraph(block) {
+    switch (block.kind) {
+        case 'blank':
+            return { runs: [] };
+        case 'turn':
+            return {
+                indent: MARGIN_TIME,
+                runs: [
+                    { text: block.time, size: 8 },
+                    { tab: true, text: ' '.repeat(SPEAKER_INDENT) },
+                    ...(block.label ? [{ text: `${block.label}:`, bold: true }, { text: ' ' }] : []),
+                    { text: block.text }
+                ]
+            };
+        case 'heading':
+            return { keepNext: true, runs: [{ text: block.text, bold: true }] };
+        case 'center':
+            return { align: 'center', runs: [{ text: block.text, bold: true }] };
+        case 'bullet':
+            return { indent: { left: 720, hanging: 432 }, runs: [{ text: block.marker }, { tab: true, text: block.text }] };
+        default:
+            return { runs: [{ text: block.text }] };
+    }
+}
+
+function renderDocx(model) {
+    const caption = model.caption.map(line => ({
+        align: 'center',
+        runs: [{ text: line.text, bold: line.bold }]
+    }));
+    const body = model.body.map(blockParagraph);
+    const certification = model.certification.map(blockParagraph);
+    if (body.length > 0) body[0].pageBreakBefore = true;
+    certification[0].pageBreakBefore = true;
+
+    return createDocx([...caption, ...body, ...certification], {
+        title: model.title,
+        author: model.author,
+        lineSpacing: 518,
+        margins: { top: 1440, right: 1440, bottom: 1440, left: 2160 },
+        lineNumbers: { distance: 360, restart: 'newPage' },
+        header: [{ align: 'center', runs: [{ text: model.header, size: 9 }] }],
+        footer: [
+            { align: 'center', runs: [{ text: 'Page ', size: 10 }, { field: 'PAGE', size: 10 }, { text: ' of ', size: 10 }, { field: 'NUMPAGES', size: 10 }] },
+            { align: 'center', runs: [{ text: model.footerNote, size: 7 }] }
+        ]
+    });
+}
+
+const RENDERERS = {
+    pdf: { contentType: 'application/pdf', render: renderPdf },
+    docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', render: renderDocx }
+};
+
+module.exports = {
+    RENDERERS,
+    transcriptModel,
+    summaryModel,
+    renderPdf,
+    renderDocx
+};
@@ -0,0 +1,282 @@
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { createReadStream } = require('fs');
+const { spawn } = require('child_process');
+const diarization = require('./diarization');
+const whisperModels = require('./whisper-models');
+const { FFPROBE_COMMAND } = require('./media-probe');
+
+// Checks that everything the pipeline needs is in place: the FFmpeg and
+// Whisper binaries, the Whisper model, Ollama and its model, and room to write.
+// Each check answers { label, status: 'ok' | 'warning' | 'error', detail, fix }.
+// An error means jobs would fail, so the server refuses new ones; a warning
+// means they run with less (e.g. no speaker labels).
+const WORK_DIRS = ['uploads', 'temp', 'transcripts', 'summaries'];
+
+const COMMAND_TIMEOUT_MS = 5000;
+const OLLAMA_TIMEOUT_MS = 5000;
+
+// Hashing a model reads all of it (about 3 GB for large-v3); keep the result
+// until the file changes
+const checksumCache = new Map();
+// Models other than the default are hashed one at a time off the health check's path
+let backgroundCheck = null;
+
+function result(label, status, detail, fix) {
+    return fix && status !== 'ok' ? { label, status, detail, fix } : { label, status, detail };
+}
+
+// Resolves { found, code, output } without failing on a non-zero exit
+function runCommand(command, args) {
+    return new Promise((resolve) => {
+        let output = '';
+        const child = spawn(command, args, { timeout: COMMAND_TIMEOUT_MS });
+        child.stdout.on('data', (data) => {
+            output += data.toString();
+        });
+        child.stderr.on('data', (data) => {
+            output += data.toString();
+        });
+        child.on('close', code => resolve({ found: true, code, output }));
+        child.on('error', error => resolve({ found: error.code !== 'ENOENT', code: null, output: error.message }));
+    });
+}
+
+// "ffmpeg version 6.1.1-3ubuntu5 Copyright..." -> "6.1.1-3ubuntu5"
+function parseVersion(output) {
+    const match = output.match(/version\s+(\S+)/i);
+    return match ? match[1] : null;
+}
+
+async function checkFfmpegTool(label, command) {
+    const { found, code, output } = await runCommand(command, ['-version']);
+    if (!found) {
+        return result(label, 'error', `${command} not found`, 'Install FFmpeg (brew install ffmpeg, or sudo apt install ffmpeg)');
+    }
+    if (code !== 0) {
+        return result(label, 'error', `${command} -version failed: ${output.trim().split('\n').pop()}`, 'Reinstall FFmpeg');
+    }
+    return result(label, 'ok', parseVersion(output) || 'installed');
+}
+
+async function checkWhisper() {
+    const { found } = await runCommand('whisper-cli', ['--help']);
+    return found
+        ? result('Whisper', 'ok', 'whisper-cli installed')
+        : result('Whisper', 'error', 'whisper-cli not found', 'Build whisper.cpp and put whisper-cli on the PATH (see Installation)');
+}
+
+function sha1File(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha1');
+        createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+function downloadFix(file) {
+    return `Download it: curl -L -o models/${file} https://huggingface.co/ggerganov/whisper.cpp/resolve/main/${file}`;
+}
+
+async function fileSignature(filePath) {
+    const stat = await fs.stat(filePath);
+    return `${stat.size}:${stat.mtimeMs}`;
+}
+
+// Does the file match the checksum whisper.cpp publishes for it? null when none is published
+async function verifyModel(model) {
+    if (!model.checksum) return null;
+
+    const signature = await fileSignature(model.path);
+    let cached = checksumCache.get(model.path);
+    if (!cached || cached.signature !== signature) {
+        cached = { signature, sha1: await sha1File(model.path) };
+        checksumCache.set(model.path, cached);
+    }
+    return cached.sha1 === model.checksum;
+}
+
+// The result of an earlier verifyModel() for the file as it is now; undefined if there is none
+async function cachedVerification(model) {
+    if (!model.checksum) return null;
+
+    const cached = checksumCache.get(model.path);
+    const signature = await fileSignature(model.path).catch(() => null);
+    return cached && cached.signature === signature ? cached.sha1 === model.checksum : undefined;
+}
+
+function verifyLater(models) {
+    if (backgroundCheck || !models.length) return;
+    backgroundCheck = (async () => {
+        for (const model of models) {
+            await verifyModel(model).catch(() => null);
+        }
+    })().finally(() => {
+        backgroundCheck = null;
+    });
+}
+
+// The default model must be usable, since jobs that don't choose one get it, so
+// it is hashed before answering (once per change of the file). A damaged
+// alternative is only a warning, and shows up on the run after its hash is done.
+async function checkWhisperModels(modelsDir) {
+    const label = 'Whisper models';
+    const defaultFile = `ggml-${whisperModels.DEFAULT_MODEL}.bin`;
+    const models = await whisperModels.listModels(modelsDir);
+    const installed = models.map(model => model.name).join(', ');
+
+    const defaultModel = models.find(model => model.name === whisperModels.DEFAULT_MODEL);
+    if (!defaultModel) {
+        return result(label, 'error', `models/${defaultFile} (the default model) not found${installed ? `; installed: ${installed}` : ''}`, downloadFix(defaultFile));
+    }
+    if (await verifyModel(defaultModel) === false) {
+        return result(label, 'error', `models/${defaultFile} does not match its published checksum; the download is probably incomplete`, downloadFix(defaultFile));
+    }
+
+    const damaged = [];
+    const unverified = [];
+    for (const model of models) {
+        if (model === defaultModel) continue;
+        const verified = await cachedVerification(model);
+        if (verified === false) {
+            damaged.push(model);
+        } else if (verified === undefined) {
+            unverified.push(model);
+        }
+    }
+    verifyLater(unverified);
+
+    if (damaged.length) {
+        return result(label, 'warning', `${damaged.map(model => model.file).join(', ')} do not match their published checksums; jobs using them may fail`, downloadFix(damaged[0].file));
+    }
+    const pending = unverified.length ? `; verifying ${unverified.map(model => model.name).join(', ')}` : '';
+    return result(label, 'ok', `${installed} (default ${whisperModels.DEFAULT_MODEL})${pending}`);
+}
+
+// Optional: without it jobs run with no speaker labels
+async function checkDiarization(modelsDir) {
+    const label = 'Speaker diarization';
+    const missing = [];
+    for (const modelPath of Object.values(diarization.modelPaths(modelsDir))) {
+        await fs.access(modelPath).catch(() => missing.push(path.basename(modelPath)));
+    }
+    const { found } = await runCommand(diarization.DIARIZATION_COMMAND, ['--help']);
+
+    if (!found) {
+        return result(label, 'warning', `${diarization.DIARIZATION_COMMAND} not installed; transcripts will have no speaker labels`, 'Install sherpa-onnx (see Installation)');
+    }
+    if (missing.length) {
+        return result(label, 'warning', `Model not found: ${missing.join(', ')}; transcripts will have no speaker labels`, 'Download the diarization models (see Installation)');
+    }
+    return result(label, 'ok', 'sherpa-onnx and models installed');
+}
+
+// Two checks: the server answering, and the configured model being pulled
+async function checkOllama(ollama) {
+    const signal = () => AbortSignal.timeout(OLLAMA_TIMEOUT_MS);
+    let version;
+    let models;
+    try {
+        version = await ollama.version({ signal: signal() });
+        models = await ollama.listModels({ signal: signal() });
+    } catch (error) {
+        const detail = error.name === 'AbortError' ? `No answer from Ollama at ${ollama.baseUrl}` : error.message;
+        return {
+            ollama: result('Ollama', 'error', detail, 'Start Ollama (ollama serve) or set OLLAMA_URL'),
+            ollamaModel: result('Summary model', 'error', `Cannot check ${ollama.model} while Ollama is unreachable`)
+        };
+    }
+
+    // "gemma3" means "gemma3:latest"
+    const wanted = ollama.model.includes(':') ? ollama.model : `${ollama.model}:latest`;
+    const pulled = models.some(model => model.name === wanted || model.model === wanted);
+
+    return {
+        ollama: result('Ollama', 'ok', `${version || 'unknown version'} at ${ollama.baseUrl}`),
+        ollamaModel: pulled
+            ? result('Summary model', 'ok', ollama.model)
+            : result('Summary model', 'error', `${ollama.model} is not pulled`, `Run: ollama pull ${ollama.model}`)
+    };
+}
+
+async function checkDirectories(dirs) {
+    const problems = [];
+    for (const dir of dirs) {
+        try {
+            await fs.access(dir, fs.constants.W_OK);
+        } catch (error) {
+            problems.push(`${dir}/ ${error.code === 'ENOENT' ? 'is missing' : 'is not writable'}`);
+        }
+    }
+    return problems.length
+        ? result('Storage folders', 'error', problems.join(', '), `Give the server's user write access to ${dirs.map(dir => `${dir}/`).join(', ')}`)
+        : result('Storage folders', 'ok', `${dirs.map(dir => `${dir}/`).join(', ')} writable`);
+}
+
+function formatBytes(bytes) {
+    return bytes >= 1024 ** 3 ? `${(bytes / 1024 ** 3).toFixed(1)} GB` : `${Math.round(bytes / 1024 ** 2)} MB`;
+}
+
+async function checkDiskSpace(dir, minFreeBytes) {
+    const label = 'Disk space';
+    let stats;
+    try {
+        stats = await fs.statfs(dir);
+    } catch (error) {
+        return result(label, 'warning', `Cannot read free space: ${error.message}`);
+    }
+
+    const free = stats.bavail * stats.bsize;
+    if (free < minFreeBytes) {
+        return result(label, 'error', `${formatBytes(free)} free, below the ${formatBytes(minFreeBytes)} minimum`, 'Free up space, or lower MIN_FREE_DISK_MB');
+    }
+    return result(label, 'ok', `${formatBytes(free)} free`);
+}
+
+// Create the working folders; returns the ones that did not exist. One that
+// cannot be created is left for the storage check to report.
+async function prepareDirectories(dirs = WORK_DIRS) {
+    const created = [];
+    for (const dir of dirs) {
+        const made = await fs.mkdir(dir, { recursive: true }).catch(() => null);
+        if (made) {
+            created.push(dir);
+        }
+    }
+    return created;
+}
+
+// Resolves { status: 'healthy' | 'degraded' | 'unhealthy', ready, checks }; ready is
+// false when any check is an error
+async function runDiagnostics({ ollama, modelsDir, dirs = WORK_DIRS, minFreeBytes }) {
+    const [ffmpeg, ffprobe, whisper, models, diarizer, ollamaChecks, storage, disk] = await Promise.all([
+        checkFfmpegTool('FFmpeg', 'ffmpeg'),
+        checkFfmpegTool('FFprobe', FFPROBE_COMMAND),
+        checkWhisper(),
+        checkWhisperModels(modelsDir),
+        checkDiarization(modelsDir),
+        checkOllama(ollama),
+        checkDirectories(dirs),
+        checkDiskSpace(dirs[0] || '.', minFreeBytes)
+    ]);
+
+    const checks = { ffmpeg, ffprobe, whisper, whisperModels: models, diarization: diarizer, ...ollamaChecks, storage, disk };
+    const statuses = Object.values(checks).map(check => check.status);
+    const ready = !statuses.includes('error');
+
+    return {
+        status: !ready ? 'unhealthy' : statuses.includes('warning') ? 'degraded' : 'healthy',
+        ready,
+        checks
+    };
+}
+
+module.exports = {
+    WORK_DIRS,
+    parseVersion,
+    prepareDirectories,
+    runDiagnostics
+};
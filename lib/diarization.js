@@ -0,0 +1,106 @@
+const path = require('path');
+
+// Speaker diarization using sherpa-onnx's offline CLI, which runs on CPU with a
+// pyannote segmentation model and a speaker-embedding model kept in models/.
+// Download both from https://github.com/k2-fsa/sherpa-onnx/releases (see README).
+const DIARIZATION_COMMAND = process.env.DIARIZATION_COMMAND || 'sherpa-onnx-offline-speaker-diarization';
+const SEGMENTATION_MODEL = process.env.DIARIZATION_SEGMENTATION_MODEL || 'sherpa-onnx-pyannote-segmentation-3-0.onnx';
+const EMBEDDING_MODEL = process.env.DIARIZATION_EMBEDDING_MODEL || '3dspeaker_speech_eres2net_base_sv_zh-cn_3dspeaker_16k.onnx';
+
+function modelPaths(modelsDir) {
+    return {
+        segmentation: path.join(modelsDir, SEGMENTATION_MODEL),
+        embedding: path.join(modelsDir, EMBEDDING_MODEL)
+    };
+}
+
+function buildArgs(modelsDir, wavPath, options = {}) {
+    const models = modelPaths(modelsDir);
+    const args = [
+        `--segmentation.pyannote-model=${models.segmentation}`,
+        `--embedding.model=${models.embedding}`
+    ];
+
+    // A known speaker count gives much better clusters than the distance threshold
+    if (options.numSpeakers > 0) {
+        args.push(`--clustering.num-clusters=${options.numSpeakers}`);
+    } else {
+        args.push(`--clustering.cluster-threshold=${process.env.DIARIZATION_THRESHOLD || 0.5}`);
+    }
+
+    args.push(wavPath);
+    return args;
+}
+
+// Output lines look like "0.318 -- 6.865 speaker_00".
+// Speakers are renumbered S1, S2... in order of first appearance.
+function parseTurns(output) {
+    const turns = [];
+    const ids = new Map();
+
+    for (const line of output.split('\n')) {
+        const match = line.match(/^\s*([\d.]+)\s+--\s+([\d.]+)\s+(speaker_\d+)\s*$/);
+        if (!match) continue;
+
+        if (!ids.has(match[3])) {
+            ids.set(match[3], `S${ids.size + 1}`);
+        }
+        turns.push({
+            start: parseFloat(match[1]),
+            end: parseFloat(match[2]),
+            speaker: ids.get(match[3])
+        });
+    }
+
+    return turns.sort((a, b) => a.start - b.start);
+}
+
+function defaultSpeakerNames(turns) {
+    const names = {};
+    for (const turn of turns) {
+        if (!names[turn.speaker]) {
+            names[turn.speaker] = `Speaker ${turn.speaker.slice(1)}`;
+        }
+    }
+    return names;
+}
+
+// Give each transcript segment the speaker whose turns overlap it the most,
+// falling back to the nearest turn for segments that land in a gap
+function assignSpeakers(segments, turns) {
+    if (!turns.length) return segments;
+
+    for (const segment of segments) {
+        const overlap = {};
+        for (const turn of turns) {
+            const amount = Math.min(segment.end, turn.end) - Math.max(segment.start, turn.start);
+            if (amount > 0) {
+                overlap[turn.speaker] = (overlap[turn.speaker] || 0) + amount;
+            }
+        }
+
+        const ranked = Object.entries(overlap).sort((a, b) => b[1] - a[1]);
+        if (ranked.length) {
+            segment.speaker = ranked[0][0];
+            continue;
+        }
+
+        const midpoint = (segment.start + segment.end) / 2;
+        const nearest = turns.reduce((best, turn) => {
+            const distance = Math.min(Math.abs(turn.start - midpoint), Math.abs(turn.end - midpoint));
+            return distance < best.distance ? { turn, distance } : best;
+        }, { turn: null, distance: Infinity });
+        segment.speaker = nearest.turn.speaker;
+    }
+
+    return segments;
+}
+
+module.exports = {
+    DIARIZATION_COMMAND,
+    modelPaths,
+    buildArgs,
+    parseTurns,
+    defaultSpeakerNames,
+    assignSpeakers
+};
@@ -0,0 +1,192 @@
+const zlib = require('zlib');
+
+// Writes Word (.docx) documents: the WordprocessingML parts for a single
+// section of paragraphs, with a running header and footer, packed into a zip.
+// Lengths are in twentieths of a point (twips), font sizes in half points.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// A zip archive of { name: contents } entries, deflated
+function zip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const [name, contents] of Object.entries(files)) {
+        const data = Buffer.isBuffer(contents) ? contents : Buffer.from(contents, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);            // version needed
+        local.writeUInt16LE(0x0800, 6);        // UTF-8 names
+        local.writeUInt16LE(8, 8);             // deflate
+        local.writeUInt32LE(0, 10);            // time and date
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);          // version made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(0, 12);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBuffer, compressed);
+        centrals.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + compressed.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+// { text, bold, size, tab } -> <w:r>, or { field: 'PAGE' } for a simple field
+function runXml(run) {
+    const props = [
+        run.bold ? '<w:b/>' : '',
+        run.size ? `<w:sz w:val="${run.size * 2}"/><w:szCs w:val="${run.size * 2}"/>` : ''
+    ].join('');
+    const runProps = props ? `<w:rPr>${props}</w:rPr>` : '';
+
+    if (run.field) {
+        return `<w:fldSimple w:instr=" ${run.field} "><w:r>${runProps}<w:t>1</w:t></w:r></w:fldSimple>`;
+    }
+    return `<w:r>${runProps}${run.tab ? '<w:tab/>' : ''}<w:t xml:space="preserve">${escapeXml(run.text || '')}</w:t></w:r>`;
+}
+
+// { runs, align, indent: { left, hanging, firstLine }, pageBreakBefore, keepNext, suppressLineNumbers }
+function paragraphXml(paragraph) {
+    const props = [];
+    if (paragraph.keepNext) props.push('<w:keepNext/>');
+    if (paragraph.pageBreakBefore) props.push('<w:pageBreakBefore/>');
+    if (paragraph.suppressLineNumbers) props.push('<w:suppressLineNumbers/>');
+    if (paragraph.indent) {
+        const { left = 0, hanging, firstLine } = paragraph.indent;
+        props.push(`<w:ind w:left="${left}"${hanging ? ` w:hanging="${hanging}"` : ''}${firstLine ? ` w:firstLine="${firstLine}"` : ''}/>`);
+    }
+    if (paragraph.align) props.push(`<w:jc w:val="${paragraph.align}"/>`);
+
+    const runs = (paragraph.runs || []).map(runXml).join('');
+    return `<w:p>${props.length ? `<w:pPr>${props.join('')}</w:pPr>` : ''}${runs}</w:p>`;
+}
+
+const NAMESPACES = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" '
+    + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+
+// options: { title, author, font, size, lineSpacing (twips, exact), margins: { top, right, bottom, left },
+//            lineNumbers: { distance, restart }, header: [paragraph], footer: [paragraph] }
+function createDocx(paragraphs, options = {}) {
+    const {
+        title = '',
+        author = '',
+        font = 'Courier New',
+        size = 12,
+        lineSpacing = 480,
+        margins = { top: 1440, right: 1440, bottom: 1440, left: 2160 },
+        lineNumbers = null,
+        header = [],
+        footer = []
+    } = options;
+
+    const lineNumbering = lineNumbers
+        ? `<w:lnNumType w:countBy="1" w:distance="${lineNumbers.distance || 360}" w:restart="${lineNumbers.restart || 'newPage'}"/>`
+        : '';
+
+    const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${NAMESPACES}><w:body>${paragraphs.map(paragraphXml).join('')}<w:sectPr>`
+        + '<w:headerReference w:type="default" r:id="rIdHeader"/><w:footerReference w:type="default" r:id="rIdFooter"/>'
+        + '<w:pgSz w:w="12240" w:h="15840"/>'
+        + `<w:pgMar w:top="${margins.top}" w:right="${margins.right}" w:bottom="${margins.bottom}" w:left="${margins.left}" w:header="720" w:footer="720" w:gutter="0"/>`
+        + `${lineNumbering}</w:sectPr></w:body></w:document>`;
+
+    const styles = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles ${NAMESPACES}><w:docDefaults><w:rPrDefault><w:rPr>`
+        + `<w:rFonts w:ascii="${escapeXml(font)}" w:hAnsi="${escapeXml(font)}" w:cs="${escapeXml(font)}" w:eastAsia="${escapeXml(font)}"/>`
+        + `<w:sz w:val="${size * 2}"/><w:szCs w:val="${size * 2}"/></w:rPr></w:rPrDefault>`
+        + `<w:pPrDefault><w:pPr><w:spacing w:before="0" w:after="0" w:line="${lineSpacing}" w:lineRule="exact"/></w:pPr></w:pPrDefault>`
+        + '</w:docDefaults><w:style w:type="character" w:styleId="LineNumber"><w:name w:val="line number"/><w:rPr><w:sz w:val="20"/></w:rPr></w:style></w:styles>';
+
+    const part = (tag, content) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:${tag} ${NAMESPACES}>${content.map(paragraph => paragraphXml({ ...paragraph, suppressLineNumbers: true })).join('') || '<w:p/>'}</w:${tag}>`;
+
+    const now = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+
+    return zip({
+        '[Content_Types].xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+            + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            + '<Default Extension="xml" ContentType="application/xml"/>'
+            + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+            + '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>'
+            + '<Override PartName="/word/header1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml"/>'
+            + '<Override PartName="/word/footer1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml"/>'
+            + '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>'
+            + '</Types>',
+        '_rels/.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>'
+            + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>'
+            + '</Relationships>',
+        'docProps/core.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" `
+            + 'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" '
+            + 'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+            + `<dc:title>${escapeXml(title)}</dc:title><dc:creator>${escapeXml(author)}</dc:creator>`
+            + `<dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created></cp:coreProperties>`,
+        'word/_rels/document.xml.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+            + '<Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+            + '<Relationship Id="rIdHeader" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/header" Target="header1.xml"/>'
+            + '<Relationship Id="rIdFooter" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/footer" Target="footer1.xml"/>'
+            + '</Relationships>',
+        'word/document.xml': document,
+        'word/styles.xml': styles,
+        'word/header1.xml': part('hdr', header),
+        'word/footer1.xml': part('ftr', footer)
+    });
+}
+
+module.exports = { createDocx, zip, crc32 };
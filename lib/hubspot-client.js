@@ -0,0 +1,265 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+// Client for the parts of the HubSpot CRM API (https://developers.hubspot.com/docs/api/overview)
+// that filing a transcript needs: CRM search, the Files API and notes with
+// associations. Authenticates with a private app token. baseUrl can point at
+// scripts/mock-hubspot.js for testing.
+
+// Worth another attempt: rate limiting and server-side failures
+const RETRYABLE = new Set([429, 500, 502, 503, 504]);
+
+// HubSpot-defined association type ids from a note to each record type
+const NOTE_ASSOCIATIONS = { contacts: 202, companies: 190 };
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function hubspotError(message, status = 502) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function fullName(properties) {
+    return [properties.firstname, properties.lastname].filter(Boolean).join(' ').trim().replace(/\s+/g, ' ');
+}
+
+// Exact-match filter groups (any may match) for a contact named by the client
+// name: each way of splitting it into first and last name, or the email
+function contactFilterGroups(clientName) {
+    const words = clientName.split(' ');
+    const groups = [];
+    for (let i = 1; i < words.length && groups.length < 4; i++) {
+        groups.push([
+            { propertyName: 'firstname', operator: 'EQ', value: words.slice(0, i).join(' ') },
+            { propertyName: 'lastname', operator: 'EQ', value: words.slice(i).join(' ') }
+        ]);
+    }
+    if (clientName.includes('@')) {
+        groups.push([{ propertyName: 'email', operator: 'EQ', value: clientName }]);
+    }
+    return groups.length ? groups : [[{ propertyName: 'firstname', operator: 'EQ', value: clientName }]];
+}
+
+class HubSpotClient {
+    constructor({
+        baseUrl = 'https://api.hubapi.com',
+        token = null,
+        retries = 3,
+        retryDelayMs = 1000,
+        timeoutMs = 30000,
+        folderPath = '/Legal Transcripts',
+        caseProperty = null
+    } = {}) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.token = token;
+        this.retries = retries;
+        this.retryDelayMs = retryDelayMs;
+        this.timeoutMs = timeoutMs;
+        this.folderPath = folderPath;
+        // Custom company/contact property holding the case number; unset skips that lookup
+        this.caseProperty = caseProperty;
+    }
+
+    get configured() {
+        return Boolean(this.token);
+    }
+
+    // One HTTP exchange; resolves { status, headers, body } for any status
+    send(method, pathname, { json, multipart } = {}) {
+        const url = new URL(this.baseUrl + pathname);
+        const transport = url.protocol === 'https:' ? https : http;
+        const headers = { Authorization: `Bearer ${this.token}`, Accept: 'application/json' };
+        let payload = null;
+
+        if (json !== undefined) {
+            payload = Buffer.from(JSON.stringify(json));
+            headers['Content-Type'] = 'application/json';
+        } else if (multipart) {
+            const boundary = `----hubspot${crypto.randomBytes(12).toString('hex')}`;
+            payload = Buffer.concat([
+                ...multipart.flatMap(part => [
+                    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${part.name}"`
+                        + (part.filename ? `; filename="${part.filename.replace(/"/g, '')}"\r\nContent-Type: ${part.contentType}` : '')
+                        + '\r\n\r\n'),
+                    Buffer.isBuffer(part.value) ? part.value : Buffer.from(String(part.value)),
+                    Buffer.from('\r\n')
+                ]),
+                Buffer.from(`--${boundary}--\r\n`)
+            ]);
+            headers['Content-Type'] = `multipart/form-data; boundary=${boundary}`;
+        }
+        if (payload) headers['Content-Length'] = payload.length;
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request(url, { method, headers }, (res) => {
+                let text = '';
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => {
+                    text += chunk;
+                });
+                res.on('end', () => {
+                    let body = text;
+                    try {
+                        body = text ? JSON.parse(text) : null;
+                    } catch (parseError) {
+                        // Not JSON; keep the raw body
+                    }
+                    resolve({ status: res.statusCode, headers: res.headers, body });
+                });
+                res.on('error', reject);
+            });
+
+            req.setTimeout(this.timeoutMs, () => {
+                req.destroy(new Error(`timed out after ${this.timeoutMs / 1000}s`));
+            });
+            req.on('error', (error) => {
+                const failure = hubspotError(`Cannot reach HubSpot at ${this.baseUrl}: ${error.message}`);
+                failure.code = error.code;
+                reject(failure);
+            });
+
+            if (payload) {
+                req.write(payload);
+            }
+            req.end();
+        });
+    }
+
+    // Retries network errors, 429 and 5xx with exponential backoff, waiting
+    // at least as long as a Retry-After header asks. Other failures throw at once.
+    // A request that is not idempotent (uploads, notes) may have taken effect
+    // even though the answer was lost, so it is only retried when HubSpot cannot
+    // have acted on it: the connection was refused, or a 429/503 says when to come back.
+    async request(method, pathname, options = {}) {
+        const { idempotent = method !== 'POST', ...sendOptions } = options;
+        if (!this.configured) {
+            throw hubspotError('HubSpot is not configured; set HUBSPOT_TOKEN', 503);
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            let response = null;
+            let failure = null;
+            try {
+                response = await this.send(method, pathname, sendOptions);
+            } catch (error) {
+                failure = error;
+            }
+
+            if (response && response.status >= 200 && response.status < 300) {
+                return response.body;
+            }
+
+            if (response) {
+                const message = (response.body && response.body.message) || `HTTP ${response.status}`;
+                failure = hubspotError(`HubSpot ${method} ${pathname} failed: ${message}`);
+                failure.hubspotStatus = response.status;
+            }
+
+            const retryable = response
+                ? RETRYABLE.has(response.status) && (idempotent || ([429, 503].includes(response.status) && response.headers['retry-after'] !== undefined))
+                : idempotent || failure.code === 'ECONNREFUSED';
+            if (!retryable || attempt >= this.retries) {
+                throw failure;
+            }
+
+            const retryAfter = response ? Number(response.headers['retry-after']) * 1000 || 0 : 0;
+            const delay = Math.max(retryAfter, this.retryDelayMs * 2 ** attempt);
+            console.warn(`⚠️  ${failure.message}; retrying in ${Math.round(delay / 1000)}s (${attempt + 1}/${this.retries})`);
+            await sleep(delay);
+        }
+    }
+
+    // The company or contact to file under: by case number when a case property is
+    // configured, then a company named after the client, then a contact whose full
+    // name or email is the client name. Only exact matches count, and a search that
+    // finds several records fails with 404 rather than guessing. Resolves
+    // { objectType, id, name } or null.
+    async findRecord({ clientName, caseNumber }) {
+        const searches = [];
+        if (caseNumber && this.caseProperty) {
+            const filter = { propertyName: this.caseProperty, operator: 'EQ', value: caseNumber };
+            searches.push({ objectType: 'companies', label: caseNumber, filterGroups: [[filter]] });
+            searches.push({ objectType: 'contacts', label: caseNumber, filterGroups: [[filter]] });
+        }
+        const wanted = (clientName || '').trim().replace(/\s+/g, ' ');
+        if (wanted) {
+            searches.push({ objectType: 'companies', label: wanted, filterGroups: [[{ propertyName: 'name', operator: 'EQ', value: wanted }]] });
+            // Checked again here, in case HubSpot's EQ is looser than an exact name
+            searches.push({
+                objectType: 'contacts',
+                label: wanted,
+                filterGroups: contactFilterGroups(wanted),
+                exact: properties => fullName(properties).toLowerCase() === wanted.toLowerCase()
+                    || (properties.email || '').toLowerCase() === wanted.toLowerCase()
+            });
+        }
+
+        for (const { objectType, label, filterGroups, exact = () => true } of searches) {
+            const result = await this.request('POST', `/crm/v3/objects/${objectType}/search`, {
+                idempotent: true,
+                json: {
+                    filterGroups: filterGroups.map(filters => ({ filters })),
+                    properties: ['name', 'firstname', 'lastname', 'email'],
+                    limit: 10
+                }
+            });
+            const matches = ((result && result.results) || []).filter(match => exact(match.properties || {}));
+            if (matches.length > 1) {
+                throw hubspotError(`${matches.length} HubSpot ${objectType} match "${label}"; make the record unique or file this job by hand`, 404);
+            }
+            if (matches.length === 1) {
+                const [match] = matches;
+                const properties = match.properties || {};
+                const name = properties.name || fullName(properties) || properties.email || match.id;
+                return { objectType, id: String(match.id), name };
+            }
+        }
+
+        return null;
+    }
+
+    // Upload a private file; resolves { id, url }
+    async uploadFile(filename, contents, contentType) {
+        const file = await this.request('POST', '/files/v3/files', {
+            multipart: [
+                { name: 'file', filename, contentType, value: contents },
+                { name: 'folderPath', value: this.folderPath },
+                { name: 'options', value: JSON.stringify({ access: 'PRIVATE', overwrite: false }) }
+            ]
+        });
+        return { id: String(file.id), url: file.url || null };
+    }
+
+    // A note on the record with the uploaded files attached; each of lines is
+    // a paragraph of plain text
+    async createNote({ objectType, objectId, lines, attachmentIds = [] }) {
+        const note = await this.request('POST', '/crm/v3/objects/notes', {
+            json: {
+                properties: {
+                    hs_timestamp: new Date().toISOString(),
+                    hs_note_body: lines.map(line => `<p>${escapeHtml(line)}</p>`).join(''),
+                    hs_attachment_ids: attachmentIds.join(';')
+                },
+                associations: [{
+                    to: { id: objectId },
+                    types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: NOTE_ASSOCIATIONS[objectType] }]
+                }]
+            }
+        });
+        return { id: String(note.id) };
+    }
+}
+
+module.exports = { HubSpotClient };
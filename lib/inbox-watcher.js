@@ -0,0 +1,271 @@
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+// Picks up recordings dropped into a watched directory:
+//
+//   inbox/
+//     voicemail.mp3                        tagged by voicemail.mp3.json or voicemail.json, if present
+//     CV-2026-001 - Acme Corp/depo.mov     tagged by its folder: "<case number> - <client name>"
+//     CV-2026-002/call.wav                 or just "<case number>"
+//     processing/  processed/  failed/     managed by the watcher
+//
+// A sidecar holds upload fields ({ clientName, caseNumber, meetingNotes,
+// numSpeakers, templateId, redact, redactWithModel, attachToHubspot, model })
+// and wins over the folder name. A file is taken once its size and modification
+// time hold still between two scans, so copies in progress are left alone.
+// Once its job holds an encrypted copy, the plaintext file and sidecar are
+// discarded (the server shreds them) and only a note stays: processing/
+// "<processId>__<name>.txt" while the job runs, then processed/"<name>.txt" or
+// failed/"<name>.error.txt". A file the server rejects has no copy anywhere else,
+// so it moves to failed/ as it is, with a "<name>.error.txt" beside it.
+// While the server cannot process anything (ingest rejects with status 503)
+// files stay where they are for a later scan. Files picked up in the same scan
+// share a batch id.
+const MANAGED = ['processing', 'processed', 'failed'];
+const PARTIAL = /\.(part|partial|tmp|crdownload|download)$/i;
+const SEPARATOR = '__';
+
+function isCandidate(name) {
+    return !name.startsWith('.') && !name.startsWith('~') && !PARTIAL.test(name) && !name.toLowerCase().endsWith('.json');
+}
+
+// "CV-2026-001 - Acme Corp" -> { caseNumber, clientName }; "CV-2026-001" -> { caseNumber }
+function fieldsFromFolder(folder) {
+    if (!folder) return {};
+    const [caseNumber, ...client] = folder.split(' - ');
+    return client.length
+        ? { caseNumber: caseNumber.trim(), clientName: client.join(' - ').trim() }
+        : { caseNumber: folder.trim() };
+}
+
+async function exists(filePath) {
+    return fs.access(filePath).then(() => true, () => false);
+}
+
+// Move into dir under name, or "name (2)", "name (3)"... if taken
+async function moveInto(source, dir, name) {
+    const ext = path.extname(name);
+    const base = name.slice(0, name.length - ext.length);
+    let target = path.join(dir, name);
+    for (let n = 2; await exists(target); n++) {
+        target = path.join(dir, `${base} (${n})${ext}`);
+    }
+    await fs.rename(source, target);
+    return target;
+}
+
+class InboxWatcher {
+    // ingest(filePath, { fields, originalName, batchId }) resolves with the new job's
+    // processId or rejects; jobStatus(processId) returns { status, error } or null;
+    // discard(filePath) removes a file the job no longer needs
+    constructor({ dir, intervalMs = 10000, ingest, jobStatus, discard = filePath => fs.unlink(filePath) }) {
+        this.dir = dir;
+        this.intervalMs = intervalMs;
+        this.ingest = ingest;
+        this.jobStatus = jobStatus;
+        this.discard = discard;
+        // path -> "size:mtime" from the previous scan
+        this.seen = new Map();
+        this.scanning = false;
+        this.timer = null;
+        // Why the last scan left files waiting, so it is logged once
+        this.unavailable = null;
+    }
+
+    async start() {
+        for (const name of MANAGED) {
+            await fs.mkdir(path.join(this.dir, name), { recursive: true });
+        }
+        await this.discardProcessed();
+        this.timer = setInterval(() => this.scan(), this.intervalMs);
+        this.timer.unref();
+        await this.scan();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async scan() {
+        if (this.scanning) return;
+        this.scanning = true;
+        try {
+            await this.settle();
+            await this.pickUp();
+        } catch (error) {
+            console.error('Inbox scan error:', error);
+        } finally {
+            this.scanning = false;
+        }
+    }
+
+    // Candidate recordings at the top level and one folder down
+    async listCandidates() {
+        const files = [];
+        for (const entry of await fs.readdir(this.dir, { withFileTypes: true })) {
+            if (entry.isFile() && isCandidate(entry.name)) {
+                files.push({ filePath: path.join(this.dir, entry.name), folder: null });
+            } else if (entry.isDirectory() && !MANAGED.includes(entry.name) && !entry.name.startsWith('.')) {
+                const folderPath = path.join(this.dir, entry.name);
+                for (const inner of await fs.readdir(folderPath, { withFileTypes: true })) {
+                    if (inner.isFile() && isCandidate(inner.name)) {
+                        files.push({ filePath: path.join(folderPath, inner.name), folder: entry.name });
+                    }
+                }
+            }
+        }
+        return files;
+    }
+
+    // "<file>.json", else "<file without extension>.json"
+    async findSidecar(filePath) {
+        const ext = path.extname(filePath);
+        for (const candidate of [filePath + '.json', filePath.slice(0, filePath.length - ext.length) + '.json']) {
+            if (await exists(candidate)) return candidate;
+        }
+        return null;
+    }
+
+    async pickUp() {
+        const ready = [];
+        const current = new Map();
+
+        for (const candidate of await this.listCandidates()) {
+            const stat = await fs.stat(candidate.filePath).catch(() => null);
+            if (!stat) continue;
+            const signature = `${stat.size}:${stat.mtimeMs}`;
+            current.set(candidate.filePath, signature);
+            if (stat.size > 0 && this.seen.get(candidate.filePath) === signature) {
+                ready.push(candidate);
+            }
+        }
+        this.seen = current;
+        if (ready.length === 0) return;
+
+        const batchId = crypto.randomUUID();
+        for (const { filePath, folder } of ready) {
+            this.seen.delete(filePath);
+            if (!await this.take(filePath, folder, batchId)) break;
+        }
+    }
+
+    // Resolves false when the server cannot take jobs right now and the file was left in place
+    async take(filePath, folder, batchId) {
+        const name = path.basename(filePath);
+        const sidecar = await this.findSidecar(filePath);
+
+        let processId;
+        try {
+            let fields = fieldsFromFolder(folder);
+            if (sidecar) {
+                let tags;
+                try {
+                    tags = JSON.parse(await fs.readFile(sidecar, 'utf8'));
+                } catch (error) {
+                    throw new Error(`Unreadable sidecar ${path.basename(sidecar)}: ${error.message}`);
+                }
+                fields = { ...fields, ...tags };
+            }
+            // Same shape as upload form fields
+            fields = Object.fromEntries(Object.entries(fields)
+                .filter(([, value]) => value !== null && value !== undefined)
+                .map(([key, value]) => [key, String(value)]));
+
+            processId = await this.ingest(filePath, { fields, originalName: name, batchId });
+        } catch (error) {
+            if (error.status === 503) {
+                if (this.unavailable !== error.message) {
+                    console.log(`⏸️  Inbox: waiting to pick up recordings. ${error.message}`);
+                }
+                this.unavailable = error.message;
+                return false;
+            }
+            await this.fail(filePath, sidecar, name, error.message);
+            return true;
+        }
+        this.unavailable = null;
+
+        const source = `${folder ? `${folder}/` : ''}${name}`;
+        await this.replaceWithNote(filePath, sidecar, processId, name, `${source} filed as job ${processId}`);
+        console.log(`📥 Inbox: ${source} -> job ${processId}`);
+        return true;
+    }
+
+    // The job has its own encrypted copy: discard the plaintext recording and
+    // sidecar, leaving a note in processing/ to follow the job by
+    async replaceWithNote(filePath, sidecar, processId, name, line) {
+        await this.discard(filePath);
+        if (sidecar) {
+            await this.discard(sidecar).catch(() => {});
+        }
+        await fs.writeFile(path.join(this.dir, 'processing', `${processId}${SEPARATOR}${name}.txt`), `${new Date().toISOString()} ${line}\n`);
+    }
+
+    // Move a job's note to processed/ or failed/ with its outcome
+    async closeNote(notePath, dir, fileName, line) {
+        const target = await moveInto(notePath, path.join(this.dir, dir), fileName);
+        await fs.appendFile(target, `${new Date().toISOString()} ${line}\n`);
+    }
+
+    // Recordings that earlier versions left in processed/ as they were; their jobs
+    // hold encrypted copies
+    async discardProcessed() {
+        const processedDir = path.join(this.dir, 'processed');
+        let count = 0;
+        for (const entry of await fs.readdir(processedDir, { withFileTypes: true })) {
+            if (!entry.isFile() || entry.name.endsWith('.txt')) continue;
+            await this.discard(path.join(processedDir, entry.name));
+            count++;
+        }
+        if (count) {
+            console.log(`🗑️  Inbox: removed ${count} plaintext file(s) from processed/; their jobs keep encrypted copies`);
+        }
+    }
+
+    async fail(filePath, sidecar, name, message) {
+        const failedDir = path.join(this.dir, 'failed');
+        const target = await moveInto(filePath, failedDir, name);
+        if (sidecar) {
+            await fs.rename(sidecar, `${target}.json`).catch(() => {});
+        }
+        await fs.writeFile(`${target}.error.txt`, `${new Date().toISOString()} ${message}\n`);
+        console.log(`⚠️  Inbox: ${name} failed: ${message}`);
+    }
+
+    // Close the notes of jobs that have finished
+    async settle() {
+        const processingDir = path.join(this.dir, 'processing');
+        for (const entry of await fs.readdir(processingDir)) {
+            if (!isCandidate(entry) || !entry.includes(SEPARATOR)) continue;
+
+            const [processId, ...rest] = entry.split(SEPARATOR);
+            const filePath = path.join(processingDir, entry);
+
+            // A recording an earlier version moved here as it was
+            if (!entry.endsWith('.txt')) {
+                const name = rest.join(SEPARATOR);
+                const sidecar = (await exists(filePath + '.json')) ? filePath + '.json' : null;
+                await this.replaceWithNote(filePath, sidecar, processId, name, `${name} filed as job ${processId}`);
+                continue;
+            }
+
+            const name = rest.join(SEPARATOR).slice(0, -'.txt'.length);
+            const job = this.jobStatus(processId);
+
+            if (!job) {
+                await this.closeNote(filePath, 'failed', `${name}.error.txt`, `Job ${processId} no longer exists`);
+                console.log(`⚠️  Inbox: ${name} failed: job ${processId} no longer exists`);
+            } else if (job.status === 'completed') {
+                await this.closeNote(filePath, 'processed', `${name}.txt`, `Job ${processId} completed`);
+            } else if (['error', 'cancelled'].includes(job.status)) {
+                const message = `Job ${processId} ${job.status}: ${job.error || 'no details'}`;
+                await this.closeNote(filePath, 'failed', `${name}.error.txt`, message);
+                console.log(`⚠️  Inbox: ${name} failed: ${message}`);
+            }
+        }
+    }
+}
+
+module.exports = { InboxWatcher, fieldsFromFolder };
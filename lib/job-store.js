@@ -0,0 +1,137 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+// Durable job store backed by an append-only JSON journal.
+// Each line is a full snapshot of one job; the last line for a processId wins.
+// The journal is compacted (one line per job) every time the store is loaded.
+// An optional codec ({ encode, decode }) transforms each line on its way to and
+// from disk; the server uses it to encrypt the journal.
+const PLAIN_CODEC = { encode: line => line, decode: line => line };
+
+class JobStore {
+    constructor(filePath, { codec = PLAIN_CODEC } = {}) {
+        this.filePath = filePath;
+        this.codec = codec;
+        this.jobs = new Map();
+        this.writeChain = Promise.resolve();
+    }
+
+    async load() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        let contents = '';
+        try {
+            contents = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        for (const line of contents.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const record = JSON.parse(this.codec.decode(line));
+                this.jobs.set(record.processId, record);
+            } catch (parseError) {
+                // A torn final line from a crash mid-write is expected; skip it
+                console.warn('⚠️  Skipping unreadable job journal entry');
+            }
+        }
+
+        const interrupted = this.markInterrupted();
+        await this.compact();
+
+        return { total: this.jobs.size, interrupted };
+    }
+
+    // Anything still running when the previous process exited can never finish
+    markInterrupted() {
+        let count = 0;
+        const now = new Date().toISOString();
+
+        for (const record of this.jobs.values()) {
+            if (record.status !== 'started' && record.status !== 'processing') continue;
+
+            record.status = 'interrupted';
+            record.error = 'Server stopped before processing finished';
+            record.updatedAt = now;
+            for (const step of Object.values(record.steps || {})) {
+                if (step.status === 'processing' || step.status === 'queued') {
+                    step.status = 'interrupted';
+                }
+            }
+            count++;
+        }
+
+        return count;
+    }
+
+    async compact() {
+        const lines = Array.from(this.jobs.values()).map(record => this.codec.encode(JSON.stringify(record)));
+        const tmpPath = this.filePath + '.tmp';
+
+        await this.enqueue(async () => {
+            await fs.writeFile(tmpPath, lines.length ? lines.join('\n') + '\n' : '');
+            await fs.rename(tmpPath, this.filePath);
+        });
+    }
+
+    save(record) {
+        const snapshot = JSON.parse(JSON.stringify(record));
+        snapshot.updatedAt = new Date().toISOString();
+        this.jobs.set(snapshot.processId, snapshot);
+
+        return this.enqueue(() => fs.appendFile(this.filePath, this.codec.encode(JSON.stringify(snapshot)) + '\n'));
+    }
+
+    // Drop a job and rewrite the journal, so its earlier snapshots are gone from disk too
+    remove(processId) {
+        this.jobs.delete(processId);
+        return this.compact();
+    }
+
+    // Writes are serialized so journal lines never interleave or reorder
+    enqueue(task) {
+        this.writeChain = this.writeChain.then(task).catch(error => {
+            console.error('Job store write error:', error);
+        });
+        return this.writeChain;
+    }
+
+    // Resolves once every queued write has reached the journal
+    flush() {
+        return this.writeChain;
+    }
+
+    get(processId) {
+        return this.jobs.get(processId) || null;
+    }
+
+    // `visible` limits the results to records the caller may see, before `limit` applies
+    list(filters = {}, visible = () => true) {
+        let records = Array.from(this.jobs.values()).filter(visible);
+
+        if (filters.status) {
+            records = records.filter(record => record.status === filters.status);
+        }
+        if (filters.clientName) {
+            const needle = filters.clientName.toLowerCase();
+            records = records.filter(record => (record.metadata?.clientName || '').toLowerCase().includes(needle));
+        }
+        if (filters.caseNumber) {
+            records = records.filter(record => record.metadata?.caseNumber === filters.caseNumber);
+        }
+        if (filters.since) {
+            records = records.filter(record => record.createdAt >= filters.since);
+        }
+        if (filters.until) {
+            records = records.filter(record => record.createdAt <= filters.until);
+        }
+
+        records.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+
+        const limit = parseInt(filters.limit, 10);
+        return limit > 0 ? records.slice(0, limit) : records;
+    }
+}
+
+module.exports = JobStore;
@@ -0,0 +1,284 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const { once } = require('events');
+const transcriptFormat = require('./transcript-format');
+
+// Transcribes a recording while it is still being made. The browser's
+// MediaRecorder chunks are appended to one growing file in temp/, and also fed
+// to one ffmpeg process per session that decodes them as they arrive into a
+// running 16 kHz PCM file beside it. That decoder works at the pace of the
+// recording and is not queued with the ffmpeg stage; MAX_LIVE_SESSIONS caps how
+// many run. Every windowSeconds the audio after the last settled point is cut
+// from the PCM file, so nothing is decoded twice, and queued for a whisper
+// slot like any job's transcription. Segments ending more than settleSeconds
+// before the end of the audio are settled and not revisited; the rest are shown
+// as provisional and transcribed again with the next window, so words cut off
+// at the edge get a second chance.
+//
+// Emits 'transcript' { settled: [new segments], provisional: [segments], durationSeconds }
+// and 'warning' (message) when a window fails; the live view is best effort,
+// the final transcript comes from the normal pipeline.
+const CONTAINERS = { 'audio/webm': '.webm', 'audio/ogg': '.ogg', 'audio/mp4': '.mp4' };
+
+// 16 kHz mono 16-bit, as whisper.cpp takes it
+const SAMPLE_RATE = 16000;
+const BYTES_PER_SECOND = SAMPLE_RATE * 2;
+
+// Silence produces no segments; don't let the window grow past this
+const MAX_UNSETTLED_SECONDS = 30;
+
+// Centiseconds are plenty, and keep sums of offsets readable
+function round(seconds) {
+    return Math.round(seconds * 100) / 100;
+}
+
+function run(command, args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args);
+        let stderr = '';
+        child.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+        child.on('close', (code) => {
+            if (code === 0) {
+                resolve(stderr);
+            } else {
+                reject(new Error(`${command} failed with code ${code}`));
+            }
+        });
+        child.on('error', reject);
+    });
+}
+
+// Canonical 44-byte header for dataLength bytes of PCM
+function wavHeader(dataLength) {
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + dataLength, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(SAMPLE_RATE, 24);
+    header.writeUInt32LE(BYTES_PER_SECOND, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(dataLength, 40);
+    return header;
+}
+
+class LiveSession extends EventEmitter {
+    constructor({ sessionId, mimeType, modelPath, stageQueue, language = 'en', translate = false, dir = 'temp', windowSeconds = 8, settleSeconds = 3 }) {
+        super();
+        this.sessionId = sessionId;
+        this.modelPath = modelPath;
+        this.stageQueue = stageQueue;
+        this.language = language;
+        this.translate = translate;
+        this.windowSeconds = windowSeconds;
+        this.settleSeconds = settleSeconds;
+        // Name the session waits under in the stage queue
+        this.queueId = `live-${sessionId}`;
+
+        const container = String(mimeType || '').split(';')[0].trim().toLowerCase();
+        this.extension = CONTAINERS[container] || '.webm';
+        this.recordingPath = path.join(dir, `${sessionId}.live${this.extension}`);
+        this.pcmPath = path.join(dir, `${sessionId}.live.pcm`);
+        this.windowPath = path.join(dir, `${sessionId}.live-window.wav`);
+
+        this.bytes = 0;
+        this.settled = [];
+        this.provisional = [];
+        this.settledUntil = 0;
+        // PCM bytes the last window reached; a window with nothing new is skipped
+        this.transcribedBytes = 0;
+        this.handle = null;
+        this.writes = Promise.resolve();
+        this.decoder = null;
+        this.pcm = null;
+        this.timer = null;
+        // The window being transcribed, if any; windows never overlap
+        this.running = null;
+        this.stopping = null;
+    }
+
+    async open() {
+        this.handle = await fs.open(this.recordingPath, 'w');
+        this.pcm = createWriteStream(this.pcmPath);
+        await once(this.pcm, 'ready');
+        this.startDecoder();
+        this.timer = setInterval(() => this.tick(), this.windowSeconds * 1000);
+        this.timer.unref();
+    }
+
+    startDecoder() {
+        const decoder = spawn('ffmpeg', [
+            '-hide_banner',
+            '-loglevel', 'error',
+            '-i', 'pipe:0',
+            '-vn',
+            '-f', 's16le',
+            '-acodec', 'pcm_s16le',
+            '-ar', String(SAMPLE_RATE),
+            '-ac', '1',
+            'pipe:1'
+        ]);
+        let stderr = '';
+        decoder.stdout.on('data', chunk => this.pcm.write(chunk));
+        decoder.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+        // The decoder quitting shows as a failed write; its exit explains why
+        decoder.stdin.on('error', () => {});
+        decoder.on('error', () => {});
+        this.decoded = once(decoder, 'close').then(([code]) => {
+            if (this.decoder === decoder) {
+                this.decoder = null;
+                if (!this.stopping) {
+                    const reason = stderr.trim().split('\n').pop() || `code ${code}`;
+                    this.emit('warning', `The live audio decoder stopped (${reason}); the transcript will not update until the recording is processed`);
+                }
+            }
+        });
+        this.decoder = decoder;
+    }
+
+    // Chunks are written in the order they arrive; a failed write surfaces from stop()
+    append(chunk) {
+        this.bytes += chunk.length;
+        this.writes = this.writes.then(() => this.handle.write(chunk));
+        this.writes.catch(() => {});
+        if (this.decoder) {
+            this.decoder.stdin.write(chunk);
+        }
+    }
+
+    tick() {
+        if (this.running || this.stopping || this.bytes === 0) return;
+        this.running = this.transcribeWindow()
+            .catch((error) => {
+                // Stopping drops a window still waiting for whisper
+                if (!this.stopping) this.emit('warning', error.message);
+            })
+            .finally(() => {
+                this.running = null;
+            });
+    }
+
+    // The decoded audio from offset seconds to what has been decoded so far, as a WAV file
+    async writeWindow(offset) {
+        const from = Math.floor(offset * SAMPLE_RATE) * 2;
+        const to = this.pcm.bytesWritten - (this.pcm.bytesWritten % 2);
+        if (to <= this.transcribedBytes || to <= from) return null;
+
+        const data = Buffer.alloc(to - from);
+        const source = await fs.open(this.pcmPath, 'r');
+        try {
+            await source.read(data, 0, data.length, from);
+        } finally {
+            await source.close();
+        }
+        await fs.writeFile(this.windowPath, Buffer.concat([wavHeader(data.length), data]));
+        return to;
+    }
+
+    async transcribeWindow() {
+        const offset = this.settledUntil;
+        const reached = await this.writeWindow(offset);
+        if (reached === null) return;
+        const windowDuration = (reached - Math.floor(offset * SAMPLE_RATE) * 2) / BYTES_PER_SECOND;
+
+        const release = await this.stageQueue.acquire('whisper', this.queueId);
+        try {
+            if (this.stopping) return;
+            await run('whisper-cli', [
+                '-m', this.modelPath,
+                '--output-json-full',
+                '--language', this.language,
+                ...(this.translate ? ['--translate'] : []),
+                this.windowPath
+            ]);
+        } finally {
+            release();
+        }
+        this.transcribedBytes = reached;
+
+        const jsonPath = this.windowPath + '.json';
+        let segments;
+        try {
+            segments = transcriptFormat.parseWhisperJson(JSON.parse(await fs.readFile(jsonPath, 'utf8')));
+        } finally {
+            await fs.unlink(jsonPath).catch(() => {});
+        }
+
+        segments = segments.map(segment => ({
+            start: round(segment.start + offset),
+            end: round(segment.end + offset),
+            text: segment.text
+        }));
+        const audioEnd = round(offset + windowDuration);
+
+        const cutoff = audioEnd - this.settleSeconds;
+        let settled = segments.filter(segment => segment.end <= cutoff);
+        if (settled.length === 0 && segments.length > 1 && audioEnd - offset > MAX_UNSETTLED_SECONDS) {
+            settled = segments.slice(0, -1);
+        }
+        const provisional = segments.slice(settled.length);
+
+        if (settled.length) {
+            this.settledUntil = settled[settled.length - 1].end;
+        } else if (segments.length === 0 && cutoff > offset) {
+            this.settledUntil = cutoff;
+        }
+        this.settled.push(...settled);
+        this.provisional = provisional;
+
+        this.emit('transcript', { settled, provisional, durationSeconds: audioEnd });
+    }
+
+    // Stop transcribing and close the recording; resolves its path
+    stop() {
+        this.stopping = this.stopping || this.close();
+        return this.stopping;
+    }
+
+    async close() {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (this.stageQueue) {
+            this.stageQueue.cancel(this.queueId);
+        }
+        if (this.running) {
+            await this.running;
+        }
+        if (this.decoder) {
+            this.decoder.kill('SIGTERM');
+            await this.decoded;
+        }
+        if (this.pcm) {
+            this.pcm.end();
+            await once(this.pcm, 'close');
+            this.pcm = null;
+        }
+        await this.writes;
+        if (this.handle) {
+            await this.handle.close();
+            this.handle = null;
+        }
+        await fs.unlink(this.pcmPath).catch(() => {});
+        await fs.unlink(this.windowPath).catch(() => {});
+        return this.recordingPath;
+    }
+
+    async discard() {
+        await this.stop();
+        await fs.unlink(this.recordingPath).catch(() => {});
+    }
+}
+
+module.exports = { LiveSession };
@@ -0,0 +1,142 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+// Matters (cases) and who may see them, in data/matters.json:
+// { matters: [{ caseNumber, name, clientName, members: [userId], retentionDays, legalHold,
+//               createdBy, createdAt, updatedAt }] }
+// Jobs join a matter through their caseNumber metadata.
+function matterError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+class MatterStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.matters = new Map();
+        this.writeChain = Promise.resolve();
+    }
+
+    async load() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        try {
+            const { matters = [] } = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            matters.forEach(matter => this.matters.set(matter.caseNumber, matter));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        return this.matters.size;
+    }
+
+    persist() {
+        const contents = JSON.stringify({ matters: Array.from(this.matters.values()) }, null, 2) + '\n';
+        const tmpPath = this.filePath + '.tmp';
+
+        const write = this.writeChain.then(async () => {
+            await fs.writeFile(tmpPath, contents, { mode: 0o600 });
+            await fs.rename(tmpPath, this.filePath);
+        });
+        // One failed write (e.g. a full disk) must not stop the ones after it; the caller still sees it fail
+        this.writeChain = write.catch((error) => {
+            console.error('Matter store write error:', error);
+        });
+        return write;
+    }
+
+    get(caseNumber) {
+        return this.matters.get(caseNumber) || null;
+    }
+
+    isMember(caseNumber, userId) {
+        const matter = caseNumber ? this.get(caseNumber) : null;
+        return Boolean(matter && matter.members.includes(userId));
+    }
+
+    // Matters the user can see; admins see all of them
+    listFor(user) {
+        return Array.from(this.matters.values())
+            .filter(matter => user.role === 'admin' || matter.members.includes(user.id))
+            .sort((a, b) => a.caseNumber.localeCompare(b.caseNumber));
+    }
+
+    async create({ caseNumber, name, clientName, members = [] }, createdBy) {
+        caseNumber = (caseNumber || '').trim();
+        if (!caseNumber) {
+            throw matterError('Case number is required');
+        }
+        if (this.get(caseNumber)) {
+            throw matterError(`Matter already exists: ${caseNumber}`, 409);
+        }
+
+        const now = new Date().toISOString();
+        const matter = {
+            caseNumber,
+            name: (name || '').trim() || caseNumber,
+            clientName: (clientName || '').trim(),
+            members: Array.from(new Set([createdBy, ...members].filter(Boolean))),
+            retentionDays: null,
+            legalHold: null,
+            createdBy,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.matters.set(caseNumber, matter);
+        await this.persist();
+        return matter;
+    }
+
+    // { name, clientName, members: [userId], retentionDays }
+    async update(caseNumber, changes = {}) {
+        const matter = this.get(caseNumber);
+        if (!matter) {
+            throw matterError('Matter not found', 404);
+        }
+
+        if (changes.name !== undefined) {
+            matter.name = String(changes.name).trim() || caseNumber;
+        }
+        if (changes.clientName !== undefined) {
+            matter.clientName = String(changes.clientName).trim();
+        }
+        if (changes.members !== undefined) {
+            if (!Array.isArray(changes.members)) {
+                throw matterError('Expected members to be an array of user ids');
+            }
+            matter.members = Array.from(new Set(changes.members));
+        }
+        if (changes.retentionDays !== undefined) {
+            const days = changes.retentionDays === null ? null : Number(changes.retentionDays);
+            if (days !== null && !(days > 0)) {
+                throw matterError('retentionDays must be a positive number of days, or null for the default');
+            }
+            matter.retentionDays = days;
+        }
+
+        matter.updatedAt = new Date().toISOString();
+        await this.persist();
+        return matter;
+    }
+
+    async setLegalHold(caseNumber, hold) {
+        const matter = this.get(caseNumber);
+        if (!matter) {
+            throw matterError('Matter not found', 404);
+        }
+
+        matter.legalHold = hold;
+        matter.updatedAt = new Date().toISOString();
+        await this.persist();
+        return matter;
+    }
+
+    async remove(caseNumber) {
+        this.matters.delete(caseNumber);
+        await this.persist();
+    }
+}
+
+module.exports = MatterStore;
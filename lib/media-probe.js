@@ -0,0 +1,128 @@
+const { spawn } = require('child_process');
+
+// Identifies uploads by their content with ffprobe, so any container and codec
+// ffmpeg can decode is accepted whatever its name or reported mimetype, and
+// anything without a usable audio track is turned away before a job starts.
+const FFPROBE_COMMAND = process.env.FFPROBE_COMMAND || 'ffprobe';
+
+// Names that suggest a recording, for picking files out of a directory; the
+// probe still has the final say
+const MEDIA_EXTENSIONS = [
+    '.m4a', '.mp3', '.wav', '.ogg', '.oga', '.opus', '.flac', '.aac', '.wma', '.amr', '.webm',
+    '.mp4', '.m4v', '.mov', '.mkv', '.avi', '.3gp'
+];
+
+function mediaError(message, status = 415) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function buildArgs(filePath) {
+    return ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath];
+}
+
+function toSeconds(value) {
+    const seconds = parseFloat(value);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds : null;
+}
+
+// ffprobe JSON -> { format, formatName, durationSeconds, hasVideo, audioTracks: [...] }
+function parseProbe(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    const format = data.format || {};
+    const streams = data.streams || [];
+
+    // Cover art in MP3/M4A shows up as a single-frame video stream
+    const hasVideo = streams.some(stream => (
+        stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic)
+    ));
+
+    const audioTracks = streams
+        .filter(stream => stream.codec_type === 'audio')
+        .map(stream => ({
+            index: stream.index,
+            codec: stream.codec_name || 'unknown',
+            channels: stream.channels || null,
+            sampleRate: parseInt(stream.sample_rate, 10) || null,
+            language: (stream.tags && stream.tags.language) || null,
+            title: (stream.tags && stream.tags.title) || null,
+            isDefault: Boolean(stream.disposition && stream.disposition.default),
+            durationSeconds: toSeconds(stream.duration)
+        }));
+
+    return {
+        format: format.format_name || 'unknown',
+        formatName: format.format_long_name || format.format_name || 'unknown',
+        durationSeconds: toSeconds(format.duration),
+        hasVideo,
+        audioTracks
+    };
+}
+
+// The track to transcribe: the one marked default, else the one with the most
+// channels (a room mix rather than a single lapel mic), else the first
+function chooseAudioTrack(tracks) {
+    if (tracks.length === 0) return null;
+    return tracks.find(track => track.isDefault)
+        || tracks.reduce((best, track) => ((track.channels || 0) > (best.channels || 0) ? track : best));
+}
+
+function runProbe(filePath) {
+    return new Promise((resolve, reject) => {
+        const ffprobe = spawn(FFPROBE_COMMAND, buildArgs(filePath));
+        let stdout = '';
+        let stderr = '';
+
+        ffprobe.stdout.on('data', (data) => {
+            stdout += data.toString();
+        });
+        ffprobe.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+        ffprobe.on('close', (code) => {
+            if (code !== 0) {
+                // ffprobe prefixes its complaint with the (temporary) path
+                const detail = stderr.trim().split('\n').pop().replace(`${filePath}: `, '');
+                reject(mediaError(`Not a readable audio or video file${detail ? ` (${detail})` : ''}`));
+                return;
+            }
+            try {
+                resolve(parseProbe(stdout));
+            } catch (error) {
+                reject(new Error(`Invalid ffprobe output: ${error.message}`));
+            }
+        });
+        ffprobe.on('error', (error) => {
+            reject(error.code === 'ENOENT'
+                ? mediaError(`${FFPROBE_COMMAND} not found; install FFmpeg to accept uploads`, 503)
+                : error);
+        });
+    });
+}
+
+// Resolves { format, formatName, durationSeconds, hasVideo, audioTracks, audioTrack }
+// or rejects with status 415 when there is nothing to transcribe
+async function probe(filePath) {
+    const media = await runProbe(filePath);
+    const audioTrack = chooseAudioTrack(media.audioTracks);
+
+    if (!audioTrack) {
+        throw mediaError(media.hasVideo ? 'The file has no audio track' : 'Not an audio or video file');
+    }
+    const durationSeconds = media.durationSeconds || audioTrack.durationSeconds;
+    if (!durationSeconds) {
+        throw mediaError('The recording is empty');
+    }
+
+    return { ...media, durationSeconds, audioTrack };
+}
+
+module.exports = {
+    FFPROBE_COMMAND,
+    MEDIA_EXTENSIONS,
+    buildArgs,
+    parseProbe,
+    chooseAudioTrack,
+    probe
+};
@@ -0,0 +1,220 @@
+const http = require('http');
+const https = require('https');
+
+// Minimal client for the local Ollama REST API (https://github.com/ollama/ollama/blob/main/docs/api.md).
+// Streams /api/generate output token by token instead of scraping `ollama run` stdout.
+// A request fails once Ollama has sent nothing for idleTimeoutMs, so a server that
+// accepts the connection but never answers cannot hold a job forever.
+const DEFAULT_IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+
+class OllamaClient {
+    constructor({ baseUrl = 'http://127.0.0.1:11434', model = 'gemma3:12b', options = {}, idleTimeoutMs = DEFAULT_IDLE_TIMEOUT_MS } = {}) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.model = model;
+        this.options = options;
+        this.idleTimeoutMs = idleTimeoutMs;
+    }
+
+    // Resolves with the response stream once a 2xx status arrives
+    request(method, pathname, body, { signal } = {}) {
+        const url = new URL(this.baseUrl + pathname);
+        const transport = url.protocol === 'https:' ? https : http;
+        const payload = body === undefined ? null : JSON.stringify(body);
+
+        return new Promise((resolve, reject) => {
+            let response = null;
+            let timedOut = null;
+            const req = transport.request(url, {
+                method,
+                signal,
+                headers: payload ? {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(payload)
+                } : {}
+            }, (res) => {
+                response = res;
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    resolve(res);
+                    return;
+                }
+
+                let text = '';
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => {
+                    text += chunk;
+                });
+                res.on('end', () => {
+                    let message = text.trim() || `HTTP ${res.statusCode}`;
+                    try {
+                        message = JSON.parse(text).error || message;
+                    } catch (parseError) {
+                        // Not JSON; use the raw body
+                    }
+                    const error = new Error(`Ollama ${pathname} failed: ${message}`);
+                    error.status = res.statusCode;
+                    reject(error);
+                });
+            });
+
+            // The socket timer restarts whenever data arrives, so a slow but steady
+            // stream of tokens is fine
+            req.setTimeout(this.idleTimeoutMs, () => {
+                timedOut = new Error(`No answer from Ollama at ${this.baseUrl} for ${Math.round(this.idleTimeoutMs / 1000)}s`);
+                if (response) {
+                    response.destroy(timedOut);
+                }
+                req.destroy(timedOut);
+            });
+
+            req.on('error', (error) => {
+                if (error.name === 'AbortError' || error === timedOut) {
+                    reject(error);
+                    return;
+                }
+                reject(new Error(`Cannot reach Ollama at ${this.baseUrl}: ${error.message}`));
+            });
+
+            if (payload) {
+                req.write(payload);
+            }
+            req.end();
+        });
+    }
+
+    async requestJson(method, pathname, body, options) {
+        const res = await this.request(method, pathname, body, options);
+
+        return new Promise((resolve, reject) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                text += chunk;
+            });
+            res.on('end', () => {
+                try {
+                    resolve(JSON.parse(text));
+                } catch (error) {
+                    reject(new Error(`Invalid JSON from Ollama ${pathname}`));
+                }
+            });
+            res.on('error', reject);
+        });
+    }
+
+    // Returns the full response text; onToken receives each streamed fragment
+    async generate(prompt, { model, options, onToken, signal } = {}) {
+        const res = await this.request('POST', '/api/generate', {
+            model: model || this.model,
+            prompt,
+            stream: true,
+            options: { ...this.options, ...options }
+        }, { signal });
+
+        return new Promise((resolve, reject) => {
+            let buffer = '';
+            let output = '';
+            let failed = false;
+
+            const fail = (error) => {
+                if (failed) return;
+                failed = true;
+                res.destroy();
+                reject(error);
+            };
+
+            // The body is newline-delimited JSON: { response, done } per line
+            const handleLine = (line) => {
+                if (!line.trim()) return;
+
+                let message;
+                try {
+                    message = JSON.parse(line);
+                } catch (error) {
+                    fail(new Error('Invalid streaming response from Ollama'));
+                    return;
+                }
+
+                if (message.error) {
+                    fail(new Error(`Ollama generate failed: ${message.error}`));
+                    return;
+                }
+                if (message.response) {
+                    output += message.response;
+                    if (onToken) onToken(message.response);
+                }
+            };
+
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                buffer += chunk;
+                let newline;
+                while (!failed && (newline = buffer.indexOf('\n')) !== -1) {
+                    handleLine(buffer.slice(0, newline));
+                    buffer = buffer.slice(newline + 1);
+                }
+            });
+            res.on('end', () => {
+                handleLine(buffer);
+                if (failed) return;
+                if (!output.trim()) {
+                    fail(new Error('Ollama returned an empty response'));
+                    return;
+                }
+                resolve(output.trim());
+            });
+            // A response cut short (cancelled, idle timeout, Ollama gone) ends with an error
+            res.on('error', (error) => {
+                if (signal && signal.aborted) {
+                    const aborted = new Error('The operation was aborted');
+                    aborted.name = 'AbortError';
+                    fail(aborted);
+                } else if (error.code === 'ECONNRESET') {
+                    fail(new Error('Ollama response was interrupted'));
+                } else {
+                    fail(error);
+                }
+            });
+        });
+    }
+
+    async listModels(options) {
+        const data = await this.requestJson('GET', '/api/tags', undefined, options);
+        return data.models || [];
+    }
+
+    async version(options) {
+        const data = await this.requestJson('GET', '/api/version', undefined, options);
+        return data.version;
+    }
+}
+
+const ENV_OPTIONS = [
+    { name: 'OLLAMA_TEMPERATURE', option: 'temperature', integer: false, min: 0 },
+    { name: 'OLLAMA_NUM_CTX', option: 'num_ctx', integer: true, min: 1 },
+    { name: 'OLLAMA_SEED', option: 'seed', integer: true, min: -Infinity },
+    { name: 'OLLAMA_TOP_P', option: 'top_p', integer: false, min: 0 }
+];
+
+// Model options from the environment; unset or empty values use Ollama's defaults.
+// Throws on a value Ollama could not use, so a typo stops startup instead of
+// being sent as null.
+function optionsFromEnv(env = process.env) {
+    const options = {};
+    for (const { name, option, integer, min } of ENV_OPTIONS) {
+        const raw = (env[name] || '').trim();
+        if (!raw) continue;
+
+        const value = Number(raw);
+        if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min) {
+            const expected = integer ? 'a whole number' : 'a number';
+            throw new Error(`${name} must be ${expected}${min > -Infinity ? ` of at least ${min}` : ''}, not "${raw}"`);
+        }
+        options[option] = value;
+    }
+    return options;
+}
+
+module.exports = {
+    OllamaClient,
+    optionsFromEnv
+};
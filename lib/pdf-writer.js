@@ -0,0 +1,161 @@
+const zlib = require('zlib');
+
+// Just enough of PDF 1.4 to lay out text documents: pages of positioned text
+// in the standard Courier fonts (which every reader has, so nothing is
+// embedded) plus straight rules. Coordinates are points from the bottom-left
+// corner, as in PDF itself. Those fonts only cover WinAnsi (Western European)
+// characters; rather than print anything else as '?', toBuffer() fails with
+// code UNSUPPORTED_CHARACTERS.
+const FONTS = { regular: 'Courier', bold: 'Courier-Bold' };
+
+// Courier glyphs are all 600/1000 of the font size wide
+const COURIER_WIDTH = 0.6;
+
+// Characters outside Latin-1 that WinAnsiEncoding still has
+const WIN_ANSI = {
+    '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+    '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+function winAnsiCode(char) {
+    const code = WIN_ANSI[char] !== undefined ? WIN_ANSI[char] : char.codePointAt(0);
+    return code > 0xff ? null : code;
+}
+
+// Characters in text that the standard fonts cannot show, each once
+function unsupportedCharacters(text) {
+    return Array.from(new Set(Array.from(String(text)).filter(char => winAnsiCode(char) === null)));
+}
+
+// A PDF string literal for the standard fonts; control characters become '?'
+function pdfString(text) {
+    let out = '(';
+    for (const char of String(text)) {
+        let code = winAnsiCode(char);
+        if (code === null || (code < 0x20 && code !== 0x09)) code = 0x3f;
+
+        if (char === '(' || char === ')' || char === '\\') {
+            out += '\\' + char;
+        } else if (code < 0x7f && code >= 0x20) {
+            out += String.fromCharCode(code);
+        } else {
+            out += '\\' + code.toString(8).padStart(3, '0');
+        }
+    }
+    return out + ')';
+}
+
+// Document information (title, author) may be any Unicode text, as UTF-16
+function pdfTextString(text) {
+    return `<FEFF${Buffer.from(String(text), 'utf16le').swap16().toString('hex').toUpperCase()}>`;
+}
+
+function pdfDate(date) {
+    const iso = date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    return `D:${iso}Z`;
+}
+
+function textWidth(text, size) {
+    return Array.from(String(text)).length * size * COURIER_WIDTH;
+}
+
+class PdfDocument {
+    constructor({ width = 612, height = 792, title = '', author = '' } = {}) {
+        this.width = width;
+        this.height = height;
+        this.title = title;
+        this.author = author;
+        this.pages = [];
+        this.unsupported = new Set();
+    }
+
+    addPage() {
+        const page = { ops: [] };
+        this.pages.push(page);
+        return page;
+    }
+
+    // { font: 'regular'|'bold', size, align: 'left'|'right'|'center' } with x
+    // being the left edge, right edge or centre respectively
+    text(page, x, y, text, { font = 'regular', size = 12, align = 'left' } = {}) {
+        if (text === undefined || text === null || text === '') return;
+        const width = textWidth(text, size);
+        const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+        const fontName = font === 'bold' ? 'F2' : 'F1';
+        unsupportedCharacters(text).forEach(char => this.unsupported.add(char));
+        page.ops.push(`BT /${fontName} ${size} Tf ${left.toFixed(2)} ${y.toFixed(2)} Td ${pdfString(text)} Tj ET`);
+    }
+
+    line(page, x1, y1, x2, y2, { width = 0.5 } = {}) {
+        page.ops.push(`${width} w ${x1.toFixed(2)} ${y1.toFixed(2)} m ${x2.toFixed(2)} ${y2.toFixed(2)} l S`);
+    }
+
+    toBuffer() {
+        if (this.unsupported.size) {
+            const error = new Error(`The standard PDF fonts cannot show ${Array.from(this.unsupported).slice(0, 5).join(' ')}`);
+            error.code = 'UNSUPPORTED_CHARACTERS';
+            error.characters = Array.from(this.unsupported);
+            throw error;
+        }
+
+        const objects = [];
+        const addObject = (body) => {
+            objects.push(body);
+            return objects.length;
+        };
+
+        const catalogId = addObject(null);
+        const pagesId = addObject(null);
+        const regularId = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.regular} /Encoding /WinAnsiEncoding >>`);
+        const boldId = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.bold} /Encoding /WinAnsiEncoding >>`);
+
+        const pageIds = this.pages.map(page => {
+            const content = zlib.deflateSync(Buffer.from(page.ops.join('\n'), 'latin1'));
+            const contentId = addObject({ dict: `<< /Length ${content.length} /Filter /FlateDecode >>`, stream: content });
+            return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.width} ${this.height}] `
+                + `/Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+        });
+
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+        const infoId = addObject(`<< /Title ${pdfTextString(this.title)} /Author ${pdfTextString(this.author)} `
+            + `/Producer (Legal Audio Transcription Suite) /CreationDate (${pdfDate(new Date())}) >>`);
+
+        const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+        let offset = chunks[0].length;
+        const offsets = [];
+
+        objects.forEach((body, index) => {
+            offsets.push(offset);
+            const parts = typeof body === 'string'
+                ? [Buffer.from(`${index + 1} 0 obj\n${body}\nendobj\n`, 'latin1')]
+                : [
+                    Buffer.from(`${index + 1} 0 obj\n${body.dict}\nstream\n`, 'latin1'),
+                    body.stream,
+                    Buffer.from('\nendstream\nendobj\n', 'latin1')
+                ];
+            for (const part of parts) {
+                chunks.push(part);
+                offset += part.length;
+            }
+        });
+
+        const xref = [
+            'xref',
+            `0 ${objects.length + 1}`,
+            '0000000000 65535 f ',
+            ...offsets.map(value => `${String(value).padStart(10, '0')} 00000 n `),
+            'trailer',
+            `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+            'startxref',
+            String(offset),
+            '%%EOF',
+            ''
+        ].join('\n');
+        chunks.push(Buffer.from(xref, 'latin1'));
+
+        return Buffer.concat(chunks);
+    }
+}
+
+module.exports = { PdfDocument, textWidth, unsupportedCharacters, COURIER_WIDTH };
@@ -0,0 +1,41 @@
+// Parsers for the progress output that ffmpeg and whisper-cli write to stderr
+
+// "01:02:03.45" -> 3723.45
+function parseClock(value) {
+    const [hours, minutes, seconds] = value.split(':');
+    return parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseFloat(seconds);
+}
+
+function lastMatch(text, pattern) {
+    let match = null;
+    let current;
+    while ((current = pattern.exec(text)) !== null) {
+        match = current;
+    }
+    return match;
+}
+
+// ffmpeg prints "Duration: 00:12:34.56" once per input
+function parseFfmpegDuration(stderr) {
+    const match = stderr.match(/Duration:\s*(\d+:\d+:\d+(?:\.\d+)?)/);
+    return match ? parseClock(match[1]) : null;
+}
+
+// ...then progress lines containing "time=00:01:02.03" separated by \r
+function parseFfmpegTime(stderr) {
+    const match = lastMatch(stderr, /time=\s*(\d+:\d+:\d+(?:\.\d+)?)/g);
+    return match ? parseClock(match[1]) : null;
+}
+
+// whisper-cli --print-progress prints "whisper_print_progress_callback: progress =  42%"
+function parseWhisperProgress(stderr) {
+    const match = lastMatch(stderr, /progress\s*=\s*(\d+)%/g);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+module.exports = {
+    parseClock,
+    parseFfmpegDuration,
+    parseFfmpegTime,
+    parseWhisperProgress
+};
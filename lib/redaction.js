@@ -0,0 +1,299 @@
+// Finds personal and privileged content in transcript segments so a copy can
+// be shared with opposing counsel or experts.
+//
+// Rule-based detectors cover SSNs, account and card numbers, phone numbers,
+// street addresses, dates of birth and named minors; an optional pass through
+// the local model can add anything the rules miss. Each finding is
+//   { id, type, segmentId, from, to, text, start, end, source, status }
+// where from/to are character offsets into the segment text, start/end are
+// seconds in the recording, and status is 'pending', 'accepted' or 'rejected'.
+// Everything not rejected is blanked in the redacted copy and bleeped in the
+// redacted audio.
+const TYPES = {
+    ssn: 'SSN',
+    account: 'ACCOUNT NUMBER',
+    phone: 'PHONE',
+    address: 'ADDRESS',
+    dob: 'DATE OF BIRTH',
+    minor: 'MINOR',
+    privileged: 'PRIVILEGED',
+    other: 'PII'
+};
+
+const MONTHS = 'January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sept|Sep|Oct|Nov|Dec';
+const DATE = `(?:\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|(?:${MONTHS})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}|\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?(?:${MONTHS}),?\\s+\\d{4})`;
+const STREET_SUFFIX = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Circle|Cir|Parkway|Pkwy|Highway|Hwy';
+const CHILD = 'son|daughter|child|kid|boy|girl|grandson|granddaughter|stepson|stepdaughter|nephew|niece|minor|baby';
+const NAME = "[A-Z][a-z]+(?:[-'][A-Z]?[a-z]+)?(?:\\s+[A-Z][a-z]+(?:[-'][A-Z]?[a-z]+)?)?";
+
+// `group` picks the part of the match to redact (default: all of it)
+const RULES = [
+    { type: 'ssn', pattern: /\b\d{3}[- ]\d{2}[- ]\d{4}\b/g },
+    { type: 'ssn', pattern: /\b(?:social security(?: number)?|SSN)(?:\s+(?:is|was|number))*:?\s+(\d{9})\b/dgi, group: 1 },
+    { type: 'phone', pattern: /(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4}\b/g },
+    {
+        type: 'account',
+        pattern: /\b(?:account|acct|routing|card|policy|member|member ID|license|passport)(?:\s+(?:number|no\.?|#))?(?:\s+(?:is|was|ending in))?:?\s+((?:\d[\s-]?){3,18}\d)\b/dgi,
+        group: 1
+    },
+    { type: 'account', pattern: /\b(?:\d{4}[\s-]){3}\d{1,4}\b/g },
+    { type: 'account', pattern: /\b\d{10,19}\b/g },
+    {
+        type: 'address',
+        pattern: new RegExp(`\\b\\d{1,6}\\s+(?:[NSEW]\\.?\\s+)?(?:[A-Z][a-z]+\\s+){1,3}(?:${STREET_SUFFIX})\\b\\.?(?:,?\\s+(?:Apt|Apartment|Unit|Suite|#)\\.?\\s*[\\w-]+)?`, 'g')
+    },
+    { type: 'address', pattern: /\bP\.?\s?O\.?\s+Box\s+\d+\b/gi },
+    {
+        type: 'dob',
+        pattern: new RegExp(`\\b(?:born(?:\\s+on)?|date of birth(?:\\s+is|:)?|DOB(?:\\s+is|:)?|birthday(?:\\s+is)?)\\s+(${DATE})`, 'dgi'),
+        group: 1
+    }
+];
+
+// "my daughter Emily", "our son, Jake Miller", "the minor child named Ava"
+const MINOR_BY_RELATION = new RegExp(`\\b(?:[Mm]y|[Oo]ur|[Hh]is|[Hh]er|[Tt]heir|[Tt]he|[Aa])\\s+(?:(?:\\d{1,2}|[a-z]+)[- ]year[- ]old\\s+)?(?:minor\\s+)?(?:${CHILD}),?\\s+(?:named\\s+|called\\s+)?(${NAME})`, 'g');
+// "Emily, who is 9", "Jake is 15 years old", "Ava, age 12"
+const MINOR_BY_AGE = new RegExp(`\\b(${NAME}),?\\s+(?:who\\s+is|is|was|age|aged)\\s+(\\d{1,2})(?:\\s+years?\\s+old)?\\b`, 'g');
+
+function findAll(pattern, text) {
+    pattern.lastIndex = 0;
+    return Array.from(text.matchAll(pattern));
+}
+
+// Character span of the match, or of one capture group (rules using groups
+// carry the `d` flag so matches have indices)
+function groupSpan(match, group) {
+    if (!group) {
+        return { from: match.index, to: match.index + match[0].length };
+    }
+    const [from, to] = match.indices[group];
+    return { from, to };
+}
+
+// Seconds covered by a character span, from whisper's word timings when the
+// text still lines up with them, otherwise the whole segment
+function spanTimes(segment, from, to) {
+    const fallback = { start: segment.start, end: segment.end };
+    if (!Array.isArray(segment.words) || !segment.words.length) return fallback;
+
+    let cursor = 0;
+    let start = null;
+    let end = null;
+    for (const word of segment.words) {
+        const index = segment.text.indexOf(word.text, cursor);
+        if (index === -1) return fallback;
+        cursor = index + word.text.length;
+
+        if (index < to && cursor > from) {
+            if (start === null) start = word.start;
+            end = word.end;
+        }
+    }
+
+    return start === null ? fallback : { start, end };
+}
+
+// Names of minors found anywhere in the transcript; every mention is redacted,
+// not just the one that revealed the age or relationship
+function findMinorNames(segments) {
+    const names = new Set();
+    const ignored = new Set(['He', 'She', 'They', 'It', 'This', 'That', 'There', 'Who', 'What', 'Which']);
+
+    for (const segment of segments) {
+        for (const match of findAll(MINOR_BY_RELATION, segment.text)) {
+            names.add(match[1]);
+        }
+        for (const match of findAll(MINOR_BY_AGE, segment.text)) {
+            if (parseInt(match[2], 10) < 18 && !ignored.has(match[1])) names.add(match[1]);
+        }
+    }
+
+    return Array.from(names);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Rule-based findings for every segment, without ids or status
+function detectWithRules(segments) {
+    const findings = [];
+
+    for (const segment of segments) {
+        for (const rule of RULES) {
+            for (const match of findAll(rule.pattern, segment.text)) {
+                findings.push({ type: rule.type, segmentId: segment.id, ...groupSpan(match, rule.group), source: 'rules' });
+            }
+        }
+    }
+
+    for (const name of findMinorNames(segments)) {
+        const pattern = new RegExp(`\\b${escapeRegExp(name)}\\b`, 'g');
+        for (const segment of segments) {
+            for (const match of findAll(pattern, segment.text)) {
+                findings.push({ type: 'minor', segmentId: segment.id, from: match.index, to: match.index + name.length, source: 'rules' });
+            }
+        }
+    }
+
+    return findings;
+}
+
+// Prompts for the model pass, a few thousand characters of numbered segments each
+function llmPrompts(segments, maxChars = 6000) {
+    const prompts = [];
+    let lines = [];
+    let size = 0;
+
+    const flush = () => {
+        if (!lines.length) return;
+        prompts.push(`You review legal transcripts before they are shared outside the firm.
+Find every span that must be redacted:
+- ssn: social security numbers
+- account: bank, card, policy, license or other account numbers
+- phone: phone numbers
+- address: street or mailing addresses
+- dob: dates of birth
+- minor: names of people under 18
+- privileged: statements of legal advice between attorney and client
+- other: any other personal identifier (e.g. medical record numbers, email addresses)
+
+Each line below is "<segment id>| <text>". Answer with only a JSON array, one object per span,
+copying the words exactly as written: [{"segment": 12, "text": "555-0134", "type": "phone"}].
+Answer [] if there is nothing to redact.
+
+${lines.join('\n')}`);
+        lines = [];
+        size = 0;
+    };
+
+    for (const segment of segments) {
+        const line = `${segment.id}| ${segment.text}`;
+        if (size + line.length > maxChars) flush();
+        lines.push(line);
+        size += line.length + 1;
+    }
+    flush();
+
+    return prompts;
+}
+
+// Findings from one model answer. Spans the model paraphrased rather than
+// copied can't be located and are dropped.
+function parseLlmFindings(output, segments) {
+    const start = output.indexOf('[');
+    const end = output.lastIndexOf(']');
+    if (start === -1 || end < start) {
+        throw new Error('Model did not return a JSON array');
+    }
+
+    const entries = JSON.parse(output.slice(start, end + 1));
+    const byId = new Map(segments.map(segment => [segment.id, segment]));
+    const findings = [];
+
+    for (const entry of Array.isArray(entries) ? entries : []) {
+        const segment = byId.get(Number(entry && entry.segment));
+        const text = entry && typeof entry.text === 'string' ? entry.text.trim() : '';
+        if (!segment || !text) continue;
+
+        const pattern = new RegExp(escapeRegExp(text).replace(/\s+/g, '\\s+'), 'gi');
+        const type = TYPES[entry.type] ? entry.type : 'other';
+        for (const match of findAll(pattern, segment.text)) {
+            findings.push({ type, segmentId: segment.id, from: match.index, to: match.index + match[0].length, source: 'llm' });
+        }
+    }
+
+    return findings;
+}
+
+// Drop findings contained in a longer one from the same segment, number them
+// and attach the original text and timestamps
+function finalizeFindings(findings, segments) {
+    const byId = new Map(segments.map(segment => [segment.id, segment]));
+    const sorted = findings
+        .filter(finding => byId.has(finding.segmentId) && finding.to > finding.from)
+        .sort((a, b) => a.segmentId - b.segmentId || a.from - b.from || (b.to - b.from) - (a.to - a.from));
+
+    const kept = [];
+    for (const finding of sorted) {
+        const last = kept[kept.length - 1];
+        if (last && last.segmentId === finding.segmentId && finding.from < last.to) {
+            // Overlapping spans merge into the earlier finding
+            last.to = Math.max(last.to, finding.to);
+            continue;
+        }
+        kept.push({ ...finding });
+    }
+
+    return kept.map((finding, index) => {
+        const segment = byId.get(finding.segmentId);
+        return {
+            id: index + 1,
+            type: finding.type,
+            segmentId: finding.segmentId,
+            from: finding.from,
+            to: finding.to,
+            text: segment.text.slice(finding.from, finding.to),
+            ...spanTimes(segment, finding.from, finding.to),
+            source: finding.source,
+            status: 'pending'
+        };
+    });
+}
+
+// Copies of the segments with every finding that wasn't rejected replaced by a label
+function redactSegments(segments, items) {
+    const bySegment = new Map();
+    for (const item of items) {
+        if (item.status === 'rejected') continue;
+        if (!bySegment.has(item.segmentId)) bySegment.set(item.segmentId, []);
+        bySegment.get(item.segmentId).push(item);
+    }
+
+    return segments.map(segment => {
+        const { words, ...rest } = segment;
+        const spans = (bySegment.get(segment.id) || []).sort((a, b) => b.from - a.from);
+        let text = segment.text;
+        for (const item of spans) {
+            text = `${text.slice(0, item.from)}[REDACTED ${TYPES[item.type] || TYPES.other}]${text.slice(item.to)}`;
+        }
+        return { ...rest, text };
+    });
+}
+
+// Time ranges to bleep, padded a little and merged where they touch
+function bleepSpans(items, padding = 0.15) {
+    const spans = items
+        .filter(item => item.status !== 'rejected' && Number.isFinite(item.start) && Number.isFinite(item.end))
+        .map(item => [Math.max(0, item.start - padding), item.end + padding])
+        .sort((a, b) => a[0] - b[0]);
+
+    const merged = [];
+    for (const span of spans) {
+        const last = merged[merged.length - 1];
+        if (last && span[0] <= last[1]) {
+            last[1] = Math.max(last[1], span[1]);
+        } else {
+            merged.push(span);
+        }
+    }
+    return merged.map(([start, end]) => [Math.round(start * 1000) / 1000, Math.round(end * 1000) / 1000]);
+}
+
+// ffmpeg audio filter replacing each span with a 1 kHz tone
+function bleepFilter(spans) {
+    if (!spans.length) return 'anull';
+    const inSpan = spans.map(([start, end]) => `between(t,${start},${end})`).join('+');
+    return `aeval='if(gt(${inSpan},0),0.3*sin(2*PI*1000*t),val(ch))':c=same`;
+}
+
+module.exports = {
+    TYPES,
+    detectWithRules,
+    llmPrompts,
+    parseLlmFindings,
+    finalizeFindings,
+    redactSegments,
+    bleepSpans,
+    bleepFilter
+};
@@ -0,0 +1,63 @@
+// Retention rules for recordings and job artifacts:
+//   sourceHours     delete the original recording this many hours after a
+//                   successful transcript (RETENTION_SOURCE_HOURS)
+//   transcriptDays  delete the whole job - transcript, summary and recording -
+//                   this many days after upload (RETENTION_TRANSCRIPT_DAYS); a
+//                   matter's own retentionDays overrides it
+// Unset rules keep data forever. A legal hold on the job or its matter
+// suspends both rules until it is released.
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function positiveNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+function policyFromEnv(env = process.env) {
+    return {
+        sourceHours: positiveNumber(env.RETENTION_SOURCE_HOURS),
+        transcriptDays: positiveNumber(env.RETENTION_TRANSCRIPT_DAYS)
+    };
+}
+
+function isOnHold(record, matter) {
+    return Boolean((record.legalHold && record.legalHold.active) || (matter && matter.legalHold && matter.legalHold.active));
+}
+
+// What retention wants done with one job record right now:
+// { deleteSource, deleteJob, reason }
+function dueActions(record, matter, policy, now = Date.now()) {
+    const none = { deleteSource: false, deleteJob: false, reason: null };
+
+    if (record.status === 'started' || record.status === 'processing') return none;
+    if (isOnHold(record, matter)) return none;
+
+    const days = (matter && positiveNumber(matter.retentionDays)) || policy.transcriptDays;
+    if (days && now - Date.parse(record.createdAt) >= days * DAY_MS) {
+        return { deleteSource: false, deleteJob: true, reason: `older than ${days} day(s)` };
+    }
+
+    const transcribedAt = record.results && record.results.transcribedAt;
+    if (policy.sourceHours && record.audioFile && transcribedAt
+        && now - Date.parse(transcribedAt) >= policy.sourceHours * HOUR_MS) {
+        return { deleteSource: true, deleteJob: false, reason: `transcribed more than ${policy.sourceHours} hour(s) ago` };
+    }
+
+    return none;
+}
+
+// Validates the { active, reason } body of a legal hold request
+function buildHold(body, user) {
+    if (!body || typeof body.active !== 'boolean') {
+        const error = new Error('Expected { active: true|false, reason }');
+        error.status = 400;
+        throw error;
+    }
+
+    return body.active
+        ? { active: true, reason: String(body.reason || '').trim() || null, setBy: user.username, setAt: new Date().toISOString() }
+        : { active: false, releasedBy: user.username, releasedAt: new Date().toISOString() };
+}
+
+module.exports = { policyFromEnv, isOnHold, dueActions, buildHold, positiveNumber };
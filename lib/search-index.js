@@ -0,0 +1,443 @@
+// Full-text search over transcripts and summaries.
+//
+// An inverted index (term -> document -> token positions) kept in memory only:
+// it is rebuilt from the encrypted job journal at startup, so no plaintext
+// index of what was said ever reaches the disk. Each job contributes up to two
+// documents, its transcript (one entry per timed segment, followed by the
+// segments of the original-language transcript of a translated job, tagged with
+// their language) and its summary (one entry per paragraph).
+//
+// Query syntax:
+//   april invoice          both words (AND is implied)
+//   "april invoice"        the exact phrase
+//   invoice OR receipt     either word
+//   invoice NOT draft      also written -draft
+//   invoic*                any word starting with "invoic"
+//   (a OR b) AND c         parentheses group
+// Operators must be upper case; lower-case "and"/"or"/"not" are searched as words.
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+const SNIPPET_CHARS = 240;
+const SNIPPETS_PER_RESULT = 3;
+
+function searchError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function normalize(word) {
+    return word.toLowerCase().replace(/’/g, "'");
+}
+
+// Words of a text with their character offsets
+function tokenize(text) {
+    const tokens = [];
+    for (const match of String(text || '').matchAll(WORD_PATTERN)) {
+        tokens.push({ term: normalize(match[0]), from: match.index, to: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+// Split a query into words, quoted phrases, operators and parentheses
+function lexQuery(query) {
+    const tokens = [];
+    const pattern = /\s*(?:(\()|(\))|(-)?"([^"]*)("?)|(\S+?)(?=[\s()]|$))/gy;
+    let match;
+
+    while (pattern.lastIndex < query.length && (match = pattern.exec(query))) {
+        const [, open, close, negated, phrase, closingQuote, word] = match;
+        if (open) {
+            tokens.push({ type: '(' });
+        } else if (close) {
+            tokens.push({ type: ')' });
+        } else if (phrase !== undefined) {
+            if (!closingQuote) throw searchError('Unterminated quote in search query');
+            if (negated) tokens.push({ type: 'NOT' });
+            tokens.push({ type: 'phrase', value: phrase });
+        } else if (word !== undefined) {
+            if (['AND', 'OR', 'NOT'].includes(word)) {
+                tokens.push({ type: word });
+            } else if (word.startsWith('-') && word.length > 1) {
+                tokens.push({ type: 'NOT' });
+                tokens.push({ type: 'word', value: word.slice(1) });
+            } else {
+                tokens.push({ type: 'word', value: word });
+            }
+        }
+    }
+
+    return tokens;
+}
+
+// Recursive descent over the lexed query:
+//   or    := and (OR and)*
+//   and   := unary (AND? unary)*
+//   unary := NOT unary | '(' or ')' | phrase | word
+// Resolves to { op: 'or'|'and'|'not'|'phrase'|'prefix', ... } nodes, or null
+// for a query with nothing searchable in it
+function parseQuery(query) {
+    const tokens = lexQuery(String(query || ''));
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const startsOperand = token => token && ['NOT', '(', 'phrase', 'word'].includes(token.type);
+    const combine = (op, nodes) => {
+        const present = nodes.filter(Boolean);
+        return present.length > 1 ? { op, nodes: present } : present[0] || null;
+    };
+
+    function parseOr() {
+        const nodes = [parseAnd()];
+        while (peek() && peek().type === 'OR') {
+            index++;
+            nodes.push(parseAnd());
+        }
+        return combine('or', nodes);
+    }
+
+    function parseAnd() {
+        const nodes = [parseUnary()];
+        while (peek() && (peek().type === 'AND' || startsOperand(peek()))) {
+            if (peek().type === 'AND') index++;
+            nodes.push(parseUnary());
+        }
+        return combine('and', nodes);
+    }
+
+    function parseUnary() {
+        const token = tokens[index++];
+        if (!token) {
+            throw searchError('Search query ends with an operator');
+        }
+
+        switch (token.type) {
+            case 'NOT': {
+                const node = parseUnary();
+                return node ? { op: 'not', node } : null;
+            }
+            case '(': {
+                const node = parseOr();
+                if (!peek() || peek().type !== ')') {
+                    throw searchError('Unbalanced parentheses in search query');
+                }
+                index++;
+                return node;
+            }
+            case 'phrase':
+            case 'word': {
+                const prefix = token.type === 'word' && token.value.endsWith('*');
+                const terms = tokenize(prefix ? token.value.slice(0, -1) : token.value).map(t => t.term);
+                if (!terms.length) return null;
+                if (prefix && terms.length === 1) return { op: 'prefix', term: terms[0] };
+                return { op: 'phrase', terms };
+            }
+            default:
+                throw searchError(`Unexpected ${token.type} in search query`);
+        }
+    }
+
+    if (!tokens.length) return null;
+    const tree = parseOr();
+    if (index < tokens.length) {
+        throw searchError(`Unexpected ${tokens[index].type} in search query`);
+    }
+    return tree;
+}
+
+class SearchIndex {
+    constructor() {
+        // docKey ("<processId>:transcript" or ":summary") -> { processId, type, entries, tokenEntry }
+        this.docs = new Map();
+        // term -> Map(docKey -> [position])
+        this.postings = new Map();
+    }
+
+    get size() {
+        return this.docs.size;
+    }
+
+    // Index (or re-index) the stored results of one job record
+    indexJob(record) {
+        const results = record.results || {};
+        if (results.segments && results.segments.length) {
+            this.indexTranscript(record.processId, results.segments, results.speakers, results.original);
+        } else if (results.transcription) {
+            this.indexTranscript(record.processId, [{ id: 0, start: null, end: null, text: results.transcription }]);
+        } else {
+            this.removeDoc(`${record.processId}:transcript`);
+        }
+
+        if (results.summary) {
+            this.indexSummary(record.processId, results.summary);
+        } else {
+            this.removeDoc(`${record.processId}:summary`);
+        }
+    }
+
+    rebuild(records) {
+        this.docs.clear();
+        this.postings.clear();
+        records.forEach(record => this.indexJob(record));
+        return this.docs.size;
+    }
+
+    // original: { language, segments } of a translated job, searched with the translation
+    indexTranscript(processId, segments, speakers = {}, original = null) {
+        const entry = language => segment => ({
+            segmentId: segment.id,
+            start: segment.start,
+            end: segment.end,
+            speaker: segment.speaker ? (speakers || {})[segment.speaker] || segment.speaker : null,
+            language,
+            text: segment.text
+        });
+        const entries = segments.map(entry(null));
+        if (original && original.segments) {
+            entries.push(...original.segments.map(entry(original.language)));
+        }
+        this.addDoc(processId, 'transcript', entries);
+    }
+
+    indexSummary(processId, summary) {
+        const paragraphs = String(summary).split(/\n\s*\n|\n(?=\s*(?:[-*•#]|\d+\.)\s)/)
+            .map(text => text.trim())
+            .filter(Boolean);
+        this.addDoc(processId, 'summary', paragraphs.map((text, index) => ({
+            paragraph: index,
+            start: null,
+            end: null,
+            speaker: null,
+            text
+        })));
+    }
+
+    addDoc(processId, type, entries) {
+        const key = `${processId}:${type}`;
+        this.removeDoc(key);
+
+        // Positions run across the whole document, so a phrase can span two segments
+        const tokenEntry = [];
+        entries.forEach((entry, entryIndex) => {
+            for (const { term } of tokenize(entry.text)) {
+                const position = tokenEntry.length;
+                tokenEntry.push(entryIndex);
+
+                let docs = this.postings.get(term);
+                if (!docs) {
+                    docs = new Map();
+                    this.postings.set(term, docs);
+                }
+                if (!docs.has(key)) docs.set(key, []);
+                docs.get(key).push(position);
+            }
+        });
+
+        this.docs.set(key, { processId, type, entries, tokenEntry: Int32Array.from(tokenEntry) });
+    }
+
+    removeDoc(key) {
+        const doc = this.docs.get(key);
+        if (!doc) return;
+
+        const terms = new Set();
+        doc.entries.forEach(entry => tokenize(entry.text).forEach(({ term }) => terms.add(term)));
+        for (const term of terms) {
+            const docs = this.postings.get(term);
+            if (!docs) continue;
+            docs.delete(key);
+            if (!docs.size) this.postings.delete(term);
+        }
+        this.docs.delete(key);
+    }
+
+    removeJob(processId) {
+        this.removeDoc(`${processId}:transcript`);
+        this.removeDoc(`${processId}:summary`);
+    }
+
+    idf(term) {
+        const docs = this.postings.get(term);
+        return docs ? Math.log(1 + this.docs.size / docs.size) : 0;
+    }
+
+    // Map(docKey -> { positions, score }) for the documents matching a query node
+    evaluate(node) {
+        switch (node.op) {
+            case 'phrase':
+                return this.matchPhrase(node.terms);
+            case 'prefix': {
+                const matches = new Map();
+                for (const [term, docs] of this.postings) {
+                    if (!term.startsWith(node.term)) continue;
+                    const weight = this.idf(term);
+                    for (const [key, positions] of docs) {
+                        const match = matches.get(key) || { positions: [], score: 0 };
+                        match.positions.push(...positions);
+                        match.score += positions.length * weight;
+                        matches.set(key, match);
+                    }
+                }
+                return matches;
+            }
+            case 'and': {
+                const positive = node.nodes.filter(child => child.op !== 'not');
+                const negative = node.nodes.filter(child => child.op === 'not');
+
+                let matches = positive.length
+                    ? this.evaluate(positive[0])
+                    : new Map(Array.from(this.docs.keys(), key => [key, { positions: [], score: 0 }]));
+                for (const child of positive.slice(1)) {
+                    const other = this.evaluate(child);
+                    matches = new Map(Array.from(matches)
+                        .filter(([key]) => other.has(key))
+                        .map(([key, match]) => [key, {
+                            positions: match.positions.concat(other.get(key).positions),
+                            score: match.score + other.get(key).score
+                        }]));
+                }
+                for (const child of negative) {
+                    for (const key of this.evaluate(child.node).keys()) {
+                        matches.delete(key);
+                    }
+                }
+                return matches;
+            }
+            case 'or': {
+                const matches = new Map();
+                for (const child of node.nodes) {
+                    for (const [key, match] of this.evaluate(child)) {
+                        const existing = matches.get(key);
+                        matches.set(key, existing
+                            ? { positions: existing.positions.concat(match.positions), score: existing.score + match.score }
+                            : match);
+                    }
+                }
+                return matches;
+            }
+            case 'not':
+                return this.evaluate({ op: 'and', nodes: [node] });
+            default:
+                return new Map();
+        }
+    }
+
+    // Documents where the terms occur at consecutive positions
+    matchPhrase(terms) {
+        const matches = new Map();
+        const lists = terms.map(term => this.postings.get(term));
+        if (lists.some(docs => !docs)) return matches;
+
+        const weight = terms.reduce((sum, term) => sum + this.idf(term), 0);
+        for (const [key, firstPositions] of lists[0]) {
+            const rest = lists.slice(1).map(docs => docs.get(key));
+            if (rest.some(positions => !positions)) continue;
+
+            const sets = rest.map(positions => new Set(positions));
+            const positions = [];
+            for (const start of firstPositions) {
+                if (sets.every((set, offset) => set.has(start + offset + 1))) {
+                    for (let i = 0; i < terms.length; i++) positions.push(start + i);
+                }
+            }
+            if (positions.length) {
+                matches.set(key, { positions, score: (positions.length / terms.length) * weight });
+            }
+        }
+        return matches;
+    }
+
+    // Run a query. `include(processId, type)` decides which documents may be
+    // returned (access control and metadata filters live with the caller).
+    // Resolves to { total, results: [{ processId, type, score, hits, snippets }] }
+    search(query, { include = () => true, limit = 20, offset = 0 } = {}) {
+        const tree = parseQuery(query);
+        if (!tree) {
+            throw searchError('Search query is empty');
+        }
+
+        const ranked = Array.from(this.evaluate(tree))
+            .map(([key, match]) => ({ doc: this.docs.get(key), match }))
+            .filter(({ doc }) => include(doc.processId, doc.type))
+            .sort((a, b) => b.match.score - a.match.score);
+
+        const results = ranked.slice(offset, offset + limit).map(({ doc, match }) => ({
+            processId: doc.processId,
+            type: doc.type,
+            score: Math.round(match.score * 1000) / 1000,
+            hits: match.positions.length,
+            snippets: this.snippets(doc, match.positions)
+        }));
+
+        return { total: ranked.length, results };
+    }
+
+    // The entries matching the most distinct query words (earliest first on a
+    // tie), in document order, with the matching words marked as [from, to)
+    // character ranges into `text`
+    snippets(doc, positions) {
+        const byEntry = new Map();
+        for (const position of new Set(positions)) {
+            const entryIndex = doc.tokenEntry[position];
+            if (!byEntry.has(entryIndex)) byEntry.set(entryIndex, []);
+            byEntry.get(entryIndex).push(position);
+        }
+
+        const hits = Array.from(byEntry, ([entryIndex, hitPositions]) => {
+            const firstPosition = doc.tokenEntry.indexOf(entryIndex);
+            const tokens = tokenize(doc.entries[entryIndex].text);
+            const matched = hitPositions.sort((a, b) => a - b)
+                .map(position => tokens[position - firstPosition])
+                .filter(Boolean);
+            return { entryIndex, matched, distinct: new Set(matched.map(token => token.term)).size };
+        });
+        hits.sort((a, b) => b.distinct - a.distinct || a.entryIndex - b.entryIndex);
+
+        const chosen = hits.slice(0, SNIPPETS_PER_RESULT).sort((a, b) => a.entryIndex - b.entryIndex);
+        // A purely negative query ("NOT draft") has no hits to show; start at the top
+        if (!chosen.length && doc.entries.length) {
+            chosen.push({ entryIndex: 0, matched: [] });
+        }
+
+        return chosen.map(({ entryIndex, matched }) => {
+            const entry = doc.entries[entryIndex];
+            const { text, highlights } = trimSnippet(entry.text, matched.map(token => [token.from, token.to]));
+            const snippet = { text, highlights, start: entry.start, end: entry.end, speaker: entry.speaker };
+            if (doc.type === 'transcript') {
+                snippet.segmentId = entry.segmentId;
+                // Segment ids of the original-language transcript are positions in results.original.segments
+                if (entry.language) snippet.language = entry.language;
+            }
+            return snippet;
+        });
+    }
+}
+
+// Long entries (summary paragraphs, untimed transcripts) are cut to a window
+// around the first highlight
+function trimSnippet(text, ranges) {
+    if (text.length <= SNIPPET_CHARS) {
+        return { text, highlights: ranges };
+    }
+
+    const anchor = ranges.length ? ranges[0][0] : 0;
+    let from = Math.max(0, anchor - Math.floor(SNIPPET_CHARS / 3));
+    let to = Math.min(text.length, from + SNIPPET_CHARS);
+    from = Math.max(0, to - SNIPPET_CHARS);
+
+    // Don't cut words in half
+    if (from > 0) from = text.indexOf(' ', from) + 1 || from;
+    if (to < text.length) to = text.lastIndexOf(' ', to) > from ? text.lastIndexOf(' ', to) : to;
+
+    const prefix = from > 0 ? '…' : '';
+    const suffix = to < text.length ? '…' : '';
+    const shift = prefix.length - from;
+
+    return {
+        text: prefix + text.slice(from, to) + suffix,
+        highlights: ranges
+            .filter(([start, end]) => start >= from && end <= to)
+            .map(([start, end]) => [start + shift, end + shift])
+    };
+}
+
+module.exports = { SearchIndex, parseQuery, tokenize };
@@ -0,0 +1,391 @@
+const path = require('path');
+const fs = require('fs');
+const fsp = fs.promises;
+const crypto = require('crypto');
+const { Readable, Transform, pipeline } = require('stream');
+
+// Encrypted storage for uploads, transcripts and summaries.
+//
+// Every file gets its own random data key, wrapped (AES-256-GCM) by a key
+// derived from the master key. The master key comes from STORAGE_PASSPHRASE
+// (scrypt) or a keyfile; data/keystore.json records which, plus a check value
+// so a wrong passphrase fails at startup instead of on the first read.
+//
+// File layout:  "LTE1" | uint32 header length | header JSON | chunks
+// Plaintext is sealed in 64 KiB chunks (ciphertext + 16-byte tag each) so media
+// can be decrypted from any offset for HTTP Range requests. Chunk nonces are
+// an 8-byte random prefix plus the chunk index, and the header plus a
+// last-chunk flag are authenticated with every chunk, so reordering or
+// truncating a file is detected.
+const MAGIC = Buffer.from('LTE1');
+const CHUNK_SIZE = 64 * 1024;
+const TAG_LENGTH = 16;
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const CHECK_PLAINTEXT = 'local-transcript-keystore';
+
+function gcmSeal(key, plaintext, aad) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    if (aad) cipher.setAAD(aad);
+    const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), data]);
+}
+
+function gcmOpen(key, sealed, aad) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, sealed.subarray(0, 12));
+    decipher.setAuthTag(sealed.subarray(12, 12 + TAG_LENGTH));
+    if (aad) decipher.setAAD(aad);
+    return Buffer.concat([decipher.update(sealed.subarray(12 + TAG_LENGTH)), decipher.final()]);
+}
+
+function chunkNonce(prefix, index) {
+    const nonce = Buffer.alloc(12);
+    prefix.copy(nonce, 0);
+    nonce.writeUInt32BE(index, 8);
+    return nonce;
+}
+
+function chunkAad(header, last) {
+    return Buffer.concat([header, Buffer.from([last ? 1 : 0])]);
+}
+
+// Keyfiles hold 32 bytes as hex, base64 or raw binary
+function parseKeyFile(contents) {
+    const text = contents.toString('utf8').trim();
+    if (/^[0-9a-f]{64}$/i.test(text)) return Buffer.from(text, 'hex');
+
+    const decoded = Buffer.from(text, 'base64');
+    if (decoded.length === 32 && decoded.toString('base64') === text) return decoded;
+    if (contents.length === 32) return contents;
+
+    throw new Error('Storage keyfile must contain a 32-byte key (hex, base64 or raw)');
+}
+
+class SecureStore {
+    constructor({ keystorePath, keyFile, passphrase }) {
+        this.keystorePath = keystorePath;
+        this.keyFile = keyFile;
+        this.passphrase = passphrase;
+        this.wrapKey = null;
+        this.journalKey = null;
+        this.auditKey = null;
+    }
+
+    // Load (or on first run, create) the master key and derive the working keys
+    async unlock() {
+        await fsp.mkdir(path.dirname(this.keystorePath), { recursive: true });
+
+        let keystore = null;
+        try {
+            keystore = JSON.parse(await fsp.readFile(this.keystorePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const source = keystore ? keystore.source : (this.passphrase ? 'passphrase' : 'keyfile');
+        let masterKey;
+        let created = false;
+
+        if (source === 'passphrase') {
+            if (!this.passphrase) {
+                throw new Error('Stored files are protected by a passphrase; set STORAGE_PASSPHRASE');
+            }
+            const salt = keystore ? Buffer.from(keystore.salt, 'base64') : crypto.randomBytes(16);
+            const params = keystore ? keystore.scrypt : SCRYPT_PARAMS;
+            masterKey = crypto.scryptSync(this.passphrase, salt, 32, { ...params, maxmem: SCRYPT_PARAMS.maxmem });
+            keystore = keystore || { source, salt: salt.toString('base64'), scrypt: { N: params.N, r: params.r, p: params.p } };
+        } else {
+            try {
+                masterKey = parseKeyFile(await fsp.readFile(this.keyFile));
+            } catch (error) {
+                if (error.code !== 'ENOENT' || keystore) {
+                    throw error.code === 'ENOENT'
+                        ? new Error(`Storage keyfile ${this.keyFile} is missing; stored files cannot be decrypted without it`)
+                        : error;
+                }
+                masterKey = crypto.randomBytes(32);
+                await fsp.mkdir(path.dirname(this.keyFile), { recursive: true });
+                await fsp.writeFile(this.keyFile, masterKey.toString('hex') + '\n', { mode: 0o600 });
+                created = true;
+            }
+            keystore = keystore || { source };
+        }
+
+        const derive = info => Buffer.from(crypto.hkdfSync('sha256', masterKey, Buffer.alloc(0), info, 32));
+        const checkKey = derive('keystore-check');
+
+        if (keystore.check) {
+            try {
+                gcmOpen(checkKey, Buffer.from(keystore.check, 'base64'));
+            } catch (error) {
+                throw new Error(source === 'passphrase'
+                    ? 'STORAGE_PASSPHRASE does not match the one used to encrypt stored files'
+                    : `Storage keyfile ${this.keyFile} does not match the one used to encrypt stored files`);
+            }
+        } else {
+            keystore.check = gcmSeal(checkKey, Buffer.from(CHECK_PLAINTEXT)).toString('base64');
+            keystore.createdAt = new Date().toISOString();
+            await fsp.writeFile(this.keystorePath, JSON.stringify(keystore, null, 2) + '\n', { mode: 0o600 });
+        }
+
+        this.wrapKey = derive('file-key-wrap');
+        this.journalKey = derive('job-journal');
+        this.auditKey = derive('audit-head');
+
+        return { source, created };
+    }
+
+    assertUnlocked() {
+        if (!this.wrapKey) {
+            throw new Error('Secure storage is locked');
+        }
+    }
+
+    // Random file names so nothing on disk reveals the client or case
+    newPath(directory) {
+        return path.join(directory, `${crypto.randomBytes(16).toString('hex')}.enc`);
+    }
+
+    newHeader() {
+        this.assertUnlocked();
+        const dataKey = crypto.randomBytes(32);
+        const header = Buffer.from(JSON.stringify({
+            v: 1,
+            chunkSize: CHUNK_SIZE,
+            key: gcmSeal(this.wrapKey, dataKey).toString('base64'),
+            nonce: crypto.randomBytes(8).toString('base64')
+        }));
+        return { header, dataKey };
+    }
+
+    // Transform stream: plaintext in, sealed file contents out
+    createEncryptStream() {
+        const { header, dataKey } = this.newHeader();
+        const { nonce } = JSON.parse(header);
+        const prefix = Buffer.from(nonce, 'base64');
+        let pending = Buffer.alloc(0);
+        let index = 0;
+
+        const seal = (chunk, last) => {
+            const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, chunkNonce(prefix, index++));
+            cipher.setAAD(chunkAad(header, last));
+            return Buffer.concat([cipher.update(chunk), cipher.final(), cipher.getAuthTag()]);
+        };
+
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(header.length);
+
+        return new Transform({
+            construct(callback) {
+                this.push(Buffer.concat([MAGIC, length, header]));
+                callback();
+            },
+            transform(data, encoding, callback) {
+                pending = Buffer.concat([pending, data]);
+                // Hold back at least one byte so the final chunk is always sealed in flush()
+                while (pending.length > CHUNK_SIZE) {
+                    this.push(seal(pending.subarray(0, CHUNK_SIZE), false));
+                    pending = pending.subarray(CHUNK_SIZE);
+                }
+                callback();
+            },
+            flush(callback) {
+                this.push(seal(pending, true));
+                callback();
+            }
+        });
+    }
+
+    // Encrypt a stream to disk; writes to a temporary name and renames on success
+    writeStream(filePath, source) {
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+        return new Promise((resolve, reject) => {
+            pipeline(source, this.createEncryptStream(), fs.createWriteStream(tmpPath, { mode: 0o600 }), (error) => {
+                if (error) {
+                    fsp.unlink(tmpPath).catch(() => {});
+                    reject(error);
+                    return;
+                }
+                fsp.rename(tmpPath, filePath).then(resolve, reject);
+            });
+        });
+    }
+
+    writeFile(filePath, data) {
+        return this.writeStream(filePath, Readable.from([Buffer.from(data)]));
+    }
+
+    async readFile(filePath, encoding) {
+        const parts = [];
+        for await (const part of this.createReadStream(filePath)) {
+            parts.push(part);
+        }
+        const contents = Buffer.concat(parts);
+        return encoding ? contents.toString(encoding) : contents;
+    }
+
+    // Files written before encryption was enabled are read as-is
+    async isSealed(filePath) {
+        const handle = await fsp.open(filePath, 'r');
+        try {
+            const magic = Buffer.alloc(MAGIC.length);
+            await handle.read(magic, 0, MAGIC.length, 0);
+            return magic.equals(MAGIC);
+        } finally {
+            await handle.close();
+        }
+    }
+
+    async openSealed(handle) {
+        this.assertUnlocked();
+        const prefix = Buffer.alloc(8);
+        await handle.read(prefix, 0, 8, 0);
+        if (!prefix.subarray(0, 4).equals(MAGIC)) {
+            throw new Error('Not an encrypted storage file');
+        }
+
+        const header = Buffer.alloc(prefix.readUInt32BE(4));
+        await handle.read(header, 0, header.length, 8);
+        const meta = JSON.parse(header);
+        const dataStart = 8 + header.length;
+        const { size: fileSize } = await handle.stat();
+        const stored = meta.chunkSize + TAG_LENGTH;
+        const chunkCount = Math.max(1, Math.ceil((fileSize - dataStart) / stored));
+
+        return {
+            header,
+            dataStart,
+            chunkSize: meta.chunkSize,
+            chunkCount,
+            size: fileSize - dataStart - chunkCount * TAG_LENGTH,
+            dataKey: gcmOpen(this.wrapKey, Buffer.from(meta.key, 'base64')),
+            prefix: Buffer.from(meta.nonce, 'base64')
+        };
+    }
+
+    // Plaintext size, without decrypting anything
+    async size(filePath) {
+        const handle = await fsp.open(filePath, 'r');
+        try {
+            return (await this.openSealed(handle)).size;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    // Readable of the plaintext, optionally limited to bytes start..end (inclusive)
+    createReadStream(filePath, { start = 0, end = Infinity } = {}) {
+        const store = this;
+
+        async function* decrypt() {
+            const handle = await fsp.open(filePath, 'r');
+            try {
+                const file = await store.openSealed(handle);
+                const last = Math.min(end, file.size - 1);
+                if (last < start) return;
+
+                const stored = file.chunkSize + TAG_LENGTH;
+                for (let index = Math.floor(start / file.chunkSize); index <= Math.floor(last / file.chunkSize); index++) {
+                    const buffer = Buffer.alloc(stored);
+                    const { bytesRead } = await handle.read(buffer, 0, stored, file.dataStart + index * stored);
+                    if (bytesRead < TAG_LENGTH) {
+                        throw new Error('Encrypted file is truncated');
+                    }
+
+                    const decipher = crypto.createDecipheriv('aes-256-gcm', file.dataKey, chunkNonce(file.prefix, index));
+                    decipher.setAAD(chunkAad(file.header, index === file.chunkCount - 1));
+                    decipher.setAuthTag(buffer.subarray(bytesRead - TAG_LENGTH, bytesRead));
+                    const plain = Buffer.concat([decipher.update(buffer.subarray(0, bytesRead - TAG_LENGTH)), decipher.final()]);
+
+                    const offset = index * file.chunkSize;
+                    yield plain.subarray(Math.max(0, start - offset), last - offset + 1);
+                }
+            } finally {
+                await handle.close();
+            }
+        }
+
+        return Readable.from(decrypt());
+    }
+
+    // Write a plaintext working copy for tools that need a real file (ffmpeg)
+    decryptToFile(filePath, destination) {
+        return new Promise((resolve, reject) => {
+            pipeline(this.createReadStream(filePath), fs.createWriteStream(destination, { mode: 0o600 }), (error) => {
+                if (error) reject(error);
+                else resolve(destination);
+            });
+        });
+    }
+
+    // Overwrite a file with random bytes, then remove it. For encrypted files the
+    // per-file key lives in the header, so once that is overwritten the data is
+    // unrecoverable even where the filesystem or SSD keeps stale blocks.
+    // Resolves false when the file was already gone.
+    async shred(filePath) {
+        let handle;
+        try {
+            handle = await fsp.open(filePath, 'r+');
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+
+        try {
+            const { size } = await handle.stat();
+            for (let offset = 0; offset < size; offset += CHUNK_SIZE) {
+                const length = Math.min(CHUNK_SIZE, size - offset);
+                await handle.write(crypto.randomBytes(length), 0, length, offset);
+            }
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        await fsp.unlink(filePath);
+        return true;
+    }
+
+    // Line codec for the job journal, which holds transcripts and client details
+    sealLine(text) {
+        this.assertUnlocked();
+        return 'enc:' + gcmSeal(this.journalKey, Buffer.from(text)).toString('base64');
+    }
+
+    openLine(line) {
+        if (!line.startsWith('enc:')) return line;
+        this.assertUnlocked();
+        return gcmOpen(this.journalKey, Buffer.from(line.slice(4), 'base64')).toString('utf8');
+    }
+
+    // Multer storage engine that encrypts uploads as they arrive, so the
+    // plaintext recording never touches the disk. Also reports the SHA-256 of
+    // the original bytes for chain-of-custody records.
+    uploadStorage(directory) {
+        return {
+            _handleFile: (req, file, callback) => {
+                const filePath = this.newPath(directory);
+                const digest = crypto.createHash('sha256');
+                let size = 0;
+                file.stream.on('data', (chunk) => {
+                    size += chunk.length;
+                    digest.update(chunk);
+                });
+                this.writeStream(filePath, file.stream)
+                    .then(() => callback(null, {
+                        path: filePath,
+                        filename: path.basename(filePath),
+                        size,
+                        sha256: digest.digest('hex')
+                    }))
+                    .catch(callback);
+            },
+            _removeFile: (req, file, callback) => {
+                fsp.unlink(file.path).then(() => callback(null), callback);
+            }
+        };
+    }
+}
+
+module.exports = SecureStore;
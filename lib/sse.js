@@ -0,0 +1,41 @@
+// Server-sent events helper: turns an Express response into an event stream
+function openEventStream(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(': connected\n\n');
+
+    const closeHandlers = [];
+    let closed = false;
+
+    // Comment lines keep proxies and browsers from timing out idle streams
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+    const cleanup = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(keepAlive);
+        closeHandlers.forEach(handler => handler());
+    };
+
+    req.on('close', cleanup);
+
+    return {
+        send(event, data) {
+            if (closed) return;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+        onClose(handler) {
+            closeHandlers.push(handler);
+        },
+        close() {
+            cleanup();
+            res.end();
+        }
+    };
+}
+
+module.exports = { openEventStream };
@@ -0,0 +1,93 @@
+const EventEmitter = require('events');
+
+// Per-stage concurrency limiter for the processing pipeline.
+// Each stage (ffmpeg, whisper, ollama) has its own slot count and FIFO wait list,
+// so one slow whisper run does not hold up conversions of newer uploads.
+// Emits 'change' whenever queue positions may have moved.
+class StageQueue extends EventEmitter {
+    constructor(limits = {}) {
+        super();
+        this.stages = {};
+        for (const [stage, limit] of Object.entries(limits)) {
+            this.stages[stage] = {
+                limit: Math.max(1, parseInt(limit, 10) || 1),
+                active: new Set(),
+                waiting: []
+            };
+        }
+    }
+
+    getStage(stage) {
+        const entry = this.stages[stage];
+        if (!entry) {
+            throw new Error(`Unknown processing stage: ${stage}`);
+        }
+        return entry;
+    }
+
+    // Resolves with a release function once a slot is free
+    acquire(stage, jobId) {
+        const entry = this.getStage(stage);
+
+        return new Promise((resolve, reject) => {
+            const waiter = { jobId, resolve, reject };
+            entry.waiting.push(waiter);
+            this.drain(stage);
+            this.emit('change');
+        });
+    }
+
+    drain(stage) {
+        const entry = this.getStage(stage);
+
+        while (entry.active.size < entry.limit && entry.waiting.length > 0) {
+            const waiter = entry.waiting.shift();
+            const slot = { jobId: waiter.jobId };
+            entry.active.add(slot);
+
+            let released = false;
+            waiter.resolve(() => {
+                if (released) return;
+                released = true;
+                entry.active.delete(slot);
+                this.drain(stage);
+                this.emit('change');
+            });
+        }
+    }
+
+    // 1-based position of a job waiting for a stage, or null if it is not waiting
+    position(jobId) {
+        for (const [stage, entry] of Object.entries(this.stages)) {
+            const index = entry.waiting.findIndex(waiter => waiter.jobId === jobId);
+            if (index !== -1) {
+                return { stage, position: index + 1, running: entry.active.size, limit: entry.limit };
+            }
+        }
+        return null;
+    }
+
+    // Drop a job from every wait list; its pending acquire() rejects
+    cancel(jobId) {
+        for (const entry of Object.values(this.stages)) {
+            entry.waiting = entry.waiting.filter(waiter => {
+                if (waiter.jobId !== jobId) return true;
+                const error = new Error('Job cancelled');
+                error.code = 'JOB_CANCELLED';
+                waiter.reject(error);
+                return false;
+            });
+        }
+        this.emit('change');
+    }
+
+    stats() {
+        const result = {};
+        for (const [stage, entry] of Object.entries(this.stages)) {
+            result[stage] = { limit: entry.limit, running: entry.active.size, waiting: entry.waiting.length };
+        }
+        return result;
+    }
+}
+
+module.exports = StageQueue;
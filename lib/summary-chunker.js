@@ -0,0 +1,116 @@
+const { formatClock, speakerName } = require('./transcript-format');
+
+// Long recordings overflow the model's context window, so the transcript is
+// split into overlapping chunks that are summarized separately (map) and then
+// consolidated into one summary (reduce).
+// Sizes are in characters; roughly 4 characters per token for English text.
+// With OLLAMA_NUM_CTX set, chunks fill about half the context window, leaving
+// room for the instructions and the model's answer.
+const DEFAULT_MAX_CHARS = parseInt(process.env.SUMMARY_CHUNK_CHARS, 10)
+    || (parseInt(process.env.OLLAMA_NUM_CTX, 10) * 2)
+    || 10000;
+const DEFAULT_OVERLAP_SEGMENTS = parseInt(process.env.SUMMARY_CHUNK_OVERLAP, 10) || 3;
+
+function segmentLine(segment, speakers) {
+    const name = speakerName(segment, speakers);
+    return `[${formatClock(segment.start)}] ${name ? `${name}: ` : ''}${segment.text}`;
+}
+
+// Build chunks of whole segments. When a chunk is full it is cut at the last
+// speaker change in its second half if there is one, so turns stay intact, and
+// the next chunk starts a few segments earlier to carry context across the cut.
+function chunkSegments(segments, speakers = {}, options = {}) {
+    const maxChars = options.maxChars || DEFAULT_MAX_CHARS;
+    const overlap = options.overlapSegments ?? DEFAULT_OVERLAP_SEGMENTS;
+    const lines = segments.map(segment => segmentLine(segment, speakers));
+    const chunks = [];
+
+    let first = 0;
+    while (first < segments.length) {
+        let last = first;
+        let size = lines[first].length;
+        while (last + 1 < segments.length && size + lines[last + 1].length + 1 <= maxChars) {
+            last++;
+            size += lines[last].length + 1;
+        }
+
+        if (last + 1 < segments.length) {
+            const midpoint = first + Math.floor((last - first) / 2);
+            for (let i = last; i > midpoint; i--) {
+                if (segments[i].speaker && segments[i].speaker !== segments[i + 1].speaker) {
+                    last = i;
+                    break;
+                }
+            }
+        }
+
+        chunks.push({
+            index: chunks.length,
+            start: segments[first].start,
+            end: segments[last].end,
+            text: lines.slice(first, last + 1).join('\n')
+        });
+
+        if (last + 1 >= segments.length) break;
+        // Always move forward, even when the overlap is as large as the chunk
+        first = Math.max(first + 1, last + 1 - overlap);
+    }
+
+    return chunks;
+}
+
+// Fallback for transcripts without timed segments: split on lines, then sentences
+function chunkText(text, options = {}) {
+    const maxChars = options.maxChars || DEFAULT_MAX_CHARS;
+    const pieces = text.split(/\n+|(?<=[.!?])\s+/).filter(piece => piece.trim());
+    const pseudoSegments = pieces.map((piece, index) => ({ start: index, end: index, text: piece.trim() }));
+
+    return chunkSegments(pseudoSegments, {}, { maxChars, overlapSegments: options.overlapSegments })
+        .map(chunk => ({
+            index: chunk.index,
+            start: null,
+            end: null,
+            text: chunk.text.replace(/^\[\d{2}:\d{2}:\d{2}\] /gm, '')
+        }));
+}
+
+function chunkPrompt(chunk, total, context = {}) {
+    const range = chunk.start !== null
+        ? ` covering ${formatClock(chunk.start)} to ${formatClock(chunk.end)}`
+        : '';
+
+    return `**Situation** You are an expert legal secretary. A long legal recording has been split into ${total} consecutive parts, and you are reading part ${chunk.index + 1}${range}. Consecutive parts overlap slightly.
+
+**Context**
+- Client: ${context.clientName || 'Not provided'}
+- Case number: ${context.caseNumber || 'Not provided'}
+
+**Task** Write detailed, chronological notes on this part only. They will later be combined with the notes from the other parts into a single summary.
+
+**Instructions** The assistant should:
+1. Keep the notes under 300 words
+2. Keep events in the order they occur and include the [HH:MM:SS] timestamp of each important statement
+3. Attribute statements to speakers by their labels and preserve names, dates, amounts and case citations exactly
+4. Do not add an introduction or conclusion, and do not speculate about other parts
+
+**Transcript Part ${chunk.index + 1} of ${total}:**
+${chunk.text}`;
+}
+
+// The combined chunk notes stand in for the transcript in the template prompt
+function consolidationInput(chunks, notes) {
+    const parts = chunks.map((chunk, index) => {
+        const range = chunk.start !== null ? ` (${formatClock(chunk.start)}–${formatClock(chunk.end)})` : '';
+        return `Part ${index + 1}${range}:\n${notes[index]}`;
+    });
+
+    return `The recording was too long to analyze at once. Below are chronological notes from each consecutive part. Parts overlap slightly, so do not count repeated material twice, and keep the overall chronology.\n\n${parts.join('\n\n')}`;
+}
+
+module.exports = {
+    DEFAULT_MAX_CHARS,
+    chunkSegments,
+    chunkText,
+    chunkPrompt,
+    consolidationInput
+};
@@ -0,0 +1,186 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+// Summary templates are JSON files in templates/, one per template:
+// { id, name, description, sections: [...], prompt }
+// The prompt may use {{clientName}}, {{caseNumber}}, {{meetingNotes}},
+// {{sections}}, {{speakerNote}}, {{date}} and {{transcript}}.
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+function templateError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+class TemplateStore {
+    constructor(directory, defaultId = 'deposition') {
+        this.directory = directory;
+        this.defaultId = defaultId;
+    }
+
+    filePath(id) {
+        if (!ID_PATTERN.test(id || '')) {
+            throw templateError('Template id must be lowercase letters, numbers and dashes');
+        }
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    async list() {
+        await fs.mkdir(this.directory, { recursive: true });
+        const files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+
+        const templates = [];
+        for (const file of files) {
+            try {
+                templates.push(await this.get(path.basename(file, '.json')));
+            } catch (error) {
+                console.warn(`⚠️  Skipping invalid template ${file}: ${error.message}`);
+            }
+        }
+
+        return templates.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async get(id) {
+        let contents;
+        try {
+            contents = await fs.readFile(this.filePath(id), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw templateError(`Template not found: ${id}`, 404);
+            }
+            throw error;
+        }
+
+        return { ...JSON.parse(contents), id, isDefault: id === this.defaultId };
+    }
+
+    // Falls back to the default template when the requested one is gone
+    async resolve(id) {
+        try {
+            return await this.get(id || this.defaultId);
+        } catch (error) {
+            if (error.status === 404 && id && id !== this.defaultId) {
+                return this.get(this.defaultId);
+            }
+            throw error;
+        }
+    }
+
+    validate(template) {
+        if (!template || typeof template !== 'object') {
+            throw templateError('Expected a template object');
+        }
+        if (typeof template.name !== 'string' || !template.name.trim()) {
+            throw templateError('Template name is required');
+        }
+        if (typeof template.prompt !== 'string' || !template.prompt.trim()) {
+            throw templateError('Template prompt is required');
+        }
+        if (template.sections !== undefined
+            && (!Array.isArray(template.sections) || !template.sections.every(section => typeof section === 'string'))) {
+            throw templateError('Template sections must be a list of headings');
+        }
+
+        return {
+            name: template.name.trim(),
+            description: typeof template.description === 'string' ? template.description.trim() : '',
+            sections: (template.sections || []).map(section => section.trim()).filter(Boolean),
+            prompt: template.prompt
+        };
+    }
+
+    async save(id, template, { create = false } = {}) {
+        const filePath = this.filePath(id);
+        const clean = this.validate(template);
+
+        const exists = await fs.access(filePath).then(() => true, () => false);
+        if (create && exists) {
+            throw templateError(`Template already exists: ${id}`, 409);
+        }
+        if (!create && !exists) {
+            throw templateError(`Template not found: ${id}`, 404);
+        }
+
+        await fs.writeFile(filePath, JSON.stringify({ id, ...clean }, null, 4) + '\n');
+        return this.get(id);
+    }
+
+    async remove(id) {
+        if (id === this.defaultId) {
+            throw templateError('The default template cannot be deleted');
+        }
+
+        try {
+            await fs.unlink(this.filePath(id));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw templateError(`Template not found: ${id}`, 404);
+            }
+            throw error;
+        }
+    }
+}
+
+function joinSections(sections) {
+    if (sections.length <= 1) return sections.join('');
+    return `${sections.slice(0, -1).join(', ')}, and ${sections[sections.length - 1]}`;
+}
+
+function renderPrompt(template, variables) {
+    const values = {
+        clientName: variables.clientName || 'Not provided',
+        caseNumber: variables.caseNumber || 'Not provided',
+        meetingNotes: variables.meetingNotes || 'None',
+        sections: joinSections(template.sections || []),
+        speakerNote: variables.hasSpeakers
+            ? 'Note: each transcript line begins with the speaker\'s label; use these labels to attribute statements.\n'
+            : '',
+        date: variables.date || new Date().toISOString().slice(0, 10),
+        transcript: variables.transcript || ''
+    };
+
+    let prompt = template.prompt.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+        Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match
+    ));
+
+    // Templates written without a transcript placeholder still get the transcript
+    if (!/\{\{\s*transcript\s*\}\}/.test(template.prompt)) {
+        prompt += `\n\n**Transcript to Analyze:**\n${values.transcript}`;
+    }
+
+    return prompt;
+}
+
+// Split a generated summary into the template's declared sections by finding
+// heading lines (markdown #, **bold** or plain) that name each section
+function extractSections(summary, sections = []) {
+    if (!sections.length) return null;
+
+    const lines = summary.split('\n');
+    const normalize = text => text.replace(/[#*_:]/g, '').trim().toLowerCase();
+    const found = {};
+    let current = null;
+
+    for (const line of lines) {
+        const heading = sections.find(section => normalize(line) === section.toLowerCase());
+        if (heading) {
+            current = heading;
+            found[current] = [];
+        } else if (current) {
+            found[current].push(line);
+        }
+    }
+
+    return sections.map(section => ({
+        heading: section,
+        content: found[section] ? found[section].join('\n').trim() : ''
+    }));
+}
+
+module.exports = {
+    TemplateStore,
+    renderPrompt,
+    extractSections
+};
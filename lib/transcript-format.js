@@ -0,0 +1,150 @@
+// Converts whisper-cli JSON output into timed segments and renders those
+// segments as SRT, WebVTT, JSON or timestamped plain text.
+
+function parseOffset(value) {
+    return typeof value === 'number' ? value / 1000 : 0;
+}
+
+// Whisper tokens are sub-word pieces; a leading space starts a new word.
+// Special tokens such as [_BEG_] or [_TT_123] carry no speech.
+function tokensToWords(tokens = []) {
+    const words = [];
+
+    for (const token of tokens) {
+        if (!token.text || /^\[_.*\]$/.test(token.text)) continue;
+
+        const start = parseOffset(token.offsets?.from);
+        const end = parseOffset(token.offsets?.to);
+        const last = words[words.length - 1];
+
+        if (last && !/^\s/.test(token.text)) {
+            last.text += token.text;
+            last.end = end;
+        } else {
+            words.push({ start, end, text: token.text.trim() });
+        }
+    }
+
+    return words.filter(word => word.text);
+}
+
+function parseWhisperJson(json) {
+    const entries = Array.isArray(json.transcription) ? json.transcription : [];
+
+    return entries
+        .map((entry) => {
+            const segment = {
+                start: parseOffset(entry.offsets?.from),
+                end: parseOffset(entry.offsets?.to),
+                text: (entry.text || '').trim()
+            };
+            const words = tokensToWords(entry.tokens);
+            if (words.length) {
+                segment.words = words;
+            }
+            return segment;
+        })
+        .filter(segment => segment.text)
+        // Ids are positions in the list, as edits, redaction findings and search links use them
+        .map((segment, index) => ({ id: index, ...segment }));
+}
+
+function speakerName(segment, speakers = {}) {
+    if (!segment.speaker) return null;
+    return speakers[segment.speaker] || segment.speaker;
+}
+
+// Plain text, one line per speaker turn when segments carry speakers
+function segmentsToText(segments, speakers = {}) {
+    if (!segments.some(segment => segment.speaker)) {
+        return segments.map(segment => segment.text).join('\n');
+    }
+
+    const lines = [];
+    let current = null;
+    for (const segment of segments) {
+        const name = speakerName(segment, speakers);
+        if (current && current.name === name) {
+            current.text += ' ' + segment.text;
+        } else {
+            current = { name, text: segment.text };
+            lines.push(current);
+        }
+    }
+
+    return lines.map(line => line.name ? `${line.name}: ${line.text}` : line.text).join('\n');
+}
+
+function withSpeaker(segment, speakers) {
+    const name = speakerName(segment, speakers);
+    return name ? `${name}: ${segment.text}` : segment.text;
+}
+
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+}
+
+// 83.456 -> "00:01:23,456" (SRT) or "00:01:23.456" (VTT)
+function formatTimestamp(seconds, separator = '.') {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+// 83.456 -> "00:01:23", the granularity attorneys cite
+function formatClock(seconds) {
+    return formatTimestamp(seconds).slice(0, 8);
+}
+
+// Renderers take (segments, { metadata, speakers }) where speakers maps
+// speaker ids on segments (S1, S2...) to display names
+
+function toSrt(segments, { speakers } = {}) {
+    return segments.map((segment, index) => [
+        index + 1,
+        `${formatTimestamp(segment.start, ',')} --> ${formatTimestamp(segment.end, ',')}`,
+        withSpeaker(segment, speakers)
+    ].join('\n')).join('\n\n') + '\n';
+}
+
+function toVtt(segments, { speakers } = {}) {
+    const cues = segments.map(segment => {
+        const name = speakerName(segment, speakers);
+        return [
+            `${formatTimestamp(segment.start)} --> ${formatTimestamp(segment.end)}`,
+            name ? `<v ${name}>${segment.text}` : segment.text
+        ].join('\n');
+    });
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+function toTimestampedText(segments, { speakers } = {}) {
+    return segments.map(segment => `[${formatClock(segment.start)}] ${withSpeaker(segment, speakers)}`).join('\n') + '\n';
+}
+
+function toJson(segments, { metadata = {}, speakers = {} } = {}) {
+    return JSON.stringify({ metadata, speakers, segments }, null, 2);
+}
+
+const FORMATS = {
+    srt: { contentType: 'application/x-subrip', render: toSrt },
+    vtt: { contentType: 'text/vtt', render: toVtt },
+    json: { contentType: 'application/json', render: toJson },
+    txt: { contentType: 'text/plain', render: toTimestampedText }
+};
+
+module.exports = {
+    FORMATS,
+    parseWhisperJson,
+    segmentsToText,
+    speakerName,
+    formatTimestamp,
+    formatClock,
+    toSrt,
+    toVtt,
+    toJson,
+    toTimestampedText
+};
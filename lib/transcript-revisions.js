@@ -0,0 +1,139 @@
+// Versioned corrections for timed transcripts. Every revision is a full
+// snapshot of segment texts (indexed like results.segments), so any two
+// revisions can be compared and the machine output is never lost.
+
+function createRevision(revisions, { author, note, texts }) {
+    const revision = {
+        revision: revisions.length,
+        author: author || 'anonymous',
+        note: note || '',
+        createdAt: new Date().toISOString(),
+        texts
+    };
+    revisions.push(revision);
+    return revision;
+}
+
+function describe(revision) {
+    return {
+        revision: revision.revision,
+        author: revision.author,
+        note: revision.note,
+        createdAt: revision.createdAt
+    };
+}
+
+function invalidEdit(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Apply [{ id, text }] edits to segments in place; returns the ids that changed
+function applyEdits(segments, edits) {
+    const changed = [];
+
+    for (const edit of edits) {
+        // Segments are addressed by array index; anything else (e.g. "constructor")
+        // would reach properties of the array itself
+        const id = edit && edit.id;
+        if (!Number.isInteger(id) || id < 0 || id >= segments.length) {
+            throw invalidEdit(`Unknown segment: ${id}`);
+        }
+        if (typeof edit.text !== 'string') {
+            throw invalidEdit(`Segment ${edit.id} text must be a string`);
+        }
+    }
+
+    for (const edit of edits) {
+        const segment = segments[edit.id];
+
+        const text = edit.text.replace(/\s+/g, ' ').trim();
+        if (text === segment.text) continue;
+
+        segment.text = text;
+        // Word timings belong to the machine output and no longer line up
+        delete segment.words;
+        // The index the edit named; ids of transcripts from before empty segments
+        // were renumbered can lag behind it
+        changed.push(edit.id);
+    }
+
+    return changed;
+}
+
+// Word-level LCS diff; segments are short, so the quadratic table is cheap
+function diffWords(before, after) {
+    const a = before ? before.split(/\s+/) : [];
+    const b = after ? after.split(/\s+/) : [];
+    const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    const push = (type, word) => {
+        const last = ops[ops.length - 1];
+        if (last && last.type === type) {
+            last.text += ' ' + word;
+        } else {
+            ops.push({ type, text: word });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('equal', a[i]);
+            i++;
+            j++;
+        } else if (table[i + 1][j] >= table[i][j + 1]) {
+            push('delete', a[i++]);
+        } else {
+            push('insert', b[j++]);
+        }
+    }
+    while (i < a.length) push('delete', a[i++]);
+    while (j < b.length) push('insert', b[j++]);
+
+    return ops;
+}
+
+// Changed segments between two revisions, with their timing for context
+function diffRevisions(from, to, segments) {
+    const changes = [];
+    const length = Math.max(from.texts.length, to.texts.length);
+
+    for (let id = 0; id < length; id++) {
+        const before = from.texts[id] || '';
+        const after = to.texts[id] || '';
+        if (before === after) continue;
+
+        changes.push({
+            id,
+            start: segments[id] ? segments[id].start : null,
+            speaker: segments[id] ? segments[id].speaker || null : null,
+            before,
+            after,
+            ops: diffWords(before, after)
+        });
+    }
+
+    return {
+        from: describe(from),
+        to: describe(to),
+        changes
+    };
+}
+
+module.exports = {
+    createRevision,
+    describe,
+    applyEdits,
+    diffWords,
+    diffRevisions
+};
@@ -0,0 +1,185 @@
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Local user accounts in data/users.json:
+// { users: [{ id, username, name, role, passwordHash, disabled, createdAt, updatedAt }] }
+// Passwords are stored as scrypt hashes: "scrypt$N$r$p$salt$hash" (base64 salt and hash).
+const ROLES = ['admin', 'attorney', 'paralegal'];
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,63}$/;
+const MIN_PASSWORD_LENGTH = 10;
+// Bounds the work a sign-in attempt can ask scrypt for
+const MAX_PASSWORD_LENGTH = 1024;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+function userError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const { N, r, p } = SCRYPT_PARAMS;
+    const hash = await scrypt(password, salt, 64, { N, r, p });
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt') return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(N), r: Number(r), p: Number(p)
+    });
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// What the API returns: never the password hash
+function publicUser(user) {
+    const { passwordHash, ...rest } = user;
+    return rest;
+}
+
+class UserStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.users = new Map();
+        this.writeChain = Promise.resolve();
+        // Compared against when the username is unknown, so lookups take the same time
+        this.dummyHash = null;
+    }
+
+    async load() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        try {
+            const { users = [] } = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            users.forEach(user => this.users.set(user.id, user));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        this.dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+        return this.users.size;
+    }
+
+    persist() {
+        const contents = JSON.stringify({ users: Array.from(this.users.values()) }, null, 2) + '\n';
+        const tmpPath = this.filePath + '.tmp';
+
+        const write = this.writeChain.then(async () => {
+            await fs.writeFile(tmpPath, contents, { mode: 0o600 });
+            await fs.rename(tmpPath, this.filePath);
+        });
+        // One failed write (e.g. a full disk) must not stop the ones after it; the caller still sees it fail
+        this.writeChain = write.catch((error) => {
+            console.error('User store write error:', error);
+        });
+        return write;
+    }
+
+    list() {
+        return Array.from(this.users.values())
+            .map(publicUser)
+            .sort((a, b) => a.username.localeCompare(b.username));
+    }
+
+    get(id) {
+        return this.users.get(id) || null;
+    }
+
+    findByUsername(username) {
+        const needle = (username || '').toLowerCase();
+        return Array.from(this.users.values()).find(user => user.username === needle) || null;
+    }
+
+    validatePassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+            throw userError(`Password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`);
+        }
+    }
+
+    validateRole(role) {
+        if (!ROLES.includes(role)) {
+            throw userError(`Role must be one of: ${ROLES.join(', ')}`);
+        }
+    }
+
+    async create({ username, name, role, password }) {
+        username = (username || '').trim().toLowerCase();
+        if (!USERNAME_PATTERN.test(username)) {
+            throw userError('Username must be 2-64 lowercase letters, numbers, dots, dashes or underscores');
+        }
+        if (this.findByUsername(username)) {
+            throw userError(`User already exists: ${username}`, 409);
+        }
+        this.validateRole(role);
+        this.validatePassword(password);
+
+        const now = new Date().toISOString();
+        const user = {
+            id: crypto.randomUUID(),
+            username,
+            name: (name || '').trim() || username,
+            role,
+            passwordHash: await hashPassword(password),
+            disabled: false,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.users.set(user.id, user);
+        await this.persist();
+        return publicUser(user);
+    }
+
+    // Admin edits: { name, role, password, disabled }
+    async update(id, changes = {}) {
+        const user = this.get(id);
+        if (!user) {
+            throw userError('User not found', 404);
+        }
+
+        if (changes.role !== undefined) {
+            this.validateRole(changes.role);
+            const otherAdmins = Array.from(this.users.values())
+                .filter(other => other.id !== id && other.role === 'admin' && !other.disabled);
+            if (user.role === 'admin' && changes.role !== 'admin' && !otherAdmins.length) {
+                throw userError('Cannot remove the last admin');
+            }
+            user.role = changes.role;
+        }
+        if (changes.name !== undefined) {
+            user.name = String(changes.name).trim() || user.username;
+        }
+        if (changes.password !== undefined) {
+            this.validatePassword(changes.password);
+            user.passwordHash = await hashPassword(changes.password);
+        }
+        if (changes.disabled !== undefined) {
+            user.disabled = Boolean(changes.disabled);
+        }
+
+        user.updatedAt = new Date().toISOString();
+        await this.persist();
+        return publicUser(user);
+    }
+
+    // Resolves with the user for valid credentials, otherwise null
+    async authenticate(username, password) {
+        const user = this.findByUsername(username);
+        const valid = await verifyPassword(String(password || ''), user ? user.passwordHash : this.dummyHash);
+
+        if (!user || !valid || user.disabled) {
+            return null;
+        }
+        return user;
+    }
+}
+
+module.exports = { UserStore, ROLES, MIN_PASSWORD_LENGTH, MAX_PASSWORD_LENGTH, hashPassword, verifyPassword, publicUser };
@@ -0,0 +1,220 @@
+const http = require('http');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+// The server side of the WebSocket protocol (RFC 6455), enough for the live
+// recording channel: the handshake, masked client frames, fragmented messages,
+// ping/pong and the closing handshake. Extensions such as permessage-deflate
+// are declined by not answering them.
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+// Answer an upgrade request with a plain HTTP error instead
+function rejectUpgrade(socket, status, message) {
+    socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n`
+        + 'Content-Type: text/plain; charset=utf-8\r\n'
+        + `Content-Length: ${Buffer.byteLength(message)}\r\n`
+        + 'Connection: close\r\n\r\n'
+        + message);
+}
+
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+// Emits 'message' (data: Buffer, isBinary) and, once, 'close' (code, reason)
+class WebSocketConnection extends EventEmitter {
+    constructor(socket, { maxMessageBytes = 16 * 1024 * 1024 } = {}) {
+        super();
+        this.socket = socket;
+        this.maxMessageBytes = maxMessageBytes;
+        this.buffer = Buffer.alloc(0);
+        // Opcode and parts of a message arriving in several frames
+        this.fragmentOpcode = null;
+        this.fragments = [];
+        this.fragmentBytes = 0;
+        this.closing = false;
+        this.closed = false;
+
+        socket.setNoDelay(true);
+        socket.setTimeout(0);
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('close', () => this.finish(1006, 'Connection lost'));
+        socket.on('error', () => socket.destroy());
+    }
+
+    receive(chunk) {
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+        while (!this.closing) {
+            const frame = this.readFrame();
+            if (!frame) return;
+            this.handleFrame(frame);
+        }
+    }
+
+    // The next complete frame from the buffer, or null until more data arrives
+    readFrame() {
+        const data = this.buffer;
+        if (data.length < 2) return null;
+
+        const fin = (data[0] & 0x80) !== 0;
+        const opcode = data[0] & 0x0f;
+        const masked = (data[1] & 0x80) !== 0;
+        let length = data[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (data.length < 4) return null;
+            length = data.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (data.length < 10) return null;
+            const declared = data.readBigUInt64BE(2);
+            length = declared > BigInt(this.maxMessageBytes) ? Infinity : Number(declared);
+            offset = 10;
+        }
+
+        if (!masked) {
+            this.close(1002, 'Client frames must be masked');
+            return null;
+        }
+        if (length > this.maxMessageBytes) {
+            this.close(1009, 'Message too big');
+            return null;
+        }
+        if (data.length < offset + 4 + length) return null;
+
+        const mask = data.subarray(offset, offset + 4);
+        const payload = Buffer.from(data.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i & 3];
+        }
+        this.buffer = data.subarray(offset + 4 + length);
+
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.ping:
+                this.sendFrame(OPCODES.pong, payload);
+                return;
+            case OPCODES.pong:
+                return;
+            case OPCODES.close: {
+                const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+                this.close(1000);
+                this.finish(code, payload.subarray(2).toString('utf8'));
+                return;
+            }
+            case OPCODES.text:
+            case OPCODES.binary:
+                if (this.fragmentOpcode !== null) {
+                    this.close(1002, 'Expected a continuation frame');
+                    return;
+                }
+                if (fin) {
+                    this.emit('message', payload, opcode === OPCODES.binary);
+                    return;
+                }
+                this.fragmentOpcode = opcode;
+                this.fragments = [payload];
+                this.fragmentBytes = payload.length;
+                return;
+            case OPCODES.continuation:
+                if (this.fragmentOpcode === null) {
+                    this.close(1002, 'Unexpected continuation frame');
+                    return;
+                }
+                this.fragments.push(payload);
+                this.fragmentBytes += payload.length;
+                if (this.fragmentBytes > this.maxMessageBytes) {
+                    this.close(1009, 'Message too big');
+                    return;
+                }
+                if (fin) {
+                    const message = Buffer.concat(this.fragments);
+                    const isBinary = this.fragmentOpcode === OPCODES.binary;
+                    this.fragmentOpcode = null;
+                    this.fragments = [];
+                    this.emit('message', message, isBinary);
+                }
+                return;
+            default:
+                this.close(1002, `Unknown opcode ${opcode}`);
+        }
+    }
+
+    sendFrame(opcode, payload) {
+        if (this.closed || this.socket.destroyed) return;
+        this.socket.write(encodeFrame(opcode, payload));
+    }
+
+    // Strings go as text messages, Buffers as binary
+    send(data) {
+        if (this.closing) return;
+        if (Buffer.isBuffer(data)) {
+            this.sendFrame(OPCODES.binary, data);
+        } else {
+            this.sendFrame(OPCODES.text, Buffer.from(String(data)));
+        }
+    }
+
+    // Start (or answer) the closing handshake; the socket is dropped if the
+    // other side does not finish it
+    close(code = 1000, reason = '') {
+        if (this.closing) return;
+        this.closing = true;
+
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.sendFrame(OPCODES.close, payload);
+        this.socket.end();
+        setTimeout(() => this.socket.destroy(), 5000).unref();
+    }
+
+    finish(code, reason) {
+        if (this.closed) return;
+        this.closed = true;
+        this.closing = true;
+        this.emit('close', code, reason);
+    }
+}
+
+// Complete the handshake for an HTTP 'upgrade' event. Returns the connection,
+// or null after answering a request that is not a WebSocket handshake.
+function acceptWebSocket(req, socket, head, options) {
+    const key = req.headers['sec-websocket-key'];
+    if ((req.headers.upgrade || '').toLowerCase() !== 'websocket' || !key || req.headers['sec-websocket-version'] !== '13') {
+        rejectUpgrade(socket, 400, 'Expected a WebSocket handshake');
+        return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\n'
+        + 'Upgrade: websocket\r\n'
+        + 'Connection: Upgrade\r\n'
+        + `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+
+    const connection = new WebSocketConnection(socket, options);
+    if (head && head.length) {
+        connection.receive(head);
+    }
+    return connection;
+}
+
+module.exports = { acceptWebSocket, rejectUpgrade, WebSocketConnection };
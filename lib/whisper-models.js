@@ -0,0 +1,136 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+// The whisper.cpp models a job can be transcribed with: every ggml-<name>.bin in
+// models/. Names ending in ".en" (base.en, small.en-tdrz...) are English-only;
+// the rest are multilingual and can also translate into English.
+const FILE_PATTERN = /^ggml-(.+)\.bin$/;
+
+// Used when a job does not pick a model, as jobs did before models were selectable
+const DEFAULT_MODEL = process.env.WHISPER_MODEL || 'base.en';
+
+// SHA-1 sums published by whisper.cpp (models/README.md); other files are not verified
+const CHECKSUMS = {
+    'tiny': 'bd577a113a864445d4c299885e0cb97d4ba92b5f',
+    'tiny.en': 'c78c86eb1a8faa21b369bcd33207cc90d64ae9df',
+    'base': '465707469ff3a37a2b9b8d8f89f2f99de7299dac',
+    'base.en': '137c40403d78fd54d454da0f9bd998f78703390c',
+    'small': '55356645c2b361a969dfd0ef2c5a50d530afd8d5',
+    'small.en': 'db8a495a91d927739e50b3fc1cc4c6b8f6c2d022',
+    'medium': 'fd9727b6e1217c2f614f9b698455c4ffd82463b4',
+    'medium.en': '8c30f0e44ce9560643ebd10bbe50cd20eafd3723',
+    'large-v1': 'b1caaf735c4cc1429223d5a74f0f4d0b9b59a299',
+    'large-v2': '0f4c8e34f21cf1a914c59d8b3ce882345ad349d6',
+    'large-v3': 'ad82bf6a9043ceed055076d0fd39f5f186ff8062',
+    'large-v3-turbo': '4af2b29d7ec73d781377bfd1758ca957a807e941'
+};
+
+// Languages Whisper recognizes, by the code whisper-cli's --language takes
+const LANGUAGES = {
+    en: 'English', zh: 'Chinese', de: 'German', es: 'Spanish', ru: 'Russian', ko: 'Korean',
+    fr: 'French', ja: 'Japanese', pt: 'Portuguese', tr: 'Turkish', pl: 'Polish', ca: 'Catalan',
+    nl: 'Dutch', ar: 'Arabic', sv: 'Swedish', it: 'Italian', id: 'Indonesian', hi: 'Hindi',
+    fi: 'Finnish', vi: 'Vietnamese', he: 'Hebrew', uk: 'Ukrainian', el: 'Greek', ms: 'Malay',
+    cs: 'Czech', ro: 'Romanian', da: 'Danish', hu: 'Hungarian', ta: 'Tamil', no: 'Norwegian',
+    th: 'Thai', ur: 'Urdu', hr: 'Croatian', bg: 'Bulgarian', lt: 'Lithuanian', la: 'Latin',
+    mi: 'Maori', ml: 'Malayalam', cy: 'Welsh', sk: 'Slovak', te: 'Telugu', fa: 'Persian',
+    lv: 'Latvian', bn: 'Bengali', sr: 'Serbian', az: 'Azerbaijani', sl: 'Slovenian', kn: 'Kannada',
+    et: 'Estonian', mk: 'Macedonian', br: 'Breton', eu: 'Basque', is: 'Icelandic', hy: 'Armenian',
+    ne: 'Nepali', mn: 'Mongolian', bs: 'Bosnian', kk: 'Kazakh', sq: 'Albanian', sw: 'Swahili',
+    gl: 'Galician', mr: 'Marathi', pa: 'Punjabi', si: 'Sinhala', km: 'Khmer', sn: 'Shona',
+    yo: 'Yoruba', so: 'Somali', af: 'Afrikaans', oc: 'Occitan', ka: 'Georgian', be: 'Belarusian',
+    tg: 'Tajik', sd: 'Sindhi', gu: 'Gujarati', am: 'Amharic', yi: 'Yiddish', lo: 'Lao',
+    uz: 'Uzbek', fo: 'Faroese', ht: 'Haitian Creole', ps: 'Pashto', tk: 'Turkmen', nn: 'Nynorsk',
+    mt: 'Maltese', sa: 'Sanskrit', lb: 'Luxembourgish', my: 'Myanmar', bo: 'Tibetan', tl: 'Tagalog',
+    mg: 'Malagasy', as: 'Assamese', tt: 'Tatar', haw: 'Hawaiian', ln: 'Lingala', ha: 'Hausa',
+    ba: 'Bashkir', jw: 'Javanese', su: 'Sundanese', yue: 'Cantonese'
+};
+
+function requestError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function isEnglishOnly(name) {
+    return /\.en(\b|$)/.test(name);
+}
+
+// "es" -> "Spanish"; unknown codes are returned as they are
+function languageName(code) {
+    return LANGUAGES[code] || code;
+}
+
+// { name, file, path, sizeBytes, multilingual, checksum }, smallest first
+async function listModels(modelsDir) {
+    const entries = await fs.readdir(modelsDir, { withFileTypes: true }).catch(() => []);
+    const models = [];
+    for (const entry of entries) {
+        const match = entry.name.match(FILE_PATTERN);
+        if (!match || !entry.isFile()) continue;
+
+        const filePath = path.join(modelsDir, entry.name);
+        const stat = await fs.stat(filePath).catch(() => null);
+        if (!stat) continue;
+        models.push({
+            name: match[1],
+            file: entry.name,
+            path: filePath,
+            sizeBytes: stat.size,
+            multilingual: !isEnglishOnly(match[1]),
+            checksum: CHECKSUMS[match[1]] || null
+        });
+    }
+    return models.sort((a, b) => a.sizeBytes - b.sizeBytes || a.name.localeCompare(b.name));
+}
+
+// Check a job's transcription options and fill in the defaults. Resolves
+// { whisperModel, language, translate } for the job metadata, or rejects with
+// status 400 when the model is missing or cannot do what was asked.
+async function resolveOptions(modelsDir, { whisperModel, language, translate } = {}) {
+    const name = whisperModel || DEFAULT_MODEL;
+    const model = (await listModels(modelsDir)).find(candidate => candidate.name === name);
+    if (!model) {
+        const error = requestError(`Whisper model "${name}" is not installed (expected models/ggml-${name}.bin)`);
+        error.missingModel = true;
+        throw error;
+    }
+
+    const code = String(language || (model.multilingual ? 'auto' : 'en')).toLowerCase();
+    if (code !== 'auto' && !LANGUAGES[code]) {
+        throw requestError(`Unknown language: ${language}`);
+    }
+    const wantsTranslation = translate === true || translate === 'true';
+
+    if (!model.multilingual) {
+        if (code !== 'en' && code !== 'auto') {
+            throw requestError(`The ${name} model only transcribes English; choose a multilingual model for ${languageName(code)}`);
+        }
+        if (wantsTranslation) {
+            throw requestError(`The ${name} model cannot translate; choose a multilingual model`);
+        }
+    }
+
+    return {
+        whisperModel: name,
+        // English-only models have nothing to detect
+        language: model.multilingual ? code : 'en',
+        translate: wantsTranslation && code !== 'en'
+    };
+}
+
+// Path of a job's model; jobs from before models were selectable used base.en
+function modelPath(modelsDir, whisperModel) {
+    return path.join(modelsDir, `ggml-${whisperModel || 'base.en'}.bin`);
+}
+
+module.exports = {
+    DEFAULT_MODEL,
+    CHECKSUMS,
+    LANGUAGES,
+    isEnglishOnly,
+    languageName,
+    listModels,
+    resolveOptions,
+    modelPath
+};
@@ -1,8 +1,132 @@
+// Share of the overall progress bar taken by each pipeline step
+const STEP_WEIGHTS = { conversion: 10, diarization: 10, transcription: 45, redaction: 5, summary: 30 };
+
+// Offered by the file picker; files the browser reports as audio/* or video/* are taken too
+const MEDIA_EXTENSIONS = [
+    '.m4a', '.mp3', '.wav', '.ogg', '.oga', '.opus', '.flac', '.aac', '.wma', '.amr', '.webm',
+    '.mp4', '.m4v', '.mov', '.mkv', '.avi', '.3gp'
+];
+
+const STEP_LABELS = {
+    conversion: 'Extracting audio',
+    diarization: 'Identifying speakers',
+    transcription: 'Transcribing',
+    redaction: 'Redacting',
+    summary: 'Summarizing',
+    hubspot: 'Attaching to HubSpot'
+};
+
 class AudioTranscriptionApp {
     constructor() {
-        this.selectedFile = null;
+        this.selectedFiles = [];
         this.processId = null;
+        this.speakers = {};
+        this.segments = [];
+        this.activeSegment = null;
+        this.revisions = [];
+        this.summaryRevision = null;
+        this.redaction = null;
+        this.editMode = false;
+        this.templates = [];
+        // Installed Whisper models and language names, from /api/whisper-models
+        this.whisperModels = [];
+        this.languageNames = {};
+        // Original-language transcript of a translated job
+        this.original = null;
+        this.eventSource = null;
+        this.jobState = null;
+        this.streamedSummary = '';
+        this.user = null;
+        this.matters = [];
+        // caseNumber of the matter shown in the history view; '' for jobs without one
+        this.selectedMatter = null;
+        // Transcript time to jump to once a job opened from a search link has loaded
+        this.pendingSeek = null;
+        // Microphone stream, recorder and socket while recording live
+        this.live = null;
+        // Last /api/health report; processing is held back while it is not ready
+        this.health = null;
+        // Batch shown in the batch dashboard, refreshed while its jobs run
+        this.selectedBatch = null;
+        this.batchTimer = null;
         this.initializeEventListeners();
+        this.checkSession();
+    }
+
+    async checkSession() {
+        try {
+            const response = await fetch('/api/auth/me');
+            if (!response.ok) {
+                this.showLogin();
+                return;
+            }
+            const data = await response.json();
+            this.onSignedIn(data.user);
+        } catch (error) {
+            console.error('Session check failed:', error);
+            this.showLogin();
+        }
+    }
+
+    showLogin(message) {
+        this.user = null;
+        clearTimeout(this.batchTimer);
+        document.getElementById('appContent').classList.add('hidden');
+        document.getElementById('userBadge').classList.add('hidden');
+        document.getElementById('loginCard').classList.remove('hidden');
+
+        const errorEl = document.getElementById('loginError');
+        errorEl.textContent = message || '';
+        errorEl.classList.toggle('hidden', !message);
+    }
+
+    onSignedIn(user) {
+        this.user = user;
+        document.getElementById('userName').textContent = user.name;
+        document.getElementById('userRole').textContent = user.role;
+        document.getElementById('loginCard').classList.add('hidden');
+        document.getElementById('userBadge').classList.remove('hidden');
+        document.getElementById('appContent').classList.remove('hidden');
+        document.getElementById('newMatterBtn').classList.toggle('hidden', !['admin', 'attorney'].includes(user.role));
+        this.checkHealth();
+        this.loadWhisperModels();
+        this.loadTemplates();
+        this.loadMatters();
+        this.loadBatches();
+        this.openFromHash();
+    }
+
+    async login(event) {
+        event.preventDefault();
+        const password = document.getElementById('loginPassword');
+
+        try {
+            const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    username: document.getElementById('loginUsername').value.trim(),
+                    password: password.value
+                })
+            });
+            const data = await response.json();
+            password.value = '';
+
+            if (!response.ok) {
+                this.showLogin(data.error || 'Sign in failed');
+                return;
+            }
+            this.onSignedIn(data.user);
+        } catch (error) {
+            console.error('Sign in error:', error);
+            this.showLogin('Sign in failed: ' + error.message);
+        }
+    }
+
+    async logout() {
+        await fetch('/api/auth/logout', { method: 'POST' }).catch(() => {});
+        this.resetApp();
+        this.showLogin();
     }
 
     initializeEventListeners() {
@@ -11,7 +135,7 @@ class AudioTranscriptionApp {
         const processBtn = document.getElementById('processBtn');
 
         // File input change
-        fileInput.addEventListener('change', (e) => this.handleFileSelect(e.target.files[0]));
+        fileInput.addEventListener('change', (e) => this.handleFileSelect(e.target.files));
 
         // Drag and drop
         dropZone.addEventListener('dragover', (e) => {
@@ -29,54 +153,276 @@ class AudioTranscriptionApp {
             dropZone.classList.remove('border-legal-blue', 'bg-blue-50');
             const files = e.dataTransfer.files;
             if (files.length > 0) {
-                this.handleFileSelect(files[0]);
+                this.handleFileSelect(files);
             }
         });
 
+        // Sign in
+        document.getElementById('loginForm').addEventListener('submit', (e) => this.login(e));
+
         // Process button
         processBtn.addEventListener('click', () => this.startProcessing());
+        document.getElementById('healthRecheckBtn').addEventListener('click', () => this.checkHealth(true));
+        document.getElementById('whisperModel').addEventListener('change', () => this.updateTranscriptionOptions());
+        document.getElementById('language').addEventListener('change', () => this.updateTranscriptionOptions());
+
+        // Live recording
+        document.getElementById('recordBtn').addEventListener('click', () => this.startRecording());
+        document.getElementById('liveStopBtn').addEventListener('click', () => this.stopRecording('stop'));
+        document.getElementById('liveDiscardBtn').addEventListener('click', () => {
+            if (confirm('Discard this recording? Nothing will be kept.')) {
+                this.stopRecording('cancel');
+            }
+        });
+
+        // The model pass only applies when redacting
+        document.getElementById('redact').addEventListener('change', (e) => {
+            const withModel = document.getElementById('redactWithModel');
+            withModel.disabled = !e.target.checked;
+            if (!e.target.checked) withModel.checked = false;
+        });
+
+        // Batch dashboard
+        document.getElementById('batchSelect').addEventListener('change', (e) => this.showBatch(e.target.value));
+
+        // Matter history
+        document.getElementById('matterSearch').addEventListener('input', () => this.renderMatterList());
+        document.getElementById('newMatterForm').addEventListener('submit', (e) => this.createMatter(e));
+
+        // Search, and links of the form #job=<processId>&t=<seconds>
+        document.getElementById('searchForm').addEventListener('submit', (e) => this.search(e));
+        window.addEventListener('hashchange', () => this.openFromHash());
+
+        // Template selector
+        document.getElementById('templateId').addEventListener('change', () => this.showTemplateDescription());
+
+        // Cancel button
+        document.getElementById('cancelBtn').addEventListener('click', () => this.cancelProcessing());
+
+        // Review playback: highlight the segment being spoken
+        document.getElementById('reviewPlayer').addEventListener('timeupdate', (e) => this.highlightSegment(e.target.currentTime));
     }
 
-    handleFileSelect(file) {
-        if (!file) return;
+    async loadTemplates() {
+        try {
+            const response = await fetch('/api/templates');
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load templates');
+            }
 
-        if (!file.name.toLowerCase().endsWith('.m4a')) {
-            this.showError('Please select a .m4a audio file');
-            return;
+            this.templates = data.templates;
+            const select = document.getElementById('templateId');
+            select.innerHTML = '';
+            data.templates.forEach(template => {
+                const option = document.createElement('option');
+                option.value = template.id;
+                option.textContent = template.name;
+                option.selected = template.id === data.defaultId;
+                select.appendChild(option);
+            });
+            this.showTemplateDescription();
+        } catch (error) {
+            console.error('Template loading error:', error);
         }
+    }
 
-        if (file.size > 500 * 1024 * 1024) { // 500MB limit
-            this.showError('File size must be less than 500MB');
-            return;
+    async loadWhisperModels() {
+        try {
+            const response = await fetch('/api/whisper-models');
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load Whisper models');
+            }
+
+            this.whisperModels = data.models;
+            this.languageNames = Object.fromEntries(data.languages.map(language => [language.code, language.name]));
+            const modelSelect = document.getElementById('whisperModel');
+            modelSelect.innerHTML = '';
+            data.models.forEach(model => {
+                const option = document.createElement('option');
+                option.value = model.name;
+                option.textContent = `${model.name} (${Math.round(model.sizeBytes / (1024 * 1024))} MB${model.multilingual ? '' : ', English only'})`;
+                option.selected = model.name === data.defaultModel;
+                modelSelect.appendChild(option);
+            });
+
+            const languageSelect = document.getElementById('language');
+            languageSelect.innerHTML = '';
+            const languages = [{ code: 'auto', name: 'Detect language automatically' }]
+                .concat(data.languages.slice().sort((a, b) => a.name.localeCompare(b.name)));
+            languages.forEach(language => {
+                const option = document.createElement('option');
+                option.value = language.code;
+                option.textContent = language.name;
+                languageSelect.appendChild(option);
+            });
+            this.updateTranscriptionOptions();
+        } catch (error) {
+            console.error('Whisper model loading error:', error);
+        }
+    }
+
+    // English-only models (*.en) neither detect nor translate
+    updateTranscriptionOptions() {
+        const model = this.whisperModels.find(m => m.name === document.getElementById('whisperModel').value);
+        const language = document.getElementById('language');
+        const translate = document.getElementById('translate');
+        const englishOnly = Boolean(model && !model.multilingual);
+
+        if (englishOnly) {
+            language.value = 'en';
+        } else if (language.disabled) {
+            // Leaving an English-only model: let Whisper detect the language again
+            language.value = 'auto';
         }
+        language.disabled = englishOnly;
+        translate.disabled = englishOnly || language.value === 'en';
+        if (translate.disabled) translate.checked = false;
 
-        this.selectedFile = file;
+        const multilingual = this.whisperModels.filter(m => m.multilingual).map(m => m.name);
+        document.getElementById('whisperModelHint').textContent = englishOnly
+            ? (multilingual.length
+                ? `This model only transcribes English. For other languages choose ${multilingual.join(' or ')}.`
+                : 'This model only transcribes English. Add a multilingual model (e.g. ggml-medium.bin) to models/ for other languages.')
+            : '';
+    }
+
+    showTemplateDescription() {
+        const selected = document.getElementById('templateId').value;
+        const template = this.templates.find(t => t.id === selected);
+        document.getElementById('templateDescription').textContent = template
+            ? `${template.description}${template.sections.length ? ` — Sections: ${template.sections.join(', ')}` : ''}`
+            : '';
+    }
+
+    handleFileSelect(fileList) {
+        const files = Array.from(fileList || []);
+        if (files.length === 0) return;
+
+        for (const file of files) {
+            // A first check only: the server inspects the content with ffprobe
+            const extension = file.name.toLowerCase().slice(file.name.lastIndexOf('.'));
+            if (!/^(audio|video)\//.test(file.type) && !MEDIA_EXTENSIONS.includes(extension)) {
+                this.showError(`${file.name} is not an audio or video file`);
+                return;
+            }
+
+            if (file.size > 500 * 1024 * 1024) { // 500MB limit
+                this.showError(`${file.name} is larger than 500MB`);
+                return;
+            }
+        }
+
+        this.selectedFiles = files;
 
         // Show file info
         const fileInfo = document.getElementById('fileInfo');
         const fileName = document.getElementById('fileName');
         const fileSize = document.getElementById('fileSize');
+        const totalSize = files.reduce((sum, file) => sum + file.size, 0);
 
-        fileName.textContent = file.name;
-        fileSize.textContent = `${(file.size / (1024 * 1024)).toFixed(2)} MB`;
+        fileName.textContent = files.length === 1 ? files[0].name : `${files.length} recordings: ${files.map(file => file.name).join(', ')}`;
+        fileSize.textContent = `${(totalSize / (1024 * 1024)).toFixed(2)} MB`;
         fileInfo.classList.remove('hidden');
 
         // Enable process button
-        document.getElementById('processBtn').disabled = false;
+        document.getElementById('processBtn').disabled = !this.canProcess();
+    }
+
+    // Unknown health (the check itself failed) does not block: the job will report its own error
+    canProcess() {
+        return !this.health || this.health.ready;
+    }
+
+    async checkHealth(refresh = false) {
+        try {
+            // 503 still carries the report
+            const response = await fetch(`/api/health${refresh ? '?refresh=true' : ''}`);
+            const data = await response.json();
+            this.health = data.checks ? data : null;
+        } catch (error) {
+            console.error('Health check failed:', error);
+            this.health = null;
+        }
+        this.renderHealth();
+    }
+
+    renderHealth() {
+        const banner = document.getElementById('healthBanner');
+        const checks = this.health ? Object.values(this.health.checks).filter(check => check.status !== 'ok') : [];
+
+        document.getElementById('processBtn').disabled = this.selectedFiles.length === 0 || !this.canProcess();
+        document.getElementById('recordBtn').disabled = Boolean(this.live) || !this.canProcess();
+
+        if (checks.length === 0) {
+            banner.classList.add('hidden');
+            return;
+        }
+
+        const blocked = !this.health.ready;
+        banner.className = `mb-8 rounded-lg border p-4 ${blocked ? 'border-red-300 bg-red-50 text-red-800' : 'border-yellow-300 bg-yellow-50 text-yellow-800'}`;
+        document.getElementById('healthTitle').textContent = blocked
+            ? 'Processing is unavailable: recordings would fail until the problems below are fixed'
+            : 'Processing works, with limitations';
+
+        const list = document.getElementById('healthList');
+        list.innerHTML = '';
+        // Errors first
+        checks.sort((a, b) => (a.status === 'error' ? 0 : 1) - (b.status === 'error' ? 0 : 1));
+        checks.forEach(check => {
+            const item = document.createElement('li');
+            const icon = document.createElement('i');
+            icon.className = `fas ${check.status === 'error' ? 'fa-times-circle' : 'fa-exclamation-triangle'} mr-2`;
+            const label = document.createElement('strong');
+            label.textContent = `${check.label}: `;
+            item.append(icon, label, document.createTextNode(check.detail));
+            if (check.fix) {
+                const fix = document.createElement('div');
+                fix.className = 'ml-6 font-mono text-xs break-all';
+                fix.textContent = check.fix;
+                item.appendChild(fix);
+            }
+            list.appendChild(item);
+        });
+    }
+
+    // The details entered in step 2, shared by every file of a batch
+    uploadFields() {
+        return {
+            clientName: document.getElementById('clientName').value,
+            caseNumber: document.getElementById('caseNumber').value,
+            meetingNotes: document.getElementById('meetingNotes').value,
+            numSpeakers: document.getElementById('numSpeakers').value,
+            templateId: document.getElementById('templateId').value,
+            whisperModel: document.getElementById('whisperModel').value,
+            language: document.getElementById('language').value,
+            translate: document.getElementById('translate').checked,
+            redact: document.getElementById('redact').checked,
+            redactWithModel: document.getElementById('redactWithModel').checked,
+            attachToHubspot: document.getElementById('attachToHubspot').checked
+        };
+    }
+
+    uploadForm(files) {
+        const formData = new FormData();
+        files.forEach(file => formData.append('audio', file));
+        Object.entries(this.uploadFields()).forEach(([name, value]) => formData.append(name, value));
+        return formData;
     }
 
     async startProcessing() {
-        if (!this.selectedFile) return;
+        if (this.selectedFiles.length === 0 || !this.canProcess()) return;
+        if (this.selectedFiles.length > 1) {
+            this.startBatch();
+            return;
+        }
 
         // Show status card
         document.getElementById('statusCard').classList.remove('hidden');
         document.getElementById('processBtn').disabled = true;
 
-        const formData = new FormData();
-        formData.append('audio', this.selectedFile);
-        formData.append('clientName', document.getElementById('clientName').value);
-        formData.append('caseNumber', document.getElementById('caseNumber').value);
-        formData.append('meetingNotes', document.getElementById('meetingNotes').value);
+        const formData = this.uploadForm(this.selectedFiles);
 
         try {
             const response = await fetch('/api/process-audio', {
@@ -84,20 +430,118 @@ class AudioTranscriptionApp {
                 body: formData
             });
 
-            if (!response.ok) {
-                throw new Error('Failed to start processing');
+            if (response.status === 401) {
+                document.getElementById('statusCard').classList.add('hidden');
+                document.getElementById('processBtn').disabled = !this.canProcess();
+                this.showLogin('Your session has expired; please sign in again');
+                return;
             }
 
             const data = await response.json();
+            if (!response.ok) {
+                // A health check started failing since the banner last looked; show it
+                if (response.status === 503) this.checkHealth();
+                throw new Error(data.error || 'Failed to start processing');
+            }
+
             this.processId = data.processId;
+            this.renderMediaInfo(data.media);
+            document.getElementById('cancelBtn').classList.remove('hidden');
 
-            // Start polling for status
-            this.pollProcessingStatus();
+            // Follow progress over the push channel (falls back to polling)
+            this.watchJob();
 
         } catch (error) {
             console.error('Processing error:', error);
             this.showError('Failed to start processing: ' + error.message);
-            document.getElementById('processBtn').disabled = false;
+            document.getElementById('processBtn').disabled = !this.canProcess();
+        }
+    }
+
+    watchJob() {
+        this.streamedSummary = '';
+
+        if (window.EventSource) {
+            this.subscribeToEvents();
+        } else {
+            this.pollProcessingStatus();
+        }
+    }
+
+    // Live updates from /api/jobs/:id/events; the final state is then read once from /api/status
+    subscribeToEvents() {
+        if (this.eventSource) {
+            this.eventSource.close();
+        }
+
+        const source = new EventSource(`/api/jobs/${this.processId}/events`);
+        this.eventSource = source;
+
+        const stop = () => {
+            source.close();
+            if (this.eventSource === source) {
+                this.eventSource = null;
+            }
+        };
+        const render = () => this.updateProcessingStatus(this.jobState);
+        const listen = (event, handler) => source.addEventListener(event, (e) => handler(JSON.parse(e.data)));
+
+        listen('snapshot', (data) => {
+            this.jobState = { ...data, progress: data.progress || {} };
+            render();
+        });
+
+        listen('step', (data) => {
+            const { step, ...stepData } = data;
+            this.jobState.steps[step] = stepData;
+            this.jobState.currentStep = ['queued', 'processing'].includes(stepData.status)
+                ? step
+                : this.jobState.currentStep === step ? null : this.jobState.currentStep;
+            if (stepData.status !== 'processing') {
+                delete this.jobState.progress[step];
+            }
+            render();
+        });
+
+        listen('progress', (data) => {
+            this.jobState.progress[data.step] = { percent: data.percent, etaSeconds: data.etaSeconds };
+            render();
+        });
+
+        listen('queue', (data) => {
+            this.jobState.queue = data;
+            render();
+        });
+
+        listen('token', (token) => this.appendSummaryToken(token));
+
+        listen('status', (data) => {
+            if (['started', 'processing'].includes(data.status)) return;
+            stop();
+            this.pollProcessingStatus();
+        });
+
+        // Channel unavailable or dropped: fall back to polling, which also
+        // picks up where we are if the server restarted
+        source.onerror = () => {
+            if (this.eventSource !== source) return;
+            console.warn('Event stream unavailable, falling back to polling');
+            stop();
+            this.pollProcessingStatus();
+        };
+    }
+
+    // Show the summary as the model writes it instead of waiting for completion
+    appendSummaryToken(token) {
+        const summaryEl = document.getElementById('summaryText');
+        document.getElementById('resultsCard').classList.remove('hidden');
+        summaryEl.classList.add('whitespace-pre-wrap');
+
+        if (token.phase === 'final') {
+            this.streamedSummary += token.text;
+            summaryEl.textContent = this.streamedSummary;
+        } else if (!this.streamedSummary) {
+            summaryEl.textContent = `Summarizing part ${token.chunk}...`;
         }
     }
 
@@ -108,11 +552,21 @@ class AudioTranscriptionApp {
 
             this.updateProcessingStatus(data);
 
+            if (['completed', 'cancelled', 'error', 'interrupted'].includes(data.status)) {
+                this.refreshHistory();
+            }
+
             if (data.status === 'completed') {
+                document.getElementById('cancelBtn').classList.add('hidden');
                 this.showResults(data);
-            } else if (data.status === 'error') {
+            } else if (data.status === 'cancelled') {
+                document.getElementById('cancelBtn').classList.add('hidden');
+                document.getElementById('progressText').textContent = 'Processing cancelled';
+                document.getElementById('processBtn').disabled = !this.canProcess();
+            } else if (data.status === 'error' || data.status === 'interrupted') {
+                document.getElementById('cancelBtn').classList.add('hidden');
                 this.showError(data.error);
-                document.getElementById('processBtn').disabled = false;
+                document.getElementById('processBtn').disabled = !this.canProcess();
             } else {
                 // Continue polling
                 setTimeout(() => this.pollProcessingStatus(), 2000);
@@ -124,8 +578,12 @@ class AudioTranscriptionApp {
     }
 
     updateProcessingStatus(data) {
-        const steps = ['conversion', 'transcription', 'summary', 'hubspot'];
-        const stepElements = [1, 2, 3, 4];
+        const steps = ['conversion', 'diarization', 'transcription', 'redaction', 'summary', 'hubspot'];
+        const progress = data.progress || {};
+
+        if (data.metadata) {
+            this.renderMediaInfo(data.metadata.media);
+        }
 
         let completedSteps = 0;
 
@@ -138,10 +596,32 @@ class AudioTranscriptionApp {
                 statusEl.className = `status-indicator status-${stepData.status}`;
 
                 switch (stepData.status) {
-                    case 'processing':
-                        statusEl.innerHTML = '<i class="fas fa-spinner fa-spin"></i><span>Processing</span>';
+                    case 'queued': {
+                        const position = data.queue ? ` (#${data.queue.position})` : '';
+                        statusEl.innerHTML = `<i class="fas fa-hourglass-half"></i><span>Queued${position}</span>`;
+                        break;
+                    }
+                    case 'cancelled':
+                        statusEl.innerHTML = '<i class="fas fa-ban"></i><span>Cancelled</span>';
+                        break;
+                    case 'skipped':
+                        statusEl.innerHTML = '<i class="fas fa-forward"></i><span>Skipped</span>';
+                        statusEl.title = stepData.reason || '';
+                        completedSteps++;
+                        break;
+                    case 'processing': {
+                        let label = 'Processing';
+                        if (stepData.phase === 'chunks' || stepData.phase === 'model') {
+                            label = `Part ${stepData.chunk} of ${stepData.totalChunks}`;
+                        } else if (stepData.phase === 'consolidation') {
+                            label = `Combining ${stepData.totalChunks} parts`;
+                        } else if (progress[step]) {
+                            label = `${progress[step].percent}%`;
+                        }
+                        statusEl.innerHTML = `<i class="fas fa-spinner fa-spin"></i><span>${label}</span>`;
                         stepEl.classList.add('bg-blue-50', 'border', 'border-blue-200');
                         break;
+                    }
                     case 'completed':
                         statusEl.innerHTML = '<i class="fas fa-check"></i><span>Completed</span>';
                         stepEl.classList.add('bg-green-50', 'border', 'border-green-200');
@@ -155,82 +635,1355 @@ class AudioTranscriptionApp {
             }
         });
 
-        // Update progress bar
-        const progress = (completedSteps / 3) * 100; // Only count first 3 steps for progress
-        document.getElementById('progressBar').style.width = `${progress}%`;
-        document.getElementById('progressText').textContent =
-            `Step ${completedSteps + 1} of 3: ${data.currentStep || 'Processing'}`;
+        document.getElementById('progressBar').style.width = `${overallProgress(data.steps, progress)}%`;
+
+        const current = data.currentStep;
+        let text = `Step ${Math.min(completedSteps + 1, 5)} of 5: ${STEP_LABELS[current] || 'Processing'}`;
+        if (data.queue) {
+            text = `Waiting for ${data.queue.stage} (position ${data.queue.position} in queue)`;
+        } else if (current && progress[current]) {
+            text += ` — ${progress[current].percent}%`;
+            if (progress[current].etaSeconds !== null) {
+                text += `, about ${formatDuration(progress[current].etaSeconds)} left`;
+            }
+        }
+        document.getElementById('progressText').textContent = text;
+    }
+
+    async cancelProcessing() {
+        if (!this.processId) return;
+
+        try {
+            const response = await fetch(`/api/jobs/${this.processId}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || 'Failed to cancel processing');
+            }
+        } catch (error) {
+            console.error('Cancel error:', error);
+            this.showError(error.message);
+        }
     }
 
     showResults(data) {
         document.getElementById('resultsCard').classList.remove('hidden');
 
-        if (data.transcription) {
-            document.getElementById('transcriptionText').textContent = data.transcription;
-        }
+        this.speakers = data.speakers || {};
+        this.revisions = data.revisions || [];
+        this.summaryRevision = data.summaryRevision ?? null;
+        this.renderTranscript(data);
+        this.original = data.original || null;
+        this.renderOriginal();
+        this.renderSpeakerInputs();
+        this.renderRevisionInfo();
+        this.renderRedactions(data.redaction);
+        this.renderHubspotInfo(data.hubspot);
+        this.loadReviewPlayer();
+        this.revealPendingSeek();
 
         if (data.summary) {
-            document.getElementById('summaryText').innerHTML = data.summary.replace(/\n/g, '<br>');
+            const summaryEl = document.getElementById('summaryText');
+            summaryEl.classList.remove('whitespace-pre-wrap');
+            summaryEl.innerHTML = data.summary.replace(/\n/g, '<br>');
         }
 
         document.getElementById('progressText').textContent = 'Processing completed successfully!';
     }
 
-    showError(message) {
-        alert(`Error: ${message}`);
+    // Each segment is a clickable line that seeks the review player to its start
+    renderTranscript(data) {
+        const container = document.getElementById('transcriptionText');
+        this.segments = data.segments || [];
+        this.activeSegment = null;
+
+        if (!this.segments.length) {
+            if (data.transcription) {
+                container.textContent = data.transcription;
+            }
+            return;
+        }
+
+        container.innerHTML = '';
+        this.segments.forEach((segment, index) => {
+            const line = document.createElement('span');
+            const speaker = segment.speaker ? `${this.speakers[segment.speaker] || segment.speaker}: ` : '';
+            line.className = 'transcript-segment';
+            line.dataset.index = index;
+
+            const prefix = document.createElement('span');
+            prefix.textContent = `[${formatClock(segment.start)}] ${speaker}`;
+            const text = document.createElement('span');
+            text.className = 'segment-text';
+            text.textContent = segment.text;
+            text.contentEditable = this.editMode ? 'true' : 'false';
+
+            line.appendChild(prefix);
+            line.appendChild(text);
+            line.addEventListener('click', () => {
+                if (!this.editMode) this.seekTo(segment.start);
+            });
+            container.appendChild(line);
+            container.appendChild(document.createTextNode('\n'));
+        });
     }
 
-    resetApp() {
-        this.selectedFile = null;
-        this.processId = null;
+    renderOriginal() {
+        const section = document.getElementById('originalSection');
+        const note = document.getElementById('translationNote');
+        section.classList.toggle('hidden', !this.original);
+        note.classList.toggle('hidden', !this.original);
+        if (!this.original) return;
 
-        document.getElementById('fileInfo').classList.add('hidden');
-        document.getElementById('statusCard').classList.add('hidden');
-        document.getElementById('resultsCard').classList.add('hidden');
-        document.getElementById('processBtn').disabled = true;
-        document.getElementById('audioFile').value = '';
+        const language = languageName(this.original.language);
+        note.textContent = `(English translation from ${language})`;
+        document.getElementById('originalLanguage').textContent = language;
+        document.getElementById('originalText').textContent = this.original.segments.map(segment => {
+            const speaker = segment.speaker ? `${this.speakers[segment.speaker] || segment.speaker}: ` : '';
+            return `[${formatClock(segment.start)}] ${speaker}${segment.text}`;
+        }).join('\n');
+    }
 
-        // Reset form fields
-        document.getElementById('clientName').value = '';
-        document.getElementById('caseNumber').value = '';
-        document.getElementById('meetingNotes').value = '';
+    renderRevisionInfo() {
+        const info = document.getElementById('revisionInfo');
+        const latest = this.revisions[this.revisions.length - 1];
+        if (!latest) {
+            info.textContent = '';
+            return;
+        }
 
-        // Reset status indicators
-        for (let i = 1; i <= 4; i++) {
-            const statusEl = document.getElementById(`status${i}`);
-            const stepEl = document.getElementById(`step${i}`);
-            statusEl.className = 'status-indicator status-pending';
-            statusEl.innerHTML = '<i class="fas fa-clock"></i><span>Pending</span>';
-            stepEl.className = 'flex items-center justify-between p-4 bg-gray-50 rounded-lg';
+        const edited = latest.revision === 0
+            ? 'Machine transcription, not yet corrected.'
+            : `Revision ${latest.revision} by ${latest.author} on ${new Date(latest.createdAt).toLocaleString()}.`;
+        const stale = this.summaryRevision !== null && this.summaryRevision !== latest.revision
+            ? ` Summary is based on revision ${this.summaryRevision} — regenerate to include the corrections.`
+            : '';
+        info.textContent = edited + stale;
+    }
+
+    toggleEditMode() {
+        this.editMode = !this.editMode;
+
+        document.querySelectorAll('#transcriptionText .segment-text').forEach(el => {
+            el.contentEditable = this.editMode ? 'true' : 'false';
+        });
+        ['editNote', 'saveTranscriptBtn'].forEach(id => {
+            document.getElementById(id).classList.toggle('hidden', !this.editMode);
+        });
+        document.getElementById('editTranscriptBtn').innerHTML = this.editMode
+            ? '<i class="fas fa-times mr-2"></i>Stop Editing'
+            : '<i class="fas fa-pen mr-2"></i>Edit Transcript';
+
+        if (!this.editMode) {
+            // Discard unsaved changes
+            this.renderTranscript({ segments: this.segments });
         }
+    }
 
-        document.getElementById('progressBar').style.width = '0%';
-        document.getElementById('progressText').textContent = 'Ready to start';
+    async saveCorrections() {
+        if (!this.processId) return;
+
+        const edits = [];
+        document.querySelectorAll('#transcriptionText .transcript-segment').forEach(line => {
+            const index = parseInt(line.dataset.index, 10);
+            const text = line.querySelector('.segment-text').textContent.trim();
+            if (text !== this.segments[index].text) {
+                edits.push({ id: index, text });
+            }
+        });
+
+        if (!edits.length) {
+            this.toggleEditMode();
+            return;
+        }
+
+        const latest = this.revisions[this.revisions.length - 1];
+
+        try {
+            const response = await fetch(`/api/jobs/${this.processId}/transcript`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    segments: edits,
+                    note: document.getElementById('editNote').value.trim() || undefined,
+                    baseRevision: latest ? latest.revision : undefined
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to save corrections');
+            }
+
+            this.segments = data.segments;
+            if (data.revision) {
+                this.revisions.push(data.revision);
+            }
+            document.getElementById('editNote').value = '';
+            this.toggleEditMode();
+            this.renderRevisionInfo();
+        } catch (error) {
+            console.error('Save corrections error:', error);
+            this.showError(error.message);
+        }
     }
 
-    attachToHubspot() {
+    async showDiff() {
         if (!this.processId) return;
 
-        // This would integrate with HubSpot API
-        alert('HubSpot integration would be implemented here');
+        const view = document.getElementById('diffView');
+        if (!view.classList.contains('hidden')) {
+            view.classList.add('hidden');
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/jobs/${this.processId}/transcript/diff`);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load changes');
+            }
+
+            view.innerHTML = '';
+            if (!data.changes.length) {
+                view.textContent = 'No corrections have been made to the machine transcription.';
+            }
+            data.changes.forEach(change => {
+                const row = document.createElement('p');
+                row.className = 'mb-2';
+                const stamp = document.createElement('span');
+                stamp.className = 'font-mono text-gray-500 mr-2';
+                stamp.textContent = change.start !== null ? `[${formatClock(change.start)}]` : '';
+                row.appendChild(stamp);
+
+                change.ops.forEach(op => {
+                    const el = document.createElement(op.type === 'insert' ? 'ins' : op.type === 'delete' ? 'del' : 'span');
+                    if (op.type !== 'equal') el.className = `diff-${op.type}`;
+                    el.textContent = op.text;
+                    row.appendChild(el);
+                    row.appendChild(document.createTextNode(' '));
+                });
+                view.appendChild(row);
+            });
+            view.classList.remove('hidden');
+        } catch (error) {
+            console.error('Diff error:', error);
+            this.showError(error.message);
+        }
     }
-}
 
-// Utility functions
-function copyToClipboard(elementId) {
-    const element = document.getElementById(elementId);
-    const text = element.textContent || element.innerText;
-    navigator.clipboard.writeText(text).then(() => {
-        // Show temporary feedback
-        const button = event.target.closest('button');
-        const originalText = button.innerHTML;
-        button.innerHTML = '<i class="fas fa-check mr-2"></i>Copied!';
-        button.classList.add('bg-green-200');
-        setTimeout(() => {
-            button.innerHTML = originalText;
-            button.classList.remove('bg-green-200');
-        }, 2000);
-    });
+    renderRedactions(state) {
+        const panel = document.getElementById('redactionPanel');
+        this.redaction = state || null;
+        panel.classList.toggle('hidden', !state);
+        if (!state) return;
+
+        const counts = { pending: 0, accepted: 0, rejected: 0 };
+        state.items.forEach(item => counts[item.status]++);
+        const info = [
+            `${state.items.length} finding${state.items.length === 1 ? '' : 's'}: ${counts.pending} pending, ${counts.accepted} accepted, ${counts.rejected} rejected.`,
+            'Pending and accepted findings are blanked in the redacted copy.',
+            state.usedModel ? `Checked with ${state.model}.` : null,
+            ...(state.warnings || []),
+            state.stale ? 'The transcript was corrected after redaction; run Redact again before sharing.' : null
+        ];
+        if (state.bleep) {
+            info.push({
+                processing: 'Bleeping the recording...',
+                completed: state.bleep.stale ? 'The bleeped recording is out of date; bleep again.' : `Bleeped recording ready (${state.bleep.spans} span${state.bleep.spans === 1 ? '' : 's'}).`,
+                error: `Bleeping failed: ${state.bleep.error}`
+            }[state.bleep.status]);
+        }
+        document.getElementById('redactionInfo').textContent = info.filter(Boolean).join(' ');
+
+        const link = document.getElementById('bleepedAudioLink');
+        link.classList.toggle('hidden', !(state.bleep && state.bleep.status === 'completed'));
+        link.href = `/api/jobs/${this.processId}/redacted/media`;
+
+        const rows = document.getElementById('redactionRows');
+        rows.innerHTML = '';
+        const statusClass = { pending: 'status-queued', accepted: 'status-completed', rejected: 'status-cancelled' };
+
+        state.items.forEach(item => {
+            const row = rows.insertRow();
+            row.className = 'border-b border-gray-100';
+
+            const time = document.createElement('button');
+            time.type = 'button';
+            time.className = 'text-legal-blue hover:underline';
+            time.textContent = formatClock(item.start);
+            time.addEventListener('click', () => this.seekTo(item.start));
+            row.insertCell().appendChild(time);
+
+            row.insertCell().textContent = item.type + (item.source === 'llm' ? ' (model)' : '');
+            row.insertCell().textContent = item.text;
+
+            const status = document.createElement('span');
+            status.className = `status-indicator inline-flex ${statusClass[item.status]}`;
+            status.textContent = item.status;
+            row.insertCell().appendChild(status);
+
+            const actions = row.insertCell();
+            [['accepted', 'fa-check', 'Accept'], ['rejected', 'fa-times', 'Reject']].forEach(([decision, icon, title]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn-secondary text-xs py-1 px-2 mr-1';
+                button.title = title;
+                button.disabled = item.status === decision || state.stale;
+                button.innerHTML = `<i class="fas ${icon}"></i>`;
+                button.addEventListener('click', () => this.reviewRedactions([{ id: item.id, status: decision }]));
+                actions.appendChild(button);
+            });
+
+            Array.from(row.cells).forEach(cell => cell.classList.add('py-2', 'pr-3'));
+        });
+    }
+
+    async loadRedactions() {
+        const response = await fetch(`/api/jobs/${this.processId}/redactions`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load redactions');
+        }
+        this.renderRedactions(data);
+        return data;
+    }
+
+    async reviewRedactions(decisions) {
+        try {
+            const response = await fetch(`/api/jobs/${this.processId}/redactions`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ decisions })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to save review');
+            }
+            this.renderRedactions(data);
+        } catch (error) {
+            console.error('Redaction review error:', error);
+            this.showError(error.message);
+        }
+    }
+
+    reviewAllRedactions(status) {
+        if (!this.redaction) return;
+        const decisions = this.redaction.items
+            .filter(item => item.status === 'pending')
+            .map(item => ({ id: item.id, status }));
+        if (decisions.length) {
+            this.reviewRedactions(decisions);
+        }
+    }
+
+    async runRedaction() {
+        if (!this.processId) return;
+
+        const useModel = confirm('Also ask the local model to look for personal data the rules miss? This is slower.');
+        try {
+            const response = await fetch(`/api/jobs/${this.processId}/redact`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ useModel })
+            });
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || 'Failed to start redaction');
+            }
+            document.getElementById('statusCard').classList.remove('hidden');
+            this.watchJob();
+        } catch (error) {
+            console.error('Redaction error:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async bleepAudio() {
+        if (!this.processId) return;
+
+        try {
+            const response = await fetch(`/api/jobs/${this.processId}/redacted/audio`, { method: 'POST' });
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || 'Failed to start bleeping');
+            }
+
+            // Bleeping isn't a pipeline step, so follow it through the redaction state
+            const processId = this.processId;
+            const poll = async () => {
+                if (this.processId !== processId) return;
+                const state = await this.loadRedactions();
+                if (state.bleep && state.bleep.status === 'processing') {
+                    setTimeout(poll, 3000);
+                }
+            };
+            await poll();
+        } catch (error) {
+            console.error('Bleep error:', error);
+            this.showError(error.message);
+        }
+    }
+
+    async regenerateSummary() {
+        if (!this.processId) return;
+
+        try {
+            const response = await fetch(`/api/jobs/${this.processId}/summarize`, { method: 'POST' });
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || 'Failed to regenerate summary');
+            }
+            document.getElementById('summaryText').textContent = 'Regenerating summary...';
+            this.watchJob();
+        } catch (error) {
+            console.error('Regenerate summary error:', error);
+            this.showError(error.message);
+        }
+    }
+
+    loadReviewPlayer() {
+        const player = document.getElementById('reviewPlayer');
+        if (!this.processId) return;
+
+        player.src = `/api/jobs/${this.processId}/media`;
+        player.classList.remove('hidden');
+        player.onerror = () => player.classList.add('hidden');
+    }
+
+    seekTo(seconds) {
+        const player = document.getElementById('reviewPlayer');
+        if (player.classList.contains('hidden')) return;
+
+        player.currentTime = seconds;
+        player.play().catch(() => {});
+    }
+
+    highlightSegment(currentTime) {
+        // Segments are in time order, so the active one is the last that has started
+        let index = -1;
+        for (let i = 0; i < this.segments.length && this.segments[i].start <= currentTime; i++) {
+            index = i;
+        }
+        if (index !== -1 && currentTime > this.segments[index].end + 1) {
+            index = -1;
+        }
+        if (index === this.activeSegment) return;
+
+        const container = document.getElementById('transcriptionText');
+        const previous = container.querySelector('.transcript-segment.active');
+        if (previous) previous.classList.remove('active');
+
+        this.activeSegment = index;
+        if (index === -1) return;
+
+        const line = container.querySelector(`.transcript-segment[data-index="${index}"]`);
+        if (line) {
+            line.classList.add('active');
+            line.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    async loadMatters() {
+        try {
+            const response = await fetch('/api/matters');
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load matters');
+            }
+
+            this.matters = data.matters;
+            this.renderMatterList();
+
+            // Offer existing case numbers when uploading
+            const options = document.getElementById('matterOptions');
+            options.innerHTML = '';
+            this.matters.forEach(matter => {
+                const option = document.createElement('option');
+                option.value = matter.caseNumber;
+                option.label = matter.name === matter.caseNumber ? matter.clientName : matter.name;
+                options.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Failed to load matters:', error);
+        }
+    }
+
+    renderMatterList() {
+        const list = document.getElementById('matterList');
+        const needle = document.getElementById('matterSearch').value.trim().toLowerCase();
+        list.innerHTML = '';
+
+        const entries = this.matters
+            .filter(matter => !needle || [matter.caseNumber, matter.name, matter.clientName]
+                .some(value => (value || '').toLowerCase().includes(needle)))
+            .map(matter => ({
+                caseNumber: matter.caseNumber,
+                title: matter.name,
+                subtitle: [matter.caseNumber !== matter.name ? matter.caseNumber : null, matter.clientName,
+                    `${matter.jobCount} recording${matter.jobCount === 1 ? '' : 's'}`].filter(Boolean).join(' · '),
+                held: matter.legalHold && matter.legalHold.active
+            }));
+        if (!needle) {
+            entries.push({ caseNumber: '', title: 'Jobs without a matter', subtitle: '' });
+        }
+
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'w-full text-left px-3 py-2 rounded-lg hover:bg-blue-50'
+                + (entry.caseNumber === this.selectedMatter ? ' bg-blue-100' : '');
+            button.addEventListener('click', () => this.selectMatter(entry.caseNumber));
+
+            const title = document.createElement('p');
+            title.className = 'font-medium text-legal-blue';
+            title.textContent = entry.title;
+            if (entry.held) {
+                const badge = document.createElement('span');
+                badge.className = 'ml-2 text-xs text-warning-amber';
+                badge.innerHTML = '<i class="fas fa-gavel"></i> Hold';
+                title.appendChild(badge);
+            }
+            button.appendChild(title);
+
+            if (entry.subtitle) {
+                const subtitle = document.createElement('p');
+                subtitle.className = 'text-xs text-gray-500';
+                subtitle.textContent = entry.subtitle;
+                button.appendChild(subtitle);
+            }
+
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+    }
+
+    async selectMatter(caseNumber) {
+        this.selectedMatter = caseNumber;
+        this.renderMatterList();
+
+        const header = document.getElementById('matterHeader');
+        try {
+            let jobs;
+            header.innerHTML = '';
+
+            if (caseNumber) {
+                const response = await fetch(`/api/matters/${encodeURIComponent(caseNumber)}`);
+                const matter = await response.json();
+                if (!response.ok) {
+                    throw new Error(matter.error || 'Failed to load matter');
+                }
+                jobs = matter.jobs;
+
+                const title = document.createElement('h4');
+                title.className = 'text-lg font-medium';
+                title.textContent = `${matter.name} (${matter.caseNumber})`;
+                const details = document.createElement('p');
+                details.className = 'text-sm text-gray-600';
+                details.textContent = [
+                    matter.clientName && `Client: ${matter.clientName}`,
+                    matter.retentionDays && `Retention: ${matter.retentionDays} days`,
+                    matter.legalHold && matter.legalHold.active && `Legal hold${matter.legalHold.reason ? `: ${matter.legalHold.reason}` : ''}`
+                ].filter(Boolean).join(' · ');
+                header.append(title, details);
+            } else {
+                const response = await fetch('/api/jobs');
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error || 'Failed to load jobs');
+                }
+                jobs = data.jobs.filter(job => !job.metadata.caseNumber);
+
+                const title = document.createElement('h4');
+                title.className = 'text-lg font-medium';
+                title.textContent = 'Jobs without a matter';
+                header.appendChild(title);
+            }
+
+            this.renderHistory(jobs);
+        } catch (error) {
+            console.error('Failed to load history:', error);
+            header.textContent = error.message;
+            this.renderHistory([]);
+        }
+    }
+
+    renderHistory(jobs) {
+        const rows = document.getElementById('historyRows');
+        rows.innerHTML = '';
+
+        if (!jobs.length) {
+            const row = rows.insertRow();
+            const cell = row.insertCell();
+            cell.colSpan = 5;
+            cell.className = 'py-3 text-gray-500';
+            cell.textContent = 'No recordings yet.';
+            return;
+        }
+
+        const statusClass = {
+            completed: 'status-completed',
+            processing: 'status-processing',
+            started: 'status-processing',
+            cancelled: 'status-cancelled',
+            error: 'status-error',
+            interrupted: 'status-error'
+        };
+
+        jobs.forEach(job => {
+            const row = rows.insertRow();
+            row.className = 'border-b border-gray-100' + (job.processId === this.processId ? ' bg-yellow-50' : '');
+
+            row.insertCell().textContent = new Date(job.createdAt).toLocaleString();
+            row.insertCell().textContent = job.metadata.originalFileName || '—';
+            row.insertCell().textContent = job.durationSeconds ? formatClock(job.durationSeconds) : '—';
+
+            const status = document.createElement('span');
+            status.className = `status-indicator inline-flex ${statusClass[job.status] || 'status-pending'}`;
+            status.textContent = job.status;
+            row.insertCell().appendChild(status);
+
+            const open = document.createElement('button');
+            open.type = 'button';
+            open.className = 'btn-secondary text-xs py-1 px-3';
+            open.textContent = 'Open';
+            open.addEventListener('click', () => this.openJob(job.processId));
+            row.insertCell().appendChild(open);
+
+            Array.from(row.cells).forEach(cell => cell.classList.add('py-2', 'pr-3'));
+        });
+    }
+
+    // Record from the microphone, streaming chunks to the server, which sends
+    // back the transcript as it forms and files the recording as a job on stop
+    async startRecording() {
+        if (this.live || !this.canProcess()) return;
+        if (!navigator.mediaDevices || !window.MediaRecorder) {
+            this.showError('This browser cannot record audio (recording needs HTTPS or localhost)');
+            return;
+        }
+
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        } catch (error) {
+            this.showError(`Microphone unavailable: ${error.message}`);
+            return;
+        }
+
+        const mimeType = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4']
+            .find(type => MediaRecorder.isTypeSupported(type)) || '';
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const socket = new WebSocket(`${protocol}//${window.location.host}/api/live`);
+        this.live = { stream, socket, recorder: null, timer: null, startedAt: null, settled: [], provisional: [], done: false };
+
+        document.getElementById('recordBtn').disabled = true;
+        document.getElementById('liveStopBtn').disabled = false;
+        document.getElementById('liveDiscardBtn').disabled = false;
+        document.getElementById('liveStatus').textContent = 'Connecting…';
+        document.getElementById('liveClock').textContent = '00:00';
+        document.getElementById('liveTranscript').innerHTML = '';
+        document.getElementById('liveCard').classList.remove('hidden');
+        document.getElementById('liveCard').scrollIntoView({ behavior: 'smooth' });
+
+        socket.addEventListener('open', () => {
+            socket.send(JSON.stringify({ type: 'start', mimeType, ...this.uploadFields() }));
+        });
+        socket.addEventListener('message', (event) => this.handleLiveMessage(JSON.parse(event.data), mimeType));
+        socket.addEventListener('close', (event) => {
+            if (this.live && !this.live.done) {
+                this.showError(event.reason || 'The connection to the server was lost');
+            }
+            this.endRecording();
+        });
+    }
+
+    handleLiveMessage(message, mimeType) {
+        const live = this.live;
+        if (!live) return;
+
+        switch (message.type) {
+            case 'ready': {
+                live.recorder = new MediaRecorder(live.stream, mimeType ? { mimeType } : undefined);
+                live.recorder.addEventListener('dataavailable', (event) => {
+                    if (event.data.size > 0 && live.socket.readyState === WebSocket.OPEN) {
+                        live.socket.send(event.data);
+                    }
+                });
+                live.recorder.start(1000);
+                live.startedAt = Date.now();
+                live.timer = setInterval(() => {
+                    document.getElementById('liveClock').textContent = formatClock((Date.now() - live.startedAt) / 1000);
+                }, 1000);
+                document.getElementById('liveStatus').textContent = `Recording; the transcript updates about every ${message.windowSeconds} seconds`;
+                break;
+            }
+            case 'transcript':
+                live.settled.push(...message.settled);
+                live.provisional = message.provisional;
+                this.renderLiveTranscript();
+                break;
+            case 'job':
+                live.done = true;
+                this.endRecording();
+                this.resetApp();
+                this.processId = message.processId;
+                document.getElementById('statusCard').classList.remove('hidden');
+                document.getElementById('cancelBtn').classList.remove('hidden');
+                this.renderMediaInfo(message.media);
+                document.getElementById('statusCard').scrollIntoView({ behavior: 'smooth' });
+                this.watchJob();
+                this.refreshHistory();
+                break;
+            case 'cancelled':
+                live.done = true;
+                this.endRecording();
+                break;
+            case 'error':
+                live.done = true;
+                this.showError(message.error);
+                break;
+        }
+    }
+
+    renderLiveTranscript() {
+        const container = document.getElementById('liveTranscript');
+        container.innerHTML = '';
+
+        const line = (segment, provisional) => {
+            const row = document.createElement('p');
+            row.className = provisional ? 'text-gray-400 italic' : 'text-gray-800';
+            const time = document.createElement('span');
+            time.className = 'font-mono text-xs text-gray-500 mr-2';
+            time.textContent = `[${formatClock(segment.start)}]`;
+            row.append(time, document.createTextNode(segment.text));
+            container.appendChild(row);
+        };
+        this.live.settled.forEach(segment => line(segment, false));
+        this.live.provisional.forEach(segment => line(segment, true));
+        container.scrollTop = container.scrollHeight;
+    }
+
+    // type 'stop' files the recording as a job, 'cancel' throws it away
+    stopRecording(type) {
+        const live = this.live;
+        if (!live) return;
+
+        document.getElementById('liveStopBtn').disabled = true;
+        document.getElementById('liveDiscardBtn').disabled = true;
+        document.getElementById('liveStatus').textContent = type === 'stop' ? 'Finishing the recording…' : 'Discarding…';
+
+        const send = () => {
+            if (live.socket.readyState === WebSocket.OPEN) {
+                live.socket.send(JSON.stringify({ type }));
+            }
+        };
+        // The last chunk arrives before the recorder's stop event
+        if (live.recorder && live.recorder.state !== 'inactive') {
+            live.recorder.addEventListener('stop', send, { once: true });
+            live.recorder.stop();
+        } else {
+            send();
+        }
+        clearInterval(live.timer);
+    }
+
+    // Release the microphone and hide the live view
+    endRecording() {
+        const live = this.live;
+        if (!live) return;
+        this.live = null;
+
+        clearInterval(live.timer);
+        if (live.recorder && live.recorder.state !== 'inactive') {
+            live.recorder.stop();
+        }
+        live.stream.getTracks().forEach(track => track.stop());
+        if (live.socket.readyState === WebSocket.OPEN) {
+            live.socket.close();
+        }
+
+        document.getElementById('liveCard').classList.add('hidden');
+        document.getElementById('recordBtn').disabled = !this.canProcess();
+    }
+
+    // Upload the selected files as one batch; each becomes its own job
+    async startBatch() {
+        const files = this.selectedFiles;
+        document.getElementById('processBtn').disabled = true;
+
+        try {
+            const response = await fetch('/api/process-batch', {
+                method: 'POST',
+                body: this.uploadForm(files)
+            });
+
+            if (response.status === 401) {
+                document.getElementById('processBtn').disabled = !this.canProcess();
+                this.showLogin('Your session has expired; please sign in again');
+                return;
+            }
+
+            const data = await response.json();
+            if (data.rejected && data.rejected.length) {
+                this.showError(`${data.rejected.length} of ${files.length} files could not be processed:\n`
+                    + data.rejected.map(file => `${file.originalFileName}: ${file.error}`).join('\n'));
+            }
+            if (!response.ok) {
+                if (response.status === 503) this.checkHealth();
+                if (!data.rejected) throw new Error(data.error || 'Failed to start the batch');
+                document.getElementById('processBtn').disabled = !this.canProcess();
+                return;
+            }
+
+            this.selectedFiles = [];
+            document.getElementById('audioFile').value = '';
+            document.getElementById('fileInfo').classList.add('hidden');
+
+            await this.loadBatches(data.batchId);
+            document.getElementById('batchCard').scrollIntoView({ behavior: 'smooth' });
+            this.refreshHistory();
+        } catch (error) {
+            console.error('Batch error:', error);
+            this.showError('Failed to start the batch: ' + error.message);
+            document.getElementById('processBtn').disabled = !this.canProcess();
+        }
+    }
+
+    // Fill the batch picker and show the chosen (by default the newest) batch
+    async loadBatches(batchId = null) {
+        const select = document.getElementById('batchSelect');
+        try {
+            const response = await fetch('/api/batches');
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load batches');
+            }
+
+            select.innerHTML = '';
+            data.batches.forEach(batch => {
+                const option = document.createElement('option');
+                option.value = batch.batchId;
+                const label = [batch.caseNumber, batch.clientName].filter(Boolean).join(' · ') || 'No matter';
+                option.textContent = `${new Date(batch.createdAt).toLocaleString()} — ${label} (${batch.files} file${batch.files === 1 ? '' : 's'}${batch.source === 'inbox' ? ', inbox' : ''})`;
+                select.appendChild(option);
+            });
+
+            const chosen = batchId || this.selectedBatch || (data.batches[0] && data.batches[0].batchId);
+            if (chosen && data.batches.some(batch => batch.batchId === chosen)) {
+                select.value = chosen;
+                this.showBatch(chosen);
+            }
+        } catch (error) {
+            console.error('Failed to load batches:', error);
+        }
+    }
+
+    // Show a batch's jobs, refreshing every few seconds until they have all finished
+    async showBatch(batchId) {
+        clearTimeout(this.batchTimer);
+        this.selectedBatch = batchId;
+        const summary = document.getElementById('batchSummary');
+
+        try {
+            const response = await fetch(`/api/batches/${encodeURIComponent(batchId)}`);
+            const batch = await response.json();
+            if (!response.ok) {
+                throw new Error(batch.error || 'Failed to load batch');
+            }
+            if (this.selectedBatch !== batchId) return;
+
+            const counts = {};
+            batch.jobs.forEach(job => {
+                counts[job.status] = (counts[job.status] || 0) + 1;
+            });
+            summary.textContent = [
+                batch.caseNumber && `Case: ${batch.caseNumber}`,
+                batch.clientName && `Client: ${batch.clientName}`,
+                batch.source === 'inbox' && 'From the inbox folder',
+                Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ')
+            ].filter(Boolean).join(' · ');
+            this.renderBatch(batch.jobs);
+
+            const running = batch.jobs.some(job => !['completed', 'cancelled', 'error', 'interrupted'].includes(job.status));
+            if (running) {
+                this.batchTimer = setTimeout(() => this.showBatch(batchId), 3000);
+            } else {
+                this.refreshHistory();
+            }
+        } catch (error) {
+            console.error('Failed to load batch:', error);
+            summary.textContent = error.message;
+        }
+    }
+
+    renderBatch(jobs) {
+        const rows = document.getElementById('batchRows');
+        rows.innerHTML = '';
+
+        const statusClass = {
+            completed: 'status-completed',
+            processing: 'status-processing',
+            started: 'status-processing',
+            cancelled: 'status-cancelled',
+            error: 'status-error',
+            interrupted: 'status-error'
+        };
+
+        jobs.forEach(job => {
+            const row = rows.insertRow();
+            row.className = 'border-b border-gray-100' + (job.processId === this.processId ? ' bg-yellow-50' : '');
+
+            row.insertCell().textContent = job.originalFileName || '—';
+
+            const status = document.createElement('span');
+            status.className = `status-indicator inline-flex ${statusClass[job.status] || 'status-pending'}`;
+            status.textContent = job.queue
+                ? `waiting for ${job.queue.stage} (#${job.queue.position})`
+                : (job.currentStep && job.status === 'processing' ? STEP_LABELS[job.currentStep] || job.status : job.status);
+            if (job.error) status.title = job.error;
+            row.insertCell().appendChild(status);
+
+            const track = document.createElement('div');
+            track.className = 'bg-gray-200 rounded-full h-2';
+            const bar = document.createElement('div');
+            bar.className = `${job.status === 'error' ? 'bg-red-500' : 'bg-legal-blue'} h-2 rounded-full`;
+            bar.style.width = `${job.status === 'completed' ? 100 : overallProgress(job.steps, job.progress)}%`;
+            track.appendChild(bar);
+            row.insertCell().appendChild(track);
+
+            row.insertCell().textContent = job.durationSeconds ? formatClock(job.durationSeconds) : '—';
+
+            const open = document.createElement('button');
+            open.type = 'button';
+            open.className = 'btn-secondary text-xs py-1 px-3';
+            open.textContent = 'Open';
+            open.addEventListener('click', () => this.openJob(job.processId));
+            row.insertCell().appendChild(open);
+
+            Array.from(row.cells).forEach(cell => cell.classList.add('py-2', 'pr-3'));
+        });
+    }
+
+    // Refresh matter counts and the open history list after a job changes state
+    refreshHistory() {
+        this.loadMatters();
+        if (this.selectedMatter !== null) {
+            this.selectMatter(this.selectedMatter);
+        }
+    }
+
+    // Reopen a past (or still running) job in the status and results cards,
+    // optionally at a moment in its transcript
+    openJob(processId, { seekTo = null } = {}) {
+        this.resetApp();
+        this.processId = processId;
+        this.pendingSeek = seekTo;
+
+        document.getElementById('summaryText').textContent = 'Summary will appear here...';
+        document.getElementById('transcriptionText').textContent = '';
+        document.getElementById('statusCard').classList.remove('hidden');
+        document.getElementById('cancelBtn').classList.remove('hidden');
+        document.getElementById('statusCard').scrollIntoView({ behavior: 'smooth' });
+
+        this.watchJob();
+    }
+
+    openFromHash() {
+        if (!this.user) return;
+
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        const processId = params.get('job');
+        if (!processId) return;
+
+        const seconds = parseFloat(params.get('t'));
+        this.openJob(processId, { seekTo: Number.isFinite(seconds) ? seconds : null });
+    }
+
+    // Show the segment a search link pointed at, and cue the recording there
+    revealPendingSeek() {
+        if (this.pendingSeek === null) return;
+        const seconds = this.pendingSeek;
+        this.pendingSeek = null;
+
+        this.highlightSegment(seconds);
+        const player = document.getElementById('reviewPlayer');
+        player.addEventListener('loadedmetadata', () => {
+            player.currentTime = seconds;
+        }, { once: true });
+    }
+
+    async search(event) {
+        event.preventDefault();
+
+        const params = new URLSearchParams({ q: document.getElementById('searchQuery').value.trim() });
+        const filters = {
+            caseNumber: document.getElementById('searchCaseNumber').value.trim(),
+            clientName: document.getElementById('searchClientName').value.trim(),
+            since: document.getElementById('searchSince').value,
+            // Include the whole of the last day
+            until: document.getElementById('searchUntil').value && `${document.getElementById('searchUntil').value}T23:59:59.999Z`,
+            type: document.getElementById('searchType').value
+        };
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+        });
+
+        const summary = document.getElementById('searchSummary');
+        try {
+            const response = await fetch(`/api/search?${params}`);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Search failed');
+            }
+
+            summary.textContent = `${data.total} match${data.total === 1 ? '' : 'es'}`
+                + (data.total > data.results.length ? ` (showing the best ${data.results.length})` : '');
+            this.renderSearchResults(data.results);
+        } catch (error) {
+            console.error('Search error:', error);
+            summary.textContent = error.message;
+            this.renderSearchResults([]);
+        }
+        summary.classList.remove('hidden');
+    }
+
+    renderSearchResults(results) {
+        const container = document.getElementById('searchResults');
+        container.innerHTML = '';
+
+        results.forEach(result => {
+            const item = document.createElement('div');
+            item.className = 'border border-gray-200 rounded-lg p-4';
+
+            const title = document.createElement('p');
+            title.className = 'font-medium text-legal-blue';
+            title.textContent = result.metadata.originalFileName || result.processId;
+            const details = document.createElement('p');
+            details.className = 'text-xs text-gray-500 mb-2';
+            details.textContent = [
+                result.type === 'summary' ? 'Summary' : 'Transcript',
+                result.metadata.caseNumber,
+                result.metadata.clientName,
+                new Date(result.createdAt).toLocaleDateString(),
+                `${result.hits} hit${result.hits === 1 ? '' : 's'}`
+            ].filter(Boolean).join(' · ');
+            item.append(title, details);
+
+            result.snippets.forEach(snippet => {
+                const link = document.createElement('a');
+                link.href = snippet.link;
+                link.className = 'block text-sm text-gray-700 hover:bg-blue-50 rounded px-2 py-1';
+                // Following the same link twice doesn't fire hashchange
+                link.addEventListener('click', (e) => {
+                    if (link.hash === window.location.hash) {
+                        e.preventDefault();
+                        this.openFromHash();
+                    }
+                });
+
+                const prefix = document.createElement('span');
+                prefix.className = 'text-gray-500';
+                prefix.textContent = [
+                    snippet.start !== null ? `[${formatClock(snippet.start)}]` : null,
+                    snippet.language ? `(${languageName(snippet.language)} original)` : null,
+                    snippet.speaker ? `${snippet.speaker}:` : null
+                ].filter(Boolean).join(' ');
+                if (prefix.textContent) {
+                    link.append(prefix, ' ');
+                }
+
+                // Matched words are [from, to) ranges into the snippet text
+                let cursor = 0;
+                snippet.highlights.forEach(([from, to]) => {
+                    link.append(snippet.text.slice(cursor, from));
+                    const mark = document.createElement('mark');
+                    mark.textContent = snippet.text.slice(from, to);
+                    link.appendChild(mark);
+                    cursor = to;
+                });
+                link.append(snippet.text.slice(cursor));
+
+                item.appendChild(link);
+            });
+
+            container.appendChild(item);
+        });
+    }
+
+    toggleNewMatterForm() {
+        document.getElementById('newMatterForm').classList.toggle('hidden');
+    }
+
+    async createMatter(event) {
+        event.preventDefault();
+
+        try {
+            const response = await fetch('/api/matters', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    caseNumber: document.getElementById('newMatterCaseNumber').value.trim(),
+                    name: document.getElementById('newMatterName').value.trim(),
+                    clientName: document.getElementById('newMatterClient').value.trim()
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to create matter');
+            }
+
+            event.target.reset();
+            this.toggleNewMatterForm();
+            await this.loadMatters();
+            this.selectMatter(data.caseNumber);
+        } catch (error) {
+            console.error('Create matter error:', error);
+            this.showError(error.message);
+        }
+    }
+
+    renderSpeakerInputs() {
+        const panel = document.getElementById('speakersPanel');
+        const container = document.getElementById('speakerInputs');
+        container.innerHTML = '';
+
+        const ids = Object.keys(this.speakers);
+        panel.classList.toggle('hidden', ids.length === 0);
+
+        ids.forEach(id => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'input-field';
+            input.dataset.speakerId = id;
+            input.value = this.speakers[id];
+            input.placeholder = id;
+            container.appendChild(input);
+        });
+    }
+
+    async saveSpeakerNames(regenerateSummary) {
+        if (!this.processId) return;
+
+        const speakers = {};
+        document.querySelectorAll('#speakerInputs input').forEach(input => {
+            speakers[input.dataset.speakerId] = input.value;
+        });
+
+        try {
+            const response = await fetch(`/api/jobs/${this.processId}/speakers`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ speakers })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to save speaker names');
+            }
+
+            this.speakers = data.speakers;
+            this.renderTranscript({ segments: this.segments, transcription: data.transcription });
+            this.renderOriginal();
+
+            if (regenerateSummary) {
+                await this.regenerateSummary();
+            }
+        } catch (error) {
+            console.error('Speaker rename error:', error);
+            this.showError(error.message);
+        }
+    }
+
+    showError(message) {
+        alert(`Error: ${message}`);
+    }
+
+    resetApp() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+
+        this.selectedFiles = [];
+        this.processId = null;
+
+        document.getElementById('fileInfo').classList.add('hidden');
+        document.getElementById('statusCard').classList.add('hidden');
+        document.getElementById('resultsCard').classList.add('hidden');
+        document.getElementById('cancelBtn').classList.add('hidden');
+        document.getElementById('processBtn').disabled = true;
+
+        const player = document.getElementById('reviewPlayer');
+        player.pause();
+        player.removeAttribute('src');
+        player.classList.add('hidden');
+        document.getElementById('audioFile').value = '';
+
+        // Reset form fields
+        document.getElementById('clientName').value = '';
+        document.getElementById('caseNumber').value = '';
+        document.getElementById('meetingNotes').value = '';
+        document.getElementById('numSpeakers').value = '';
+        document.getElementById('redact').checked = false;
+        document.getElementById('redactWithModel').checked = false;
+        document.getElementById('redactWithModel').disabled = true;
+        document.getElementById('attachToHubspot').checked = false;
+        this.renderRedactions(null);
+        this.renderHubspotInfo(null);
+        this.renderMediaInfo(null);
+
+        // Reset status indicators
+        for (let i = 1; i <= 6; i++) {
+            const statusEl = document.getElementById(`status${i}`);
+            const stepEl = document.getElementById(`step${i}`);
+            statusEl.className = 'status-indicator status-pending';
+            statusEl.innerHTML = '<i class="fas fa-clock"></i><span>Pending</span>';
+            stepEl.className = 'flex items-center justify-between p-4 bg-gray-50 rounded-lg';
+        }
+
+        document.getElementById('progressBar').style.width = '0%';
+        document.getElementById('progressText').textContent = 'Ready to start';
+    }
+
+    // What ffprobe found in the upload, e.g. "MP4 video · audio track #1 (aac, 2 ch, eng) · 00:42:10"
+    renderMediaInfo(media) {
+        const info = document.getElementById('mediaInfo');
+        if (!media || !media.audioTrack) {
+            info.textContent = 'Extracting the audio track using FFmpeg';
+            return;
+        }
+
+        const track = media.audioTrack;
+        const details = [track.codec, track.channels && `${track.channels} ch`, track.language].filter(Boolean).join(', ');
+        const container = media.format.split(',')[0].toUpperCase();
+        info.textContent = [
+            `${container} ${media.hasVideo ? 'video' : 'audio'}`,
+            `audio track #${track.index} (${details})${media.audioTracks.length > 1 ? ` of ${media.audioTracks.length}` : ''}`,
+            formatClock(media.durationSeconds)
+        ].join(' · ');
+    }
+
+    renderHubspotInfo(state) {
+        const info = document.getElementById('hubspotInfo');
+        const attached = state && state.noteId;
+        info.classList.toggle('hidden', !attached);
+        if (attached) {
+            const kind = state.objectType === 'companies' ? 'company' : 'contact';
+            info.textContent = `Filed with HubSpot ${kind} ${state.recordName} on ${new Date(state.attachedAt).toLocaleString()}`;
+        }
+    }
+
+    async attachToHubspot() {
+        if (!this.processId) return;
+
+        const button = document.getElementById('hubspotBtn');
+        button.disabled = true;
+        try {
+            const response = await fetch(`/api/hubspot-attach/${this.processId}`, { method: 'POST' });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to attach to HubSpot');
+            }
+            this.renderHubspotInfo(data.hubspot);
+        } catch (error) {
+            console.error('HubSpot error:', error);
+            this.showError(error.message);
+        } finally {
+            button.disabled = false;
+        }
+    }
+}
+
+// Utility functions
+
+// Percent done for a job: each step contributes its weight times its own percent
+function overallProgress(steps, progress) {
+    let overall = 0;
+    Object.entries(STEP_WEIGHTS).forEach(([step, weight]) => {
+        const stepData = steps && steps[step];
+        if (!stepData) return;
+        if (stepData.status === 'completed' || stepData.status === 'skipped') {
+            overall += weight;
+        } else if (stepData.status === 'processing' && progress && progress[step]) {
+            overall += weight * progress[step].percent / 100;
+        }
+    });
+    return Math.min(overall, 100);
+}
+
+function copyToClipboard(elementId) {
+    const element = document.getElementById(elementId);
+    const text = element.textContent || element.innerText;
+    navigator.clipboard.writeText(text).then(() => {
+        // Show temporary feedback
+        const button = event.target.closest('button');
+        const originalText = button.innerHTML;
+        button.innerHTML = '<i class="fas fa-check mr-2"></i>Copied!';
+        button.classList.add('bg-green-200');
+        setTimeout(() => {
+            button.innerHTML = originalText;
+            button.classList.remove('bg-green-200');
+        }, 2000);
+    });
+}
+
+// 83.4 -> "00:01:23"
+function formatClock(seconds) {
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+    return [hours, minutes, secs].map(value => String(value).padStart(2, '0')).join(':');
+}
+
+// 135 -> "2m 15s"
+// "es" -> "Spanish", using the names the server sent with the Whisper models
+function languageName(code) {
+    const names = window.app && window.app.languageNames;
+    return (names && names[code]) || code;
+}
+
+function formatDuration(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function downloadTranscript(format, redacted = false) {
+    if (!window.app || !window.app.processId) return;
+    window.location.href = `/api/jobs/${window.app.processId}/${redacted ? 'redacted/' : ''}transcript.${format}`;
+}
+
+// Original-language transcript of a translated job
+function downloadOriginalTranscript(format) {
+    if (!window.app || !window.app.processId) return;
+    window.location.href = `/api/jobs/${window.app.processId}/original/transcript.${format}`;
+}
+
+// Court-style document (caption page, numbered lines) rendered by the server.
+// Fetched rather than navigated to, so a refusal (e.g. a PDF of text its fonts
+// cannot show) appears as an error instead of a page of JSON
+async function downloadExport(kind, format, redacted = false) {
+    if (!window.app || !window.app.processId) return;
+    try {
+        const response = await fetch(`/api/jobs/${window.app.processId}/export/${kind}.${format}${redacted ? '?redacted=true' : ''}`);
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `Export failed (HTTP ${response.status})`);
+        }
+
+        const disposition = (response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/);
+        const url = URL.createObjectURL(await response.blob());
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = disposition ? disposition[1] : `${kind}.${format}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        window.app.showError(error.message);
+    }
 }
 
 function downloadText(type) {
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+// A local stand-in for the HubSpot API endpoints the server uses (CRM search,
+// file upload, notes), for testing the integration end to end without a
+// HubSpot account. Records are kept in memory.
+// Usage: npm run mock-hubspot [-- --port 4010 --seed records.json]
+// then start the server with HUBSPOT_BASE_URL=http://127.0.0.1:4010 and any HUBSPOT_TOKEN
+// (or the one given to the mock as HUBSPOT_TOKEN).
+//
+// Inspection and fault injection:
+//   GET  /__mock/state                          companies, contacts, files (without contents) and notes
+//   POST /__mock/failures { count, status }     fail the next `count` API requests with `status`
+//                                               (default 503; 429 responses carry Retry-After: 1)
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+
+function option(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const port = parseInt(option('port', process.env.HUBSPOT_MOCK_PORT || 4010), 10);
+const token = process.env.HUBSPOT_TOKEN || null;
+const seedFile = option('seed', null);
+
+const seed = seedFile ? JSON.parse(fs.readFileSync(seedFile, 'utf8')) : {
+    companies: [{ id: '1001', properties: { name: 'Acme Corp', case_number: 'CV-2026-001' } }],
+    contacts: [{ id: '2001', properties: { firstname: 'Jane', lastname: 'Doe', email: 'jane.doe@example.com', case_number: 'CV-2026-002' } }]
+};
+
+const state = {
+    companies: seed.companies || [],
+    contacts: seed.contacts || [],
+    files: [],
+    notes: [],
+    failures: { count: 0, status: 503 }
+};
+let nextId = 5000;
+
+function send(res, status, body, headers = {}) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload), ...headers });
+    res.end(payload);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+// { name: { filename, contentType, value: Buffer } } from a multipart/form-data body
+function parseMultipart(body, contentType) {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || '');
+    if (!match) return {};
+    const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+    const parts = {};
+
+    let start = body.indexOf(delimiter);
+    while (start !== -1) {
+        const next = body.indexOf(delimiter, start + delimiter.length);
+        if (next === -1) break;
+        const part = body.subarray(start + delimiter.length + 2, next - 2);
+        const split = part.indexOf('\r\n\r\n');
+        const head = part.subarray(0, split).toString('utf8');
+        const name = /name="([^"]*)"/.exec(head);
+        if (name) {
+            const filename = /filename="([^"]*)"/.exec(head);
+            const type = /Content-Type:\s*(.+)/i.exec(head);
+            parts[name[1]] = {
+                filename: filename ? filename[1] : null,
+                contentType: type ? type[1].trim() : null,
+                value: part.subarray(split + 4)
+            };
+        }
+        start = next;
+    }
+    return parts;
+}
+
+function matches(record, search) {
+    const properties = record.properties || {};
+    if (search.query) {
+        const query = String(search.query).toLowerCase();
+        return Object.values(properties).some(value => String(value).toLowerCase().includes(query))
+            || [properties.firstname, properties.lastname].filter(Boolean).join(' ').toLowerCase().includes(query);
+    }
+    // Any filter group may match; every filter in a group must
+    return (search.filterGroups || []).some(group => (group.filters || []).every(filter => (
+        filter.operator === 'EQ'
+        && String(properties[filter.propertyName] ?? '').toLowerCase() === String(filter.value).toLowerCase()
+    )));
+}
+
+async function handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    if (url.pathname === '/__mock/state' && req.method === 'GET') {
+        return send(res, 200, { ...state, files: state.files.map(({ contents, ...file }) => file) });
+    }
+    if (url.pathname === '/__mock/failures' && req.method === 'POST') {
+        const { count = 1, status = 503 } = JSON.parse((await readBody(req)).toString('utf8') || '{}');
+        state.failures = { count, status };
+        return send(res, 200, state.failures);
+    }
+
+    const authorization = req.headers.authorization || '';
+    if (!authorization.startsWith('Bearer ') || (token && authorization !== `Bearer ${token}`)) {
+        return send(res, 401, { status: 'error', category: 'INVALID_AUTHENTICATION', message: 'Authentication credentials not found' });
+    }
+
+    if (state.failures.count > 0) {
+        state.failures.count--;
+        const { status } = state.failures;
+        return send(res, status, { status: 'error', message: `Injected failure (${status})` }, status === 429 ? { 'Retry-After': '1' } : {});
+    }
+
+    const body = await readBody(req);
+    const search = /^\/crm\/v3\/objects\/(companies|contacts)\/search$/.exec(url.pathname);
+
+    if (search && req.method === 'POST') {
+        const query = JSON.parse(body.toString('utf8') || '{}');
+        const results = state[search[1]].filter(record => matches(record, query));
+        return send(res, 200, { total: results.length, results: results.slice(0, query.limit || 10) });
+    }
+
+    if (url.pathname === '/files/v3/files' && req.method === 'POST') {
+        const parts = parseMultipart(body, req.headers['content-type']);
+        if (!parts.file || !parts.file.filename) {
+            return send(res, 400, { status: 'error', category: 'VALIDATION_ERROR', message: 'file is required' });
+        }
+        const file = {
+            id: String(nextId++),
+            name: parts.file.filename,
+            type: parts.file.contentType,
+            size: parts.file.value.length,
+            sha256: crypto.createHash('sha256').update(parts.file.value).digest('hex'),
+            folderPath: parts.folderPath ? parts.folderPath.value.toString('utf8') : null,
+            options: parts.options ? JSON.parse(parts.options.value.toString('utf8')) : null,
+            createdAt: new Date().toISOString()
+        };
+        state.files.push({ ...file, contents: parts.file.value });
+        console.log(`📄 File ${file.id}: ${file.name} (${file.size} bytes)`);
+        return send(res, 201, { ...file, url: `http://127.0.0.1:${port}/files/${file.id}` });
+    }
+
+    if (url.pathname === '/crm/v3/objects/notes' && req.method === 'POST') {
+        const { properties = {}, associations = [] } = JSON.parse(body.toString('utf8') || '{}');
+        const missing = (properties.hs_attachment_ids || '').split(';').filter(id => id && !state.files.some(file => file.id === id));
+        if (!properties.hs_timestamp || missing.length > 0) {
+            return send(res, 400, { status: 'error', category: 'VALIDATION_ERROR', message: missing.length ? `Unknown attachment ids: ${missing.join(', ')}` : 'hs_timestamp is required' });
+        }
+        const note = { id: String(nextId++), properties, associations, createdAt: new Date().toISOString() };
+        state.notes.push(note);
+        console.log(`📝 Note ${note.id} on ${associations.map(association => association.to.id).join(', ')} with files ${properties.hs_attachment_ids}`);
+        return send(res, 201, note);
+    }
+
+    send(res, 404, { status: 'error', category: 'OBJECT_NOT_FOUND', message: `No mock for ${req.method} ${url.pathname}` });
+}
+
+http.createServer((req, res) => {
+    handle(req, res).catch(error => send(res, 500, { status: 'error', message: error.message }));
+}).listen(port, '127.0.0.1', () => {
+    console.log(`🧪 Mock HubSpot API on http://127.0.0.1:${port}${token ? ' (token required)' : ''}`);
+});
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+// Verify the audit log's hash chain and head signature.
+// Usage: npm run verify-audit [-- --json]
+// Exits 0 when the log is intact, 1 when tampering or missing entries are found,
+// and 2 when the log cannot be checked (e.g. the storage key is unavailable).
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const SecureStore = require('../lib/secure-store');
+const { AuditLog } = require('../lib/audit-log');
+
+const dataDir = path.join(__dirname, '..', 'data');
+
+async function main() {
+    // Don't let unlock() create a fresh key on a machine that never ran the server
+    if (!fs.existsSync(path.join(dataDir, 'keystore.json'))) {
+        throw new Error(`No keystore in ${dataDir}; has the server been started here?`);
+    }
+
+    const secureStore = new SecureStore({
+        keystorePath: path.join(dataDir, 'keystore.json'),
+        keyFile: process.env.STORAGE_KEYFILE || path.join(dataDir, 'storage.key'),
+        passphrase: process.env.STORAGE_PASSPHRASE || null
+    });
+    await secureStore.unlock();
+
+    const auditLog = new AuditLog(path.join(dataDir, 'audit.jsonl'), {
+        codec: { encode: line => secureStore.sealLine(line), decode: line => secureStore.openLine(line) },
+        headKey: () => secureStore.auditKey
+    });
+    const result = await auditLog.verify();
+
+    if (process.argv.includes('--json')) {
+        console.log(JSON.stringify(result, null, 2));
+    } else if (result.ok) {
+        console.log(`✅ Audit log intact: ${result.entries} entries, last seq ${result.lastSeq}`);
+    } else {
+        console.log(`❌ Audit log verification failed (${result.entries} readable entries):`);
+        for (const { line, seq, problem } of result.problems) {
+            const where = [line !== null ? `line ${line}` : null, seq !== null ? `seq ${seq}` : null].filter(Boolean).join(', ');
+            console.log(`   - ${where ? where + ': ' : ''}${problem}`);
+        }
+    }
+
+    process.exit(result.ok ? 0 : 1);
+}
+
+main().catch(error => {
+    console.error('Cannot verify audit log:', error.message);
+    process.exit(2);
+});
@@ -1,9 +1,36 @@
+require('dotenv').config();
+
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
-const { spawn } = require('child_process');
+const { createReadStream } = require('fs');
 const crypto = require('crypto');
+const JobStore = require('./lib/job-store');
+const StageQueue = require('./lib/stage-queue');
+const transcriptFormat = require('./lib/transcript-format');
+const revisions = require('./lib/transcript-revisions');
+const { TemplateStore } = require('./lib/template-store');
+const { OllamaClient, optionsFromEnv } = require('./lib/ollama-client');
+const { openEventStream } = require('./lib/sse');
+const SecureStore = require('./lib/secure-store');
+const { UserStore, MAX_PASSWORD_LENGTH, publicUser } = require('./lib/user-store');
+const MatterStore = require('./lib/matter-store');
+const auth = require('./lib/auth');
+const { AuditLog, toCsv } = require('./lib/audit-log');
+const retention = require('./lib/retention');
+const { SearchIndex } = require('./lib/search-index');
+const redaction = require('./lib/redaction');
+const courtExport = require('./lib/court-export');
+const { HubSpotClient } = require('./lib/hubspot-client');
+const mediaProbe = require('./lib/media-probe');
+const { InboxWatcher } = require('./lib/inbox-watcher');
+const { acceptWebSocket, rejectUpgrade } = require('./lib/websocket');
+const { LiveSession } = require('./lib/live-session');
+const audioProcessor = require('./lib/audio-processor');
+const diagnostics = require('./lib/diagnostics');
+const whisperModels = require('./lib/whisper-models');
+const { AudioProcessor } = audioProcessor;
 
 // Simple UUID generator to avoid external dependency
 function uuidv4() {
@@ -17,383 +44,506 @@ function uuidv4() {
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Local accounts, sessions and matter access lists
+const userStore = new UserStore(path.join(__dirname, 'data', 'users.json'));
+const matterStore = new MatterStore(path.join(__dirname, 'data', 'matters.json'));
+const sessions = new auth.SessionManager({
+    ttlMs: (parseFloat(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000
+});
+const loginThrottle = new auth.LoginThrottle();
+
+// Chain-of-custody trail; entries are encrypted like the job journal
+const auditLog = new AuditLog(path.join(__dirname, 'data', 'audit.jsonl'), {
+    codec: { encode: line => secureStore.sealLine(line), decode: line => secureStore.openLine(line) },
+    headKey: () => secureStore.auditKey
+});
+
+// Status polling (the fallback when event streams are unavailable) would
+// otherwise write an entry every two seconds; in-progress reads are recorded
+// once a minute per user and job
+const STATUS_AUDIT_INTERVAL_MS = 60 * 1000;
+const statusAuditTimes = new Map();
+
 // Middleware
 app.use(express.json());
 app.use(express.static('public'));
+app.use(auth.authenticate(sessions, userStore));
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, 'uploads/');
-    },
-    filename: (req, file, cb) => {
-        const uniqueName = uuidv4() + '_' + file.originalname;
-        cb(null, uniqueName);
+// Everything under /api needs a signed-in user, except signing in and the health check
+app.use('/api', (req, res, next) => {
+    if (req.path === '/auth/login' || req.path === '/health') {
+        return next();
     }
+    auth.requireUser(req, res, next);
+});
+
+// Uploads, transcripts, summaries and the job journal are encrypted at rest
+const secureStore = new SecureStore({
+    keystorePath: path.join(__dirname, 'data', 'keystore.json'),
+    keyFile: process.env.STORAGE_KEYFILE || path.join(__dirname, 'data', 'storage.key'),
+    passphrase: process.env.STORAGE_PASSPHRASE || null
 });
 
+// Most recordings one batch upload may carry
+const MAX_BATCH_FILES = parseInt(process.env.MAX_BATCH_FILES, 10) || 50;
+
+// Configure multer for file uploads; recordings are encrypted as they stream in.
+// Any file is taken: ffprobe decides by content whether it can be transcribed.
 const upload = multer({
-    storage: storage,
-    fileFilter: (req, file, cb) => {
-        if (file.mimetype.startsWith('audio/') || file.originalname.toLowerCase().endsWith('.m4a')) {
-            cb(null, true);
-        } else {
-            cb(new Error('Only audio files are allowed'));
-        }
-    },
+    storage: secureStore.uploadStorage('uploads'),
     limits: {
         fileSize: 500 * 1024 * 1024 // 500MB limit
     }
 });
 
-// In-memory storage for processing status
+// Live AudioProcessor instances, backed by the durable job store on disk
 const processingJobs = new Map();
+const jobStore = new JobStore(path.join(__dirname, 'data', 'jobs.jsonl'), {
+    codec: { encode: line => secureStore.sealLine(line), decode: line => secureStore.openLine(line) }
+});
 
-class AudioProcessor {
-    constructor(processId, audioFile, metadata = {}) {
-        this.processId = processId;
-        this.audioFile = audioFile;
-        this.metadata = metadata;
-        this.status = 'started';
-        this.steps = {
-            conversion: { status: 'pending' },
-            transcription: { status: 'pending' },
-            summary: { status: 'pending' },
-            hubspot: { status: 'pending' }
-        };
-        this.results = {};
+// Full-text index of transcripts and summaries, rebuilt from the journal at startup
+const searchIndex = new SearchIndex();
+
+const templateStore = new TemplateStore(
+    path.join(__dirname, 'templates'),
+    process.env.DEFAULT_SUMMARY_TEMPLATE || 'deposition'
+);
+
+let ollamaOptions;
+try {
+    ollamaOptions = optionsFromEnv();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+const ollama = new OllamaClient({
+    baseUrl: process.env.OLLAMA_URL,
+    model: process.env.OLLAMA_MODEL,
+    options: ollamaOptions,
+    idleTimeoutMs: parseFloat(process.env.OLLAMA_IDLE_TIMEOUT_SECONDS) * 1000 || undefined
+});
+
+const hubspot = new HubSpotClient({
+    baseUrl: process.env.HUBSPOT_BASE_URL,
+    token: process.env.HUBSPOT_TOKEN || null,
+    retries: parseInt(process.env.HUBSPOT_RETRIES, 10) || 3,
+    folderPath: process.env.HUBSPOT_FOLDER,
+    caseProperty: process.env.HUBSPOT_CASE_PROPERTY || null
+});
+
+// How many ffmpeg / whisper-cli / ollama processes may run at once across all jobs
+const stageQueue = new StageQueue({
+    ffmpeg: process.env.FFMPEG_CONCURRENCY || 2,
+    diarization: process.env.DIARIZATION_CONCURRENCY || 1,
+    whisper: process.env.WHISPER_CONCURRENCY || 1,
+    ollama: process.env.OLLAMA_CONCURRENCY || 1
+});
+// Every open /events stream listens for queue changes
+stageQueue.setMaxListeners(0);
+
+audioProcessor.configure({
+    secureStore,
+    jobStore,
+    processingJobs,
+    searchIndex,
+    templateStore,
+    ollama,
+    hubspot,
+    stageQueue,
+    matterStore
+});
+
+function canAccessJob(user, job) {
+    return auth.canAccessJob(user, job, matterStore);
+}
+
+// Record an action in the audit log, attributed to the requesting user.
+// Pass a null request for actions the server takes on its own (retention).
+function audit(req, action, { job, processId, caseNumber, details } = {}) {
+    const user = req && req.user;
+    auditLog.append({
+        action,
+        actor: user ? user.username : (req ? null : 'system'),
+        actorId: user ? user.id : null,
+        role: user ? user.role : null,
+        ip: req ? req.ip : null,
+        processId: job ? job.processId : processId,
+        caseNumber: job ? job.metadata.caseNumber : caseNumber,
+        details
+    });
+}
+
+// Jobs the requester may not see are reported as missing, so process ids cannot be probed
+function findJob(req, processId) {
+    const job = getJob(processId);
+    if (job && !canAccessJob(req.user, job)) {
+        audit(req, 'access.denied', { job, details: { method: req.method, path: req.originalUrl } });
+        return null;
     }
+    return job;
+}
+
+// Attorneys manage the matters they are on; admins manage all of them
+function canManageMatter(user, matter) {
+    return user.role === 'admin' || (user.role === 'attorney' && matter.members.includes(user.id));
+}
 
-    updateStep(stepName, status, data = {}) {
-        this.steps[stepName] = { status, ...data };
-        processingJobs.set(this.processId, this);
+// Filing a job under a case number: a new number opens a matter with the user
+// on it, an existing one requires access. Rejects with status 403 otherwise.
+async function ensureMatterAccess(req, caseNumber, clientName) {
+    const matter = matterStore.get(caseNumber);
+    if (!matter) {
+        return matterStore.create({ caseNumber, clientName }, req.user.id);
     }
+    if (req.user.role !== 'admin' && !matter.members.includes(req.user.id)) {
+        audit(req, 'access.denied', { caseNumber, details: { method: req.method, path: req.originalUrl } });
+        const error = new Error(`You do not have access to matter ${caseNumber}`);
+        error.status = 403;
+        throw error;
+    }
+    return matter;
+}
+
+// One row of job history: enough to list and reopen a job without its transcript
+function jobSummary(record) {
+    const results = record.results || {};
+    return {
+        processId: record.processId,
+        status: record.status,
+        steps: record.steps,
+        metadata: record.metadata,
+        durationSeconds: results.durationSeconds ?? null,
+        templateId: results.templateId || null,
+        hasTranscript: Boolean(results.transcription),
+        hasSummary: Boolean(results.summary),
+        sourceDeletedAt: results.sourceDeletedAt || null,
+        legalHold: record.legalHold || null,
+        transcriptPath: results.transcriptPath || null,
+        summaryPath: results.summaryPath || null,
+        error: record.error,
+        createdAt: record.createdAt,
+        updatedAt: record.updatedAt
+    };
+}
+
+// Apply the retention rules to every stored job, then let go of idle in-memory jobs.
+// They are reloaded from the job store on the next request.
+async function applyRetention(policy = retention.policyFromEnv()) {
+    const summary = { sourcesDeleted: 0, jobsDeleted: 0, evicted: 0 };
 
-    async convertAudioToWav() {
+    for (const record of jobStore.list()) {
+        const matter = matterStore.get(record.metadata?.caseNumber);
+        const due = retention.dueActions(record, matter, policy);
+        if (!due.deleteJob && !due.deleteSource) continue;
+
+        const job = getJob(record.processId);
         try {
-            this.updateStep('conversion', 'processing');
-
-            const inputPath = this.audioFile;
-            const outputPath = path.join('temp', `${this.processId}.wav`);
-
-            return new Promise((resolve, reject) => {
-                // Check if ffmpeg is available
-                const ffmpeg = spawn('ffmpeg', [
-                    '-i', inputPath,
-                    '-acodec', 'pcm_s16le',
-                    '-ar', '16000',
-                    '-ac', '1',
-                    outputPath,
-                    '-y' // Overwrite output file
-                ]);
-
-                let stderr = '';
-
-                ffmpeg.stderr.on('data', (data) => {
-                    stderr += data.toString();
-                });
-
-                ffmpeg.on('close', (code) => {
-                    if (code === 0) {
-                        this.updateStep('conversion', 'completed', { outputPath });
-                        this.results.wavFile = outputPath;
-                        resolve(outputPath);
-                    } else {
-                        console.error('FFmpeg stderr:', stderr);
-                        this.updateStep('conversion', 'error', { error: 'FFmpeg conversion failed' });
-                        reject(new Error(`FFmpeg failed with code ${code}`));
-                    }
-                });
-
-                ffmpeg.on('error', (error) => {
-                    console.error('FFmpeg error:', error);
-                    this.updateStep('conversion', 'error', { error: error.message });
-                    reject(error);
-                });
-            });
+            if (due.deleteJob) {
+                const files = await job.purge();
+                summary.jobsDeleted++;
+                audit(null, 'retention.delete_job', { job, details: { reason: due.reason, files } });
+                console.log(`🗑️  Retention removed job ${job.processId} (${due.reason})`);
+            } else if (await job.deleteSourceAudio()) {
+                summary.sourcesDeleted++;
+                audit(null, 'retention.delete_source', { job, details: { reason: due.reason } });
+                console.log(`🗑️  Retention removed the recording for job ${job.processId} (${due.reason})`);
+            }
         } catch (error) {
-            this.updateStep('conversion', 'error', { error: error.message });
-            throw error;
+            console.error(`Retention error for job ${record.processId}:`, error);
         }
     }
 
-    async transcribeAudio(wavPath) {
-        try {
-            this.updateStep('transcription', 'processing');
-
-            return new Promise((resolve, reject) => {
-                // Use whisper-cli for transcription
-                const modelPath = path.join(__dirname, 'models', 'ggml-base.en.bin');
-                const whisper = spawn('whisper-cli', [
-                    '-m', modelPath,
-                    '--output-txt',
-                    '--no-timestamps',
-                    '--language', 'en',
-                    wavPath
-                ]);
-
-                let stdout = '';
-                let stderr = '';
-
-                whisper.stdout.on('data', (data) => {
-                    stdout += data.toString();
-                });
-
-                whisper.stderr.on('data', (data) => {
-                    stderr += data.toString();
-                });
-
-                whisper.on('close', async (code) => {
-                    if (code === 0) {
-                        try {
-                            // whisper-cli with --output-txt creates a .wav.txt file
-                            const txtPath = wavPath + '.txt';
-
-                            // Wait a moment for file to be written
-                            await new Promise(resolve => setTimeout(resolve, 1000));
-
-                            const transcription = await fs.readFile(txtPath, 'utf8');
-
-                            this.updateStep('transcription', 'completed');
-                            this.results.transcription = transcription.trim();
-
-                            // Save transcript to transcripts folder
-                            const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
-                            const clientInfo = this.metadata.clientName ? `_${this.metadata.clientName.replace(/[^a-zA-Z0-9]/g, '-')}` : '';
-                            const caseInfo = this.metadata.caseNumber ? `_${this.metadata.caseNumber.replace(/[^a-zA-Z0-9]/g, '-')}` : '';
-                            const transcriptFileName = `transcript_${timestamp}${clientInfo}${caseInfo}.txt`;
-                            const transcriptSavePath = path.join('transcripts', transcriptFileName);
-
-                            await fs.writeFile(transcriptSavePath, transcription.trim());
-                            console.log(`📝 Transcript saved: ${transcriptSavePath}`);
-
-                            // Clean up the temporary generated txt file
-                            await fs.unlink(txtPath).catch(() => {});
-
-                            resolve(transcription.trim());
-                        } catch (readError) {
-                            console.error('Error reading transcript:', readError);
-                            this.updateStep('transcription', 'error', { error: 'Failed to read transcript file' });
-                            reject(readError);
-                        }
-                    } else {
-                        console.error('Whisper-cli stderr:', stderr);
-                        console.error('Whisper-cli stdout:', stdout);
-                        this.updateStep('transcription', 'error', { error: `Whisper-cli failed with code ${code}` });
-                        reject(new Error(`Whisper-cli failed with code ${code}`));
-                    }
-                });
-
-                whisper.on('error', (error) => {
-                    console.error('Whisper error:', error);
-                    this.updateStep('transcription', 'error', { error: error.message });
-                    reject(error);
-                });
-            });
-        } catch (error) {
-            this.updateStep('transcription', 'error', { error: error.message });
-            throw error;
+    for (const [processId, job] of processingJobs) {
+        const idle = !['started', 'processing'].includes(job.status)
+            && job.listenerCount('step') === 0
+            && job.listenerCount('summary-token') === 0;
+        if (idle) {
+            processingJobs.delete(processId);
+            summary.evicted++;
         }
     }
 
-    async generateSummary(transcription) {
-        try {
-            this.updateStep('summary', 'processing');
-
-            const legalPrompt = `**Situation** You are an expert legal secretary working in a law firm environment where case documentation and file management are critical to legal proceedings. You need to process court transcripts and depositions to create concise summaries for case file integration.
-
-**Task** The assistant should analyze the provided transcript and create a structured summary suitable for inclusion in a legal case file. The assistant should extract key information, identify critical testimony, and organize findings in a format that legal professionals can quickly reference.
-
-**Objective** Create a professional case file summary that enables legal team members to quickly understand the transcript's key points, evidence presented, and testimony given without reading the full document.
-
-**Knowledge** Legal transcripts typically contain:
-- Witness testimony under oath
-- Attorney questioning (direct and cross-examination)
-- Judicial rulings and objections
-- Evidence presentations
-- Procedural matters
-
-Case file summaries must maintain accuracy and legal precision while condensing information. The summary should preserve the legal significance of statements and maintain chronological flow when relevant.
-
-**Instructions** The assistant should:
-1. Create a summary between 300-500 words maximum
-2. Structure the output with clear headings: Case Information, Key Testimony, Evidence Presented, Notable Rulings, and Action Items
-3. Use objective, professional language appropriate for legal documentation
-4. Identify each witness by name and role when summarizing their testimony
-5. When conflicting testimony occurs, note both positions without editorial commentary
-
-**Transcript to Analyze:**
-${transcription}`;
-
-            return new Promise((resolve, reject) => {
-                // Use Ollama for local LLM processing with gemma3:12b model
-                const ollama = spawn('ollama', ['run', 'gemma3:12b']);
-
-                let stdout = '';
-                let stderr = '';
-
-                ollama.stdout.on('data', (data) => {
-                    stdout += data.toString();
-                });
-
-                ollama.stderr.on('data', (data) => {
-                    stderr += data.toString();
-                });
-
-                ollama.on('close', async (code) => {
-                    if (code === 0 && stdout.trim()) {
-                        this.updateStep('summary', 'completed');
-                        this.results.summary = stdout.trim();
-
-                        // Save summary to summaries folder
-                        const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
-                        const clientInfo = this.metadata.clientName ? `_${this.metadata.clientName.replace(/[^a-zA-Z0-9]/g, '-')}` : '';
-                        const caseInfo = this.metadata.caseNumber ? `_${this.metadata.caseNumber.replace(/[^a-zA-Z0-9]/g, '-')}` : '';
-                        const summaryFileName = `summary_${timestamp}${clientInfo}${caseInfo}.txt`;
-                        const summarySavePath = path.join('summaries', summaryFileName);
-
-                        try {
-                            await fs.writeFile(summarySavePath, stdout.trim());
-                            console.log(`📋 Summary saved: ${summarySavePath}`);
-                        } catch (saveError) {
-                            console.error('Error saving summary:', saveError);
-                        }
-
-                        resolve(stdout.trim());
-                    } else {
-                        console.error('Ollama stderr:', stderr);
-                        this.updateStep('summary', 'error', { error: 'Summary generation failed' });
-                        reject(new Error(`Ollama failed with code ${code}`));
-                    }
-                });
-
-                ollama.on('error', (error) => {
-                    console.error('Ollama error:', error);
-                    this.updateStep('summary', 'error', { error: error.message });
-                    reject(error);
-                });
-
-                // Send the prompt to ollama
-                ollama.stdin.write(legalPrompt);
-                ollama.stdin.end();
-            });
-        } catch (error) {
-            this.updateStep('summary', 'error', { error: error.message });
-            throw error;
-        }
+    return summary;
+}
+
+function getJob(processId) {
+    if (processingJobs.has(processId)) {
+        return processingJobs.get(processId);
     }
 
-    async attachToHubspot() {
-        try {
-            this.updateStep('hubspot', 'processing');
+    const record = jobStore.get(processId);
+    if (!record) {
+        return null;
+    }
 
-            // Placeholder for HubSpot integration
-            // This would use HubSpot API to attach the transcript and summary to a client record
-            await new Promise(resolve => setTimeout(resolve, 1000)); // Simulate API call
+    const job = AudioProcessor.fromRecord(record);
+    processingJobs.set(processId, job);
+    return job;
+}
 
-            this.updateStep('hubspot', 'completed');
-            return { success: true, message: 'Attached to HubSpot successfully' };
-        } catch (error) {
-            this.updateStep('hubspot', 'error', { error: error.message });
-            throw error;
-        }
+// Routes
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// ffprobe an upload. It is stored encrypted, so this reads a short-lived plaintext
+// copy in temp/ (MP4 and MOV keep their index at the end, so a pipe won't do).
+async function probeUpload(filePath, processId) {
+    const probePath = path.join('temp', `${processId}.probe`);
+    try {
+        const inputPath = await secureStore.isSealed(filePath)
+            ? await secureStore.decryptToFile(filePath, probePath)
+            : filePath;
+        return await mediaProbe.probe(inputPath);
+    } finally {
+        await fs.unlink(probePath).catch(() => {});
     }
+}
 
-    async process() {
-        try {
-            this.status = 'processing';
-            processingJobs.set(this.processId, this);
+// Upload form fields the requester cannot use: HubSpot when it isn't set up, a
+// Whisper model that isn't installed or can't handle the language, a matter
+// they don't belong to. Opens the matter for a new case number. Resolves the
+// trimmed case number and the transcription options with defaults filled in.
+async function checkJobFields(req, fields) {
+    if (fields.attachToHubspot === 'true' && !hubspot.configured) {
+        const error = new Error('HubSpot is not configured; set HUBSPOT_TOKEN or upload without attaching');
+        error.status = 400;
+        throw error;
+    }
+    const transcription = await whisperModels.resolveOptions(audioProcessor.MODELS_DIR, fields);
 
-            // Step 1: Convert M4A to WAV
-            const wavPath = await this.convertAudioToWav();
+    const caseNumber = (fields.caseNumber || '').trim();
+    if (caseNumber) {
+        await ensureMatterAccess(req, caseNumber, fields.clientName);
+    }
+    return { caseNumber, transcription };
+}
+
+// Store an encrypted copy of a recording that did not come through the upload
+// form, in the shape the upload storage produces
+async function storeRecording(filePath, originalName) {
+    const storedPath = secureStore.newPath('uploads');
+    const digest = crypto.createHash('sha256');
+    let size = 0;
+    const source = createReadStream(filePath);
+    source.on('data', (chunk) => {
+        size += chunk.length;
+        digest.update(chunk);
+    });
+    await secureStore.writeStream(storedPath, source);
 
-            // Step 2: Transcribe audio using Whisper
-            const transcription = await this.transcribeAudio(wavPath);
+    return { path: storedPath, originalname: originalName, size, sha256: digest.digest('hex') };
+}
 
-            // Step 3: Generate summary using Ollama
-            const summary = await this.generateSummary(transcription);
+// Start a job for a recording already stored (encrypted) in uploads/. `file` is
+// what the upload storage produced ({ path, originalname, size, sha256 }) and
+// `fields` the upload form fields, as strings. `extra` adds metadata such as the
+// batch id. The requester owns the job. Rejects with a status; the caller
+// removes the stored file then.
+async function startJob(req, file, fields, extra = {}) {
+    const { caseNumber, transcription } = await checkJobFields(req, fields);
 
-            // Step 4: HubSpot integration (optional)
-            if (this.metadata.attachToHubspot) {
-                await this.attachToHubspot();
-            }
+    const processId = uuidv4();
+    let media;
+    try {
+        media = await probeUpload(file.path, processId);
+    } catch (error) {
+        audit(req, 'upload.rejected', {
+            caseNumber: caseNumber || undefined,
+            details: { originalFileName: file.originalname, size: file.size, sha256: file.sha256, error: error.message, ...extra }
+        });
+        throw error;
+    }
 
-            this.status = 'completed';
-            processingJobs.set(this.processId, this);
+    const metadata = {
+        clientName: fields.clientName,
+        caseNumber: caseNumber || undefined,
+        meetingNotes: fields.meetingNotes,
+        numSpeakers: parseInt(fields.numSpeakers, 10) || null,
+        templateId: fields.templateId || templateStore.defaultId,
+        redact: fields.redact === 'true',
+        redactWithModel: fields.redactWithModel === 'true',
+        attachToHubspot: fields.attachToHubspot === 'true',
+        model: fields.model || ollama.model,
+        ...transcription,
+        originalFileName: file.originalname,
+        fileSize: file.size,
+        sha256: file.sha256,
+        media,
+        ...extra,
+        ownerId: req.user.id,
+        uploadedBy: req.user.username,
+        uploadedAt: new Date().toISOString()
+    };
 
-            // Cleanup temporary files
-            this.cleanup();
+    const processor = new AudioProcessor(processId, file.path, metadata);
+    processor.save();
+    audit(req, 'job.upload', {
+        job: processor,
+        details: {
+            originalFileName: metadata.originalFileName,
+            size: file.size,
+            sha256: file.sha256,
+            format: media.format,
+            audioTrack: media.audioTrack.index,
+            ...extra
+        }
+    });
 
-            return {
-                transcription,
-                summary,
-                metadata: this.metadata
-            };
+    // Start processing in background
+    processor.process().catch(error => {
+        console.error('Background processing error:', error);
+    });
 
-        } catch (error) {
-            console.error('Processing error:', error);
-            this.status = 'error';
-            this.error = error.message;
-            processingJobs.set(this.processId, this);
-            throw error;
+    return processor;
+}
+
+app.post('/api/process-audio', upload.single('audio'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No audio file provided' });
+    }
+
+    try {
+        await requireReady();
+        const processor = await startJob(req, req.file, req.body);
+
+        res.json({
+            processId: processor.processId,
+            message: 'Processing started',
+            status: 'started',
+            media: processor.metadata.media
+        });
+    } catch (error) {
+        await fs.unlink(req.file.path).catch(() => {});
+        if (!error.status) {
+            console.error('Upload error:', error);
         }
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to start processing', checks: error.checks });
+    }
+});
+
+// Several recordings sharing one client, case, notes and options. Each file becomes
+// its own job tagged with the batch id; files ffprobe rejects are reported and skipped.
+app.post('/api/process-batch', upload.array('audio', MAX_BATCH_FILES), async (req, res) => {
+    if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ error: 'No audio files provided' });
+    }
+
+    try {
+        await requireReady();
+    } catch (error) {
+        await Promise.all(req.files.map(file => fs.unlink(file.path).catch(() => {})));
+        return res.status(error.status || 500).json({ error: error.message, checks: error.checks });
     }
 
-    async cleanup() {
+    const batchId = uuidv4();
+    const jobs = [];
+    const rejected = [];
+
+    // One at a time, so the probes don't compete with running jobs
+    for (const file of req.files) {
         try {
-            // Clean up temporary files
-            if (this.results.wavFile) {
-                await fs.unlink(this.results.wavFile).catch(() => {});
-            }
+            const processor = await startJob(req, file, req.body, { batchId });
+            jobs.push({ processId: processor.processId, originalFileName: file.originalname, status: processor.status });
         } catch (error) {
-            console.error('Cleanup error:', error);
+            await fs.unlink(file.path).catch(() => {});
+            if (!error.status) {
+                console.error('Upload error:', error);
+            }
+            rejected.push({ originalFileName: file.originalname, error: error.status ? error.message : 'Failed to start processing', status: error.status || 500 });
         }
     }
-}
 
-// Routes
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+    audit(req, 'batch.upload', {
+        caseNumber: (req.body.caseNumber || '').trim() || undefined,
+        details: { batchId, files: req.files.length, started: jobs.length, rejected: rejected.length }
+    });
+
+    if (jobs.length === 0) {
+        return res.status(rejected[0].status).json({ error: 'No file in the batch could be processed', batchId: null, rejected });
+    }
+    res.json({ batchId, jobs, rejected });
 });
 
-app.post('/api/process-audio', upload.single('audio'), async (req, res) => {
-    try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No audio file provided' });
-        }
+// One row of the batch dashboard
+function batchEntry(record) {
+    const live = processingJobs.get(record.processId);
+    return {
+        processId: record.processId,
+        originalFileName: record.metadata.originalFileName,
+        status: record.status,
+        steps: record.steps,
+        currentStep: live ? live.currentStep() : null,
+        progress: live ? live.progress : {},
+        queue: stageQueue.position(record.processId) || null,
+        durationSeconds: record.results?.durationSeconds ?? null,
+        error: record.error,
+        createdAt: record.createdAt
+    };
+}
 
-        const processId = uuidv4();
-        const metadata = {
-            clientName: req.body.clientName,
-            caseNumber: req.body.caseNumber,
-            meetingNotes: req.body.meetingNotes,
-            originalFileName: req.file.originalname,
-            uploadedAt: new Date().toISOString()
-        };
+// What a batch's jobs have in common; client and case are left out when they
+// differ, as in an inbox scan that picked up several folders
+function batchInfo(batchId, records) {
+    const shared = key => {
+        const values = new Set(records.map(record => record.metadata[key] || null));
+        return values.size === 1 ? [...values][0] : null;
+    };
+    return {
+        batchId,
+        source: records[0].metadata.source || 'upload',
+        clientName: shared('clientName'),
+        caseNumber: shared('caseNumber')
+    };
+}
 
-        const processor = new AudioProcessor(processId, req.file.path, metadata);
-        processingJobs.set(processId, processor);
+// Batches with at least one job the user can see, newest first
+app.get('/api/batches', (req, res) => {
+    const batches = new Map();
+    for (const record of jobStore.list({}, record => canAccessJob(req.user, record))) {
+        const batchId = record.metadata?.batchId;
+        if (!batchId) continue;
+        if (!batches.has(batchId)) batches.set(batchId, []);
+        batches.get(batchId).push(record);
+    }
 
-        // Start processing in background
-        processor.process().catch(error => {
-            console.error('Background processing error:', error);
+    const list = Array.from(batches, ([batchId, records]) => {
+        const counts = {};
+        records.forEach(record => {
+            counts[record.status] = (counts[record.status] || 0) + 1;
         });
+        return {
+            ...batchInfo(batchId, records),
+            createdAt: records.reduce((first, record) => (record.createdAt < first ? record.createdAt : first), records[0].createdAt),
+            files: records.length,
+            counts
+        };
+    }).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
 
-        res.json({
-            processId,
-            message: 'Processing started',
-            status: 'started'
-        });
+    res.json({ batches: list.slice(0, parseInt(req.query.limit, 10) || 20) });
+});
 
-    } catch (error) {
-        console.error('Upload error:', error);
-        res.status(500).json({ error: 'Failed to start processing' });
+app.get('/api/batches/:batchId', (req, res) => {
+    const records = jobStore.list({}, record => (
+        record.metadata?.batchId === req.params.batchId && canAccessJob(req.user, record)
+    )).reverse();
+
+    if (records.length === 0) {
+        return res.status(404).json({ error: 'Batch not found' });
     }
+
+    audit(req, 'batch.view', { details: { batchId: req.params.batchId, files: records.length } });
+    res.json({
+        ...batchInfo(req.params.batchId, records),
+        jobs: records.map(batchEntry)
+    });
 });
 
 app.get('/api/status/:processId', (req, res) => {
     const { processId } = req.params;
-    const job = processingJobs.get(processId);
+    const job = findJob(req, processId);
 
     if (!job) {
         return res.status(404).json({ error: 'Process not found' });
@@ -403,60 +553,1606 @@ app.get('/api/status/:processId', (req, res) => {
         processId,
         status: job.status,
         steps: job.steps,
-        metadata: job.metadata
+        currentStep: job.currentStep(),
+        progress: job.progress,
+        metadata: job.metadata,
+        legalHold: job.legalHold,
+        sourceDeletedAt: job.results.sourceDeletedAt || null,
+        createdAt: job.createdAt
     };
 
+    const queue = stageQueue.position(processId);
+    if (queue) {
+        response.queue = queue;
+    }
+
+    const auditKey = `${req.user.id}:${processId}`;
+    if (job.status === 'completed') {
+        audit(req, 'results.view', { job });
+    } else if (Date.now() - (statusAuditTimes.get(auditKey) || 0) >= STATUS_AUDIT_INTERVAL_MS) {
+        statusAuditTimes.set(auditKey, Date.now());
+        audit(req, 'job.status', { job, details: { status: job.status } });
+    }
+
     if (job.status === 'completed') {
         response.transcription = job.results.transcription;
+        response.segments = job.results.segments || [];
+        response.speakers = job.results.speakers || {};
+        response.language = job.results.language || null;
+        response.original = job.results.original
+            ? { language: job.results.original.language, segments: job.results.original.segments }
+            : null;
+        response.revisions = (job.results.revisions || []).map(revisions.describe);
+        response.summaryRevision = job.results.summaryRevision ?? null;
+        response.templateId = job.results.templateId || job.metadata.templateId || null;
+        response.summarySections = job.results.summarySections || null;
         response.summary = job.results.summary;
+        response.redaction = job.results.redaction ? redactionView(job) : null;
+        response.hubspot = job.results.hubspot || null;
     }
 
-    if (job.status === 'error') {
+    if (['error', 'interrupted', 'cancelled'].includes(job.status)) {
         response.error = job.error;
     }
 
     res.json(response);
 });
 
-app.post('/api/hubspot-attach/:processId', (req, res) => {
+// Job history the user may see, newest first.
+// Supports ?status=&clientName=&caseNumber=&since=&until=&limit=
+// The first of names given other than once, as text: a repeated parameter arrives
+// as an array (and clientName[x]= as an object)
+function repeatedQueryParam(query, names) {
+    return names.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+}
+
+app.get('/api/jobs', (req, res) => {
+    const invalid = repeatedQueryParam(req.query, ['status', 'clientName', 'caseNumber', 'since', 'until', 'limit']);
+    if (invalid) {
+        return res.status(400).json({ error: `${invalid} must be given once, as text` });
+    }
+
+    const jobs = jobStore.list(req.query, record => canAccessJob(req.user, record)).map(jobSummary);
+
+    res.json({ jobs });
+});
+
+// Full-text search over the transcripts and summaries the user may see.
+// ?q= takes words, "phrases", AND/OR/NOT (or -word), prefix* and parentheses;
+// filter with clientName, caseNumber, since, until and type (transcript|summary).
+// Page with limit (default 20, max 100) and offset. Each snippet links to its
+// moment in the transcript.
+app.get('/api/search', (req, res) => {
+    const invalid = repeatedQueryParam(req.query, ['q', 'clientName', 'caseNumber', 'since', 'until', 'type', 'limit', 'offset']);
+    if (invalid) {
+        return res.status(400).json({ error: `${invalid} must be given once, as text` });
+    }
+
+    const { q, clientName, caseNumber, since, until, type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    if (type && !['transcript', 'summary'].includes(type)) {
+        return res.status(400).json({ error: 'type must be transcript or summary' });
+    }
+
+    const include = (processId, docType) => {
+        const record = jobStore.get(processId);
+        if (!record || !canAccessJob(req.user, record)) return false;
+        if (type && docType !== type) return false;
+        if (clientName && !(record.metadata?.clientName || '').toLowerCase().includes(clientName.toLowerCase())) return false;
+        if (caseNumber && record.metadata?.caseNumber !== caseNumber) return false;
+        if (since && record.createdAt < since) return false;
+        if (until && record.createdAt > until) return false;
+        return true;
+    };
+
+    try {
+        const { total, results } = searchIndex.search(q, { include, limit, offset });
+
+        audit(req, 'search.query', { caseNumber: caseNumber || null, details: { q, clientName, since, until, type, total } });
+        res.json({
+            query: q,
+            total,
+            offset,
+            results: results.map(result => {
+                const record = jobStore.get(result.processId);
+                return {
+                    ...result,
+                    metadata: {
+                        clientName: record.metadata?.clientName || null,
+                        caseNumber: record.metadata?.caseNumber || null,
+                        originalFileName: record.metadata?.originalFileName || null
+                    },
+                    createdAt: record.createdAt,
+                    snippets: result.snippets.map(snippet => ({
+                        ...snippet,
+                        link: snippet.start !== null && snippet.start !== undefined
+                            ? `/#job=${result.processId}&t=${snippet.start}`
+                            : `/#job=${result.processId}`
+                    }))
+                };
+            })
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// File a job under a matter, or move it to another one: { caseNumber }.
+// Jobs under a legal hold stay where they are.
+app.put('/api/jobs/:processId/matter', async (req, res) => {
     const { processId } = req.params;
-    const job = processingJobs.get(processId);
+    const job = findJob(req, processId);
 
     if (!job) {
         return res.status(404).json({ error: 'Process not found' });
     }
 
-    if (job.status !== 'completed') {
-        return res.status(400).json({ error: 'Processing not completed' });
+    const caseNumber = String((req.body && req.body.caseNumber) || '').trim();
+    if (!caseNumber) {
+        return res.status(400).json({ error: 'Case number is required' });
     }
 
-    // Trigger HubSpot attachment
-    job.attachToHubspot().then(() => {
-        res.json({ success: true, message: 'Attached to HubSpot' });
-    }).catch(error => {
-        res.status(500).json({ error: error.message });
-    });
+    const previous = job.metadata.caseNumber || null;
+    if (retention.isOnHold(job, matterStore.get(previous))) {
+        return res.status(409).json({ error: 'This job is under a legal hold and cannot be moved' });
+    }
+
+    try {
+        const matter = await ensureMatterAccess(req, caseNumber, job.metadata.clientName);
+        job.metadata.caseNumber = matter.caseNumber;
+        if (!job.metadata.clientName && matter.clientName) {
+            job.metadata.clientName = matter.clientName;
+        }
+        job.save();
+
+        audit(req, 'job.move', { job, details: { from: previous, to: matter.caseNumber } });
+        res.json(jobSummary(jobStore.get(processId)));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
+app.post('/api/jobs/:processId/resume', async (req, res) => {
+    const { processId } = req.params;
+    const job = findJob(req, processId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Process not found' });
+    }
+
+    if (!['interrupted', 'error', 'cancelled'].includes(job.status)) {
+        return res.status(400).json({ error: `Cannot resume a job that is ${job.status}` });
+    }
+
+    try {
+        await requireReady();
+    } catch (error) {
+        return res.status(error.status || 500).json({ error: error.message, checks: error.checks });
+    }
+
+    job.process().catch(error => {
+        console.error('Background processing error:', error);
+    });
+    audit(req, 'job.resume', { job });
+
     res.json({
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        dependencies: {
-            ffmpeg: 'Available (check with: ffmpeg -version)',
-            whisper: 'Available (check with: whisper-cli --help)',
-            ollama: 'Available (check with: ollama --version)',
-            model: 'gemma3:12b (check with: ollama list)'
+        processId,
+        message: 'Processing resumed',
+        status: 'processing'
+    });
+});
+
+// Download the timed transcript as srt, vtt, json or timestamped txt
+app.get('/api/jobs/:processId/transcript.:format', (req, res) => {
+    const { processId, format } = req.params;
+    const job = findJob(req, processId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Process not found' });
+    }
+
+    const renderer = transcriptFormat.FORMATS[format];
+    if (!renderer) {
+        return res.status(400).json({ error: `Unsupported format: ${format}` });
+    }
+
+    const segments = job.results.segments;
+    if (!segments) {
+        return res.status(400).json({ error: 'No timed transcript available for this job' });
+    }
+
+    audit(req, 'transcript.download', { job, details: { format } });
+    res.set('Content-Type', `${renderer.contentType}; charset=utf-8`);
+    res.attachment(`transcript_${processId}.${format}`);
+    res.send(renderer.render(segments, { metadata: job.metadata, speakers: job.results.speakers }));
+});
+
+// The original-language transcript of a translated job, in the same formats
+app.get('/api/jobs/:processId/original/transcript.:format', (req, res) => {
+    const { processId, format } = req.params;
+    const job = findJob(req, processId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Process not found' });
+    }
+
+    const renderer = transcriptFormat.FORMATS[format];
+    if (!renderer) {
+        return res.status(400).json({ error: `Unsupported format: ${format}` });
+    }
+
+    const original = job.results.original;
+    if (!original) {
+        return res.status(404).json({ error: 'This job was not translated; its transcript is in the original language' });
+    }
+
+    audit(req, 'transcript.download', { job, details: { format, original: true, language: original.language } });
+    res.set('Content-Type', `${renderer.contentType}; charset=utf-8`);
+    res.attachment(`transcript_${processId}_${original.language}.${format}`);
+    res.send(renderer.render(original.segments, { metadata: job.metadata, speakers: job.results.speakers }));
+});
+
+// Court-style transcript or summary (caption page, numbered lines, certification)
+// as pdf or docx. ?redacted=true exports the transcript with redactions applied.
+app.get('/api/jobs/:processId/export/:kind.:format', async (req, res) => {
+    const { processId, kind, format } = req.params;
+    const job = findJob(req, processId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Process not found' });
+    }
+
+    const renderer = courtExport.RENDERERS[format];
+    if (!renderer || !['transcript', 'summary'].includes(kind)) {
+        return res.status(400).json({ error: `Unsupported export: ${kind}.${format}` });
+    }
+
+    const redacted = req.query.redacted === 'true';
+    const matter = job.metadata.caseNumber ? matterStore.get(job.metadata.caseNumber) : null;
+
+    try {
+        let model;
+        if (kind === 'summary') {
+            if (redacted) {
+                return res.status(400).json({ error: 'Only the transcript has a redacted export' });
+            }
+            if (!job.results.summary) {
+                return res.status(400).json({ error: 'No summary available for this job' });
+            }
+            const template = await templateStore.get(job.results.templateId).catch(() => null);
+            model = courtExport.summaryModel(job, { matter, template });
+        } else if (!job.results.segments) {
+            return res.status(400).json({ error: 'No timed transcript available for this job' });
+        } else if (redacted) {
+            const state = job.results.redaction;
+            if (!state) {
+                return res.status(404).json({ error: 'This job has not been redacted' });
+            }
+            if (job.redactionIsStale()) {
+                return res.status(409).json({ error: 'The transcript was corrected after redaction; run redaction again' });
+            }
+            const withheld = state.items.filter(item => item.status !== 'rejected');
+            model = courtExport.transcriptModel(job, {
+                matter,
+                segments: redaction.redactSegments(job.results.segments, state.items),
+                redactedCount: withheld.length
+            });
+        } else {
+            model = courtExport.transcriptModel(job, { matter });
         }
+
+        audit(req, 'export.download', { job, details: { kind, format, redacted } });
+        res.set('Content-Type', renderer.contentType);
+        res.attachment(`${kind}_${processId}${redacted ? '_redacted' : ''}.${format}`);
+        res.send(renderer.render(model));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Stream the original upload for review playback. Answers HTTP Range requests
+// (206 Partial Content) by decrypting only the chunks covering the range, so the
+// browser can seek without downloading it all
+app.get('/api/jobs/:processId/media', async (req, res) => {
+    const { processId } = req.params;
+    const job = findJob(req, processId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Process not found' });
+    }
+
+    if (!job.audioFile) {
+        return res.status(404).json({ error: 'Original recording was deleted under the retention policy' });
+    }
+
+    await sendStoredMedia(req, res, job.audioFile, path.extname(job.metadata.originalFileName || ''), () => {
+        audit(req, 'media.play', { job });
     });
 });
 
-app.listen(PORT, () => {
-    console.log(`🎙️  Legal Audio Transcription Server running on http://localhost:${PORT}`);
-    console.log('📁 Make sure the following dependencies are installed:');
-    console.log('   - ffmpeg (brew install ffmpeg)');
-    console.log('   - whisper (pip install openai-whisper)');
-    console.log('   - ollama (https://ollama.ai/)');
-    console.log('📂 Directories created: uploads/, temp/, transcripts/, summaries/');
+// Stream a stored recording, decrypting only the chunks that cover the
+// requested range. onPlay runs once per playback: players fetch many ranges
+// while seeking, but only the first starts at byte 0.
+async function sendStoredMedia(req, res, filePath, type, onPlay) {
+    const mediaPath = path.resolve(filePath);
+    let sealed;
+    try {
+        sealed = await secureStore.isSealed(mediaPath);
+    } catch (error) {
+        return res.status(404).json({ error: 'Recording is no longer available' });
+    }
+
+    const range = req.headers.range || '';
+    if (!range || /^bytes=0-/.test(range)) {
+        onPlay();
+    }
+
+    if (!sealed) {
+        return res.sendFile(mediaPath, { acceptRanges: true, cacheControl: false });
+    }
+
+    try {
+        const size = await secureStore.size(mediaPath);
+        let start = 0;
+        let end = size - 1;
+
+        const ranges = req.range(size);
+        if (ranges === -1) {
+            return res.status(416).set('Content-Range', `bytes */${size}`).end();
+        }
+        if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+            ({ start, end } = ranges[0]);
+            res.status(206).set('Content-Range', `bytes ${start}-${end}/${size}`);
+        }
+
+        res.type(type || 'application/octet-stream');
+        res.set({
+            'Accept-Ranges': 'bytes',
+            'Cache-Control': 'no-store',
+            'Content-Length': Math.max(end - start + 1, 0)
+        });
+
+        secureStore.createReadStream(mediaPath, { start, end })
+            .on('error', (error) => {
+                console.error('Media streaming error:', error);
+                res.destroy(error);
+            })
+            .pipe(res);
+    } catch (error) {
+        console.error('Media streaming error:', error);
+        res.status(500).json({ error: 'Failed to stream recording' });
+    }
+}
+
+// Save corrections as a new revision, credited to the signed-in user:
+// { segments: [{ id, text }], note, baseRevision }
+app.put('/api/jobs/:processId/transcript', async (req, res) => {
+    const { processId } = req.params;
+    const job = findJob(req, processId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Process not found' });
+    }
+
+    if (!job.results.segments || !job.results.revisions) {
+        return res.status(400).json({ error: 'This job has no editable transcript' });
+    }
+
+    if (job.status === 'started' || job.status === 'processing') {
+        return res.status(400).json({ error: 'Processing is still running' });
+    }
+
+    if (!req.body || !Array.isArray(req.body.segments)) {
+        return res.status(400).json({ error: 'Expected a segments array' });
+    }
+
+    try {
+        const { revision, changed } = await job.editTranscript(req.body.segments, {
+            author: req.user.name,
+            note: req.body.note,
+            baseRevision: req.body.baseRevision
+        });
+
+        if (revision) {
+            audit(req, 'transcript.edit', {
+                job,
+                details: { revision: revision.revision, changed, note: revision.note || null }
+            });
+        }
+
+        res.json({
+            processId,
+            revision: revision ? revisions.describe(revision) : null,
+            changed,
+            transcription: job.results.transcription,
+            segments: job.results.segments
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Transcript edit error:', error);
+        res.status(500).json({ error: 'Failed to save transcript' });
+    }
+});
+
+app.get('/api/jobs/:processId/transcript/revisions', (req, res) => {
+    const { processId } = req.params;
+    const job = findJob(req, processId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Process not found' });
+    }
+
+    audit(req, 'transcript.revisions', { job });
+    res.json({
+        processId,
+        revisions: (job.results.revisions || []).map(revisions.describe),
+        summaryRevision: job.results.summaryRevision ?? null
+    });
+});
+
+// Word-level diff between two revisions; defaults to machine output vs latest
+app.get('/api/jobs/:processId/transcript/diff', (req, res) => {
+    const { processId } = req.params;
+    const job = findJob(req, processId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Process not found' });
+    }
+
+    const list = job.results.revisions || [];
+    if (!list.length) {
+        return res.status(400).json({ error: 'This job has no transcript revisions' });
+    }
+
+    const from = list[req.query.from !== undefined ? parseInt(req.query.from, 10) : 0];
+    const to = list[req.query.to !== undefined ? parseInt(req.query.to, 10) : list.length - 1];
+    if (!from || !to) {
+        return res.status(400).json({ error: 'Unknown revision' });
+    }
+
+    audit(req, 'transcript.diff', { job, details: { from: from.revision, to: to.revision } });
+    res.json({ processId, ...revisions.diffRevisions(from, to, job.results.segments || []) });
+});
+
+// Rename diarized speakers, e.g. { speakers: { S1: 'Witness – J. Smith' } }
+app.put('/api/jobs/:processId/speakers', async (req, res) => {
+    const { processId } = req.params;
+    const job = findJob(req, processId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Process not found' });
+    }
+
+    if (!job.results.segments || !job.results.speakers) {
+        return res.status(400).json({ error: 'This job has no speaker labels' });
+    }
+
+    const speakers = req.body && req.body.speakers;
+    if (!speakers || typeof speakers !== 'object' || Array.isArray(speakers)) {
+        return res.status(400).json({ error: 'Expected a speakers object' });
+    }
+
+    try {
+        await job.renameSpeakers(speakers);
+        audit(req, 'speakers.rename', { job, details: { speakers: job.results.speakers } });
+        res.json({ processId, speakers: job.results.speakers, transcription: job.results.transcription });
+    } catch (error) {
+        console.error('Speaker rename error:', error);
+        res.status(500).json({ error: 'Failed to rename speakers' });
+    }
+});
+
+// Regenerate the summary from the job's current transcript (e.g. after renaming speakers).
+// Pass { templateId } to summarize with a different template.
+app.post('/api/jobs/:processId/summarize', async (req, res) => {
+    const { processId } = req.params;
+    const job = findJob(req, processId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Process not found' });
+    }
+
+    if (job.status === 'started' || job.status === 'processing') {
+        return res.status(400).json({ error: 'Processing is still running' });
+    }
+
+    if (!job.results.transcription) {
+        return res.status(400).json({ error: 'No transcript available to summarize' });
+    }
+
+    if (req.body && req.body.templateId) {
+        try {
+            await templateStore.get(req.body.templateId);
+        } catch (error) {
+            return res.status(error.status || 500).json({ error: error.message });
+        }
+        job.metadata.templateId = req.body.templateId;
+    }
+
+    // process() skips completed steps, so only the summary runs again
+    job.steps.summary = { status: 'pending' };
+    job.process().catch(error => {
+        console.error('Background processing error:', error);
+    });
+    audit(req, 'summary.regenerate', { job, details: { templateId: job.metadata.templateId } });
+
+    res.json({ processId, message: 'Summary regeneration started', status: 'processing' });
+});
+
+// Redaction findings without the storage paths, plus whether the transcript
+// has been corrected since they were made
+function redactionView(job) {
+    const state = job.results.redaction;
+    const { redactedTranscriptPath, bleep, ...rest } = state;
+    return {
+        processId: job.processId,
+        step: job.steps.redaction,
+        ...rest,
+        stale: job.redactionIsStale(),
+        bleep: bleep ? { status: bleep.status, spans: bleep.spans, createdAt: bleep.createdAt, stale: bleep.stale, error: bleep.error } : null
+    };
+}
+
+// Run (or re-run) redaction on the current transcript: { useModel }
+app.post('/api/jobs/:processId/redact', (req, res) => {
+    const { processId } = req.params;
+    const job = findJob(req, processId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Process not found' });
+    }
+
+    if (job.status === 'started' || job.status === 'processing') {
+        return res.status(400).json({ error: 'Processing is still running' });
+    }
+
+    if (!job.results.segments) {
+        return res.status(400).json({ error: 'No timed transcript available to redact' });
+    }
+
+    job.metadata.redact = true;
+    job.metadata.redactWithModel = Boolean(req.body && req.body.useModel);
+    job.metadata.redactRequestedBy = req.user.username;
+
+    // process() skips completed steps, so only redaction runs again
+    job.steps.redaction = { status: 'pending' };
+    job.process().catch(error => {
+        console.error('Background processing error:', error);
+    });
+    audit(req, 'redaction.run', { job, details: { useModel: job.metadata.redactWithModel } });
+
+    res.json({ processId, message: 'Redaction started', status: 'processing' });
+});
+
+app.get('/api/jobs/:processId/redactions', (req, res) => {
+    const { processId } = req.params;
+    const job = findJob(req, processId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Process not found' });
+    }
+
+    if (!job.results.redaction) {
+        return res.status(404).json({ error: 'This job has not been redacted' });
+    }
+
+    audit(req, 'redaction.view', { job });
+    res.json(redactionView(job));
+});
+
+// Accept or reject findings: { decisions: [{ id, status: 'accepted'|'rejected'|'pending' }] }.
+// Rejected findings are left in the redacted copy.
+app.put('/api/jobs/:processId/redactions', async (req, res) => {
+    const { processId } = req.params;
+    const job = findJob(req, processId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Process not found' });
+    }
+
+    if (!job.results.redaction) {
+        return res.status(404).json({ error: 'This job has not been redacted' });
+    }
+
+    if (!req.body || !Array.isArray(req.body.decisions)) {
+        return res.status(400).json({ error: 'Expected a decisions array' });
+    }
+
+    try {
+        const changed = await job.reviewRedactions(req.body.decisions, req.user.username);
+        if (changed.length) {
+            audit(req, 'redaction.review', { job, details: { changed } });
+        }
+        res.json(redactionView(job));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Redacted transcript in any export format
+app.get('/api/jobs/:processId/redacted/transcript.:format', (req, res) => {
+    const { processId, format } = req.params;
+    const job = findJob(req, processId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Process not found' });
+    }
+
+    const renderer = transcriptFormat.FORMATS[format];
+    if (!renderer) {
+        return res.status(400).json({ error: `Unsupported format: ${format}` });
+    }
+
+    const state = job.results.redaction;
+    if (!state || !job.results.segments) {
+        return res.status(404).json({ error: 'This job has not been redacted' });
+    }
+    if (job.redactionIsStale()) {
+        return res.status(409).json({ error: 'The transcript was corrected after redaction; run redaction again' });
+    }
+
+    const segments = redaction.redactSegments(job.results.segments, state.items);
+    audit(req, 'redacted.download', {
+        job,
+        details: { format, pending: state.items.filter(item => item.status === 'pending').length }
+    });
+    res.set('Content-Type', `${renderer.contentType}; charset=utf-8`);
+    res.attachment(`transcript_${processId}_redacted.${format}`);
+    res.send(renderer.render(segments, { metadata: job.metadata, speakers: job.results.speakers }));
+});
+
+// Bleep the redacted spans in the recording. Runs in the background; follow
+// bleep.status in GET /redactions.
+app.post('/api/jobs/:processId/redacted/audio', (req, res) => {
+    const { processId } = req.params;
+    const job = findJob(req, processId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Process not found' });
+    }
+
+    const state = job.results.redaction;
+    if (!state) {
+        return res.status(404).json({ error: 'This job has not been redacted' });
+    }
+    if (!job.audioFile) {
+        return res.status(409).json({ error: 'Original recording was deleted under the retention policy' });
+    }
+    if (job.redactionIsStale()) {
+        return res.status(409).json({ error: 'The transcript was corrected after redaction; run redaction again' });
+    }
+    if (state.bleep && state.bleep.status === 'processing') {
+        return res.status(409).json({ error: 'Bleeping is already running' });
+    }
+
+    job.bleepAudio().catch(error => {
+        console.error('Bleeping error:', error);
+    });
+    audit(req, 'redaction.bleep', { job, details: { spans: redaction.bleepSpans(state.items).length } });
+
+    res.status(202).json({ processId, message: 'Bleeping started', status: 'processing' });
+});
+
+app.get('/api/jobs/:processId/redacted/media', async (req, res) => {
+    const { processId } = req.params;
+    const job = findJob(req, processId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Process not found' });
+    }
+
+    const bleep = job.results.redaction && job.results.redaction.bleep;
+    if (!bleep || !bleep.path) {
+        return res.status(404).json({ error: 'No bleeped recording for this job' });
+    }
+
+    await sendStoredMedia(req, res, bleep.path, '.m4a', () => {
+        audit(req, 'redacted.play', { job });
+    });
+});
+
+// Push channel for one job, as server-sent events:
+//   snapshot { status, steps, currentStep, progress, queue }  on connect
+//   step     { step, status, ... }                              on every step transition
+//   progress { step, percent, etaSeconds }                      ffmpeg/whisper/summary progress
+//   queue    { stage, position } | null                         when the queue moves
+//   token    { text, phase, chunk }                             streamed summary output
+//   status   { status, error }                                  job status changes; the
+//                                                               stream closes on a final status
+app.get('/api/jobs/:processId/events', (req, res) => {
+    const { processId } = req.params;
+    const job = findJob(req, processId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Process not found' });
+    }
+
+    audit(req, 'job.watch', { job });
+    const stream = openEventStream(req, res);
+    const isFinal = status => !['started', 'processing'].includes(status);
+
+    stream.send('snapshot', {
+        status: job.status,
+        steps: job.steps,
+        currentStep: job.currentStep(),
+        progress: job.progress,
+        queue: stageQueue.position(processId)
+    });
+
+    if (isFinal(job.status)) {
+        stream.send('status', { status: job.status, error: job.error });
+        return stream.close();
+    }
+
+    let lastQueue = JSON.stringify(stageQueue.position(processId));
+    const onQueue = () => {
+        const queue = stageQueue.position(processId);
+        if (JSON.stringify(queue) === lastQueue) return;
+        lastQueue = JSON.stringify(queue);
+        stream.send('queue', queue);
+    };
+    const onStep = step => stream.send('step', step);
+    const onProgress = update => stream.send('progress', update);
+    const onToken = token => stream.send('token', token);
+    const onStatus = update => {
+        stream.send('status', update);
+        if (isFinal(update.status)) {
+            stream.close();
+        }
+    };
+
+    job.on('step', onStep);
+    job.on('progress', onProgress);
+    job.on('summary-token', onToken);
+    job.on('status', onStatus);
+    stageQueue.on('change', onQueue);
+
+    stream.onClose(() => {
+        job.off('step', onStep);
+        job.off('progress', onProgress);
+        job.off('summary-token', onToken);
+        job.off('status', onStatus);
+        stageQueue.off('change', onQueue);
+    });
+});
+
+// Live summary tokens as server-sent events: 'token' { text, phase, chunk },
+// then 'done' { summary } or 'error' { error }
+app.get('/api/jobs/:processId/summary/stream', (req, res) => {
+    const { processId } = req.params;
+    const job = findJob(req, processId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Process not found' });
+    }
+
+    audit(req, 'summary.stream', { job });
+    const stream = openEventStream(req, res);
+    const summaryStep = job.steps.summary.status;
+
+    if (summaryStep === 'completed' && job.status !== 'processing') {
+        stream.send('done', { summary: job.results.summary });
+        return stream.close();
+    }
+
+    const onToken = (token) => stream.send('token', token);
+    const onStep = (step) => {
+        if (step.step !== 'summary') return;
+        if (step.status === 'completed') {
+            stream.send('done', { summary: job.results.summary });
+            stream.close();
+        } else if (step.status === 'error' || step.status === 'cancelled') {
+            stream.send('error', { error: step.error || 'Summary generation failed' });
+            stream.close();
+        }
+    };
+
+    job.on('summary-token', onToken);
+    job.on('step', onStep);
+    stream.onClose(() => {
+        job.off('summary-token', onToken);
+        job.off('step', onStep);
+    });
+});
+
+// Whisper models installed in models/ and the languages they can be told to
+// expect, for the upload form
+app.get('/api/whisper-models', async (req, res) => {
+    try {
+        const models = await whisperModels.listModels(audioProcessor.MODELS_DIR);
+        res.json({
+            models: models.map(({ name, sizeBytes, multilingual }) => ({ name, sizeBytes, multilingual })),
+            defaultModel: whisperModels.DEFAULT_MODEL,
+            languages: Object.entries(whisperModels.LANGUAGES).map(([code, name]) => ({ code, name }))
+        });
+    } catch (error) {
+        console.error('Whisper model list error:', error);
+        res.status(500).json({ error: 'Failed to list Whisper models' });
+    }
+});
+
+// Summary templates
+app.get('/api/templates', async (req, res) => {
+    try {
+        res.json({ templates: await templateStore.list(), defaultId: templateStore.defaultId });
+    } catch (error) {
+        console.error('Template list error:', error);
+        res.status(500).json({ error: 'Failed to list templates' });
+    }
+});
+
+app.get('/api/templates/:templateId', async (req, res) => {
+    try {
+        res.json(await templateStore.get(req.params.templateId));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.post('/api/templates', auth.requireRole('admin', 'attorney'), async (req, res) => {
+    try {
+        const template = await templateStore.save(req.body && req.body.id, req.body, { create: true });
+        console.log(`🧩 Template created: ${template.id}`);
+        audit(req, 'template.create', { details: { templateId: template.id } });
+        res.status(201).json(template);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.put('/api/templates/:templateId', auth.requireRole('admin', 'attorney'), async (req, res) => {
+    try {
+        const template = await templateStore.save(req.params.templateId, req.body);
+        console.log(`🧩 Template updated: ${template.id}`);
+        audit(req, 'template.update', { details: { templateId: template.id } });
+        res.json(template);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/templates/:templateId', auth.requireRole('admin', 'attorney'), async (req, res) => {
+    try {
+        await templateStore.remove(req.params.templateId);
+        console.log(`🧩 Template deleted: ${req.params.templateId}`);
+        audit(req, 'template.delete', { details: { templateId: req.params.templateId } });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Cancel a queued or running job: kills its child processes and removes the temp WAV
+app.delete('/api/jobs/:processId', async (req, res) => {
+    const { processId } = req.params;
+    const job = findJob(req, processId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Process not found' });
+    }
+
+    if (job.status !== 'started' && job.status !== 'processing') {
+        return res.status(400).json({ error: `Cannot cancel a job that is ${job.status}` });
+    }
+
+    try {
+        await job.cancel();
+        audit(req, 'job.cancel', { job });
+        res.json({ processId, message: 'Processing cancelled', status: 'cancelled' });
+    } catch (error) {
+        console.error('Cancel error:', error);
+        res.status(500).json({ error: 'Failed to cancel processing' });
+    }
+});
+
+app.post('/api/hubspot-attach/:processId', (req, res) => {
+    const { processId } = req.params;
+    const job = findJob(req, processId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Process not found' });
+    }
+
+    if (job.status !== 'completed') {
+        return res.status(400).json({ error: 'Processing not completed' });
+    }
+
+    if (job.steps.hubspot.status === 'processing') {
+        return res.status(409).json({ error: 'Already attaching to HubSpot' });
+    }
+
+    // Trigger HubSpot attachment
+    job.attachToHubspot().then(state => {
+        audit(req, 'hubspot.attach', {
+            job,
+            details: { objectType: state.objectType, objectId: state.objectId, noteId: state.noteId, files: state.files }
+        });
+        res.json({
+            success: true,
+            message: `Attached to HubSpot ${state.objectType === 'companies' ? 'company' : 'contact'} ${state.recordName}`,
+            hubspot: state
+        });
+    }).catch(error => {
+        audit(req, 'hubspot.attach_failed', { job, details: { error: error.message } });
+        res.status(error.status || 500).json({ error: error.message });
+    });
+});
+
+// Sign in with { username, password }; sets an HttpOnly session cookie
+app.post('/api/auth/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    // Usernames are at most 64 characters
+    if (typeof username !== 'string' || typeof password !== 'string' || username.length > 64 || password.length > MAX_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: 'Expected a username and password' });
+    }
+    const throttleKey = `${username.toLowerCase()}|${req.ip}`;
+
+    if (loginThrottle.isBlocked(throttleKey)) {
+        return res.status(429).json({ error: 'Too many failed sign-in attempts; try again later' });
+    }
+
+    try {
+        const user = await userStore.authenticate(username, password);
+        if (!user) {
+            loginThrottle.fail(throttleKey);
+            audit(req, 'auth.login_failed', { details: { username } });
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        loginThrottle.reset(throttleKey);
+        auth.setSessionCookie(req, res, sessions.create(user.id), sessions.ttlMs);
+        console.log(`🔑 ${user.username} signed in`);
+        req.user = user;
+        audit(req, 'auth.login');
+        res.json({ user: publicUser(user) });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Failed to sign in' });
+    }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    audit(req, 'auth.logout');
+    sessions.destroy(req.sessionToken);
+    auth.clearSessionCookie(res);
+    res.json({ success: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+    res.json({ user: publicUser(req.user) });
+});
+
+// Change your own password: { currentPassword, newPassword }. Signs out other sessions.
+app.put('/api/auth/password', async (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+
+    try {
+        if (!await userStore.authenticate(req.user.username, currentPassword)) {
+            return res.status(403).json({ error: 'Current password is incorrect' });
+        }
+
+        await userStore.update(req.user.id, { password: newPassword });
+        sessions.destroyForUser(req.user.id);
+        auth.setSessionCookie(req, res, sessions.create(req.user.id), sessions.ttlMs);
+        audit(req, 'auth.password_change');
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// User administration
+app.get('/api/users', auth.requireRole('admin'), (req, res) => {
+    res.json({ users: userStore.list() });
+});
+
+// { username, name, role, password }
+app.post('/api/users', auth.requireRole('admin'), async (req, res) => {
+    try {
+        const user = await userStore.create(req.body || {});
+        console.log(`👤 User created: ${user.username} (${user.role})`);
+        audit(req, 'user.create', { details: { userId: user.id, username: user.username, role: user.role } });
+        res.status(201).json(user);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// { name, role, password, disabled }
+app.put('/api/users/:userId', auth.requireRole('admin'), async (req, res) => {
+    try {
+        const user = await userStore.update(req.params.userId, req.body || {});
+        if (req.body && (req.body.password !== undefined || req.body.disabled)) {
+            sessions.destroyForUser(user.id);
+        }
+        console.log(`👤 User updated: ${user.username}`);
+        audit(req, 'user.update', {
+            details: { userId: user.id, username: user.username, fields: Object.keys(req.body || {}) }
+        });
+        res.json(user);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Matters and their access lists
+// Matters the user can access, with how many jobs each holds and when it last changed
+app.get('/api/matters', (req, res) => {
+    const matters = matterStore.listFor(req.user).map(matter => {
+        const jobs = jobStore.list({ caseNumber: matter.caseNumber });
+        return {
+            ...matter,
+            jobCount: jobs.length,
+            lastActivity: jobs.reduce((latest, job) => (!latest || job.updatedAt > latest ? job.updatedAt : latest), null)
+        };
+    });
+
+    res.json({ matters });
+});
+
+// One matter and its job history, newest first
+app.get('/api/matters/:caseNumber', (req, res) => {
+    const matter = matterStore.get(req.params.caseNumber);
+
+    if (!matter || !(req.user.role === 'admin' || matter.members.includes(req.user.id))) {
+        return res.status(404).json({ error: 'Matter not found' });
+    }
+
+    audit(req, 'matter.view', { caseNumber: matter.caseNumber });
+    res.json({
+        ...matter,
+        jobs: jobStore.list({ caseNumber: matter.caseNumber }).map(jobSummary)
+    });
+});
+
+// { caseNumber, name, clientName, members: [userId] }
+app.post('/api/matters', auth.requireRole('admin', 'attorney'), async (req, res) => {
+    try {
+        const members = (req.body && req.body.members) || [];
+        if (!Array.isArray(members) || members.some(id => !userStore.get(id))) {
+            return res.status(400).json({ error: 'Members must be existing user ids' });
+        }
+
+        const matter = await matterStore.create({ ...req.body, members }, req.user.id);
+        console.log(`📁 Matter created: ${matter.caseNumber}`);
+        audit(req, 'matter.create', { caseNumber: matter.caseNumber, details: { members: matter.members } });
+        res.status(201).json(matter);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// { name, clientName, members: [userId] }
+app.put('/api/matters/:caseNumber', async (req, res) => {
+    const matter = matterStore.get(req.params.caseNumber);
+
+    if (!matter || !(req.user.role === 'admin' || matter.members.includes(req.user.id))) {
+        return res.status(404).json({ error: 'Matter not found' });
+    }
+
+    if (!canManageMatter(req.user, matter)) {
+        return res.status(403).json({ error: 'You do not have permission to change this matter' });
+    }
+
+    const members = req.body && req.body.members;
+    if (members !== undefined && (!Array.isArray(members) || members.some(id => !userStore.get(id)))) {
+        return res.status(400).json({ error: 'Members must be existing user ids' });
+    }
+
+    try {
+        const updated = await matterStore.update(matter.caseNumber, req.body || {});
+        console.log(`📁 Matter updated: ${updated.caseNumber}`);
+        audit(req, 'matter.update', {
+            caseNumber: updated.caseNumber,
+            details: { members: updated.members, retentionDays: updated.retentionDays }
+        });
+        res.json(updated);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Place or release a legal hold on one job: { active, reason } (admin, attorney).
+// Held jobs are exempt from retention and cannot be deleted.
+app.put('/api/jobs/:processId/legal-hold', auth.requireRole('admin', 'attorney'), (req, res) => {
+    const { processId } = req.params;
+    const job = findJob(req, processId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Process not found' });
+    }
+
+    try {
+        job.legalHold = retention.buildHold(req.body, req.user);
+        job.save();
+        audit(req, job.legalHold.active ? 'hold.place' : 'hold.release', { job, details: { reason: job.legalHold.reason || null } });
+        res.json({ processId, legalHold: job.legalHold });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Place or release a legal hold on a whole matter: { active, reason }
+app.put('/api/matters/:caseNumber/legal-hold', async (req, res) => {
+    const matter = matterStore.get(req.params.caseNumber);
+
+    if (!matter || !(req.user.role === 'admin' || matter.members.includes(req.user.id))) {
+        return res.status(404).json({ error: 'Matter not found' });
+    }
+
+    if (!canManageMatter(req.user, matter)) {
+        return res.status(403).json({ error: 'You do not have permission to change this matter' });
+    }
+
+    try {
+        const updated = await matterStore.setLegalHold(matter.caseNumber, retention.buildHold(req.body, req.user));
+        audit(req, updated.legalHold.active ? 'hold.place' : 'hold.release', {
+            caseNumber: updated.caseNumber,
+            details: { reason: updated.legalHold.reason || null }
+        });
+        res.json(updated);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Delete a matter now: overwrite and remove the recordings, transcripts and
+// summaries of every job in it, then the jobs and the matter itself.
+// Requires ?confirm=<caseNumber>; refused while the matter or any of its jobs is on hold.
+app.delete('/api/matters/:caseNumber', async (req, res) => {
+    const { caseNumber } = req.params;
+    const matter = matterStore.get(caseNumber);
+    const jobs = jobStore.list({ caseNumber }).map(record => getJob(record.processId));
+
+    if (!matter && !jobs.length) {
+        return res.status(404).json({ error: 'Matter not found' });
+    }
+
+    const allowed = matter
+        ? canManageMatter(req.user, matter)
+        : req.user.role === 'admin';
+    if (!allowed) {
+        const visible = req.user.role === 'admin' || (matter && matter.members.includes(req.user.id));
+        return visible
+            ? res.status(403).json({ error: 'You do not have permission to delete this matter' })
+            : res.status(404).json({ error: 'Matter not found' });
+    }
+
+    if (req.query.confirm !== caseNumber) {
+        return res.status(400).json({ error: 'Confirm the deletion by passing ?confirm=<caseNumber>' });
+    }
+
+    const held = jobs.filter(job => retention.isOnHold(job, matter));
+    if (held.length) {
+        return res.status(409).json({
+            error: 'This matter is under a legal hold',
+            heldJobs: held.map(job => job.processId)
+        });
+    }
+
+    try {
+        let files = 0;
+        for (const job of jobs) {
+            files += await job.purge();
+        }
+        if (matter) {
+            await matterStore.remove(caseNumber);
+        }
+
+        audit(req, 'matter.delete', {
+            caseNumber,
+            details: { jobs: jobs.map(job => job.processId), files }
+        });
+        console.log(`🗑️  Matter ${caseNumber} deleted: ${jobs.length} job(s), ${files} file(s) shredded`);
+        res.json({ caseNumber, deletedJobs: jobs.length, shreddedFiles: files });
+    } catch (error) {
+        console.error('Matter deletion error:', error);
+        audit(req, 'matter.delete_failed', { caseNumber, details: { error: error.message } });
+        res.status(500).json({ error: 'Failed to delete matter' });
+    }
+});
+
+// Run the retention rules now instead of waiting for the next sweep (admin)
+app.post('/api/retention/run', auth.requireRole('admin'), async (req, res) => {
+    try {
+        const summary = await applyRetention();
+        audit(req, 'retention.run', { details: summary });
+        res.json({ policy: retention.policyFromEnv(), ...summary });
+    } catch (error) {
+        console.error('Retention error:', error);
+        res.status(500).json({ error: 'Failed to apply retention rules' });
+    }
+});
+
+// Query or export the audit trail (admin). Filters: action (prefix), actor,
+// processId, caseNumber, since, until, limit; ?format=json|jsonl|csv
+app.get('/api/audit', auth.requireRole('admin'), async (req, res) => {
+    const format = req.query.format || 'json';
+    if (!['json', 'jsonl', 'csv'].includes(format)) {
+        return res.status(400).json({ error: `Unsupported format: ${format}` });
+    }
+
+    try {
+        const entries = await auditLog.query(req.query);
+        audit(req, 'audit.export', { details: { format, filters: req.query, count: entries.length } });
+
+        if (format === 'json') {
+            return res.json({ entries });
+        }
+
+        const stamp = new Date().toISOString().slice(0, 10);
+        res.attachment(`audit_${stamp}.${format}`);
+        if (format === 'csv') {
+            res.type('text/csv').send(toCsv(entries));
+        } else {
+            res.type('application/x-ndjson').send(entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+        }
+    } catch (error) {
+        console.error('Audit query error:', error);
+        res.status(500).json({ error: 'Failed to read audit log' });
+    }
+});
+
+// Check the hash chain and head signature (admin)
+app.get('/api/audit/verify', auth.requireRole('admin'), async (req, res) => {
+    try {
+        const result = await auditLog.verify();
+        audit(req, 'audit.verify', { details: { ok: result.ok, entries: result.entries } });
+        res.json(result);
+    } catch (error) {
+        console.error('Audit verify error:', error);
+        res.status(500).json({ error: 'Failed to verify audit log' });
+    }
+});
+
+// Below this much free disk space the health check fails, and with it new jobs
+const MIN_FREE_DISK_MB = parseInt(process.env.MIN_FREE_DISK_MB, 10) || 1024;
+
+// The checks spawn several processes; answer repeated requests from the last
+// run for a little while
+const HEALTH_CACHE_MS = 15 * 1000;
+let healthReport = null;
+
+function checkHealth(refresh) {
+    if (!healthReport || refresh || Date.now() - healthReport.checkedAt > HEALTH_CACHE_MS) {
+        const running = diagnostics.runDiagnostics({
+            ollama,
+            modelsDir: audioProcessor.MODELS_DIR,
+            minFreeBytes: MIN_FREE_DISK_MB * 1024 * 1024
+        }).then(report => ({ ...report, timestamp: new Date().toISOString() }));
+        healthReport = { checkedAt: Date.now(), running };
+        running.catch(() => {
+            if (healthReport && healthReport.running === running) healthReport = null;
+        });
+    }
+    return healthReport.running;
+}
+
+// New jobs are refused with 503 while a health check fails, since they could not
+// succeed. Answers from the last run; the UI's "Check again" refreshes it.
+async function requireReady() {
+    const report = await checkHealth(false);
+    if (report.ready) return;
+
+    const failing = Object.values(report.checks).filter(check => check.status === 'error');
+    const error = new Error(`Processing is unavailable: ${failing.map(check => `${check.label}: ${check.detail}`).join('; ')}`);
+    error.status = 503;
+    error.checks = failing;
+    throw error;
+}
+
+// Health check endpoint; 503 when a job could not succeed. Anyone may ask whether
+// the server is ready, from the last run; the full report, and ?refresh=true to
+// run the checks again, are for signed-in users.
+app.get('/api/health', async (req, res) => {
+    const refresh = req.query.refresh === 'true';
+    if (refresh && !req.user) {
+        return res.status(401).json({ error: 'Sign in required' });
+    }
+    try {
+        const report = await checkHealth(refresh);
+        const status = report.ready ? 200 : 503;
+        if (!req.user) {
+            return res.status(status).json({ status: report.status, ready: report.ready });
+        }
+        res.status(status).json({ ...report, queue: stageQueue.stats() });
+    } catch (error) {
+        console.error('Health check error:', error);
+        res.status(500).json({ error: 'Failed to run health checks' });
+    }
+});
+
+// Live recording over a WebSocket at /api/live. The browser sends a JSON
+// { type: 'start', mimeType, ...upload form fields }, waits for { type: 'ready' },
+// then streams MediaRecorder chunks as binary messages and ends with
+// { type: 'stop' } (file the recording as a job) or { type: 'cancel' } (discard it).
+// The server answers with { type: 'transcript', settled, provisional, durationSeconds }
+// as rolling windows are transcribed, then { type: 'job', processId, media } or
+// { type: 'error', error }. A connection lost mid-recording files what arrived.
+const UPLOAD_FIELDS = [
+    'clientName', 'caseNumber', 'meetingNotes', 'numSpeakers', 'templateId', 'redact', 'redactWithModel', 'attachToHubspot', 'model',
+    'whisperModel', 'language', 'translate'
+];
+const MAX_LIVE_SESSIONS = parseInt(process.env.MAX_LIVE_SESSIONS, 10) || 2;
+const LIVE_WINDOW_SECONDS = parseFloat(process.env.LIVE_WINDOW_SECONDS) || 8;
+const liveSessions = new Set();
+
+function handleLiveUpgrade(req, socket, head) {
+    if (new URL(req.url, 'http://localhost').pathname !== '/api/live') {
+        rejectUpgrade(socket, 404, 'Not found');
+        return;
+    }
+
+    // Browsers send cookies with cross-site WebSocket handshakes, so only this site's pages may connect
+    const origin = req.headers.origin;
+    let sameOrigin = false;
+    try {
+        sameOrigin = !origin || new URL(origin).host === req.headers.host;
+    } catch (error) {
+        // Unparseable origin
+    }
+    if (!sameOrigin) {
+        rejectUpgrade(socket, 403, 'Cross-origin connections are not allowed');
+        return;
+    }
+
+    // What the auth middleware and audit() expect of a request
+    req.ip = req.socket.remoteAddress;
+    req.originalUrl = req.url;
+    auth.authenticate(sessions, userStore)(req, null, () => {});
+    if (!req.user) {
+        rejectUpgrade(socket, 401, 'Sign in required');
+        return;
+    }
+    if (liveSessions.size >= MAX_LIVE_SESSIONS) {
+        rejectUpgrade(socket, 503, 'Too many live recordings in progress; try again later');
+        return;
+    }
+
+    const connection = acceptWebSocket(req, socket, head, { maxMessageBytes: 4 * 1024 * 1024 });
+    if (connection) {
+        runLiveSession(req, connection);
+    }
+}
+
+function runLiveSession(req, connection) {
+    const sessionId = uuidv4();
+    const send = message => connection.send(JSON.stringify(message));
+    let session = null;
+    let fields = null;
+    let finishing = null;
+
+    liveSessions.add(sessionId);
+
+    const fail = (error, code = 1011) => {
+        send({ type: 'error', error: error.message });
+        connection.close(code, error.message.slice(0, 120));
+    };
+
+    // keep: file the recording as a job, else throw it away
+    const finish = (keep) => {
+        finishing = finishing || (async () => {
+            liveSessions.delete(sessionId);
+            if (!session) return;
+
+            const recordingPath = await session.stop();
+            if (!keep || session.bytes === 0) {
+                await session.discard();
+                audit(req, 'live.cancel', { caseNumber: fields.caseNumber || undefined, details: { sessionId } });
+                send({ type: 'cancelled' });
+                connection.close(1000);
+                return;
+            }
+
+            const stamp = new Date().toISOString().slice(0, 16).replace(':', '-');
+            let file = null;
+            try {
+                file = await storeRecording(recordingPath, `live-recording-${stamp}${session.extension}`);
+                const processor = await startJob(req, file, fields, { source: 'live', liveSessionId: sessionId });
+                send({ type: 'job', processId: processor.processId, media: processor.metadata.media });
+                connection.close(1000);
+            } catch (error) {
+                if (file) await fs.unlink(file.path).catch(() => {});
+                if (!error.status) {
+                    console.error('Live recording error:', error);
+                }
+                fail(error);
+            } finally {
+                await fs.unlink(recordingPath).catch(() => {});
+            }
+        })().catch(error => console.error('Live recording error:', error));
+        return finishing;
+    };
+
+    // Refused up front, rather than after the recording is made
+    const start = async (message) => {
+        fields = {};
+        for (const key of UPLOAD_FIELDS) {
+            if (message[key] !== undefined && message[key] !== null) fields[key] = String(message[key]);
+        }
+        await requireReady();
+        const { caseNumber, transcription } = await checkJobFields(req, fields);
+
+        const live = new LiveSession({
+            sessionId,
+            mimeType: message.mimeType,
+            modelPath: whisperModels.modelPath(audioProcessor.MODELS_DIR, transcription.whisperModel),
+            stageQueue,
+            language: transcription.language,
+            translate: transcription.translate,
+            windowSeconds: LIVE_WINDOW_SECONDS
+        });
+        live.on('transcript', update => send({ type: 'transcript', ...update }));
+        live.on('warning', warning => console.log(`⚠️  Live transcription window failed: ${warning}`));
+        await live.open();
+        // Gone while the matter was being checked
+        if (finishing) {
+            await live.discard();
+            return;
+        }
+        session = live;
+
+        audit(req, 'live.start', { caseNumber: caseNumber || undefined, details: { sessionId, mimeType: message.mimeType || null } });
+        send({ type: 'ready', sessionId, windowSeconds: LIVE_WINDOW_SECONDS });
+    };
+
+    connection.on('message', (data, isBinary) => {
+        if (finishing) return;
+
+        if (isBinary) {
+            if (!session) {
+                fail(new Error('Send a start message before audio'), 1008);
+            } else if (session.bytes + data.length > 500 * 1024 * 1024) {
+                // Same limit as uploads
+                send({ type: 'error', error: 'The recording has reached 500MB; it is being processed now' });
+                finish(true);
+            } else {
+                session.append(data);
+            }
+            return;
+        }
+
+        let message;
+        try {
+            message = JSON.parse(data.toString('utf8'));
+        } catch (error) {
+            fail(new Error('Messages must be JSON'), 1007);
+            return;
+        }
+
+        if (message.type === 'start' && !fields) {
+            start(message).catch((error) => {
+                liveSessions.delete(sessionId);
+                fail(error, 1008);
+            });
+        } else if (message.type === 'stop') {
+            finish(true);
+        } else if (message.type === 'cancel') {
+            finish(false);
+        } else {
+            fail(new Error(`Unexpected message: ${message.type}`), 1008);
+        }
+    });
+
+    // A dropped connection keeps what was recorded
+    connection.on('close', () => finish(true));
+}
+
+// Watched inbox: recordings dropped into INBOX_DIR become jobs owned by INBOX_USER
+async function startInbox(dir) {
+    const username = process.env.INBOX_USER || process.env.ADMIN_USERNAME || 'admin';
+    const user = userStore.findByUsername(username);
+    if (!user || user.disabled) {
+        console.log(`⚠️  Inbox not started: no active user "${username}" to file recordings as (set INBOX_USER)`);
+        return null;
+    }
+
+    // Stands in for the upload request: the inbox user owns the jobs and their audit entries
+    const inboxRequest = { user, ip: null, method: 'INBOX', originalUrl: dir };
+
+    const watcher = new InboxWatcher({
+        dir,
+        intervalMs: (parseFloat(process.env.INBOX_POLL_SECONDS) || 10) * 1000,
+        jobStatus: (processId) => {
+            const record = jobStore.get(processId);
+            return record ? { status: record.status, error: record.error } : null;
+        },
+        // Plaintext recordings must not outlive their encrypted copies
+        discard: filePath => secureStore.shred(filePath),
+        ingest: async (filePath, { fields, originalName, batchId }) => {
+            await requireReady();
+            const file = await storeRecording(filePath, originalName);
+            try {
+                const processor = await startJob(inboxRequest, file, fields, { batchId, source: 'inbox' });
+                return processor.processId;
+            } catch (error) {
+                await fs.unlink(file.path).catch(() => {});
+                throw error;
+            }
+        }
+    });
+
+    await watcher.start();
+    console.log(`📥 Watching ${dir} for recordings, filed as "${user.username}"`);
+    return watcher;
+}
+
+async function start() {
+    const { source, created } = await secureStore.unlock();
+    if (created) {
+        console.log(`🔑 Created storage key at ${secureStore.keyFile}; back it up, encrypted files cannot be read without it`);
+    }
+    console.log(`🔒 Encrypted storage unlocked with ${source === 'passphrase' ? 'STORAGE_PASSPHRASE' : 'keyfile'}`);
+
+    const createdDirs = await diagnostics.prepareDirectories();
+    if (createdDirs.length) {
+        console.log(`📂 Created ${createdDirs.map(dir => `${dir}/`).join(', ')}`);
+    }
+
+    await userStore.load();
+    await matterStore.load();
+
+    // First start: create an admin so someone can sign in
+    if (!userStore.list().length) {
+        const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+        const admin = await userStore.create({
+            username: process.env.ADMIN_USERNAME || 'admin',
+            name: 'Administrator',
+            role: 'admin',
+            password
+        });
+        console.log(`👤 Created admin account "${admin.username}"`);
+        if (!process.env.ADMIN_PASSWORD) {
+            console.log(`   Temporary password: ${password} (change it after signing in)`);
+        }
+    }
+
+    await auditLog.load();
+
+    const { total, interrupted } = await jobStore.load();
+    console.log(`🗄️  Loaded ${total} job(s) from history`);
+    console.log(`🔎 Indexed ${searchIndex.rebuild(jobStore.list())} transcript(s) and summaries for search`);
+    if (interrupted > 0) {
+        console.log(`⚠️  ${interrupted} job(s) were interrupted by the last shutdown and can be resumed`);
+    }
+
+    if (process.env.INBOX_DIR) {
+        await startInbox(process.env.INBOX_DIR);
+    }
+
+    // Retention sweep: on startup, then periodically
+    const sweepMinutes = retention.positiveNumber(process.env.RETENTION_SWEEP_MINUTES) || 60;
+    const sweep = () => applyRetention().catch(error => console.error('Retention error:', error));
+    sweep();
+    setInterval(sweep, sweepMinutes * 60 * 1000).unref();
+
+    const server = app.listen(PORT, () => {
+        console.log(`🎙️  Legal Audio Transcription Server running on http://localhost:${PORT}`);
+        preflight().catch(error => console.error('Preflight error:', error));
+    });
+    server.on('upgrade', handleLiveUpgrade);
+}
+
+// Report on the dependencies once at startup; the server runs either way, so
+// history and results stay reachable while something is being fixed
+async function preflight() {
+    const report = await checkHealth(true);
+    console.log(report.ready ? '🩺 Preflight checks passed' : '🩺 Preflight checks failed; new jobs will fail until this is fixed:');
+    for (const check of Object.values(report.checks)) {
+        if (check.status === 'ok') {
+            console.log(`   ✅ ${check.label}: ${check.detail}`);
+        } else {
+            console.log(`   ${check.status === 'error' ? '❌' : '⚠️ '} ${check.label}: ${check.detail}`);
+            if (check.fix) console.log(`      ${check.fix}`);
+        }
+    }
+}
+
+start().catch(error => {
+    console.error('Failed to start server:', error);
+    process.exit(1);
 });
\ No newline at end of file
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const JobStore = require('../lib/job-store');
+const StageQueue = require('../lib/stage-queue');
+const { AudioProcessor, configure } = require('../lib/audio-processor');
+
+// Puts a stand-in ffmpeg that runs until it is stopped first on the PATH, and hands the
+// processor a plain job store in a throwaway folder
+async function setup(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio-processor-test-'));
+    const binDir = path.join(dir, 'bin');
+    await fs.mkdir(binDir);
+    // Like the real one, it takes a moment to exit after SIGTERM
+    await fs.writeFile(path.join(binDir, 'ffmpeg'), [
+        '#!/bin/sh',
+        "trap 'sleep 0.2; exit 255' TERM",
+        'while :; do sleep 0.05; done',
+        ''
+    ].join('\n'), { mode: 0o755 });
+
+    const originalPath = process.env.PATH;
+    process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+
+    const jobStore = new JobStore(path.join(dir, 'jobs.jsonl'));
+    await jobStore.load();
+    configure({
+        secureStore: { isSealed: async () => false, shred: async () => true },
+        jobStore,
+        processingJobs: new Map(),
+        searchIndex: { removeJob: () => {} },
+        stageQueue: new StageQueue({ ffmpeg: 1, diarization: 1, whisper: 1, ollama: 1 })
+    });
+
+    t.after(async () => {
+        process.env.PATH = originalPath;
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+    return { dir, jobStore };
+}
+
+async function waitFor(condition) {
+    const deadline = Date.now() + 5000;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+test('purging a running job keeps it out of the journal after its processes exit', async (t) => {
+    const { dir, jobStore } = await setup(t);
+
+    const job = new AudioProcessor('job-1', path.join(dir, 'recording.m4a'), {
+        clientName: 'Acme Corp',
+        caseNumber: 'CV-2026-001'
+    });
+    const processing = job.process().catch(() => {});
+    await waitFor(() => job.children.size > 0);
+
+    await job.purge();
+    await processing;
+    await jobStore.flush();
+
+    assert.strictEqual(jobStore.get('job-1'), null);
+    const journal = await fs.readFile(path.join(dir, 'jobs.jsonl'), 'utf8');
+    assert.doesNotMatch(journal, /Acme Corp|CV-2026-001/);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const auth = require('../lib/auth');
+
+const matters = {
+    isMember: (caseNumber, userId) => caseNumber === 'CV-2026-001' && userId === 'member'
+};
+
+test('canAccessJob lets in admins, the uploader and members of the job\'s matter', () => {
+    const job = { metadata: { ownerId: 'owner', caseNumber: 'CV-2026-001' } };
+
+    assert.strictEqual(auth.canAccessJob({ id: 'someone', role: 'admin' }, job, matters), true);
+    assert.strictEqual(auth.canAccessJob({ id: 'owner', role: 'paralegal' }, job, matters), true);
+    assert.strictEqual(auth.canAccessJob({ id: 'member', role: 'attorney' }, job, matters), true);
+    assert.strictEqual(auth.canAccessJob({ id: 'outsider', role: 'attorney' }, job, matters), false);
+    assert.strictEqual(auth.canAccessJob(null, job, matters), false);
+
+    // A job outside any matter belongs to its uploader alone
+    const unfiled = { metadata: { ownerId: 'owner' } };
+    assert.strictEqual(auth.canAccessJob({ id: 'member', role: 'attorney' }, unfiled, matters), false);
+});
+
+test('requireRole answers 401 when signed out and 403 for other roles', () => {
+    const middleware = auth.requireRole('admin', 'attorney');
+    const call = (user) => {
+        const result = { status: null, next: false };
+        const res = {
+            status(code) {
+                result.status = code;
+                return this;
+            },
+            json() {}
+        };
+        middleware({ user }, res, () => {
+            result.next = true;
+        });
+        return result;
+    };
+
+    assert.deepStrictEqual(call(undefined), { status: 401, next: false });
+    assert.deepStrictEqual(call({ role: 'paralegal' }), { status: 403, next: false });
+    assert.deepStrictEqual(call({ role: 'attorney' }), { status: null, next: true });
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const courtExport = require('../lib/court-export');
+
+function job(text) {
+    return {
+        processId: 'job-1',
+        createdAt: '2026-10-01T10:00:00.000Z',
+        metadata: { clientName: 'Acme Corp', caseNumber: 'CV-2026-001', language: 'en' },
+        results: {
+            durationSeconds: 4,
+            segments: [{ id: 0, start: 0, end: 4, text }]
+        }
+    };
+}
+
+test('the PDF export renders Western European text', () => {
+    const pdf = courtExport.renderPdf(courtExport.transcriptModel(job('Señor Müller said “yes” – twice.')));
+    assert.strictEqual(pdf.subarray(0, 8).toString('latin1'), '%PDF-1.4');
+});
+
+test('the PDF export refuses text its fonts cannot show instead of printing "?"', () => {
+    const model = courtExport.transcriptModel(job('Свидетель сказал: да.'));
+    assert.throws(() => courtExport.renderPdf(model), (error) => {
+        assert.strictEqual(error.status, 400);
+        assert.match(error.message, /cannot be exported as PDF.*"С".*DOCX/);
+        return true;
+    });
+    // DOCX carries any text
+    assert.ok(courtExport.renderDocx(model).length > 0);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { HubSpotClient } = require('../lib/hubspot-client');
+
+const CONTACTS = [
+    { id: '1', properties: { firstname: 'John', lastname: 'Smith', email: 'john.smith@example.com' } },
+    { id: '2', properties: { firstname: 'John', lastname: 'Doe', email: 'john.doe@example.com' } },
+    { id: '3', properties: { firstname: 'Mary Ann', lastname: 'Lee', email: 'mal@example.com' } },
+    { id: '4', properties: { firstname: 'Pat', lastname: 'Kim', email: 'pat1@example.com' } },
+    { id: '5', properties: { firstname: 'Pat', lastname: 'Kim', email: 'pat2@example.com' } }
+];
+
+// Answers CRM searches with EQ filters, as HubSpot does; respond(req) may take over a request
+async function startStub(respond = () => false) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url });
+            if (respond(req, res, requests.length)) return;
+
+            const search = JSON.parse(body);
+            const records = req.url.includes('/contacts/') ? CONTACTS : [];
+            const results = records.filter(record => search.filterGroups.some(group => group.filters.every(filter => (
+                filter.operator === 'EQ'
+                && String(record.properties[filter.propertyName] || '').toLowerCase() === String(filter.value).toLowerCase()
+            ))));
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ total: results.length, results: results.slice(0, search.limit) }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        requests,
+        client: new HubSpotClient({ baseUrl: `http://127.0.0.1:${server.address().port}`, token: 'test', retryDelayMs: 1, timeoutMs: 200 }),
+        close: () => {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+test('findRecord files under a contact only on an exact name or email', async (t) => {
+    const stub = await startStub();
+    t.after(stub.close);
+    const { client } = stub;
+
+    assert.deepStrictEqual(await client.findRecord({ clientName: ' John  Smith ' }), { objectType: 'contacts', id: '1', name: 'John Smith' });
+    assert.deepStrictEqual(await client.findRecord({ clientName: 'Mary Ann Lee' }), { objectType: 'contacts', id: '3', name: 'Mary Ann Lee' });
+    assert.deepStrictEqual(await client.findRecord({ clientName: 'john.doe@example.com' }), { objectType: 'contacts', id: '2', name: 'John Doe' });
+    assert.strictEqual(await client.findRecord({ clientName: 'John' }), null);
+    assert.strictEqual(await client.findRecord({ clientName: 'John Smithson' }), null);
+});
+
+test('findRecord refuses to choose between records that match equally', async (t) => {
+    const stub = await startStub();
+    t.after(stub.close);
+
+    await assert.rejects(stub.client.findRecord({ clientName: 'Pat Kim' }), (error) => {
+        assert.strictEqual(error.status, 404);
+        assert.match(error.message, /2 HubSpot contacts match "Pat Kim"/);
+        return true;
+    });
+});
+
+test('uploads are not retried after a failure that may have taken effect', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const stub = await startStub((req, res) => {
+        res.writeHead(500);
+        res.end('{"message":"internal error"}');
+        return true;
+    });
+    t.after(stub.close);
+
+    await assert.rejects(stub.client.uploadFile('transcript.pdf', Buffer.from('%PDF'), 'application/pdf'), /internal error/);
+    assert.strictEqual(stub.requests.length, 1);
+});
+
+test('notes are not retried when the answer times out', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const stub = await startStub(() => true);
+    t.after(stub.close);
+
+    await assert.rejects(stub.client.createNote({ objectType: 'contacts', objectId: '1', lines: ['Filed'] }), /timed out/);
+    assert.strictEqual(stub.requests.length, 1);
+});
+
+test('uploads are retried when HubSpot asks to come back later', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const stub = await startStub((req, res, count) => {
+        if (count === 1) {
+            res.writeHead(429, { 'Retry-After': '0' });
+            res.end('{"message":"rate limited"}');
+        } else {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end('{"id":"file-1"}');
+        }
+        return true;
+    });
+    t.after(stub.close);
+
+    assert.deepStrictEqual(await stub.client.uploadFile('transcript.pdf', Buffer.from('%PDF'), 'application/pdf'), { id: 'file-1', url: null });
+    assert.strictEqual(stub.requests.length, 2);
+});
+
+test('searches are retried after server errors', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const stub = await startStub((req, res, count) => {
+        if (count > 1) return false;
+        res.writeHead(502);
+        res.end();
+        return true;
+    });
+    t.after(stub.close);
+
+    assert.strictEqual((await stub.client.findRecord({ clientName: 'John Smith' })).id, '1');
+    assert.strictEqual(stub.requests.length, 3);
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { InboxWatcher } = require('../lib/inbox-watcher');
+
+test('recordings wait in the inbox while the server cannot take jobs', async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'inbox-watcher-test-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+    let available = false;
+    const ingested = [];
+    const watcher = new InboxWatcher({
+        dir,
+        intervalMs: 60 * 60 * 1000,
+        jobStatus: () => ({ status: 'processing' }),
+        ingest: async (filePath, { originalName }) => {
+            if (!available) {
+                const error = new Error('Processing is unavailable: FFmpeg: ffmpeg not found');
+                error.status = 503;
+                throw error;
+            }
+            ingested.push(originalName);
+            return `job-${ingested.length}`;
+        }
+    });
+    t.after(() => watcher.stop());
+
+    await fs.writeFile(path.join(dir, 'call.wav'), 'audio');
+    // The first scan sees the file, the second finds it unchanged and takes it
+    await watcher.start();
+    await watcher.scan();
+
+    assert.deepStrictEqual(ingested, []);
+    assert.deepStrictEqual(await fs.readdir(path.join(dir, 'failed')), []);
+    assert.ok((await fs.readdir(dir)).includes('call.wav'));
+
+    available = true;
+    await watcher.scan();
+    await watcher.scan();
+
+    assert.deepStrictEqual(ingested, ['call.wav']);
+    assert.deepStrictEqual(await fs.readdir(path.join(dir, 'processing')), ['job-1__call.wav.txt']);
+});
+
+test('a filed recording is discarded and only a note follows its job', async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'inbox-watcher-test-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+    const statuses = {};
+    const discarded = [];
+    const watcher = new InboxWatcher({
+        dir,
+        intervalMs: 60 * 60 * 1000,
+        jobStatus: processId => statuses[processId] || null,
+        ingest: async (filePath, { originalName }) => `job-${originalName}`,
+        discard: async (filePath) => {
+            discarded.push(path.relative(dir, filePath));
+            await fs.unlink(filePath);
+        }
+    });
+    t.after(() => watcher.stop());
+
+    await fs.mkdir(path.join(dir, 'CV-2026-001 - Acme Corp'));
+    await fs.writeFile(path.join(dir, 'CV-2026-001 - Acme Corp', 'depo.mov'), 'audio');
+    await fs.writeFile(path.join(dir, 'call.wav'), 'audio');
+    await fs.writeFile(path.join(dir, 'call.json'), '{"clientName":"Acme Corp"}');
+    await watcher.start();
+    await watcher.scan();
+
+    assert.deepStrictEqual(discarded.sort(), ['CV-2026-001 - Acme Corp/depo.mov', 'call.json', 'call.wav']);
+    assert.deepStrictEqual((await fs.readdir(path.join(dir, 'processing'))).sort(), ['job-call.wav__call.wav.txt', 'job-depo.mov__depo.mov.txt']);
+
+    statuses['job-call.wav'] = { status: 'completed' };
+    statuses['job-depo.mov'] = { status: 'error', error: 'Whisper failed' };
+    await watcher.scan();
+
+    assert.deepStrictEqual(await fs.readdir(path.join(dir, 'processing')), []);
+    assert.match(await fs.readFile(path.join(dir, 'processed', 'call.wav.txt'), 'utf8'), /call\.wav filed as job job-call\.wav\n.*completed/);
+    assert.match(await fs.readFile(path.join(dir, 'failed', 'depo.mov.error.txt'), 'utf8'), /CV-2026-001 - Acme Corp\/depo\.mov filed.*\n.*error: Whisper failed/);
+});
+
+test('recordings earlier versions left in processing/ and processed/ are discarded', async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'inbox-watcher-test-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    t.mock.method(console, 'log', () => {});
+
+    for (const name of ['processing', 'processed']) {
+        await fs.mkdir(path.join(dir, name));
+    }
+    await fs.writeFile(path.join(dir, 'processing', 'job-1__old.wav'), 'audio');
+    await fs.writeFile(path.join(dir, 'processing', 'job-1__old.wav.json'), '{}');
+    await fs.writeFile(path.join(dir, 'processed', 'older.wav'), 'audio');
+    await fs.writeFile(path.join(dir, 'processed', 'older.wav.json'), '{}');
+    await fs.writeFile(path.join(dir, 'processed', 'note.wav.txt'), 'note');
+
+    const watcher = new InboxWatcher({
+        dir,
+        intervalMs: 60 * 60 * 1000,
+        jobStatus: () => ({ status: 'processing' }),
+        ingest: async () => 'unused'
+    });
+    t.after(() => watcher.stop());
+    await watcher.start();
+
+    assert.deepStrictEqual(await fs.readdir(path.join(dir, 'processing')), ['job-1__old.wav.txt']);
+    assert.deepStrictEqual(await fs.readdir(path.join(dir, 'processed')), ['note.wav.txt']);
+});
+
+test('a recording the server rejects moves to failed/ with a note', async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'inbox-watcher-test-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+    const watcher = new InboxWatcher({
+        dir,
+        intervalMs: 60 * 60 * 1000,
+        jobStatus: () => null,
+        ingest: async () => {
+            const error = new Error('Not an audio or video file');
+            error.status = 400;
+            throw error;
+        }
+    });
+    t.after(() => watcher.stop());
+
+    await fs.writeFile(path.join(dir, 'notes.txt'), 'text');
+    await watcher.start();
+    await watcher.scan();
+
+    assert.deepStrictEqual((await fs.readdir(path.join(dir, 'failed'))).sort(), ['notes.txt', 'notes.txt.error.txt']);
+    assert.match(await fs.readFile(path.join(dir, 'failed', 'notes.txt.error.txt'), 'utf8'), /Not an audio or video file/);
+});
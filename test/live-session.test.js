@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const StageQueue = require('../lib/stage-queue');
+const { LiveSession } = require('../lib/live-session');
+
+// Stand-ins on the PATH: an ffmpeg that passes its input through as if it were
+// decoded audio, and a whisper-cli that reports how much audio it was given as
+// one half-second segment
+async function setup(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'live-session-test-'));
+    const binDir = path.join(dir, 'bin');
+    await fs.mkdir(binDir);
+    await fs.writeFile(path.join(binDir, 'ffmpeg'), '#!/bin/sh\nexec cat\n', { mode: 0o755 });
+    await fs.writeFile(path.join(binDir, 'whisper-cli'), [
+        '#!/bin/sh',
+        'for last; do :; done',
+        'size=$(wc -c < "$last" | tr -d " ")',
+        'printf \'{"transcription":[{"offsets":{"from":0,"to":500},"text":" %s bytes"}]}\' "$size" > "$last.json"',
+        ''
+    ].join('\n'), { mode: 0o755 });
+
+    const originalPath = process.env.PATH;
+    process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+
+    const stageQueue = new StageQueue({ ffmpeg: 1, whisper: 1 });
+    const session = new LiveSession({
+        sessionId: 'session-1',
+        mimeType: 'audio/webm;codecs=opus',
+        modelPath: 'model.bin',
+        stageQueue,
+        dir,
+        windowSeconds: 3600,
+        settleSeconds: 1
+    });
+    await session.open();
+
+    t.after(async () => {
+        await session.discard();
+        process.env.PATH = originalPath;
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+    return { dir, session, stageQueue };
+}
+
+async function waitFor(condition) {
+    const deadline = Date.now() + 5000;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+async function nextWindow(session) {
+    const update = new Promise(resolve => session.once('transcript', resolve));
+    session.tick();
+    return update;
+}
+
+test('windows start at the settled point of the decoded audio', async (t) => {
+    const { session } = await setup(t);
+
+    session.append(Buffer.alloc(3 * 32000));
+    await waitFor(() => session.pcm.bytesWritten === 3 * 32000);
+    const first = await nextWindow(session);
+    assert.deepStrictEqual(first.settled, [{ start: 0, end: 0.5, text: `${44 + 3 * 32000} bytes` }]);
+    assert.strictEqual(first.durationSeconds, 3);
+
+    session.append(Buffer.alloc(32000));
+    await waitFor(() => session.pcm.bytesWritten === 4 * 32000);
+    const second = await nextWindow(session);
+    // 3.5 seconds from the settled point at 0.5
+    assert.deepStrictEqual(second.settled, [{ start: 0.5, end: 1, text: `${44 + 3.5 * 32000} bytes` }]);
+    assert.strictEqual(second.durationSeconds, 4);
+});
+
+test('windows wait for a whisper slot and are dropped when the session stops', async (t) => {
+    const { dir, session, stageQueue } = await setup(t);
+    const release = await stageQueue.acquire('whisper', 'job-1');
+
+    session.append(Buffer.alloc(32000));
+    await waitFor(() => session.pcm.bytesWritten === 32000);
+    let updates = 0;
+    session.on('transcript', () => updates++);
+    const warnings = [];
+    session.on('warning', warning => warnings.push(warning));
+    session.tick();
+    await waitFor(() => stageQueue.position('live-session-1') !== null);
+
+    await session.stop();
+    release();
+    assert.strictEqual(updates, 0);
+    assert.deepStrictEqual(warnings, []);
+    assert.deepStrictEqual(stageQueue.stats().whisper, { limit: 1, running: 0, waiting: 0 });
+    // Only the recording itself is left
+    assert.deepStrictEqual((await fs.readdir(dir)).sort(), ['bin', 'session-1.live.webm']);
+});
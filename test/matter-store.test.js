@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const MatterStore = require('../lib/matter-store');
+
+async function loadedStore(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'matter-store-test-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    const store = new MatterStore(path.join(dir, 'matters.json'));
+    await store.load();
+    return store;
+}
+
+test('the creator and listed users are members of a matter', async (t) => {
+    const store = await loadedStore(t);
+    await store.create({ caseNumber: ' CV-2026-001 ', members: ['user-2', 'user-1'] }, 'user-1');
+
+    assert.deepStrictEqual(store.get('CV-2026-001').members, ['user-1', 'user-2']);
+    assert.strictEqual(store.isMember('CV-2026-001', 'user-2'), true);
+    assert.strictEqual(store.isMember('CV-2026-001', 'user-3'), false);
+    assert.strictEqual(store.isMember('CV-2026-999', 'user-1'), false);
+    assert.strictEqual(store.isMember(null, 'user-1'), false);
+});
+
+test('changing members changes who sees the matter', async (t) => {
+    const store = await loadedStore(t);
+    await store.create({ caseNumber: 'CV-2026-001' }, 'user-1');
+    await store.create({ caseNumber: 'CV-2026-002' }, 'user-2');
+
+    await store.update('CV-2026-001', { members: ['user-2'] });
+    assert.strictEqual(store.isMember('CV-2026-001', 'user-1'), false);
+
+    const caseNumbers = user => store.listFor(user).map(matter => matter.caseNumber);
+    assert.deepStrictEqual(caseNumbers({ id: 'user-1', role: 'attorney' }), []);
+    assert.deepStrictEqual(caseNumbers({ id: 'user-2', role: 'paralegal' }), ['CV-2026-001', 'CV-2026-002']);
+    assert.deepStrictEqual(caseNumbers({ id: 'user-3', role: 'admin' }), ['CV-2026-001', 'CV-2026-002']);
+
+    await assert.rejects(store.update('CV-2026-001', { members: 'user-1' }), { status: 400 });
+    await assert.rejects(store.update('CV-2026-404', { members: [] }), { status: 404 });
+});
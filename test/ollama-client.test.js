@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { OllamaClient, optionsFromEnv } = require('../lib/ollama-client');
+
+// A stand-in for Ollama on a free local port; handler(req, res, body) answers each request
+async function startStub(handler) {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', () => handler(req, res, body ? JSON.parse(body) : null));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+function ndjson(...messages) {
+    return messages.map(message => JSON.stringify(message) + '\n').join('');
+}
+
+test('generate streams tokens and resolves the whole response', async (t) => {
+    let received;
+    const stub = await startStub((req, res, body) => {
+        received = { method: req.method, url: req.url, body };
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        const stream = ndjson({ response: 'The ' }, { response: 'witness ' }, { response: 'testified.' }, { response: '', done: true });
+        // Split mid-line so a message spans two chunks
+        res.write(stream.slice(0, 20));
+        setTimeout(() => res.end(stream.slice(20)), 10);
+    });
+    t.after(stub.close);
+
+    const client = new OllamaClient({ baseUrl: stub.baseUrl, model: 'gemma3:12b', options: { temperature: 0.2 } });
+    const tokens = [];
+    const output = await client.generate('Summarize', { options: { seed: 7 }, onToken: token => tokens.push(token) });
+
+    assert.strictEqual(output, 'The witness testified.');
+    assert.deepStrictEqual(tokens, ['The ', 'witness ', 'testified.']);
+    assert.strictEqual(received.method, 'POST');
+    assert.strictEqual(received.url, '/api/generate');
+    assert.deepStrictEqual(received.body, {
+        model: 'gemma3:12b',
+        prompt: 'Summarize',
+        stream: true,
+        options: { temperature: 0.2, seed: 7 }
+    });
+});
+
+test('generate handles a final line without a newline', async (t) => {
+    const stub = await startStub((req, res) => {
+        res.writeHead(200);
+        res.end(ndjson({ response: 'Part one, ' }) + JSON.stringify({ response: 'part two', done: true }));
+    });
+    t.after(stub.close);
+
+    const client = new OllamaClient({ baseUrl: stub.baseUrl });
+    assert.strictEqual(await client.generate('Summarize'), 'Part one, part two');
+});
+
+test('generate rejects with the error Ollama reports mid-stream', async (t) => {
+    const stub = await startStub((req, res) => {
+        res.writeHead(200);
+        res.end(ndjson({ response: 'Partial' }, { error: 'model runner crashed' }));
+    });
+    t.after(stub.close);
+
+    const client = new OllamaClient({ baseUrl: stub.baseUrl });
+    await assert.rejects(client.generate('Summarize'), /Ollama generate failed: model runner crashed/);
+});
+
+test('a connection dropped mid-stream is reported as interrupted', async (t) => {
+    const stub = await startStub((req, res) => {
+        res.writeHead(200);
+        res.write(ndjson({ response: 'Half a ' }));
+        setTimeout(() => res.socket.destroy(), 10);
+    });
+    t.after(stub.close);
+
+    const client = new OllamaClient({ baseUrl: stub.baseUrl });
+    await assert.rejects(client.generate('Summarize'), /Ollama response was interrupted/);
+});
+
+test('a non-200 answer rejects with its error body and status', async (t) => {
+    const stub = await startStub((req, res) => {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: "model 'llama9' not found" }));
+    });
+    t.after(stub.close);
+
+    const client = new OllamaClient({ baseUrl: stub.baseUrl, model: 'llama9' });
+    await assert.rejects(client.generate('Summarize'), (error) => {
+        assert.strictEqual(error.status, 404);
+        assert.match(error.message, /Ollama \/api\/generate failed: model 'llama9' not found/);
+        return true;
+    });
+});
+
+test('a non-JSON error body is reported as it is', async (t) => {
+    const stub = await startStub((req, res) => {
+        res.writeHead(502);
+        res.end('Bad Gateway');
+    });
+    t.after(stub.close);
+
+    const client = new OllamaClient({ baseUrl: stub.baseUrl });
+    await assert.rejects(client.version(), (error) => {
+        assert.strictEqual(error.status, 502);
+        assert.match(error.message, /Ollama \/api\/version failed: Bad Gateway/);
+        return true;
+    });
+});
+
+test('aborting through signal stops a streaming generate', async (t) => {
+    const stub = await startStub((req, res) => {
+        res.writeHead(200);
+        // Start the stream and never finish it
+        res.write(ndjson({ response: 'Still thinking' }));
+    });
+    t.after(stub.close);
+
+    const client = new OllamaClient({ baseUrl: stub.baseUrl });
+    const controller = new AbortController();
+    const tokens = [];
+    const pending = client.generate('Summarize', {
+        signal: controller.signal,
+        onToken: (token) => {
+            tokens.push(token);
+            controller.abort();
+        }
+    });
+
+    await assert.rejects(pending, { name: 'AbortError' });
+    assert.deepStrictEqual(tokens, ['Still thinking']);
+});
+
+test('aborting before Ollama answers rejects with AbortError', async (t) => {
+    const stub = await startStub(() => {
+        // Never answer
+    });
+    t.after(stub.close);
+
+    const client = new OllamaClient({ baseUrl: stub.baseUrl });
+    await assert.rejects(client.listModels({ signal: AbortSignal.timeout(50) }), { name: 'AbortError' });
+});
+
+test('a request fails once Ollama goes quiet for the idle timeout', async (t) => {
+    const stub = await startStub((req, res) => {
+        res.writeHead(200);
+        res.write(ndjson({ response: 'Begins, ' }));
+        // ...then stalls
+    });
+    t.after(stub.close);
+
+    const client = new OllamaClient({ baseUrl: stub.baseUrl, idleTimeoutMs: 100 });
+    await assert.rejects(client.generate('Summarize'), /No answer from Ollama at http:\/\/127\.0\.0\.1/);
+    await assert.rejects(new OllamaClient({ baseUrl: 'http://127.0.0.1:9', idleTimeoutMs: 100 }).version(), /Cannot reach Ollama/);
+});
+
+test('version and listModels read their endpoints', async (t) => {
+    const stub = await startStub((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        if (req.url === '/api/version') {
+            res.end(JSON.stringify({ version: '0.6.2' }));
+        } else if (req.url === '/api/tags') {
+            res.end(JSON.stringify({ models: [{ name: 'gemma3:12b', model: 'gemma3:12b' }] }));
+        } else {
+            res.end('{}');
+        }
+    });
+    t.after(stub.close);
+
+    const client = new OllamaClient({ baseUrl: stub.baseUrl + '/', idleTimeoutMs: 50 });
+    assert.strictEqual(await client.version(), '0.6.2');
+    // The idle timer ends with the request, not with the kept-alive connection
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.deepStrictEqual(await client.listModels(), [{ name: 'gemma3:12b', model: 'gemma3:12b' }]);
+});
+
+test('a response that is not JSON is rejected', async (t) => {
+    const stub = await startStub((req, res) => {
+        res.writeHead(200);
+        res.end('<html>not ollama</html>');
+    });
+    t.after(stub.close);
+
+    const client = new OllamaClient({ baseUrl: stub.baseUrl });
+    await assert.rejects(client.listModels(), /Invalid JSON from Ollama \/api\/tags/);
+});
+
+test('model options from the environment skip empty values and reject bad ones', () => {
+    assert.deepStrictEqual(optionsFromEnv({ OLLAMA_NUM_CTX: '', OLLAMA_TEMPERATURE: ' ', OLLAMA_SEED: '-7', OLLAMA_TOP_P: '0.9' }), { seed: -7, top_p: 0.9 });
+    assert.deepStrictEqual(optionsFromEnv({ OLLAMA_NUM_CTX: '8192', OLLAMA_TEMPERATURE: '0' }), { num_ctx: 8192, temperature: 0 });
+
+    assert.throws(() => optionsFromEnv({ OLLAMA_NUM_CTX: '8k' }), /OLLAMA_NUM_CTX must be a whole number of at least 1, not "8k"/);
+    assert.throws(() => optionsFromEnv({ OLLAMA_NUM_CTX: '0' }), /OLLAMA_NUM_CTX/);
+    assert.throws(() => optionsFromEnv({ OLLAMA_SEED: '1.5' }), /OLLAMA_SEED must be a whole number, not "1.5"/);
+    assert.throws(() => optionsFromEnv({ OLLAMA_TEMPERATURE: 'Infinity' }), /OLLAMA_TEMPERATURE must be a number of at least 0/);
+});
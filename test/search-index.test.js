@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SearchIndex } = require('../lib/search-index');
+
+test('translated jobs are found by words of either transcript', () => {
+    const index = new SearchIndex();
+    index.indexJob({
+        processId: 'job-1',
+        results: {
+            segments: [{ id: 0, start: 0, end: 2, speaker: 'S1', text: 'The invoice was paid in April.' }],
+            speakers: { S1: 'Witness' },
+            original: {
+                language: 'es',
+                segments: [{ id: 0, start: 0, end: 2, speaker: 'S1', text: 'La factura se pagó en abril.' }]
+            }
+        }
+    });
+
+    const [translated] = index.search('invoice').results;
+    assert.strictEqual(translated.snippets[0].language, undefined);
+
+    const { results } = index.search('factura');
+    assert.strictEqual(results.length, 1);
+    assert.deepStrictEqual(results[0].snippets, [{
+        text: 'La factura se pagó en abril.',
+        highlights: [[3, 10]],
+        start: 0,
+        end: 2,
+        speaker: 'Witness',
+        segmentId: 0,
+        language: 'es'
+    }]);
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseWhisperJson } = require('../lib/transcript-format');
+
+test('parseWhisperJson numbers segments by position after dropping empty ones', () => {
+    const segments = parseWhisperJson({
+        transcription: [
+            { offsets: { from: 0, to: 2000 }, text: ' Good morning.' },
+            { offsets: { from: 2000, to: 3000 }, text: '  ' },
+            { offsets: { from: 3000, to: 5000 }, text: ' Please state your name.' }
+        ]
+    });
+
+    assert.deepStrictEqual(segments.map(segment => [segment.id, segment.text]), [
+        [0, 'Good morning.'],
+        [1, 'Please state your name.']
+    ]);
+    assert.deepStrictEqual(segments.map(segment => segment.id), segments.map((segment, index) => index));
+    assert.strictEqual(segments[1].start, 3);
+});
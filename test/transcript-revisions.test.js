@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyEdits } = require('../lib/transcript-revisions');
+
+function segments() {
+    return [
+        { id: 0, start: 0, end: 2, text: 'Good morning.', words: [] },
+        { id: 1, start: 2, end: 5, text: 'Please state your name.' }
+    ];
+}
+
+test('applyEdits changes the addressed segments and reports their ids', () => {
+    const list = segments();
+    const changed = applyEdits(list, [
+        { id: 1, text: '  Please state  your full name. ' },
+        { id: 0, text: 'Good morning.' }
+    ]);
+
+    assert.deepStrictEqual(changed, [1]);
+    assert.strictEqual(list[1].text, 'Please state your full name.');
+    assert.ok(list[0].words, 'unchanged segments keep their word timings');
+});
+
+test('applyEdits rejects ids that are not segment indexes', () => {
+    for (const id of ['constructor', '__proto__', 'length', '0', 1.5, -1, 2, null, undefined]) {
+        const list = segments();
+        assert.throws(() => applyEdits(list, [{ id, text: 'x' }]), (error) => {
+            assert.strictEqual(error.status, 400);
+            assert.match(error.message, /Unknown segment/);
+            return true;
+        }, `id ${String(id)}`);
+        assert.deepStrictEqual(list, segments());
+    }
+    assert.throws(() => applyEdits(segments(), [null]), { status: 400 });
+});
+
+test('applyEdits checks every edit before changing any', () => {
+    const list = segments();
+    assert.throws(() => applyEdits(list, [{ id: 0, text: 'Changed.' }, { id: 1, text: 42 }]), { status: 400 });
+    assert.strictEqual(list[0].text, 'Good morning.');
+});
+
+test('applyEdits reports the index it edited when segment ids lag behind', () => {
+    // Parsed before empty Whisper segments were renumbered: the one with id 1 was dropped
+    const list = [
+        { id: 0, start: 0, end: 2, text: 'Good morning.' },
+        { id: 2, start: 3, end: 5, text: 'Please state your name.' }
+    ];
+    assert.deepStrictEqual(applyEdits(list, [{ id: 1, text: 'Please state your full name.' }]), [1]);
+    assert.strictEqual(list[1].text, 'Please state your full name.');
+});
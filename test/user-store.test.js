@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { UserStore } = require('../lib/user-store');
+
+test('a failed write does not stop later users from being saved', async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'user-store-test-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    t.mock.method(console, 'error', () => {});
+
+    // Its folder does not exist yet, so the first write fails
+    const filePath = path.join(dir, 'data', 'users.json');
+    const store = new UserStore(filePath);
+
+    await assert.rejects(store.create({ username: 'alice', role: 'admin', password: 'correct horse battery' }), { code: 'ENOENT' });
+
+    await fs.mkdir(path.dirname(filePath));
+    await store.create({ username: 'bob', role: 'admin', password: 'correct horse battery' });
+
+    const { users } = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    assert.deepStrictEqual(users.map(user => user.username).sort(), ['alice', 'bob']);
+});
+
+async function loadedStore(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'user-store-test-'));
+    t.after(() => fs.rm(dir, { recursive: true, force: true }));
+    const store = new UserStore(path.join(dir, 'users.json'));
+    await store.load();
+    return store;
+}
+
+test('authenticate takes the right password for an active user only', async (t) => {
+    const store = await loadedStore(t);
+    const alice = await store.create({ username: 'Alice', role: 'attorney', password: 'correct horse battery' });
+
+    assert.strictEqual((await store.authenticate('alice', 'correct horse battery')).id, alice.id);
+    assert.strictEqual((await store.authenticate('ALICE', 'correct horse battery')).id, alice.id);
+    assert.strictEqual(await store.authenticate('alice', 'Correct horse battery'), null);
+    assert.strictEqual(await store.authenticate('mallory', 'correct horse battery'), null);
+
+    await store.update(alice.id, { disabled: true });
+    assert.strictEqual(await store.authenticate('alice', 'correct horse battery'), null);
+});
+
+test('roles are checked, and the last admin keeps the role', async (t) => {
+    const store = await loadedStore(t);
+
+    await assert.rejects(store.create({ username: 'eve', role: 'owner', password: 'correct horse battery' }), { status: 400, message: /Role must be one of/ });
+
+    const admin = await store.create({ username: 'admin', role: 'admin', password: 'correct horse battery' });
+    await assert.rejects(store.update(admin.id, { role: 'paralegal' }), { status: 400, message: 'Cannot remove the last admin' });
+
+    await store.create({ username: 'second', role: 'admin', password: 'correct horse battery' });
+    assert.strictEqual((await store.update(admin.id, { role: 'paralegal' })).role, 'paralegal');
+});